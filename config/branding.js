@@ -0,0 +1,20 @@
+// Product branding used in outgoing email; override per deployment through the environment
+const BRANDING = {
+  appName: process.env.APP_NAME || "AAAO GO",
+  supportEmail: process.env.SUPPORT_EMAIL || process.env.MAIL_USER || "",
+  logoUrl: process.env.BRAND_LOGO_URL || "",
+  primaryColor: process.env.BRAND_PRIMARY_COLOR || "#0f766e",
+  websiteUrl: process.env.BRAND_WEBSITE_URL || "",
+};
+
+// Sender for all transactional email, e.g. "AAAO GO <no-reply@example.com>"
+const mailFrom = () =>
+  process.env.MAIL_FROM ||
+  `"${BRANDING.appName}" <${process.env.MAIL_USER || "no-reply@localhost"}>`;
+
+// Languages templates are written in; anything else falls back to the default
+const SUPPORTED_LOCALES = ["en", "ur", "ar"];
+const DEFAULT_LOCALE = "en";
+const RTL_LOCALES = ["ur", "ar"];
+
+export { BRANDING, mailFrom, SUPPORTED_LOCALES, DEFAULT_LOCALE, RTL_LOCALES };
@@ -0,0 +1,10 @@
+// Cloudinary client configured from the environment
+import { v2 as cloudinary } from "cloudinary";
+
+cloudinary.config({
+  cloud_name: process.env.Cloud_Name,
+  api_key: process.env.API_Key,
+  api_secret: process.env.API_Secret,
+});
+
+export default cloudinary;
@@ -0,0 +1,11 @@
+// Referral commission rates as a percentage of the ride fare, indexed by generation
+// (first entry = direct sponsor). Override with COMMISSION_RATES="5,3,2,1,0.5"
+const COMMISSION_RATES = (process.env.COMMISSION_RATES || "5,3,2,1,0.5")
+  .split(",")
+  .map(Number);
+
+// How many generations deep an upline earns: level 0 earns from direct referrals only,
+// each level above that unlocks one more generation
+const generationsForLevel = (level) => (level || 0) + 1;
+
+export { COMMISSION_RATES, generationsForLevel };
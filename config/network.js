@@ -0,0 +1,6 @@
+// Generation limits keep $graphLookup within memory for large networks: the nested tree
+// goes MAX_TREE_DEPTH generations deep, stats, paging and search MAX_SEARCH_DEPTH
+const MAX_TREE_DEPTH = 5;
+const MAX_SEARCH_DEPTH = 20;
+
+export { MAX_TREE_DEPTH, MAX_SEARCH_DEPTH };
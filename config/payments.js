@@ -0,0 +1,25 @@
+// Payment settings; see services/payments for the provider adapters
+
+// Provider named by PAYMENT_PROVIDER; there is no default so a deployment can't silently
+// fall back to the fake provider, which approves every charge
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER;
+
+// Largest single wallet top-up, in major units
+const MAX_TOP_UP_AMOUNT = Number(process.env.MAX_TOP_UP_AMOUNT) || 50000;
+
+// Share of each fare the platform keeps; the rest is credited to the driver. 0 is allowed.
+const commissionSetting = process.env.PLATFORM_COMMISSION_PERCENT?.trim();
+const configuredCommission = commissionSetting
+  ? Number(commissionSetting)
+  : undefined;
+if (
+  configuredCommission !== undefined &&
+  !(configuredCommission >= 0 && configuredCommission <= 100)
+) {
+  throw new Error(
+    `PLATFORM_COMMISSION_PERCENT must be a number from 0 to 100, got "${commissionSetting}"`
+  );
+}
+const PLATFORM_COMMISSION_PERCENT = configuredCommission ?? 20;
+
+export { PAYMENT_PROVIDER, MAX_TOP_UP_AMOUNT, PLATFORM_COMMISSION_PERCENT };
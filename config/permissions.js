@@ -0,0 +1,49 @@
+// Roles a user can hold; customer and driver are self-service, the rest are staff roles
+const ROLES = ["customer", "driver", "admin", "support", "fleet_manager"];
+
+// Every permission a route can require
+const PERMISSIONS = {
+  kycRead: "kyc:read",
+  kycReview: "kyc:review",
+  tariffsRead: "tariffs:read",
+  tariffsWrite: "tariffs:write",
+  paymentsSettle: "payments:settle",
+  paymentsRefund: "payments:refund",
+  commissionsRead: "commissions:read",
+  commissionsPayout: "commissions:payout",
+  sponsorLevelsRebuild: "sponsor-levels:rebuild",
+  vehiclesRead: "vehicles:read",
+  vehiclesReview: "vehicles:review",
+  vehiclesManage: "vehicles:manage", // Suspend and reinstate approved vehicles
+  usersRead: "users:read",
+  usersManage: "users:manage", // Suspend and reactivate accounts
+  usersAssignRoles: "users:roles",
+  jobsManage: "jobs:manage", // Inspect and retry background jobs
+  fleetManage: "fleet:manage", // Run one's own fleet: vehicles, drivers and their earnings
+  driversTrack: "drivers:track", // See online drivers' live locations, IDs and plates
+  auditRead: "audit:read", // Review what staff did to other users' accounts and records
+};
+
+// What each role may do; admins hold every permission
+const ROLE_PERMISSIONS = {
+  customer: [],
+  driver: [],
+  fleet_manager: [PERMISSIONS.fleetManage], // Manages their own drivers and vehicles, no back-office access
+  support: [
+    PERMISSIONS.kycRead,
+    PERMISSIONS.kycReview,
+    PERMISSIONS.vehiclesRead,
+    PERMISSIONS.vehiclesReview,
+    PERMISSIONS.tariffsRead,
+    PERMISSIONS.paymentsSettle,
+    PERMISSIONS.commissionsRead,
+    PERMISSIONS.usersRead,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+// Check whether a user's role grants a permission
+const hasPermission = (user, permission) =>
+  Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+
+export { ROLES, PERMISSIONS, ROLE_PERMISSIONS, hasPermission };
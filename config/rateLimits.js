@@ -0,0 +1,14 @@
+// Attempt limits for the authentication endpoints; each policy allows `limit` hits per window
+const RATE_LIMITS = {
+  loginPerIp: { limit: 20, windowSeconds: 15 * 60 },
+  loginFailuresPerAccount: { limit: 5, windowSeconds: 15 * 60 }, // Account locked until the window ends
+  verifyOtpPerIp: { limit: 20, windowSeconds: 15 * 60 },
+  otpSendsPerIp: { limit: 10, windowSeconds: 60 * 60 }, // Signup, resend and forgot-password emails
+  otpSendsPerAccount: { limit: 5, windowSeconds: 60 * 60 },
+  otpResendCooldown: { limit: 1, windowSeconds: 60 }, // One code per account per minute
+};
+
+// Wrong guesses after which an OTP is invalidated and a new one must be requested
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+export { RATE_LIMITS, OTP_MAX_ATTEMPTS };
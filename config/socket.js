@@ -0,0 +1,77 @@
+// Importing required modules for the real-time channel
+import { Server } from "socket.io";
+import {
+  authenticateAccessToken,
+  loadSession,
+  onSessionsEnded,
+} from "../services/sessionService.js";
+import { registerLocationHandlers } from "../controllers/locationController.js";
+
+let io = null;
+
+// Read the access token from the handshake: auth payload first, then the "token" cookie
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+  const cookies = (handshake.headers.cookie || "").split(";");
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === "token") return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+// Function to attach Socket.IO to the HTTP server, authenticating like authHandler
+const initSocket = (server) => {
+  io = new Server(server, {
+    cors: { origin: true, credentials: true }, // Same policy as the REST API
+  });
+
+  io.use(async (socket, next) => {
+    const token = getHandshakeToken(socket.handshake);
+    if (!token) return next(new Error("Token not found"));
+    try {
+      const { user, session } = await authenticateAccessToken(token);
+      socket.user = user;
+      socket.sessionId = session._id;
+      next();
+    } catch (error) {
+      next(new Error(error.message));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    // Personal room so REST controllers can push events to a specific user
+    socket.join([`user:${socket.user._id}`, `session:${socket.sessionId}`]);
+    // Every event re-checks the session and account, so a revoked session, a suspension
+    // or a role change applies to sockets that are already connected
+    socket.use(async (packet, next) => {
+      try {
+        ({ user: socket.user } = await loadSession(
+          socket.sessionId,
+          socket.user._id
+        ));
+        next();
+      } catch (error) {
+        socket.disconnect(true);
+      }
+    });
+    registerLocationHandlers(io, socket);
+  });
+
+  return io;
+};
+
+// Drop the connections of revoked sessions so they stop receiving ride updates
+onSessionsEnded(({ userId, sessionId, exceptSessionId }) => {
+  if (!io) return;
+  let sockets = io.in(sessionId ? `session:${sessionId}` : `user:${userId}`);
+  if (exceptSessionId) sockets = sockets.except(`session:${exceptSessionId}`);
+  sockets.disconnectSockets(true);
+});
+
+// Push an event to every connected socket of a user; a no-op before initSocket
+const emitToUser = (userId, event, payload) => {
+  if (io) io.to(`user:${userId}`).emit(event, payload);
+};
+
+export { initSocket, emitToUser };
@@ -0,0 +1,18 @@
+// File storage settings; see services/storage for the backends
+import os from "os";
+import path from "path";
+
+const STORAGE = {
+  driver: process.env.STORAGE_DRIVER || "cloudinary", // "cloudinary" or "local"
+  localDir: path.resolve(process.env.LOCAL_STORAGE_DIR || "storage"), // Where the local backend keeps files
+  // Base of links to locally stored files, e.g. https://api.example.com (relative when unset)
+  publicBaseUrl: (process.env.FILES_BASE_URL || "").replace(/\/$/, ""),
+  signedUrlTtlSeconds: Number(process.env.SIGNED_URL_TTL_SECONDS) || 15 * 60,
+  // Request uploads wait here until stored; leftovers older than the max age are swept
+  tempDir:
+    process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), "aaao-uploads"),
+  tempMaxAgeMs:
+    (Number(process.env.UPLOAD_TEMP_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000,
+};
+
+export { STORAGE };
@@ -0,0 +1,16 @@
+// Fallback tariffs used when no admin-configured tariff exists for a country and vehicle type
+// Amounts are in the currency's major unit (e.g. rupees)
+const DEFAULT_CURRENCY = process.env.FARE_CURRENCY || "PKR";
+
+const DEFAULT_TARIFFS = {
+  bike: { baseFare: 50, perKm: 15, perMinute: 2, minimumFare: 100 },
+  minicar: { baseFare: 100, perKm: 30, perMinute: 4, minimumFare: 200 },
+  accar: { baseFare: 130, perKm: 38, perMinute: 5, minimumFare: 250 },
+  luxurycar: { baseFare: 250, perKm: 60, perMinute: 8, minimumFare: 500 },
+  premium: { baseFare: 400, perKm: 90, perMinute: 12, minimumFare: 800 },
+};
+
+// Country key used for tariffs that apply wherever no country-specific tariff is set
+const DEFAULT_COUNTRY = "default";
+
+export { DEFAULT_CURRENCY, DEFAULT_TARIFFS, DEFAULT_COUNTRY };
@@ -0,0 +1,49 @@
+// What each upload endpoint accepts, per form field. Types are checked against the file's
+// content, not its name; images are re-encoded without metadata (EXIF/GPS), capped at
+// IMAGE_MAX_DIMENSION and given a thumbnail.
+const MB = 1024 * 1024;
+
+const FILE_TYPES = {
+  "image/jpeg": { label: "JPEG", extension: ".jpg", image: true },
+  "image/png": { label: "PNG", extension: ".png", image: true },
+  "image/webp": { label: "WebP", extension: ".webp", image: true },
+  "application/pdf": { label: "PDF", extension: ".pdf", image: false },
+};
+
+const IMAGES = ["image/jpeg", "image/png", "image/webp"];
+const DOCUMENTS = [...IMAGES, "application/pdf"];
+
+const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 2048; // Longest side, in pixels
+const THUMBNAIL_DIMENSION = 320;
+
+const UPLOADS = {
+  kycLevel1: {
+    frontImage: { maxCount: 1, maxSize: 5 * MB, types: IMAGES },
+    backImage: { maxCount: 1, maxSize: 5 * MB, types: IMAGES },
+    selfieImage: { maxCount: 1, maxSize: 5 * MB, types: IMAGES },
+  },
+  license: {
+    licenseImage: { maxCount: 1, maxSize: 5 * MB, types: IMAGES },
+  },
+  vehicle: {
+    vehicleRegistrationCardFront: {
+      maxCount: 1,
+      maxSize: 5 * MB,
+      types: IMAGES,
+    },
+    vehicleRegistrationCardBack: {
+      maxCount: 1,
+      maxSize: 5 * MB,
+      types: IMAGES,
+    },
+    roadAuthorityCertificate: {
+      maxCount: 1,
+      maxSize: 10 * MB,
+      types: DOCUMENTS,
+    },
+    insuranceCertificate: { maxCount: 1, maxSize: 10 * MB, types: DOCUMENTS },
+    vehicleImages: { maxCount: 4, maxSize: 8 * MB, types: IMAGES },
+  },
+};
+
+export { FILE_TYPES, IMAGE_MAX_DIMENSION, THUMBNAIL_DIMENSION, UPLOADS };
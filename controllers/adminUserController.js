@@ -0,0 +1,154 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import User from "../models/userModel.js";
+import { ROLE_PERMISSIONS } from "../config/permissions.js";
+import { endAllSessions } from "../services/sessionService.js";
+import { fileUrl } from "../services/storage/index.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+
+// Fields staff may see; secrets and one-time codes never leave the server
+const USER_FIELDS =
+  "-password -otp -otpExpires -resetOtp -resetOtpExpires -resetTokenHash -phoneOtp -phoneOtpExpires -__v";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// User for staff, with identity document links signed for short-lived access
+const withImageUrls = (user) => {
+  const shaped = user.toObject();
+  if (shaped.cnicImages) {
+    shaped.cnicImages = {
+      front: fileUrl(shaped.cnicImages.front),
+      back: fileUrl(shaped.cnicImages.back),
+    };
+  }
+  shaped.selfieImage = fileUrl(shaped.selfieImage);
+  shaped.licenseImage = fileUrl(shaped.licenseImage);
+  return shaped;
+};
+
+// Load the user named by the route parameter
+const findUser = async (req, select = "") => {
+  const user = await User.findById(req.params.id).select(select);
+  if (!user) {
+    throw new NotFoundError("User not found", "USER_NOT_FOUND");
+  }
+  return user;
+};
+
+// Function to list users with filters (role, kycLevel, suspended, search) and pagination
+const listUsers = asyncHandler(async (req, res) => {
+  const { role, kycLevel, suspended, search, page, limit } = req.query;
+
+  const filter = {};
+  if (role) filter.role = role;
+  if (kycLevel !== undefined) filter.kycLevel = kycLevel;
+  if (suspended !== undefined) filter.isSuspended = suspended;
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    filter.$or = [
+      { firstName: pattern },
+      { lastName: pattern },
+      { email: pattern },
+      { phoneNumber: pattern },
+      { sponsorId: pattern },
+    ];
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(`${USER_FIELDS} -sponsorTree`),
+    User.countDocuments(filter),
+  ]);
+  res.status(200).json({
+    users: users.map(withImageUrls),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// Function to fetch one user's account details
+const getUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req, `${USER_FIELDS} -sponsorTree`);
+  res.status(200).json({
+    user: withImageUrls(user),
+    permissions: ROLE_PERMISSIONS[user.role] || [],
+  });
+});
+
+// Function to change a user's role
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const user = await findUser(req);
+  if (user._id.equals(req.user._id)) {
+    throw new BadRequestError(
+      "You cannot change your own role",
+      "CANNOT_CHANGE_OWN_ROLE"
+    );
+  }
+  if (user.role === role) {
+    return res.status(200).json({ message: "Role unchanged", role });
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+  res.status(200).json({
+    message: "Role updated",
+    userId: user._id,
+    previousRole,
+    role: user.role,
+  });
+});
+
+// Function to suspend an account, signing it out everywhere
+const suspendUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const user = await findUser(req);
+  if (user._id.equals(req.user._id)) {
+    throw new BadRequestError(
+      "You cannot suspend your own account",
+      "CANNOT_SUSPEND_SELF"
+    );
+  }
+  if (user.isSuspended) {
+    throw new ConflictError(
+      "User is already suspended",
+      "USER_ALREADY_SUSPENDED"
+    );
+  }
+  user.isSuspended = true;
+  user.suspendedAt = new Date();
+  user.suspensionReason = reason;
+  await user.save();
+  const sessionsRevoked = await endAllSessions(user._id, "suspended");
+  res.status(200).json({
+    message: "User suspended",
+    userId: user._id,
+    sessionsRevoked,
+  });
+});
+
+// Function to lift a suspension
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+  if (!user.isSuspended) {
+    throw new ConflictError("User is not suspended", "USER_NOT_SUSPENDED");
+  }
+  user.isSuspended = false;
+  user.suspendedAt = null;
+  user.suspensionReason = undefined;
+  await user.save();
+  res.status(200).json({ message: "User reactivated", userId: user._id });
+});
+
+// Export all controller functions
+export { listUsers, getUser, updateUserRole, suspendUser, reactivateUser };
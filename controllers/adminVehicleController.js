@@ -0,0 +1,106 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import Vehicle from "../models/vehicleModel.js";
+import {
+  approveVehicle,
+  rejectVehicle,
+  suspendVehicle,
+  reinstateVehicle,
+  withDocumentUrls,
+} from "../services/vehicleService.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Function to list vehicles for review with filters (status, userId, search, archived) and
+// pagination; archived vehicles are left out unless archived=true
+const listVehicles = asyncHandler(async (req, res) => {
+  const { status, userId, search, archived, page, limit } = req.query;
+
+  const filter = { archived };
+  if (status) filter.status = status;
+  if (userId) filter.userId = userId;
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    filter.$or = [
+      { vehiclePlateNumber: pattern },
+      { chassisNumber: pattern },
+      { vehicleMakeModel: pattern },
+    ];
+  }
+
+  const [vehicles, total] = await Promise.all([
+    Vehicle.find(filter)
+      .sort(status === "submitted" ? { submittedAt: 1 } : { createdAt: -1 }) // Oldest submissions first so the queue is worked in order
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "firstName lastName email phoneNumber kycLevel"),
+    Vehicle.countDocuments(filter),
+  ]);
+  res.status(200).json({
+    vehicles: vehicles.map(withDocumentUrls),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// Function to fetch one vehicle with its documents and their review status
+const getVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id)
+    .populate("userId", "firstName lastName email phoneNumber kycLevel role")
+    .populate("reviewedBy", "firstName lastName email");
+  if (!vehicle) {
+    throw new NotFoundError("Vehicle not found", "VEHICLE_NOT_FOUND");
+  }
+  res.status(200).json({ vehicle: withDocumentUrls(vehicle) });
+});
+
+// Function to approve a submitted vehicle, making its owner a driver
+const approveVehicleReview = asyncHandler(async (req, res) => {
+  const vehicle = await approveVehicle(req.params.id, req.user, req.body?.note);
+  res
+    .status(200)
+    .json({ message: "Vehicle approved", vehicle: withDocumentUrls(vehicle) });
+});
+
+// Function to reject a submitted vehicle with a reason per offending document
+const rejectVehicleReview = asyncHandler(async (req, res) => {
+  const { reasons, note } = req.body;
+  const vehicle = await rejectVehicle(req.params.id, req.user, reasons, note);
+  res
+    .status(200)
+    .json({ message: "Vehicle rejected", vehicle: withDocumentUrls(vehicle) });
+});
+
+// Function to suspend an approved vehicle, taking its driver offline
+const suspendVehicleReview = asyncHandler(async (req, res) => {
+  const vehicle = await suspendVehicle(
+    req.params.id,
+    req.user,
+    req.body?.reason
+  );
+  res
+    .status(200)
+    .json({ message: "Vehicle suspended", vehicle: withDocumentUrls(vehicle) });
+});
+
+// Function to lift a vehicle's suspension
+const reinstateVehicleReview = asyncHandler(async (req, res) => {
+  const vehicle = await reinstateVehicle(req.params.id, req.user);
+  res.status(200).json({
+    message: "Vehicle reinstated",
+    vehicle: withDocumentUrls(vehicle),
+  });
+});
+
+// Export all controller functions
+export {
+  listVehicles,
+  getVehicle,
+  approveVehicleReview,
+  rejectVehicleReview,
+  suspendVehicleReview,
+  reinstateVehicleReview,
+};
@@ -0,0 +1,40 @@
+// Importing required modules and models
+import asyncHandler from "express-async-handler";
+import AuditLog from "../models/auditLogModel.js";
+
+// Function to list back-office actions with filters (actorId, action, targetType, targetId,
+// from, to) and pagination, newest first
+const listAuditLogs = asyncHandler(async (req, res) => {
+  const { actorId, action, targetType, targetId, from, to, page, limit } =
+    req.query;
+
+  const filter = {};
+  if (actorId) filter.actorId = actorId;
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("actorId", "firstName lastName email"),
+    AuditLog.countDocuments(filter),
+  ]);
+  res.status(200).json({
+    entries,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// Export all controller functions
+export { listAuditLogs };
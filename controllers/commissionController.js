@@ -0,0 +1,96 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import Commission from "../models/commissionModel.js";
+import { payPendingCommissions } from "../services/commissionService.js";
+import { COMMISSION_RATES, generationsForLevel } from "../config/commission.js";
+
+// Function to show the user's referral earnings broken down by generation
+const getMyCommissions = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const filter = { beneficiaryId: req.user._id };
+
+  const [byGeneration, commissions, total] = await Promise.all([
+    Commission.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: "$generation",
+          rides: { $sum: 1 },
+          pending: {
+            $sum: { $cond: [{ $eq: ["$status", "pending"] }, "$amount", 0] },
+          },
+          paid: {
+            $sum: { $cond: [{ $eq: ["$status", "paid"] }, "$amount", 0] },
+          },
+          reversed: {
+            $sum: { $cond: [{ $eq: ["$status", "reversed"] }, "$amount", 0] },
+          },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    Commission.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("sourceUserId", "firstName lastName sponsorId"),
+    Commission.countDocuments(filter),
+  ]);
+
+  const round = (amount) => Math.round(amount * 100) / 100;
+  const generations = byGeneration.map((g) => ({
+    generation: g._id,
+    rate: COMMISSION_RATES[g._id - 1],
+    rides: g.rides,
+    pending: round(g.pending),
+    paid: round(g.paid),
+    reversed: round(g.reversed),
+  }));
+  res.status(200).json({
+    level: req.user.level,
+    generationsUnlocked: Math.min(
+      generationsForLevel(req.user.level),
+      COMMISSION_RATES.length
+    ),
+    totals: {
+      pending: round(generations.reduce((t, g) => t + g.pending, 0)),
+      paid: round(generations.reduce((t, g) => t + g.paid, 0)),
+      reversed: round(generations.reduce((t, g) => t + g.reversed, 0)),
+    },
+    generations,
+    commissions,
+    page,
+    limit,
+    total,
+  });
+});
+
+// Function to list commissions across all users for admins
+const listCommissions = asyncHandler(async (req, res) => {
+  const { status, beneficiaryId, rideId, page, limit } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (beneficiaryId) filter.beneficiaryId = beneficiaryId;
+  if (rideId) filter.rideId = rideId;
+
+  const [commissions, total] = await Promise.all([
+    Commission.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("beneficiaryId", "firstName lastName email sponsorId level")
+      .populate("sourceUserId", "firstName lastName sponsorId"),
+    Commission.countDocuments(filter),
+  ]);
+  res.status(200).json({ commissions, page, limit, total });
+});
+
+// Function to pay out pending commissions, optionally only those created before a date
+const payoutCommissions = asyncHandler(async (req, res) => {
+  const result = await payPendingCommissions(req.body.before);
+  res.status(200).json({ message: "Commission payout completed", ...result });
+});
+
+// Export all controller functions
+export { getMyCommissions, listCommissions, payoutCommissions };
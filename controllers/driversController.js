@@ -1,238 +1,196 @@
-// Import required modules for vehicle and user management, cloud storage, and JWT
+// Import required modules for vehicle and user management and background uploads
+import mongoose from "mongoose";
 import Vehicle from "../models/vehicleModel.js";
 import User from "../models/userModel.js";
-import cloudinary from "cloudinary";
-import jwt from "jsonwebtoken";
-
-// Configure Cloudinary with environment variables
-cloudinary.config({
-  cloud_name: process.env.Cloud_Name,
-  api_key: process.env.API_Key,
-  api_secret: process.env.API_Secret,
-});
-
-// Middleware to check if user has completed KYC Level 1
-const kycLevel1Check = async (req, res, next) => {
-  // Find user by authenticated ID
-  const user = await User.findById(req.user._id);
-  // Check if user exists and has KYC Level 1
-  if (!user || user.kycLevel < 1) {
-    return res.status(403).json({
-      message: "KYC Level 1 must be completed before proceeding to Level 2",
-      token: req.cookies.token,
-    });
+import KycSubmission from "../models/kycSubmissionModel.js";
+import {
+  queueKycDocumentUpload,
+  queueVehicleDocumentUpload,
+} from "../services/jobs/uploadJobs.js";
+import {
+  retainUploads,
+  tempFile,
+  uploadedFiles,
+} from "../middlewares/uploadMiddleware.js";
+import { fileUrl } from "../services/storage/index.js";
+import {
+  expiryDatesIn,
+  drivableBy,
+  submitVehicle,
+  resubmitVehicle,
+  activateVehicle,
+  archiveVehicle,
+  toVehicleError,
+  withDocumentUrls,
+} from "../services/vehicleService.js";
+import { getExpirations } from "../services/documentExpiryService.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+import asyncHandler from "express-async-handler";
+
+// Fields of the active vehicle shown alongside the user
+const ACTIVE_VEHICLE_FIELDS =
+  "vehicleMakeModel vehicleColor vehiclePlateNumber vehicleType wheelchair status";
+
+// Thrown when the user has not reached the KYC level a step needs
+const kycRequired = (message) =>
+  new ForbiddenError(message, "KYC_LEVEL_REQUIRED");
+
+// Handle license image upload for the authenticated user's KYC Level 2
+const uploadLicense = asyncHandler(async (req, res) => {
+  const { licenseExpiryDate } = req.body;
+  const licenseImage = req.files.licenseImage[0];
+
+  const user = req.user;
+  if (user.kycLevel < 1) throw kycRequired("Complete KYC Level 1 first");
+  // Approved drivers submit again to renew a license that is about to lapse
+  const renewalOpensAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  if (
+    user.kycLevel >= 2 &&
+    user.licenseExpiryDate &&
+    user.licenseExpiryDate > renewalOpensAt
+  ) {
+    throw new ConflictError(
+      "KYC Level 2 is already approved; you can renew your license within 30 days of its expiry",
+      "KYC_ALREADY_APPROVED"
+    );
   }
-  next(); // Proceed to next middleware
-};
-
-// Handle license image upload for KYC Level 2
-const uploadLicense = async (req, res) => {
-  // Extract userId from request body
-  const { userId } = req.body;
-  console.log("req.file:", req.file); // Log file for debugging
-
-  // Find user by ID
-  const user = await User.findById(userId);
-  if (!user) {
-    return res
-      .status(404)
-      .json({ message: "User not found", token: req.cookies.token });
+  if (licenseExpiryDate <= new Date()) {
+    throw new BadRequestError(
+      "This license has already expired",
+      "LICENSE_EXPIRED"
+    );
   }
-  if (user.kycLevel < 1) {
-    return res.status(403).json({
-      message: "Complete KYC Level 1 first",
-      token: req.cookies.token,
-    });
-  }
-
-  try {
-    // Upload license image to Cloudinary
-    const uploadResult = req.file
-      ? await cloudinary.uploader.upload(req.file.path, {
-          folder: "kyc/license",
-        })
-      : null;
-    if (!uploadResult) {
-      return res.status(400).json({
-        message: "License image is required for KYC Level 2",
-        token: req.cookies.token,
-      });
-    }
-
-    // Update user with new KYC level and license image
-    user.kycLevel = 2;
-    user.licenseImage = uploadResult.secure_url;
-    const savedUser = await user.save();
-    console.log("Saved user with licenseImage:", savedUser.licenseImage); // Log success
 
-    // Generate new token and set cookie
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRY,
-    });
-    res.cookie("token", token, { httpOnly: true, maxAge: 3600000 });
-    res.status(200).json({
-      message: "KYC Level 2 (License) uploaded successfully",
-      hasVehicle: "Please select: Do you have a vehicle? (Yes/No)",
-      token,
-    });
-  } catch (error) {
-    console.error("Error saving license:", error); // Log any errors
-    res.status(500).json({ message: error.message, token: req.cookies.token });
+  // Only one license submission may be under review at a time
+  const pending = await KycSubmission.exists({
+    userId: user._id,
+    level: 2,
+    status: "pending",
+  });
+  if (pending) {
+    throw new ConflictError(
+      "Your KYC Level 2 submission is already under review",
+      "KYC_SUBMISSION_PENDING"
+    );
   }
-};
 
-// Handle vehicle ownership decision
-const handleVehicleDecision = async (req, res) => {
-  // Extract userId and vehicle decision from request body
-  const { userId, hasVehicle } = req.body;
-
-  // Find user by ID
-  const user = await User.findById(userId);
-  if (!user || user.kycLevel < 2) {
-    return res.status(403).json({
-      message: "Complete KYC Level 2 first",
-      token: req.cookies.token || "no-token",
-    });
-  }
+  // Queue the license for admin review; kycLevel is raised on approval.
+  // The image is uploaded in the background and can be reviewed once it arrives.
+  const submission = await KycSubmission.create({
+    userId: user._id,
+    level: 2,
+    licenseExpiryDate,
+    documents: { license: {} },
+    uploadStatus: "uploading",
+  });
+  const job = await queueKycDocumentUpload(submission, {
+    license: tempFile(licenseImage),
+  });
+  retainUploads(req); // The upload job removes the temp file
+
+  res.status(200).json({
+    message: "KYC Level 2 (License) submitted for review",
+    submissionId: submission._id,
+    status: submission.status,
+    uploadStatus: submission.uploadStatus,
+    jobId: job._id,
+  });
+});
+
+// Handle the authenticated user's vehicle ownership decision
+const handleVehicleDecision = asyncHandler(async (req, res) => {
+  const { hasVehicle } = req.body;
+  const user = req.user;
+  if (user.kycLevel < 2) throw kycRequired("Complete KYC Level 2 first");
 
   if (hasVehicle === "no") {
     // Update role to driver if no vehicle
     user.role = "driver";
     await user.save();
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRY,
-    });
-    res.cookie("token", token, { httpOnly: true, maxAge: 3600000 });
     res.status(200).json({
       message:
         "Role updated to driver. You can switch back to customer and book rides.",
       role: user.role,
-      token,
     });
-  } else if (hasVehicle === "yes") {
+  } else {
     // Prompt for vehicle registration if yes
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRY,
-    });
-    res.cookie("token", token, { httpOnly: true, maxAge: 3600000 });
     res.status(200).json({
-      message: "Please register your vehicle (all fields are optional)",
+      message:
+        "Please register your vehicle and upload its documents for review",
       nextStep: "vehicleRegistration",
-      token,
-    });
-  } else {
-    res.status(400).json({
-      message: "Please select Yes or No for vehicle ownership",
-      token: req.cookies.token || "no-token",
     });
   }
-};
+});
 
-// Register a new vehicle for the user
-const registerVehicle = async (req, res) => {
-  console.log("req.files:", req.files); // Log uploaded files for debugging
+// Register a new vehicle for the authenticated user
+const registerVehicle = asyncHandler(async (req, res) => {
   const {
-    userId,
-    vehicleRegistrationCard,
-    roadAuthorityCertificate,
     vehicleOwnerName,
     companyName,
     vehiclePlateNumber,
     vehicleMakeModel,
     chassisNumber,
     vehicleColor,
-    registrationExpiryDate,
-    insuranceCertificate,
     vehicleType,
-    vehicleImages,
   } = req.body;
+  const dates = expiryDatesIn(req.body);
 
   // Verify user KYC level
-  const user = await User.findById(userId);
-  if (!user || user.kycLevel < 2) {
-    return res.status(403).json({
-      message: "Complete KYC Level 2 first",
-      token: req.cookies.token,
-    });
-  }
+  const user = req.user;
+  if (user.kycLevel < 2) throw kycRequired("Complete KYC Level 2 first");
+
+  // Uploaded files go to file storage in the background
+  const files = uploadedFiles(req);
+  const hasUploads = Object.keys(files).length > 0;
 
+  // Prepare vehicle data
+  const vehicleData = {
+    userId: user._id,
+    vehicleOwnerName,
+    companyName,
+    vehiclePlateNumber: vehiclePlateNumber || undefined, // Blank values aren't unique plates
+    vehicleMakeModel,
+    chassisNumber: chassisNumber || undefined,
+    vehicleColor,
+    ...dates,
+    vehicleType,
+    wheelchair: false, // Default wheelchair status
+    uploadStatus: hasUploads ? "uploading" : "ready",
+    uploadJobId: hasUploads ? new mongoose.Types.ObjectId() : null,
+  };
+
+  // Save the new vehicle as a draft, then queue its document upload.
+  // The owner becomes a driver once the vehicle passes review.
+  const vehicle = new Vehicle(vehicleData);
   try {
-    // Upload files to Cloudinary
-    const uploadToCloudinary = async (file) => {
-      if (file) {
-        const result = await cloudinary.uploader.upload(file.path, {
-          folder: "vehicles",
-        });
-        return result.secure_url;
-      }
-      return null;
-    };
-
-    const vehicleRegistrationCardFront = req.files?.vehicleRegistrationCardFront
-      ? await uploadToCloudinary(req.files.vehicleRegistrationCardFront[0])
-      : vehicleRegistrationCard?.front;
-    const vehicleRegistrationCardBack = req.files?.vehicleRegistrationCardBack
-      ? await uploadToCloudinary(req.files.vehicleRegistrationCardBack[0])
-      : vehicleRegistrationCard?.back;
-    const roadAuthorityCertificateUrl = req.files?.roadAuthorityCertificate
-      ? await uploadToCloudinary(req.files.roadAuthorityCertificate[0])
-      : roadAuthorityCertificate;
-    const insuranceCertificateUrl = req.files?.insuranceCertificate
-      ? await uploadToCloudinary(req.files.insuranceCertificate[0])
-      : insuranceCertificate;
-    const vehicleImagesUrls = req.files?.vehicleImages
-      ? await Promise.all(req.files.vehicleImages.map(uploadToCloudinary))
-      : vehicleImages;
-
-    // Prepare vehicle data
-    const vehicleData = {
-      userId,
-      vehicleRegistrationCard: {
-        front: vehicleRegistrationCardFront,
-        back: vehicleRegistrationCardBack,
-      },
-      roadAuthorityCertificate: roadAuthorityCertificateUrl,
-      vehicleOwnerName,
-      companyName,
-      vehiclePlateNumber,
-      vehicleMakeModel,
-      chassisNumber,
-      vehicleColor,
-      registrationExpiryDate: registrationExpiryDate
-        ? new Date(registrationExpiryDate)
-        : null,
-      insuranceCertificate: insuranceCertificateUrl,
-      vehicleType,
-      vehicleImages: vehicleImagesUrls,
-      wheelchair: false, // Default wheelchair status
-    };
-
-    // Save new vehicle
-    const vehicle = new Vehicle(vehicleData);
     await vehicle.save();
-
-    // Update user role to driver
-    user.role = "driver";
-    await user.save();
-
-    // Generate new token and respond
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRY,
-    });
-    res.cookie("token", token, { httpOnly: true, maxAge: 3600000 });
-    res.status(201).json({
-      message: "Vehicle registered successfully",
-      vehicleId: vehicle._id,
-      role: user.role,
-      token,
-    });
   } catch (error) {
-    res.status(500).json({ message: error.message, token: req.cookies.token });
+    // A plate or chassis number already on another vehicle is a conflict
+    throw toVehicleError(error);
   }
-};
+  if (hasUploads) {
+    await queueVehicleDocumentUpload(vehicle, files);
+    retainUploads(req); // The upload job removes the temp files
+  }
+
+  res.status(201).json({
+    message:
+      "Vehicle registered. Submit it for review once all documents are uploaded.",
+    vehicleId: vehicle._id,
+    status: vehicle.status,
+    role: user.role,
+    uploadStatus: vehicle.uploadStatus,
+    jobId: vehicle.uploadJobId,
+  });
+});
 
 // Update an existing vehicle
-const updateVehicle = async (req, res) => {
+const updateVehicle = asyncHandler(async (req, res) => {
   // Extract update data from request body
   const {
     vehicleId,
@@ -242,164 +200,224 @@ const updateVehicle = async (req, res) => {
     vehicleMakeModel,
     chassisNumber,
     vehicleColor,
-    registrationExpiryDate,
     vehicleType,
     wheelchair,
   } = req.body;
   const userId = req.user._id;
+  const dates = expiryDatesIn(req.body);
+
+  // Find vehicle by ID and user
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, userId });
+  if (!vehicle) {
+    throw new NotFoundError(
+      "Vehicle not found or you do not have permission to update it",
+      "VEHICLE_NOT_FOUND"
+    );
+  }
+  if (vehicle.archived) {
+    throw new ConflictError(
+      "An archived vehicle cannot be updated",
+      "VEHICLE_ARCHIVED"
+    );
+  }
 
+  // Update vehicle fields, retaining existing values if not provided
+  vehicle.vehicleOwnerName = vehicleOwnerName || vehicle.vehicleOwnerName;
+  vehicle.companyName = companyName || vehicle.companyName;
+  vehicle.vehiclePlateNumber = vehiclePlateNumber || vehicle.vehiclePlateNumber;
+  vehicle.vehicleMakeModel = vehicleMakeModel || vehicle.vehicleMakeModel;
+  vehicle.chassisNumber = chassisNumber || vehicle.chassisNumber;
+  vehicle.vehicleColor = vehicleColor || vehicle.vehicleColor;
+  vehicle.vehicleType = vehicleType || vehicle.vehicleType;
+  vehicle.wheelchair =
+    wheelchair !== undefined ? wheelchair : vehicle.wheelchair;
+
+  const datesChanged = Object.entries(dates).some(
+    ([field, date]) => vehicle[field]?.getTime() !== date.getTime()
+  );
+  Object.assign(vehicle, dates);
+
+  // New files replace the current ones once the background upload finishes
+  const files = uploadedFiles(req);
+  const hasUploads = Object.keys(files).length > 0;
+  if (hasUploads) {
+    vehicle.uploadStatus = "uploading";
+    vehicle.uploadJobId = new mongoose.Types.ObjectId();
+  }
+
+  // Save updated vehicle. Renewed documents or dates send an approved vehicle back for
+  // review: right away for dates, once the upload finishes for files.
   try {
-    // Find vehicle by ID and user
-    const vehicle = await Vehicle.findOne({ _id: vehicleId, userId });
-    if (!vehicle) {
-      return res.status(404).json({
-        message: "Vehicle not found or you do not have permission to update it",
-        token: req.cookies.token,
-      });
-    }
-
-    // Upload new files to Cloudinary if provided
-    const uploadToCloudinary = async (file) => {
-      if (file) {
-        const result = await cloudinary.uploader.upload(file.path, {
-          folder: "vehicles",
-        });
-        return result.secure_url;
-      }
-      return null;
-    };
-
-    const vehicleRegistrationCardFront = req.files?.vehicleRegistrationCardFront
-      ? await uploadToCloudinary(req.files.vehicleRegistrationCardFront[0])
-      : vehicle.vehicleRegistrationCard.front;
-    const vehicleRegistrationCardBack = req.files?.vehicleRegistrationCardBack
-      ? await uploadToCloudinary(req.files.vehicleRegistrationCardBack[0])
-      : vehicle.vehicleRegistrationCard.back;
-    const roadAuthorityCertificateUrl = req.files?.roadAuthorityCertificate
-      ? await uploadToCloudinary(req.files.roadAuthorityCertificate[0])
-      : vehicle.roadAuthorityCertificate;
-    const insuranceCertificateUrl = req.files?.insuranceCertificate
-      ? await uploadToCloudinary(req.files.insuranceCertificate[0])
-      : vehicle.insuranceCertificate;
-    const vehicleImagesUrls = req.files?.vehicleImages
-      ? await Promise.all(req.files.vehicleImages.map(uploadToCloudinary))
-      : vehicle.vehicleImages;
-
-    // Update vehicle fields, retaining existing values if not provided
-    vehicle.vehicleOwnerName = vehicleOwnerName || vehicle.vehicleOwnerName;
-    vehicle.companyName = companyName || vehicle.companyName;
-    vehicle.vehiclePlateNumber =
-      vehiclePlateNumber || vehicle.vehiclePlateNumber;
-    vehicle.vehicleMakeModel = vehicleMakeModel || vehicle.vehicleMakeModel;
-    vehicle.chassisNumber = chassisNumber || vehicle.chassisNumber;
-    vehicle.vehicleColor = vehicleColor || vehicle.vehicleColor;
-    vehicle.registrationExpiryDate = registrationExpiryDate
-      ? new Date(registrationExpiryDate)
-      : vehicle.registrationExpiryDate;
-    vehicle.vehicleType = vehicleType || vehicle.vehicleType;
-    vehicle.wheelchair =
-      wheelchair !== undefined ? wheelchair : vehicle.wheelchair;
-    vehicle.vehicleRegistrationCard.front = vehicleRegistrationCardFront;
-    vehicle.vehicleRegistrationCard.back = vehicleRegistrationCardBack;
-    vehicle.roadAuthorityCertificate = roadAuthorityCertificateUrl;
-    vehicle.insuranceCertificate = insuranceCertificateUrl;
-    vehicle.vehicleImages = vehicleImagesUrls || vehicle.vehicleImages;
-
-    // Save updated vehicle
     await vehicle.save();
+  } catch (error) {
+    throw toVehicleError(error);
+  }
+  let status = vehicle.status;
+  if (hasUploads) {
+    await queueVehicleDocumentUpload(vehicle, files);
+    retainUploads(req); // The upload job removes the temp files
+  } else if (datesChanged) {
+    status = (await resubmitVehicle(vehicle._id))?.status || status;
+  }
+
+  res.status(200).json({
+    message: "Vehicle updated successfully",
+    vehicleId: vehicle._id,
+    status,
+    uploadStatus: vehicle.uploadStatus,
+    jobId: vehicle.uploadJobId,
+  });
+});
+
+// Run an action on one of the user's vehicles; errors carry the status to answer with.
+// owned: false also allows fleet vehicles assigned to the user.
+const runOwnVehicleAction = async (req, action, { owned = true } = {}) => {
+  const vehicle = await Vehicle.findOne({
+    _id: req.params.id,
+    ...(owned ? { userId: req.user._id } : drivableBy(req.user._id)),
+  });
+  if (!vehicle) {
+    throw new NotFoundError(
+      owned
+        ? "Vehicle not found or you do not own it"
+        : "Vehicle not found or not yours to drive",
+      "VEHICLE_NOT_FOUND"
+    );
+  }
+  await action(vehicle);
+};
 
-    // Generate new token and respond
-    const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRY,
+// Send the user's draft or rejected vehicle for admin review
+const submitVehicleForReview = asyncHandler((req, res) =>
+  runOwnVehicleAction(req, async (vehicle) => {
+    const submitted = await submitVehicle(vehicle);
+    res.status(200).json({
+      message: "Vehicle submitted for review",
+      vehicleId: submitted._id,
+      status: submitted.status,
     });
-    res.cookie("token", token, { httpOnly: true, maxAge: 3600000 });
+  })
+);
+
+// List the vehicles the user drives (their own and fleet vehicles assigned to them), newest
+// first; ?includeArchived=true adds archived ones
+const listVehicles = asyncHandler(async (req, res) => {
+  const filter = drivableBy(req.user._id);
+  if (!req.query.includeArchived) filter.archived = false;
+  const vehicles = await Vehicle.find(filter)
+    .sort({ createdAt: -1 })
+    .select("-__v");
+  res.status(200).json({
+    activeVehicleId: req.user.activeVehicleId,
+    vehicles: vehicles.map((vehicle) => ({
+      ...withDocumentUrls(vehicle),
+      active: vehicle._id.equals(req.user.activeVehicleId),
+    })),
+  });
+});
+
+// Make one of the user's approved vehicles the one they go online with
+const setActiveVehicle = asyncHandler((req, res) =>
+  runOwnVehicleAction(
+    req,
+    async (vehicle) => {
+      await activateVehicle(req.user, vehicle);
+      res.status(200).json({
+        message: "Active vehicle updated",
+        activeVehicleId: vehicle._id,
+      });
+    },
+    { owned: false }
+  )
+);
+
+// Archive a vehicle the user no longer drives
+const archiveOwnVehicle = asyncHandler((req, res) =>
+  runOwnVehicleAction(req, async (vehicle) => {
+    const archived = await archiveVehicle(vehicle);
     res.status(200).json({
-      message: "Vehicle updated successfully",
-      vehicleId: vehicle._id,
-      token,
+      message: "Vehicle archived",
+      vehicleId: archived._id,
+      archivedAt: archived.archivedAt,
     });
-  } catch (error) {
-    res.status(500).json({ message: error.message, token: req.cookies.token });
-  }
-};
+  })
+);
+
+// List the driver's document expiry dates (vehicle documents and license), soonest first
+const getDocumentExpirations = asyncHandler(async (req, res) => {
+  const expirations = await getExpirations(req.user);
+  res.status(200).json({ expirations });
+});
 
 // Get user and vehicle information for authenticated user
-const getUserVehicleInfo = async (req, res) => {
+const getUserVehicleInfo = asyncHandler(async (req, res) => {
   // Use authenticated userId
   const userId = req.user._id;
 
-  try {
-    // Find user by ID, excluding password and version fields
-    const user = await User.findById(userId).select("-password -__v");
-    if (!user) {
-      return res
-        .status(404)
-        .json({ message: "User not found", token: req.cookies.token });
-    }
-
-    // Find associated vehicle
-    const vehicle = await Vehicle.findOne({ userId }).select("-__v");
-    const response = {
-      user: {
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        phoneNumber: user.phoneNumber,
-        role: user.role,
-        kycLevel: user.kycLevel,
-        licenseImage: user.licenseImage,
-        gender: user.gender,
-      },
-      vehicle: vehicle ? vehicle.toObject() : null,
-    };
-
-    // Generate new token and respond
-    const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRY,
-    });
-    res.cookie("token", token, { httpOnly: true, maxAge: 3600000 });
-    res.status(200).json({ ...response, token });
-  } catch (error) {
-    res.status(500).json({ message: error.message, token: req.cookies.token });
-  }
-};
+  // Find user by ID, excluding password and version fields
+  const user = await User.findById(userId).select("-password -__v");
+  if (!user) throw new NotFoundError("User not found", "USER_NOT_FOUND");
+
+  // Find the user's vehicles; the active one (else the newest) is also returned on its own
+  const vehicles = await Vehicle.find({
+    ...drivableBy(userId),
+    archived: false,
+  })
+    .sort({ createdAt: -1 })
+    .select("-__v");
+  const vehicle =
+    vehicles.find((candidate) => candidate._id.equals(user.activeVehicleId)) ||
+    vehicles[0];
+  const response = {
+    user: {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      role: user.role,
+      kycLevel: user.kycLevel,
+      licenseImage: fileUrl(user.licenseImage),
+      gender: user.gender,
+    },
+    vehicle: vehicle ? withDocumentUrls(vehicle) : null,
+    vehicles: vehicles.map(withDocumentUrls),
+  };
+
+  res.status(200).json(response);
+});
 
 // Get current authenticated user's details
-const getCurrentUser = async (req, res) => {
+const getCurrentUser = asyncHandler(async (req, res) => {
   // Use authenticated userId
   const userId = req.user._id;
 
-  try {
-    // Find user by ID, excluding password and version fields
-    const user = await User.findById(userId).select("-password -__v");
-    if (!user) {
-      return res
-        .status(404)
-        .json({ message: "User not found", token: req.cookies.token });
-    }
-
-    // Prepare response with user details
-    const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRY,
-    });
-    res.cookie("token", token, { httpOnly: true, maxAge: 3600000 });
-    res.status(200).json({
-      user: {
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        phoneNumber: user.phoneNumber,
-        role: user.role,
-        kycLevel: user.kycLevel,
-        licenseImage: user.licenseImage,
-        gender: user.gender,
-      },
-      token,
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message, token: req.cookies.token });
-  }
-};
+  // Find user by ID, excluding password and version fields
+  const user = await User.findById(userId).select("-password -__v");
+  if (!user) throw new NotFoundError("User not found", "USER_NOT_FOUND");
+
+  const activeVehicle = user.activeVehicleId
+    ? await Vehicle.findOne({
+        ...drivableBy(userId),
+        _id: user.activeVehicleId,
+        archived: false,
+      }).select(ACTIVE_VEHICLE_FIELDS)
+    : null;
+
+  // Prepare response with user details
+  res.status(200).json({
+    user: {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      role: user.role,
+      kycLevel: user.kycLevel,
+      licenseImage: fileUrl(user.licenseImage),
+      gender: user.gender,
+    },
+    activeVehicle, // Vehicle the driver goes online with, or null
+  });
+});
 
 // Export all controller functions
 export {
@@ -407,6 +425,11 @@ export {
   handleVehicleDecision,
   registerVehicle,
   updateVehicle,
+  submitVehicleForReview,
+  listVehicles,
+  setActiveVehicle,
+  archiveOwnVehicle,
+  getDocumentExpirations,
   getUserVehicleInfo,
   getCurrentUser,
 };
@@ -0,0 +1,75 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import Tariff from "../models/tariffModel.js";
+import { toPoint } from "../utils/geo.js";
+import { createQuote, resolveTariffs } from "../services/fareService.js";
+import { DEFAULT_COUNTRY } from "../config/tariffs.js";
+import { NotFoundError } from "../utils/errors.js";
+
+// Function to quote fares for every vehicle type between pickup and dropoff
+const estimateFare = asyncHandler(async (req, res) => {
+  const { pickup, dropoff } = req.body;
+  const quote = await createQuote(req.user, toPoint(pickup), toPoint(dropoff));
+  res.status(201).json({
+    quoteId: quote._id,
+    distanceKm: quote.distanceKm,
+    durationMinutes: quote.durationMinutes,
+    fares: quote.fares,
+    expiresAt: quote.expiresAt,
+  });
+});
+
+// Function to list tariffs for a country as they would be applied, including fallbacks
+const listTariffs = asyncHandler(async (req, res) => {
+  const { country } = req.query;
+  if (country) {
+    const resolved = await resolveTariffs(country);
+    return res.status(200).json(resolved);
+  }
+  const tariffs = await Tariff.find()
+    .sort({ country: 1, vehicleType: 1 })
+    .populate("updatedBy", "firstName lastName email");
+  res.status(200).json({ tariffs });
+});
+
+// Function to create or replace the tariff for a country and vehicle type
+const upsertTariff = asyncHandler(async (req, res) => {
+  const { country, vehicleType } = req.params;
+  const { currency, baseFare, perKm, perMinute, minimumFare } = req.body;
+
+  const tariff = await Tariff.findOneAndUpdate(
+    { country: country.trim().toLowerCase(), vehicleType },
+    {
+      currency,
+      baseFare,
+      perKm,
+      perMinute,
+      minimumFare,
+      updatedBy: req.user._id,
+      updatedAt: new Date(),
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+  res.status(200).json({ message: "Tariff saved", tariff });
+});
+
+// Function to remove a country tariff so the default applies again
+const deleteTariff = asyncHandler(async (req, res) => {
+  const { country, vehicleType } = req.params;
+  const tariff = await Tariff.findOneAndDelete({
+    country: country.trim().toLowerCase(),
+    vehicleType,
+  });
+  if (!tariff) {
+    throw new NotFoundError("Tariff not found", "TARIFF_NOT_FOUND");
+  }
+  res.status(200).json({
+    message:
+      tariff.country === DEFAULT_COUNTRY
+        ? "Default tariff removed; built-in pricing applies"
+        : `Tariff removed; ${DEFAULT_COUNTRY} pricing applies`,
+  });
+});
+
+// Export all controller functions
+export { estimateFare, listTariffs, upsertTariff, deleteTariff };
@@ -0,0 +1,18 @@
+// Importing required modules and services
+import asyncHandler from "express-async-handler";
+import { resolveLocalFile } from "../services/storage/localStorage.js";
+
+// Function to serve a file kept by the local storage backend; private files need a signed link
+const serveFile = asyncHandler(async (req, res) => {
+  const key = [].concat(req.params.key).join("/");
+  const filePath = resolveLocalFile(key, req.query);
+  // Signed links are short-lived, so shared caches must not keep private files
+  res.set(
+    "Cache-Control",
+    key.startsWith("public/") ? "public, max-age=86400" : "private, no-store"
+  );
+  res.sendFile(filePath);
+});
+
+// Export all controller functions
+export { serveFile };
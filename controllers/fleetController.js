@@ -0,0 +1,429 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Fleet from "../models/fleetModel.js";
+import FleetMembership from "../models/fleetMembershipModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import Shift from "../models/shiftModel.js";
+import Ride from "../models/rideModel.js";
+import {
+  getOwnFleet,
+  openInvitesFor,
+  inviteDriver,
+  acceptInvite,
+  declineInvite,
+  assignVehicle,
+  unassignVehicle,
+  removeMember,
+} from "../services/fleetService.js";
+import {
+  expiryDatesIn,
+  submitVehicle,
+  archiveVehicle,
+  toVehicleError,
+  withDocumentUrls,
+} from "../services/vehicleService.js";
+import { queueVehicleDocumentUpload } from "../services/jobs/uploadJobs.js";
+import {
+  retainUploads,
+  uploadedFiles,
+} from "../middlewares/uploadMiddleware.js";
+import { NotFoundError, ConflictError } from "../utils/errors.js";
+
+const DRIVER_FIELDS = "firstName lastName email phoneNumber kycLevel";
+
+// Run a fleet operation, turning duplicate vehicle registrations into conflicts
+const runFleetOperation = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    throw toVehicleError(error);
+  }
+};
+
+// Page and optional from/to range on a date field, from the validated query string
+const listOptions = ({ page, limit, from, to }, dateField) => {
+  const range = {};
+  if (from || to) {
+    range[dateField] = {};
+    if (from) range[dateField].$gte = from;
+    if (to) range[dateField].$lte = to;
+  }
+  return { page, limit, range };
+};
+
+// The fleet member named by the route parameter; invitations nobody accepted have no driver
+const findMember = async (req, fleet) => {
+  const membership = await FleetMembership.findOne({
+    _id: req.params.id,
+    fleetId: fleet._id,
+    driverId: { $ne: null },
+    status: { $in: ["active", "removed"] },
+  });
+  if (!membership) {
+    throw new NotFoundError("Fleet member not found", "FLEET_MEMBER_NOT_FOUND");
+  }
+  return membership;
+};
+
+// Function to set up the fleet owner's company
+const createFleet = asyncHandler(async (req, res) => {
+  const { name, companySharePercent } = req.body;
+  try {
+    const fleet = await Fleet.create({
+      ownerId: req.user._id,
+      name,
+      ...(companySharePercent !== undefined && { companySharePercent }),
+    });
+    res.status(201).json({ message: "Fleet created", fleet });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError("You already have a fleet", "FLEET_EXISTS");
+    }
+    throw error;
+  }
+});
+
+// Function to fetch the fleet with its driver and vehicle counts
+const getFleet = asyncHandler(async (req, res) => {
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+  const [drivers, invited, vehicles] = await Promise.all([
+    FleetMembership.countDocuments({ fleetId: fleet._id, status: "active" }),
+    FleetMembership.countDocuments({ fleetId: fleet._id, status: "invited" }),
+    Vehicle.countDocuments({ fleetId: fleet._id, archived: false }),
+  ]);
+  res.status(200).json({ fleet, drivers, invited, vehicles });
+});
+
+// Function to rename the fleet or change the company's share of driver earnings. Rides
+// already accepted keep the share in force when they were accepted.
+const updateFleet = asyncHandler(async (req, res) => {
+  const { name, companySharePercent } = req.body;
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+  if (name !== undefined) fleet.name = name;
+  if (companySharePercent !== undefined) {
+    fleet.companySharePercent = companySharePercent;
+  }
+  await fleet.save();
+  res.status(200).json({ message: "Fleet updated", fleet });
+});
+
+// Function to list the fleet's drivers (status=active, the default) or its invitations and
+// former members, with the vehicles each driver holds
+const listMembers = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+  const { page, limit } = listOptions(req.query);
+  const filter = { fleetId: fleet._id, status };
+
+  const [members, total] = await Promise.all([
+    FleetMembership.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("driverId", DRIVER_FIELDS),
+    FleetMembership.countDocuments(filter),
+  ]);
+  const driverIds = members.map((member) => member.driverId?._id);
+  const vehicles = await Vehicle.find({
+    fleetId: fleet._id,
+    assignedDriverId: { $in: driverIds.filter(Boolean) },
+  }).select("assignedDriverId vehiclePlateNumber vehicleMakeModel status");
+
+  res.status(200).json({
+    members: members.map((member) => ({
+      ...member.toObject(),
+      vehicles: vehicles.filter((vehicle) =>
+        vehicle.assignedDriverId.equals(member.driverId?._id)
+      ),
+    })),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// Function to invite a driver to the fleet by email or phone number
+const inviteMember = asyncHandler(async (req, res) => {
+  const { email, phoneNumber } = req.body;
+  const membership = await runFleetOperation(async () =>
+    inviteDriver(await getOwnFleet(req.user), req.user, { email, phoneNumber })
+  );
+  res.status(201).json({ message: "Invitation sent", membership });
+});
+
+// Function to withdraw an invitation or remove a driver, taking back their vehicles
+const removeFleetMember = asyncHandler(async (req, res) => {
+  const membership = await runFleetOperation(async () =>
+    removeMember(await getOwnFleet(req.user), req.params.id)
+  );
+  res.status(200).json({ message: "Removed from fleet", membership });
+});
+
+// Function to list a member's shifts on fleet vehicles with their total time online
+const getMemberShifts = asyncHandler(async (req, res) => {
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+  const membership = await findMember(req, fleet);
+  const { page, limit, range } = listOptions(req.query, "startedAt");
+  const filter = {
+    fleetId: fleet._id,
+    driverId: membership.driverId,
+    ...range,
+  };
+
+  const [shifts, total, totals] = await Promise.all([
+    Shift.find(filter)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("vehicleId", "vehiclePlateNumber vehicleMakeModel"),
+    Shift.countDocuments(filter),
+    Shift.aggregate([
+      { $match: { ...filter, status: "ended" } },
+      { $group: { _id: null, onlineDuration: { $sum: "$onlineDuration" } } },
+    ]),
+  ]);
+  res.status(200).json({
+    shifts,
+    page,
+    limit,
+    total,
+    totalOnlineDuration: totals[0]?.onlineDuration || 0, // Seconds, ended shifts only
+  });
+});
+
+// Function to list a member's completed fleet rides with how each fare was split, and the
+// totals over the requested period
+const getMemberEarnings = asyncHandler(async (req, res) => {
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+  const membership = await findMember(req, fleet);
+  const { page, limit, range } = listOptions(req.query, "completedAt");
+  const filter = {
+    "fleet.fleetId": fleet._id,
+    driverId: membership.driverId,
+    status: "completed",
+    ...range,
+  };
+
+  const [rides, total, totals] = await Promise.all([
+    Ride.find(filter)
+      .sort({ completedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("vehicleId fare earnings payment.status completedAt")
+      .populate("vehicleId", "vehiclePlateNumber"),
+    Ride.countDocuments(filter),
+    Ride.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          fares: { $sum: "$fare.amount" },
+          driver: { $sum: "$earnings.driver" },
+          company: { $sum: "$earnings.company" },
+          platform: { $sum: "$earnings.platform" },
+          unsettled: {
+            $sum: { $cond: [{ $eq: ["$payment.status", "pending"] }, 1, 0] },
+          },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]),
+  ]);
+  res.status(200).json({
+    rides,
+    page,
+    limit,
+    total,
+    // Same unit as fare.amount; unsettled rides are counted but not yet split
+    totals: {
+      rides: total,
+      fares: 0,
+      driver: 0,
+      company: 0,
+      platform: 0,
+      unsettled: 0,
+      ...totals[0],
+    },
+  });
+});
+
+// Function to list the fleet's vehicles; archived ones are left out unless archived=true
+const listFleetVehicles = asyncHandler(async (req, res) => {
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+  const vehicles = await Vehicle.find({
+    fleetId: fleet._id,
+    archived: req.query.archived,
+  })
+    .sort({ createdAt: -1 })
+    .select("-__v")
+    .populate("assignedDriverId", "firstName lastName phoneNumber");
+  res.status(200).json({ vehicles: vehicles.map(withDocumentUrls) });
+});
+
+// Function to register a vehicle under the company; its documents upload in the background
+// and it is submitted for review like a driver's own vehicle
+const registerFleetVehicle = asyncHandler(async (req, res) => {
+  const {
+    vehicleOwnerName,
+    vehiclePlateNumber,
+    vehicleMakeModel,
+    chassisNumber,
+    vehicleColor,
+    vehicleType,
+    wheelchair,
+  } = req.body;
+  const dates = expiryDatesIn(req.body);
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+
+  const files = uploadedFiles(req);
+  const hasUploads = Object.keys(files).length > 0;
+  const vehicle = await runFleetOperation(() =>
+    Vehicle.create({
+      userId: req.user._id,
+      fleetId: fleet._id,
+      vehicleOwnerName: vehicleOwnerName || fleet.name,
+      companyName: fleet.name,
+      vehiclePlateNumber: vehiclePlateNumber || undefined,
+      vehicleMakeModel,
+      chassisNumber: chassisNumber || undefined,
+      vehicleColor,
+      vehicleType,
+      wheelchair,
+      ...dates,
+      uploadStatus: hasUploads ? "uploading" : "ready",
+      uploadJobId: hasUploads ? new mongoose.Types.ObjectId() : null,
+    })
+  );
+  if (hasUploads) {
+    await queueVehicleDocumentUpload(vehicle, files);
+    retainUploads(req); // The upload job removes the temp files
+  }
+
+  res.status(201).json({
+    message:
+      "Vehicle registered. Submit it for review once all documents are uploaded.",
+    vehicleId: vehicle._id,
+    status: vehicle.status,
+    uploadStatus: vehicle.uploadStatus,
+    jobId: vehicle.uploadJobId,
+  });
+});
+
+// Load one of the fleet's vehicles named by the route parameter
+const findFleetVehicle = async (req, fleet) => {
+  const vehicle = await Vehicle.findOne({
+    _id: req.params.id,
+    fleetId: fleet._id,
+  });
+  if (!vehicle) {
+    throw new NotFoundError(
+      "Vehicle not found in your fleet",
+      "VEHICLE_NOT_FOUND"
+    );
+  }
+  return vehicle;
+};
+
+// Function to send a fleet vehicle for admin review
+const submitFleetVehicle = asyncHandler(async (req, res) => {
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+  const vehicle = await findFleetVehicle(req, fleet);
+  const submitted = await runFleetOperation(() => submitVehicle(vehicle));
+  res.status(200).json({
+    message: "Vehicle submitted for review",
+    vehicleId: submitted._id,
+    status: submitted.status,
+  });
+});
+
+// Function to let one of the fleet's drivers drive a fleet vehicle
+const assignFleetVehicle = asyncHandler(async (req, res) => {
+  const { driverId } = req.body;
+  const vehicle = await runFleetOperation(async () =>
+    assignVehicle(await getOwnFleet(req.user), req.params.id, driverId)
+  );
+  res.status(200).json({
+    message: "Vehicle assigned",
+    vehicleId: vehicle._id,
+    assignedDriverId: vehicle.assignedDriverId,
+  });
+});
+
+// Function to take a fleet vehicle back from its driver
+const unassignFleetVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await runFleetOperation(async () =>
+    unassignVehicle(await getOwnFleet(req.user), req.params.id)
+  );
+  res
+    .status(200)
+    .json({ message: "Vehicle unassigned", vehicleId: vehicle._id });
+});
+
+// Function to retire a fleet vehicle
+const archiveFleetVehicle = asyncHandler(async (req, res) => {
+  const fleet = await runFleetOperation(() => getOwnFleet(req.user));
+  const vehicle = await findFleetVehicle(req, fleet);
+  const archived = await runFleetOperation(() => archiveVehicle(vehicle));
+  res.status(200).json({
+    message: "Vehicle archived",
+    vehicleId: archived._id,
+    archivedAt: archived.archivedAt,
+  });
+});
+
+// Function to list the fleets inviting the user to drive for them
+const listFleetInvites = asyncHandler(async (req, res) => {
+  const open = openInvitesFor(req.user);
+  const invites = open
+    ? await FleetMembership.find(open)
+        .sort({ createdAt: -1 })
+        .populate("fleetId", "name companySharePercent")
+    : [];
+  res.status(200).json({
+    invites: invites.map((invite) => ({
+      id: invite._id,
+      fleet: invite.fleetId,
+      invitedAt: invite.createdAt,
+    })),
+  });
+});
+
+// Function to join the fleet behind an invitation
+const acceptFleetInvite = asyncHandler(async (req, res) => {
+  const membership = await runFleetOperation(() =>
+    acceptInvite(req.user, req.params.id)
+  );
+  res.status(200).json({
+    message: "You joined the fleet",
+    fleetId: membership.fleetId,
+  });
+});
+
+// Function to decline a fleet invitation
+const declineFleetInvite = asyncHandler(async (req, res) => {
+  await runFleetOperation(() => declineInvite(req.user, req.params.id));
+  res.status(200).json({ message: "Invitation declined" });
+});
+
+// Export all controller functions
+export {
+  createFleet,
+  getFleet,
+  updateFleet,
+  listMembers,
+  inviteMember,
+  removeFleetMember,
+  getMemberShifts,
+  getMemberEarnings,
+  listFleetVehicles,
+  registerFleetVehicle,
+  submitFleetVehicle,
+  assignFleetVehicle,
+  unassignFleetVehicle,
+  archiveFleetVehicle,
+  listFleetInvites,
+  acceptFleetInvite,
+  declineFleetInvite,
+};
@@ -0,0 +1,93 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import Job from "../models/jobModel.js";
+import { isRetryable, retryJob } from "../services/jobQueue.js";
+import { NotFoundError, ConflictError } from "../utils/errors.js";
+
+// What a user sees of their own job; errors and payloads stay internal
+const toJobStatus = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  attempts: job.attempts,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  failedAt: job.failedAt,
+});
+
+// Load the job named by the route parameter
+const findJob = async (req, filter = {}) => {
+  const job = await Job.findOne({ _id: req.params.id, ...filter });
+  if (!job) {
+    throw new NotFoundError("Job not found", "JOB_NOT_FOUND");
+  }
+  return job;
+};
+
+// Function to check the status of a job queued for the authenticated user
+const getMyJob = asyncHandler(async (req, res) => {
+  const job = await findJob(req, { userId: req.user._id });
+  res.status(200).json({ job: toJobStatus(job) });
+});
+
+// Function to list jobs with filters (status, type) and pagination, newest first
+const listJobs = asyncHandler(async (req, res) => {
+  const { status, type, page, limit } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("-payload -result"),
+    Job.countDocuments(filter),
+  ]);
+  res.status(200).json({
+    jobs,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// Function to fetch one job with its payload, result and last error
+const getJob = asyncHandler(async (req, res) => {
+  const job = await findJob(req);
+  res.status(200).json({ job });
+});
+
+// Function to re-queue a dead-lettered job with a fresh set of attempts
+const retryDeadJob = asyncHandler(async (req, res) => {
+  const job = await findJob(req);
+  if (job.status !== "dead") {
+    throw new ConflictError("Only dead jobs can be retried", "JOB_NOT_DEAD");
+  }
+  if (!isRetryable(job.type)) {
+    throw new ConflictError(
+      "This job's input files were removed when it failed; the user must upload them again",
+      "JOB_INPUT_REMOVED"
+    );
+  }
+  if (job.payload === null) {
+    throw new ConflictError(
+      "This job's payload was erased and it cannot be retried",
+      "JOB_PAYLOAD_ERASED"
+    );
+  }
+  const retried = await retryJob(job._id);
+  if (!retried) {
+    throw new ConflictError(
+      "Job has already been retried",
+      "JOB_ALREADY_RETRIED"
+    );
+  }
+  res.status(200).json({ message: "Job queued for retry", job: retried });
+});
+
+// Export all controller functions
+export { getMyJob, listJobs, getJob, retryDeadJob };
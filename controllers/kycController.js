@@ -0,0 +1,264 @@
+// Importing required modules and models
+import asyncHandler from "express-async-handler";
+import KycSubmission from "../models/kycSubmissionModel.js";
+import User from "../models/userModel.js";
+import { fileUrl } from "../services/storage/index.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+
+// Documents that make up each KYC level, in the order they are shown to reviewers
+const KYC_DOCUMENTS = {
+  1: ["cnicFront", "cnicBack", "selfie"],
+  2: ["license"],
+};
+
+// Shape a submission for the owner, exposing per-document rejection reasons
+const toSubmissionStatus = (submission) => ({
+  id: submission._id,
+  level: submission.level,
+  status: submission.status,
+  uploadStatus: submission.uploadStatus,
+  submittedAt: submission.createdAt,
+  reviewedAt: submission.reviewedAt || null,
+  reviewNote: submission.reviewNote || null,
+  ...(submission.level === 2 && {
+    licenseExpiryDate: submission.licenseExpiryDate || null,
+  }),
+  documents: KYC_DOCUMENTS[submission.level].reduce((docs, name) => {
+    if (submission.documents?.[name]) {
+      docs[name] = {
+        url: fileUrl(submission.documents[name].url),
+        thumbnailUrl: fileUrl(submission.documents[name].thumbnailUrl),
+        rejectionReason: submission.documents[name].rejectionReason,
+      };
+    }
+    return docs;
+  }, {}),
+});
+
+// Submission for a reviewer, with document links signed for short-lived access
+const withDocumentUrls = (submission) => {
+  const shaped = submission.toObject();
+  for (const document of Object.values(shaped.documents || {})) {
+    if (!document) continue;
+    document.url = fileUrl(document.url);
+    document.thumbnailUrl = fileUrl(document.thumbnailUrl);
+  }
+  return shaped;
+};
+
+// Function to return the authenticated user's latest KYC submission per level
+const getKycStatus = asyncHandler(async (req, res) => {
+  const submissions = await KycSubmission.find({ userId: req.user._id }).sort({
+    createdAt: -1,
+  });
+  const latest = {};
+  for (const submission of submissions) {
+    if (!latest[submission.level]) latest[submission.level] = submission;
+  }
+
+  // A level can be (re-)submitted when nothing is under review and it isn't approved yet
+  const canSubmit = (level) =>
+    req.user.kycLevel < level && latest[level]?.status !== "pending";
+
+  res.status(200).json({
+    kycLevel: req.user.kycLevel,
+    level1: latest[1] ? toSubmissionStatus(latest[1]) : null,
+    level2: latest[2] ? toSubmissionStatus(latest[2]) : null,
+    canSubmitLevel1: canSubmit(1),
+    canSubmitLevel2: req.user.kycLevel >= 1 && canSubmit(2),
+  });
+});
+
+// Function to list KYC submissions for admin review with filters and pagination
+const listKycSubmissions = asyncHandler(async (req, res) => {
+  const { status, level, userId, search, from, to, page, limit } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (level) filter.level = level;
+  if (userId) filter.userId = userId;
+  if (search) {
+    // Match users by name, email or phone number, then restrict submissions to them
+    const pattern = new RegExp(
+      search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      "i"
+    );
+    const users = await User.find({
+      $or: [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { phoneNumber: pattern },
+      ],
+    }).select("_id");
+    filter.userId = filter.userId
+      ? users.some((u) => u._id.equals(filter.userId))
+        ? filter.userId
+        : { $in: [] }
+      : { $in: users.map((u) => u._id) };
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const [submissions, total] = await Promise.all([
+    KycSubmission.find(filter)
+      .sort({ createdAt: status === "pending" ? 1 : -1 }) // Oldest pending first so the queue is worked in order
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "firstName lastName email phoneNumber kycLevel")
+      .populate("reviewedBy", "firstName lastName email"),
+    KycSubmission.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    submissions: submissions.map(withDocumentUrls),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// Function to fetch a single KYC submission for review
+const getKycSubmission = asyncHandler(async (req, res) => {
+  const submission = await KycSubmission.findById(req.params.id)
+    .populate("userId", "firstName lastName email phoneNumber kycLevel country")
+    .populate("reviewedBy", "firstName lastName email");
+  if (!submission) {
+    throw new NotFoundError(
+      "KYC submission not found",
+      "KYC_SUBMISSION_NOT_FOUND"
+    );
+  }
+  res.status(200).json({ submission: withDocumentUrls(submission) });
+});
+
+// Atomically move a pending submission to its final status so two reviewers can't both decide it
+const claimPendingSubmission = async (req, update) => {
+  const submission = await KycSubmission.findOneAndUpdate(
+    { _id: req.params.id, status: "pending", uploadStatus: "ready" },
+    {
+      ...update,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNote: req.body?.note || undefined,
+    },
+    { new: true }
+  );
+  if (!submission) {
+    const existing = await KycSubmission.findById(req.params.id).select(
+      "status uploadStatus"
+    );
+    if (!existing) {
+      throw new NotFoundError(
+        "KYC submission not found",
+        "KYC_SUBMISSION_NOT_FOUND"
+      );
+    }
+    throw existing.status === "pending"
+      ? new ConflictError(
+          "KYC submission documents are still uploading",
+          "KYC_UPLOAD_PENDING"
+        )
+      : new ConflictError(
+          "KYC submission has already been reviewed",
+          "KYC_ALREADY_REVIEWED"
+        );
+  }
+  return submission;
+};
+
+// Function to approve a KYC submission and raise the user's KYC level
+const approveKycSubmission = asyncHandler(async (req, res) => {
+  const submission = await claimPendingSubmission(req, {
+    status: "approved",
+  });
+
+  const user = await User.findById(submission.userId);
+  if (!user) {
+    throw new NotFoundError(
+      "User for this submission no longer exists",
+      "USER_NOT_FOUND"
+    );
+  }
+
+  if (submission.level === 1) {
+    const [firstName, ...rest] = submission.fullName.split(" ").filter(Boolean);
+    user.firstName = firstName;
+    user.lastName = rest.join(" ");
+    user.country = submission.country;
+    if (submission.gender) user.gender = submission.gender;
+    user.cnicImages = {
+      front: submission.documents.cnicFront.url,
+      back: submission.documents.cnicBack.url,
+    };
+    user.selfieImage = submission.documents.selfie.url;
+  } else {
+    user.licenseImage = submission.documents.license.url;
+    user.licenseExpiryDate = submission.licenseExpiryDate;
+    // A renewed license lifts a suspension caused by the old one lapsing
+    if (user.licenseExpiryDate > new Date()) {
+      user.drivingSuspendedAt = null;
+      user.drivingSuspensionReason = undefined;
+    }
+  }
+  user.kycLevel = Math.max(user.kycLevel, submission.level); // Never lower a level that was already granted
+  await user.save();
+
+  res.status(200).json({
+    message: `KYC Level ${submission.level} approved`,
+    submission: withDocumentUrls(submission),
+    kycLevel: user.kycLevel,
+  });
+});
+
+// Function to reject a KYC submission with a reason per offending document
+const rejectKycSubmission = asyncHandler(async (req, res) => {
+  const { reasons } = req.body;
+  const submission = await KycSubmission.findById(req.params.id).select(
+    "level"
+  );
+  if (!submission) {
+    throw new NotFoundError(
+      "KYC submission not found",
+      "KYC_SUBMISSION_NOT_FOUND"
+    );
+  }
+  const allowed = KYC_DOCUMENTS[submission.level];
+  const unknown = Object.keys(reasons).filter((d) => !allowed.includes(d));
+  if (unknown.length) {
+    throw new BadRequestError(
+      `Unknown document(s) for KYC Level ${submission.level}: ${unknown.join(
+        ", "
+      )}. Expected one of: ${allowed.join(", ")}`,
+      "UNKNOWN_DOCUMENT"
+    );
+  }
+
+  const update = { status: "rejected" };
+  for (const [name, reason] of Object.entries(reasons)) {
+    update[`documents.${name}.rejectionReason`] = reason;
+  }
+  const rejected = await claimPendingSubmission(req, update);
+
+  res.status(200).json({
+    message: `KYC Level ${rejected.level} rejected`,
+    submission: withDocumentUrls(rejected),
+  });
+});
+
+// Export all controller functions
+export {
+  getKycStatus,
+  listKycSubmissions,
+  getKycSubmission,
+  approveKycSubmission,
+  rejectKycSubmission,
+};
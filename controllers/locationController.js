@@ -0,0 +1,77 @@
+// Importing required models and helpers for driver location streaming
+import DriverLocation from "../models/driverLocationModel.js";
+import Shift from "../models/shiftModel.js";
+import Ride from "../models/rideModel.js";
+import { toPoint } from "../utils/geo.js";
+import { BadRequestError, ForbiddenError } from "../utils/errors.js";
+
+// Save a driver's GPS heartbeat and relay it to the rider of their current ride
+const handleLocationUpdate = async (io, socket, payload) => {
+  const driver = socket.user;
+  if (driver.role !== "driver") {
+    throw new ForbiddenError(
+      "Only drivers can share their location",
+      "DRIVER_ROLE_REQUIRED"
+    );
+  }
+  const point = toPoint(payload);
+  if (!point) {
+    throw new BadRequestError(
+      "Location must include a valid lat and lng",
+      "INVALID_LOCATION"
+    );
+  }
+
+  // Positions are only accepted during a shift, for the vehicle the driver went online with
+  const shift = await Shift.findOne({ driverId: driver._id, status: "active" });
+  if (!shift) {
+    throw new ForbiddenError(
+      "Go online before sharing your location",
+      "NOT_ONLINE"
+    );
+  }
+
+  const heading = Number(payload.heading);
+  const speed = Number(payload.speed);
+  const location = await DriverLocation.findOneAndUpdate(
+    { driverId: driver._id },
+    {
+      vehicleId: shift.vehicleId,
+      location: point,
+      heading: Number.isFinite(heading) ? heading : undefined,
+      speed: Number.isFinite(speed) ? speed : undefined,
+      updatedAt: new Date(),
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  const ride = await Ride.findOne({
+    driverId: driver._id,
+    status: { $in: ["accepted", "arrived", "in_progress"] },
+  }).select("customerId");
+  if (ride) {
+    io.to(`user:${ride.customerId}`).emit("ride:driver-location", {
+      rideId: ride._id,
+      location: location.location,
+      heading: location.heading,
+      updatedAt: location.updatedAt,
+    });
+  }
+  return location;
+};
+
+// Register location events for a connected, authenticated socket
+const registerLocationHandlers = (io, socket) => {
+  // Driver pushes { lat, lng, heading?, speed? }; the optional ack receives { ok } or { ok, message, code }
+  socket.on("location:update", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      const location = await handleLocationUpdate(io, socket, payload || {});
+      reply({ ok: true, updatedAt: location.updatedAt });
+    } catch (error) {
+      reply({ ok: false, message: error.message, code: error.code });
+    }
+  });
+};
+
+export { registerLocationHandlers };
@@ -0,0 +1,251 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import User from "../models/userModel.js";
+import { rebuildAllLevels } from "../services/sponsorLevelService.js";
+import { MAX_SEARCH_DEPTH } from "../config/network.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+// Fields exposed for every member of a downline
+const NODE_PROJECTION = {
+  firstName: 1,
+  lastName: 1,
+  sponsorId: 1,
+  sponsorBy: 1,
+  level: 1,
+  kycLevel: 1,
+  createdAt: 1,
+  referralCounts: 1,
+  generation: 1,
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Verified direct referrals, from the counters maintained by sponsorLevelService
+const directReferrals = (user) =>
+  Object.values(user.referralCounts || {}).reduce((total, n) => total + n, 0);
+
+const toNode = (user) => ({
+  id: user._id,
+  name: `${user.firstName} ${user.lastName}`,
+  sponsorId: user.sponsorId,
+  level: user.level,
+  kycLevel: user.kycLevel,
+  joinedAt: user.createdAt,
+  generation: user.generation,
+  directReferrals: directReferrals(user),
+});
+
+// Pipeline stages expanding a user into their verified downline, one document per member;
+// generation 1 = direct referrals
+const downlineStages = (rootId, maxGenerations) => [
+  { $match: { _id: rootId } },
+  {
+    $graphLookup: {
+      from: "users",
+      startWith: "$sponsorId",
+      connectFromField: "sponsorId",
+      connectToField: "sponsorBy",
+      as: "downline",
+      maxDepth: maxGenerations - 1,
+      depthField: "depth",
+      restrictSearchWithMatch: { isVerified: true },
+    },
+  },
+  { $unwind: "$downline" },
+  { $replaceRoot: { newRoot: "$downline" } },
+  { $addFields: { generation: { $add: ["$depth", 1] } } },
+];
+
+// Resolve the subtree root: the user themselves, or ?root=<sponsorId> if it sits in their downline
+const resolveRoot = async (req) => {
+  const { root } = req.query;
+  if (!root || root === req.user.sponsorId) return req.user.toObject();
+
+  const [candidate] = await User.aggregate([
+    { $match: { sponsorId: root } },
+    {
+      $graphLookup: {
+        from: "users",
+        startWith: "$sponsorBy",
+        connectFromField: "sponsorBy",
+        connectToField: "sponsorId",
+        as: "uplines",
+        maxDepth: MAX_SEARCH_DEPTH,
+      },
+    },
+    { $project: { ...NODE_PROJECTION, uplineIds: "$uplines._id" } },
+  ]);
+  // Same response whether the root doesn't exist or belongs to someone else's network
+  if (
+    !candidate ||
+    !candidate.uplineIds.some((id) => id.equals(req.user._id))
+  ) {
+    throw new ForbiddenError(
+      "You can only view members of your own downline",
+      "NOT_IN_DOWNLINE"
+    );
+  }
+  return candidate;
+};
+
+// Function to return the downline as a nested tree up to the requested depth
+const getDownlineTree = asyncHandler(async (req, res) => {
+  const { depth, childLimit } = req.query;
+  const root = await resolveRoot(req);
+
+  const members = await User.aggregate([
+    ...downlineStages(root._id, depth),
+    { $project: NODE_PROJECTION },
+    { $sort: { createdAt: 1 } },
+  ]);
+  const bySponsor = new Map();
+  for (const member of members) {
+    if (!bySponsor.has(member.sponsorBy)) bySponsor.set(member.sponsorBy, []);
+    bySponsor.get(member.sponsorBy).push(member);
+  }
+
+  // Wide levels are truncated to childLimit; use the generation endpoint to page through them
+  const build = (user, generation) => {
+    const children = bySponsor.get(user.sponsorId) || [];
+    return {
+      ...toNode({ ...user, generation }),
+      children:
+        generation < depth
+          ? children
+              .slice(0, childLimit)
+              .map((child) => build(child, generation + 1))
+          : [],
+      hasMoreChildren:
+        generation < depth
+          ? children.length > childLimit
+          : directReferrals(user) > 0,
+    };
+  };
+
+  res.status(200).json({ depth, childLimit, tree: build(root, 0) });
+});
+
+// Function to count downline members per generation
+const getDownlineStats = asyncHandler(async (req, res) => {
+  const { depth } = req.query;
+  const root = await resolveRoot(req);
+
+  const generations = await User.aggregate([
+    ...downlineStages(root._id, depth),
+    {
+      $group: {
+        _id: "$generation",
+        members: { $sum: 1 },
+        kycLevel1: { $sum: { $cond: [{ $gte: ["$kycLevel", 1] }, 1, 0] } },
+        kycLevel2: { $sum: { $cond: [{ $gte: ["$kycLevel", 2] }, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        generation: "$_id",
+        members: 1,
+        kycLevel1: 1,
+        kycLevel2: 1,
+      },
+    },
+  ]);
+  res.status(200).json({
+    depth,
+    totalMembers: generations.reduce((total, g) => total + g.members, 0),
+    generations,
+  });
+});
+
+// Function to page through every member of one generation
+const getDownlineGeneration = asyncHandler(async (req, res) => {
+  const { generation } = req.params;
+  const { page, limit } = req.query;
+  const root = await resolveRoot(req);
+
+  const [result] = await User.aggregate([
+    ...downlineStages(root._id, generation),
+    { $match: { generation } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $facet: {
+        members: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: NODE_PROJECTION },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+  const total = result?.total[0]?.count || 0;
+  res.status(200).json({
+    generation,
+    members: (result?.members || []).map(toNode),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// Function to search the downline by name or sponsor ID
+const searchDownline = asyncHandler(async (req, res) => {
+  const { q, page, limit } = req.query;
+  const root = await resolveRoot(req);
+
+  const pattern = new RegExp(escapeRegex(q), "i");
+  const [result] = await User.aggregate([
+    ...downlineStages(root._id, MAX_SEARCH_DEPTH),
+    {
+      $match: {
+        $or: [
+          { firstName: pattern },
+          { lastName: pattern },
+          { sponsorId: pattern },
+        ],
+      },
+    },
+    { $sort: { generation: 1, createdAt: 1 } },
+    {
+      $facet: {
+        members: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: NODE_PROJECTION },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+  const total = result?.total[0]?.count || 0;
+  res.status(200).json({
+    q,
+    members: (result?.members || []).map(toNode),
+    page,
+    limit,
+    total,
+  });
+});
+
+// Function to rebuild all sponsor levels from scratch and report what changed
+const rebuildSponsorLevels = asyncHandler(async (req, res) => {
+  const { dryRun } = req.body;
+  const report = await rebuildAllLevels({ dryRun });
+  res.status(200).json({
+    message: dryRun
+      ? "Dry run complete; no changes were saved"
+      : "Sponsor levels rebuilt",
+    ...report,
+  });
+});
+
+// Export all controller functions
+export {
+  getDownlineTree,
+  getDownlineStats,
+  getDownlineGeneration,
+  searchDownline,
+  rebuildSponsorLevels,
+};
@@ -0,0 +1,435 @@
+// Importing required modules and models
+import asyncHandler from "express-async-handler";
+import Ride from "../models/rideModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import Shift from "../models/shiftModel.js";
+import Fleet from "../models/fleetModel.js";
+import { emitToUser } from "../config/socket.js";
+import { findNearbyDrivers } from "../services/matchingService.js";
+import {
+  redeemQuote,
+  releaseQuote,
+  estimateArrival,
+} from "../services/fareService.js";
+import {
+  getOrCreateWallet,
+  getBalance,
+  settleRide,
+  toMinor,
+} from "../services/walletService.js";
+import { distributeRideCommissions } from "../services/commissionService.js";
+import {
+  AppError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+
+// Statuses a ride may move to from each status; anything else is rejected
+const RIDE_TRANSITIONS = {
+  requested: ["accepted", "cancelled"],
+  accepted: ["arrived", "cancelled"],
+  arrived: ["in_progress", "cancelled"],
+  in_progress: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+// Statuses during which a rider or driver is considered busy with a ride
+const ACTIVE_STATUSES = ["requested", "accepted", "arrived", "in_progress"];
+
+// Timestamp field recorded when a ride enters each status
+const STATUS_TIMESTAMPS = {
+  accepted: "acceptedAt",
+  arrived: "arrivedAt",
+  in_progress: "startedAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+};
+
+// Load a ride the authenticated user takes part in, as customer or driver
+const findRideForParticipant = async (req) => {
+  const ride = await Ride.findById(req.params.id);
+  if (!ride) {
+    throw new NotFoundError("Ride not found", "RIDE_NOT_FOUND");
+  }
+  const userId = req.user._id;
+  if (!ride.customerId.equals(userId) && !ride.driverId?.equals(userId)) {
+    throw new ForbiddenError(
+      "You are not part of this ride",
+      "NOT_RIDE_PARTICIPANT"
+    );
+  }
+  return ride;
+};
+
+// Atomically move a ride to a new status, guarding against stale or concurrent updates
+const transitionRide = async (ride, to, extra = {}) => {
+  if (!RIDE_TRANSITIONS[ride.status].includes(to)) {
+    throw new ConflictError(
+      `Cannot change ride status from ${ride.status} to ${to}`,
+      "INVALID_RIDE_TRANSITION"
+    );
+  }
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: ride.status },
+    { status: to, [STATUS_TIMESTAMPS[to]]: new Date(), ...extra },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new ConflictError(
+      "Ride was updated by someone else, please refresh",
+      "RIDE_MODIFIED"
+    );
+  }
+  // Keep both parties' apps in sync without polling
+  emitToUser(updated.customerId, "ride:updated", updated);
+  if (updated.driverId) emitToUser(updated.driverId, "ride:updated", updated);
+  return updated;
+};
+
+// Function to request a new ride as a customer
+const requestRide = asyncHandler(async (req, res) => {
+  const { quoteId, pickupAddress, dropoffAddress, vehicleType, wheelchair } =
+    req.body;
+
+  if (req.user.role !== "customer") {
+    throw new ForbiddenError(
+      "Only customers can request rides",
+      "CUSTOMER_ROLE_REQUIRED"
+    );
+  }
+  const activeRide = await Ride.exists({
+    customerId: req.user._id,
+    status: { $in: ACTIVE_STATUSES },
+  });
+  if (activeRide) {
+    throw new ConflictError(
+      "You already have an active ride",
+      "ACTIVE_RIDE_EXISTS"
+    );
+  }
+
+  // Lock in the fare the rider was shown; pickup and dropoff come from the quote
+  const quote = await redeemQuote(quoteId, req.user._id);
+  if (!quote) {
+    throw new AppError("Fare quote has expired or was already used", {
+      statusCode: 410,
+      code: "FARE_QUOTE_EXPIRED",
+    });
+  }
+  const fare = quote.fares.find((f) => f.vehicleType === vehicleType);
+
+  // The fare is charged from the wallet on completion, so it must be covered up front,
+  // in the wallet's own currency
+  const wallet = await getOrCreateWallet(req.user._id);
+  if (fare.currency !== wallet.currency) {
+    await releaseQuote(quote._id);
+    throw new ConflictError(
+      `This fare is priced in ${fare.currency} but your wallet holds ${wallet.currency}`,
+      "CURRENCY_MISMATCH"
+    );
+  }
+  if ((await getBalance(wallet._id)) < toMinor(fare.amount)) {
+    await releaseQuote(quote._id);
+    throw new AppError("Insufficient wallet balance for this fare", {
+      statusCode: 402,
+      code: "INSUFFICIENT_BALANCE",
+    });
+  }
+
+  let ride;
+  try {
+    ride = await Ride.create({
+      customerId: req.user._id,
+      vehicleType,
+      wheelchair,
+      pickup: quote.pickup,
+      pickupAddress,
+      dropoff: quote.dropoff,
+      dropoffAddress,
+      fare: {
+        quoteId: quote._id,
+        amount: fare.amount,
+        currency: fare.currency,
+        distanceKm: quote.distanceKm,
+        durationMinutes: quote.durationMinutes,
+      },
+    });
+  } catch (error) {
+    await releaseQuote(quote._id);
+    throw error;
+  }
+
+  // Offer the request to the closest matching drivers
+  const [lng, lat] = ride.pickup.coordinates;
+  const drivers = await findNearbyDrivers({
+    lng,
+    lat,
+    vehicleType,
+    wheelchair: ride.wheelchair,
+    excludeDriverIds: [req.user._id],
+  });
+  for (const driver of drivers) {
+    emitToUser(driver.driverId, "ride:requested", {
+      ride,
+      distance: driver.distance,
+    });
+  }
+
+  res.status(201).json({
+    message: "Ride requested",
+    ride,
+    driversNotified: drivers.length,
+  });
+});
+
+// Online drivers near the point in the query, closest first
+const nearbyDriversFor = ({
+  lat,
+  lng,
+  vehicleType,
+  wheelchair,
+  radius,
+  limit,
+}) =>
+  findNearbyDrivers({
+    lng,
+    lat,
+    vehicleType,
+    wheelchair,
+    maxDistance: radius,
+    limit,
+  });
+
+// Function to show a rider what is available nearby: vehicle type, rough distance and
+// arrival time only, so drivers' positions and identities can't be tracked by polling
+const getNearbyDrivers = asyncHandler(async (req, res) => {
+  const drivers = await nearbyDriversFor(req.query);
+  res.status(200).json({
+    drivers: drivers.map((driver) => ({
+      vehicleType: driver.vehicle.vehicleType,
+      wheelchair: driver.vehicle.wheelchair,
+      distance: Math.max(100, Math.round(driver.distance / 100) * 100), // Metres, to the nearest 100
+      etaMinutes: estimateArrival(driver.distance),
+    })),
+  });
+});
+
+// Function to list nearby online drivers with their live location and vehicle, for staff
+// allowed to track drivers
+const getNearbyDriverLocations = asyncHandler(async (req, res) => {
+  const drivers = await nearbyDriversFor(req.query);
+  res.status(200).json({ drivers });
+});
+
+// Function to list open ride requests the driver's current vehicle can serve
+const getAvailableRides = asyncHandler(async (req, res) => {
+  if (req.user.role !== "driver") {
+    throw new ForbiddenError(
+      "Only drivers can view ride requests",
+      "DRIVER_ROLE_REQUIRED"
+    );
+  }
+  // Only requests the vehicle of the current shift can serve
+  const shift = await Shift.findOne({
+    driverId: req.user._id,
+    status: "active",
+  }).populate("vehicleId", "vehicleType wheelchair");
+  if (!shift) {
+    return res.status(200).json({ rides: [] });
+  }
+  const rides = await Ride.find({
+    status: "requested",
+    vehicleType: shift.vehicleId.vehicleType,
+    ...(!shift.vehicleId.wheelchair && { wheelchair: false }),
+  })
+    .sort({ createdAt: 1 })
+    .limit(50)
+    .populate("customerId", "firstName lastName");
+  res.status(200).json({ rides });
+});
+
+// Function to accept a requested ride as an online driver with a matching vehicle
+const acceptRide = asyncHandler(async (req, res) => {
+  if (req.user.role !== "driver") {
+    throw new ForbiddenError(
+      "Only drivers can accept rides",
+      "DRIVER_ROLE_REQUIRED"
+    );
+  }
+  const ride = await Ride.findById(req.params.id);
+  if (!ride) {
+    throw new NotFoundError("Ride not found", "RIDE_NOT_FOUND");
+  }
+  if (ride.customerId.equals(req.user._id)) {
+    throw new BadRequestError("You cannot accept your own ride", "OWN_RIDE");
+  }
+
+  // The driver must be online with a vehicle that fits the request
+  const shift = await Shift.findOne({
+    driverId: req.user._id,
+    status: "active",
+  });
+  if (!shift) {
+    throw new ForbiddenError("Go online before accepting rides", "NOT_ONLINE");
+  }
+  const vehicle = await Vehicle.findById(shift.vehicleId);
+  if (
+    !vehicle ||
+    vehicle.vehicleType !== ride.vehicleType ||
+    (ride.wheelchair && !vehicle.wheelchair)
+  ) {
+    throw new ForbiddenError(
+      `A ${ride.vehicleType}${
+        ride.wheelchair ? " wheelchair-accessible" : ""
+      } vehicle is required to accept this ride`,
+      "VEHICLE_MISMATCH"
+    );
+  }
+  const busy = await Ride.exists({
+    driverId: req.user._id,
+    status: { $in: ACTIVE_STATUSES },
+  });
+  if (busy) {
+    throw new ConflictError(
+      "Finish your current ride before accepting another",
+      "ACTIVE_RIDE_EXISTS"
+    );
+  }
+
+  // Fleet vehicles earn the fleet its share at the split in force now
+  const fleet = vehicle.fleetId
+    ? await Fleet.findById(vehicle.fleetId).select(
+        "ownerId companySharePercent"
+      )
+    : null;
+  const updated = await transitionRide(ride, "accepted", {
+    driverId: req.user._id,
+    vehicleId: vehicle._id,
+    ...(fleet && {
+      fleet: {
+        fleetId: fleet._id,
+        ownerId: fleet.ownerId,
+        companySharePercent: fleet.companySharePercent,
+      },
+    }),
+  });
+  res.status(200).json({ message: "Ride accepted", ride: updated });
+});
+
+// Build a handler for driver-only progress steps (arrival, start, completion)
+const driverTransition = (to, message) =>
+  asyncHandler(async (req, res) => {
+    const ride = await findRideForParticipant(req);
+    if (!ride.driverId?.equals(req.user._id)) {
+      throw new ForbiddenError(
+        "Only the assigned driver can update this ride",
+        "NOT_ASSIGNED_DRIVER"
+      );
+    }
+    const updated = await transitionRide(ride, to);
+    res.status(200).json({ message, ride: updated });
+  });
+
+// Function to mark that the driver has reached the pickup point
+const markArrived = driverTransition("arrived", "Driver has arrived");
+
+// Function to start the ride once the rider is on board
+const startRide = driverTransition("in_progress", "Ride started");
+
+// Function to complete the ride at the dropoff point and settle the fare
+const completeRide = asyncHandler(async (req, res) => {
+  const ride = await findRideForParticipant(req);
+  if (!ride.driverId?.equals(req.user._id)) {
+    throw new ForbiddenError(
+      "Only the assigned driver can update this ride",
+      "NOT_ASSIGNED_DRIVER"
+    );
+  }
+  let updated = await transitionRide(ride, "completed");
+  try {
+    updated = (await settleRide(updated)) || updated;
+    await distributeRideCommissions(updated);
+  } catch (error) {
+    // The ride stays completed with payment pending; an admin can retry settlement
+    console.error(`Settlement failed for ride ${updated._id}:`, error.message);
+  }
+  res.status(200).json({ message: "Ride completed", ride: updated });
+});
+
+// Function to cancel a ride by either the customer or the assigned driver
+const cancelRide = asyncHandler(async (req, res) => {
+  const ride = await findRideForParticipant(req);
+  const cancelledBy = ride.customerId.equals(req.user._id)
+    ? "customer"
+    : "driver";
+  const updated = await transitionRide(ride, "cancelled", {
+    cancelledBy,
+    cancellationReason: req.body?.reason,
+  });
+  res.status(200).json({ message: "Ride cancelled", ride: updated });
+});
+
+// Function to fetch a single ride the user takes part in
+const getRide = asyncHandler(async (req, res) => {
+  const ride = await findRideForParticipant(req);
+  await ride.populate([
+    { path: "customerId", select: "firstName lastName phoneNumber" },
+    { path: "driverId", select: "firstName lastName phoneNumber" },
+    {
+      path: "vehicleId",
+      select: "vehicleMakeModel vehicleColor vehiclePlateNumber vehicleType",
+    },
+  ]);
+  res.status(200).json({ ride });
+});
+
+// Function to fetch the user's ongoing ride, as customer or driver
+const getCurrentRide = asyncHandler(async (req, res) => {
+  const ride = await Ride.findOne({
+    $or: [{ customerId: req.user._id }, { driverId: req.user._id }],
+    status: { $in: ACTIVE_STATUSES },
+  })
+    .sort({ createdAt: -1 })
+    .populate("customerId", "firstName lastName phoneNumber")
+    .populate("driverId", "firstName lastName phoneNumber")
+    .populate(
+      "vehicleId",
+      "vehicleMakeModel vehicleColor vehiclePlateNumber vehicleType"
+    );
+  res.status(200).json({ ride });
+});
+
+// Function to list the user's past and present rides, newest first
+const getRideHistory = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const filter = {
+    $or: [{ customerId: req.user._id }, { driverId: req.user._id }],
+  };
+  const [rides, total] = await Promise.all([
+    Ride.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Ride.countDocuments(filter),
+  ]);
+  res.status(200).json({ rides, page, limit, total });
+});
+
+// Export all controller functions
+export {
+  requestRide,
+  getNearbyDrivers,
+  getNearbyDriverLocations,
+  getAvailableRides,
+  acceptRide,
+  markArrived,
+  startRide,
+  completeRide,
+  cancelRide,
+  getRide,
+  getCurrentRide,
+  getRideHistory,
+};
@@ -0,0 +1,72 @@
+// Importing required modules and services
+import asyncHandler from "express-async-handler";
+import {
+  rotateSession,
+  endSession,
+  endAllSessions,
+  getActiveSessions,
+  clearAuthCookies,
+} from "../services/sessionService.js";
+import { UnauthorizedError, NotFoundError } from "../utils/errors.js";
+
+// Function to exchange a refresh token (cookie or body) for a new access/refresh token pair
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  if (!refreshToken) {
+    throw new UnauthorizedError(
+      "Refresh token not found",
+      "REFRESH_TOKEN_MISSING"
+    );
+  }
+  try {
+    const tokens = await rotateSession(req, res, refreshToken);
+    res.status(200).json({ message: "Token refreshed", ...tokens });
+  } catch (error) {
+    if (error.statusCode) clearAuthCookies(res);
+    throw error;
+  }
+});
+
+// Function to list the devices the user is signed in on
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await getActiveSessions(req.user._id);
+  res.status(200).json({
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.session._id),
+    })),
+  });
+});
+
+// Function to sign out one device
+const revokeSession = asyncHandler(async (req, res) => {
+  const revoked = await endSession(req.user._id, req.params.id, "revoked");
+  if (!revoked) {
+    throw new NotFoundError(
+      "Session not found or already revoked",
+      "SESSION_NOT_FOUND"
+    );
+  }
+  if (req.session._id.equals(req.params.id)) clearAuthCookies(res);
+  res.status(200).json({ message: "Session revoked" });
+});
+
+// Function to sign out every device; ?keepCurrent=true keeps the requesting one signed in
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const { keepCurrent } = req.query;
+  const revoked = await endAllSessions(
+    req.user._id,
+    "revoked_all",
+    keepCurrent ? req.session._id : null
+  );
+  if (!keepCurrent) clearAuthCookies(res);
+  res.status(200).json({ message: "Sessions revoked", revoked });
+});
+
+// Export all controller functions
+export { refreshAccessToken, getSessions, revokeSession, revokeAllSessions };
@@ -0,0 +1,196 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import Shift from "../models/shiftModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import User from "../models/userModel.js";
+import DriverLocation from "../models/driverLocationModel.js";
+import { toPoint } from "../utils/geo.js";
+import { endShift } from "../services/shiftService.js";
+import { drivableBy, expiredDocuments } from "../services/vehicleService.js";
+import {
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+
+// Function to put the driver online with a vehicle, starting a new shift
+const goOnline = asyncHandler(async (req, res) => {
+  const { vehicleId, lat, lng } = req.body;
+  const driver = req.user;
+
+  if (driver.role !== "driver") {
+    throw new ForbiddenError(
+      "Only drivers can go online",
+      "DRIVER_ROLE_REQUIRED"
+    );
+  }
+  if (driver.kycLevel < 2) {
+    throw new ForbiddenError(
+      "Complete KYC Level 2 before going online",
+      "KYC_LEVEL_REQUIRED"
+    );
+  }
+  if (driver.drivingSuspendedAt) {
+    throw new ForbiddenError(
+      `Driving is suspended: ${driver.drivingSuspensionReason}. Submit a renewed license to continue.`,
+      "DRIVING_SUSPENDED"
+    );
+  }
+  if (driver.licenseExpiryDate && driver.licenseExpiryDate <= new Date()) {
+    throw new ForbiddenError(
+      "Your driver's license has expired",
+      "LICENSE_EXPIRED"
+    );
+  }
+  const point = toPoint({ lat, lng });
+
+  // Use the requested vehicle, otherwise the driver's active one, falling back to their
+  // most recently registered approved vehicle. Fleet vehicles assigned to them count too.
+  const owned = { ...drivableBy(driver._id), archived: false };
+  let vehicle;
+  if (vehicleId) {
+    vehicle = await Vehicle.findOne({ ...owned, _id: vehicleId });
+  } else {
+    if (driver.activeVehicleId) {
+      vehicle = await Vehicle.findOne({
+        ...owned,
+        _id: driver.activeVehicleId,
+        status: "approved",
+      });
+    }
+    if (!vehicle) {
+      vehicle = await Vehicle.findOne({ ...owned, status: "approved" }).sort({
+        createdAt: -1,
+      });
+    }
+  }
+  if (!vehicle) {
+    throw new NotFoundError(
+      vehicleId
+        ? "Vehicle not found or not yours to drive"
+        : "You need an approved vehicle to go online",
+      "VEHICLE_NOT_FOUND"
+    );
+  }
+  if (vehicle.status !== "approved") {
+    throw new ForbiddenError(
+      `This vehicle is ${vehicle.status}; only approved vehicles can go online`,
+      "VEHICLE_NOT_APPROVED"
+    );
+  }
+  const [lapsed] = expiredDocuments(vehicle);
+  if (lapsed) {
+    throw new ForbiddenError(
+      `Vehicle ${lapsed.document} expired on ${lapsed.expiresAt
+        .toISOString()
+        .slice(0, 10)}`,
+      "VEHICLE_DOCUMENT_EXPIRED"
+    );
+  }
+
+  const current = await Shift.findOne({
+    driverId: driver._id,
+    status: "active",
+  });
+  if (current) {
+    if (!current.vehicleId.equals(vehicle._id)) {
+      throw new ConflictError(
+        "Go offline before switching to another vehicle",
+        "SHIFT_ACTIVE"
+      );
+    }
+    return res
+      .status(200)
+      .json({ message: "You are already online", shift: current });
+  }
+
+  let shift;
+  try {
+    shift = await Shift.create({
+      driverId: driver._id,
+      vehicleId: vehicle._id,
+      fleetId: vehicle.fleetId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError("You are already online", "ALREADY_ONLINE");
+    }
+    throw error;
+  }
+  // The vehicle driven becomes the active one, so it is the default next time
+  if (!driver.activeVehicleId?.equals(vehicle._id)) {
+    await User.updateOne({ _id: driver._id }, { activeVehicleId: vehicle._id });
+  }
+  await DriverLocation.findOneAndUpdate(
+    { driverId: driver._id },
+    {
+      vehicleId: vehicle._id,
+      location: point,
+      isOnline: true,
+      updatedAt: new Date(),
+    },
+    { upsert: true, runValidators: true }
+  );
+
+  res.status(201).json({ message: "You are now online", shift });
+});
+
+// Function to take the driver offline and close their shift
+const goOffline = asyncHandler(async (req, res) => {
+  const shift = await endShift(req.user._id, "manual");
+  if (!shift) {
+    throw new ConflictError("You are not online", "NOT_ONLINE");
+  }
+  res.status(200).json({ message: "You are now offline", shift });
+});
+
+// Function to report whether the driver is online and with which vehicle
+const getAvailability = asyncHandler(async (req, res) => {
+  const shift = await Shift.findOne({
+    driverId: req.user._id,
+    status: "active",
+  }).populate(
+    "vehicleId",
+    "vehicleMakeModel vehicleColor vehiclePlateNumber vehicleType"
+  );
+  res.status(200).json({
+    online: Boolean(shift),
+    shift,
+    onlineDuration: shift
+      ? Math.round((Date.now() - shift.startedAt) / 1000)
+      : 0,
+  });
+});
+
+// Function to list the driver's shifts with the total time spent online
+const getShifts = asyncHandler(async (req, res) => {
+  const { page, limit, from, to } = req.query;
+  const filter = { driverId: req.user._id };
+  if (from || to) {
+    filter.startedAt = {};
+    if (from) filter.startedAt.$gte = from;
+    if (to) filter.startedAt.$lte = to;
+  }
+
+  const [shifts, total, totals] = await Promise.all([
+    Shift.find(filter)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Shift.countDocuments(filter),
+    Shift.aggregate([
+      { $match: { ...filter, status: "ended" } },
+      { $group: { _id: null, onlineDuration: { $sum: "$onlineDuration" } } },
+    ]),
+  ]);
+  res.status(200).json({
+    shifts,
+    page,
+    limit,
+    total,
+    totalOnlineDuration: totals[0]?.onlineDuration || 0, // Seconds, ended shifts only
+  });
+});
+
+// Export all controller functions
+export { goOnline, goOffline, getAvailability, getShifts };
@@ -1,33 +1,79 @@
 // Importing required modules and models
 import User from "../models/userModel.js";
+import KycSubmission from "../models/kycSubmissionModel.js";
+import { recordVerifiedReferral } from "../services/sponsorLevelService.js";
+import {
+  startSession,
+  endSession,
+  endAllSessions,
+  clearAuthCookies,
+} from "../services/sessionService.js";
+import {
+  consumeLimit,
+  assertNotLocked,
+  recordFailure,
+  clearLimit,
+} from "../services/rateLimitService.js";
+import { RATE_LIMITS, OTP_MAX_ATTEMPTS } from "../config/rateLimits.js";
+import {
+  generateOTP,
+  generateResetToken,
+  hashCode,
+  codeMatches,
+} from "../utils/otp.js";
+import { getSmsProvider } from "../services/sms/index.js";
+import { queueMail } from "../services/mail/index.js";
+import { queueKycDocumentUpload } from "../services/jobs/uploadJobs.js";
+import { retainUploads, tempFile } from "../middlewares/uploadMiddleware.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "../config/branding.js";
+import {
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  requireFields,
+} from "../utils/errors.js";
 import asyncHandler from "express-async-handler";
-import nodemailer from "nodemailer";
-import cloudinary from "cloudinary";
-import jwt from "jsonwebtoken"; // Import JWT for token generation
 import { v4 as uuidv4 } from "uuid"; // Import uuid (kept for potential future use)
 
-// Validate environment variables for email configuration
-if (!process.env.MAIL_USER || !process.env.MAIL_PASS) {
-  console.error(
-    "Missing email credentials: MAIL_USER or MAIL_PASS is undefined"
-  ); // Log error if email credentials are missing
-  throw new Error("Server configuration error: Email credentials missing");
-}
-
-// Configure Nodemailer transporter for sending emails
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: { user: process.env.MAIL_USER, pass: process.env.MAIL_PASS },
-}); // Set up email transporter
-transporter.verify((error) => {
-  if (error) console.error("Nodemailer configuration error:", error.message);
-  // Log configuration errors
-  else console.log("Nodemailer is ready to send emails"); // Confirm transporter is ready
-});
+// Where the emailed password reset link points; the page posts the token to /reset-password
+const PASSWORD_RESET_URL =
+  process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password";
+
+// Throttle OTP emails and texts per account: a cooldown between codes and an hourly cap
+const limitOtpSends = async (res, recipient) => {
+  const account = String(recipient).toLowerCase();
+  await consumeLimit(
+    res,
+    `otp-cooldown:${account}`,
+    RATE_LIMITS.otpResendCooldown,
+    "Please wait before requesting another code"
+  );
+  await consumeLimit(
+    res,
+    `otp-sends:${account}`,
+    RATE_LIMITS.otpSendsPerAccount,
+    "Too many codes requested. Please try again later."
+  );
+};
 
-// Generate a 6-digit OTP for verification or password reset
-const generateOTP = () =>
-  Math.floor(100000 + Math.random() * 900000).toString(); // Generate a random 6-digit OTP
+// Count a wrong guess against an OTP field ("otp", "resetOtp" or "phoneOtp"); returns true once
+// the code has been invalidated after OTP_MAX_ATTEMPTS wrong guesses
+const recordWrongOtp = async (userId, field) => {
+  const attemptsField = `${field}Attempts`;
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { [attemptsField]: 1 } },
+    { new: true }
+  );
+  if (user[attemptsField] < OTP_MAX_ATTEMPTS) return false;
+  const invalidate = { [field]: null, [`${field}Expires`]: null };
+  if (field === "resetOtp") invalidate.resetTokenHash = null; // The emailed link dies with the code
+  await User.updateOne({ _id: userId }, invalidate);
+  return true;
+};
 
 // Function to handle user signup and send OTP via email
 const signupUser = asyncHandler(async (req, res) => {
@@ -41,39 +87,17 @@ const signupUser = asyncHandler(async (req, res) => {
     sponsorBy,
     gender,
   } = req.body;
-
-  // Check for missing required fields
-  if (!firstName) {
-    res.status(400);
-    throw new Error("First name is required");
-  }
-  if (!lastName) {
-    res.status(400);
-    throw new Error("Last name is required");
-  }
-  if (!email) {
-    res.status(400);
-    throw new Error("Email is required");
-  }
-  if (!phoneNumber) {
-    res.status(400);
-    throw new Error("Phone number is required");
-  }
-  if (!password) {
-    res.status(400);
-    throw new Error("Password is required");
-  }
-  if (!gender) {
-    res.status(400);
-    throw new Error("Gender is required");
-  }
+  // Language for emails: explicit choice first, then the client's Accept-Language
+  const locale =
+    req.body.locale ||
+    req.acceptsLanguages(...SUPPORTED_LOCALES) ||
+    DEFAULT_LOCALE;
 
   // Validate sponsorBy if provided
   if (sponsorBy) {
     const sponsor = await User.findOne({ sponsorId: sponsorBy });
     if (!sponsor) {
-      res.status(400);
-      throw new Error("Invalid sponsor ID");
+      throw new BadRequestError("Invalid sponsor ID", "INVALID_SPONSOR");
     }
   }
 
@@ -84,23 +108,30 @@ const signupUser = asyncHandler(async (req, res) => {
   let otp;
   if (existingUser) {
     if (existingUser.isVerified) {
-      res.status(400);
-      throw new Error("A user with this email or phone number already exists");
+      throw new ConflictError(
+        "A user with this email or phone number already exists",
+        "ACCOUNT_EXISTS"
+      );
     }
+    await limitOtpSends(res, existingUser.email);
     // Update existing unverified user
     otp = generateOTP();
     const otpExpires = new Date(Date.now() + 10 * 60 * 1000);
-    existingUser.otp = otp;
+    existingUser.otp = hashCode(otp); // Only the hash is stored
     existingUser.otpExpires = otpExpires;
+    existingUser.otpAttempts = 0;
     existingUser.firstName = firstName;
     existingUser.lastName = lastName;
     existingUser.phoneNumber = phoneNumber;
     existingUser.password = password;
     existingUser.sponsorBy = sponsorBy || null;
     existingUser.gender = gender;
+    existingUser.locale = locale;
     await existingUser.save();
-    console.log("Updated existing user:", existingUser.email, existingUser.otp);
+    console.log("Updated existing user:", existingUser.email);
   } else {
+    await limitOtpSends(res, email);
+    otp = generateOTP();
     const user = await User.create({
       firstName,
       lastName,
@@ -109,20 +140,19 @@ const signupUser = asyncHandler(async (req, res) => {
       password,
       sponsorBy: sponsorBy || null,
       gender,
-      otp: generateOTP(),
+      locale,
+      otp: hashCode(otp), // Only the hash is stored
       otpExpires: new Date(Date.now() + 10 * 60 * 1000),
       isVerified: false,
     });
-    otp = user.otp; // Assign the OTP from the created user
-    console.log("Created new user:", user.email, user.otp);
+    console.log("Created new user:", user.email);
   }
 
-  await transporter.sendMail({
-    from: `"Your App" <${process.env.MAIL_USER}>`, // Sender email
-    to: email, // Recipient email
-    subject: "Your OTP for Account Verification", // Email subject
-    text: `Hello ${firstName} ${lastName},\nYour OTP for account verification is: ${otp}\nPlease enter this OTP to verify within 10 minutes.`,
-    html: `<h2>Hello ${firstName} ${lastName},</h2><p>Your OTP is: <strong>${otp}</strong></p><p>Verify within 10 minutes.</p>`,
+  await queueMail({
+    to: email,
+    template: "verifyEmail",
+    locale,
+    data: { name: `${firstName} ${lastName}`, otp, minutes: 10 },
   });
   res.status(200).json({
     message: "OTP sent. Please verify to complete registration.",
@@ -134,62 +164,65 @@ const verifyOTPUser = asyncHandler(async (req, res) => {
   // Extract email and OTP from request body
   const { email, otp } = req.body;
 
-  // Check for missing required fields
-  if (!email) {
-    res.status(400);
-    throw new Error("Email is required");
-  }
-  if (!otp) {
-    res.status(400);
-    throw new Error("OTP is required");
-  }
-
   const user = await User.findOne({ email });
-  console.log("Searching for user with email:", email, "Found:", user);
   if (!user) {
-    res.status(404);
-    throw new Error("User not found. Please sign up first.");
+    throw new NotFoundError(
+      "User not found. Please sign up first.",
+      "USER_NOT_FOUND"
+    );
   }
   if (Date.now() > user.otpExpires || !user.otpExpires) {
-    res.status(400);
-    throw new Error("OTP has expired. Please sign up again.");
-  }
-  if (user.otp !== otp) {
-    res.status(400);
-    throw new Error("Invalid OTP");
+    throw new BadRequestError(
+      "OTP has expired. Please sign up again.",
+      "OTP_EXPIRED"
+    );
+  }
+  if (!codeMatches(user.otp, otp)) {
+    // Each wrong guess counts; the code stops working after OTP_MAX_ATTEMPTS
+    const invalidated = await recordWrongOtp(user._id, "otp");
+    throw invalidated
+      ? new BadRequestError(
+          "Too many incorrect attempts. Please request a new OTP.",
+          "OTP_ATTEMPTS_EXCEEDED"
+        )
+      : new BadRequestError("Invalid OTP", "OTP_INVALID");
   }
 
-  // Complete registration (sponsor validation already done in signup)
-  let sponsorName = null;
-  if (user.sponsorBy) {
-    const sponsor = await User.findOne({ sponsorId: user.sponsorBy });
-    if (sponsor) {
-      sponsor.sponsorTree.push(user._id);
-      await sponsor.save();
-      sponsorName = `${sponsor.firstName} ${sponsor.lastName}`;
-    }
-  }
+  // Complete registration (sponsor validation already done in signup). The verification is
+  // claimed atomically so a repeated request can't count the referral twice.
+  const claimed = await User.updateOne(
+    { _id: user._id, isVerified: false },
+    { $set: { isVerified: true, otp: null, otpExpires: null, otpAttempts: 0 } }
+  );
+  if (claimed.modifiedCount !== 1) {
+    throw new ConflictError(
+      "Account is already verified. Please log in.",
+      "ACCOUNT_ALREADY_VERIFIED"
+    );
+  }
+  Object.assign(user, {
+    isVerified: true,
+    otp: null,
+    otpExpires: null,
+    otpAttempts: 0,
+  });
 
-  user.isVerified = true;
-  user.otp = null;
-  user.otpExpires = null;
-  await user.save();
+  // Count the new referral towards the sponsor and promote uplines whose level changes
+  const { sponsor } = await recordVerifiedReferral(user);
+  const sponsorName = sponsor
+    ? `${sponsor.firstName} ${sponsor.lastName}`
+    : null;
 
-  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRY,
-  });
-  res.cookie("token", token, {
-    httpOnly: true,
-    maxAge: 3600000, // 1 hour
-    sameSite: "lax", // Adjust for local dev; use "none" with secure: true for cross-origin if needed
-    secure: process.env.NODE_ENV === "production", // Only secure in production
-  });
+  // Sign the new user in on this device
+  const { token, refreshToken, expiresIn } = await startSession(req, res, user);
   const sponsoredUsers = user.sponsorTree
     .map((s) => `${s.firstName} ${s.lastName}`)
     .join(", ");
   res.status(201).json({
     message: "Registration completed successfully",
     token,
+    refreshToken,
+    expiresIn,
     userId: user._id,
     sponsorId: user.sponsorId,
     level: user.level,
@@ -215,29 +248,61 @@ const verifyOTPUser = asyncHandler(async (req, res) => {
 // Function to handle user login
 const loginUser = asyncHandler(async (req, res) => {
   // Extract login credentials from request body
-  const { email, phoneNumber, password } = req.body;
-  if ((!email && !phoneNumber) || !password) {
-    res.status(400);
-    throw new Error("Email or phone number and password are required");
+  const { email, phoneNumber, password, otp } = req.body;
+  if (!email && !phoneNumber) {
+    const message = "Email or phone number is required";
+    throw new ValidationError(message, [{ field: "email", message }]);
+  }
+  // Passwordless: a phone number with the code texted by /login/otp/request
+  if (!password && phoneNumber && otp) {
+    return logInWithPhoneCode(req, res, phoneNumber, otp);
   }
+  if (!password) {
+    const message =
+      "Password, or a phone number with its login code, is required";
+    throw new ValidationError(message, [{ field: "password", message }]);
+  }
+  // Failed logins are counted per account; reaching the limit locks it until the window ends
+  const lockKey = `login-fail:${String(email || phoneNumber).toLowerCase()}`;
+  await assertNotLocked(
+    res,
+    lockKey,
+    RATE_LIMITS.loginFailuresPerAccount,
+    "Too many failed login attempts. Please try again later."
+  );
   const user = await User.findOne({
     $or: [{ email }, { phoneNumber }],
-  }).populate("sponsorTree", "firstName lastName");
+  });
   if (!user) {
-    res.status(401);
-    throw new Error("Invalid email or phone number");
+    await recordFailure(lockKey, RATE_LIMITS.loginFailuresPerAccount);
+    throw new UnauthorizedError(
+      "Invalid email or phone number",
+      "INVALID_CREDENTIALS"
+    );
   }
   if (!user.isVerified) {
-    res.status(403);
-    throw new Error("User not verified. Please complete registration.");
+    throw new ForbiddenError(
+      "User not verified. Please complete registration.",
+      "ACCOUNT_NOT_VERIFIED"
+    );
   }
   if (!(await user.comparePassword(password))) {
-    res.status(401);
-    throw new Error("Invalid password");
+    await recordFailure(lockKey, RATE_LIMITS.loginFailuresPerAccount);
+    throw new UnauthorizedError("Invalid password", "INVALID_CREDENTIALS");
   }
-  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRY,
-  });
+  await clearLimit(lockKey);
+  if (user.isSuspended) {
+    throw new ForbiddenError(
+      "Account suspended. Please contact support.",
+      "ACCOUNT_SUSPENDED"
+    );
+  }
+  await sendLoginResponse(req, res, user);
+});
+
+// Start a session for an authenticated user and respond with their profile
+const sendLoginResponse = async (req, res, user) => {
+  await user.populate("sponsorTree", "firstName lastName");
   const sponsoredUsers = user.sponsorTree
     .map((s) => `${s.firstName} ${s.lastName}`)
     .join(", ");
@@ -246,331 +311,392 @@ const loginUser = asyncHandler(async (req, res) => {
     const sponsor = await User.findOne({ sponsorId: user.sponsorBy });
     sponsorName = sponsor ? `${sponsor.firstName} ${sponsor.lastName}` : null;
   }
-  res
-    .cookie("token", token, {
-      httpOnly: true,
-      maxAge: 3600000, // 1 hour
-      sameSite: "lax", // Adjust for local dev; use "none" with secure: true for cross-origin if needed
-      secure: process.env.NODE_ENV === "production", // Only secure in production
-    })
-    .status(200)
-    .json({
-      message: "Login successful",
-      token,
-      userId: user._id,
-      sponsorId: user.sponsorId,
-      level: user.level,
-      sponsorTree: user.sponsorTree.map((s) => ({
-        id: s._id,
-        name: `${s.firstName} ${s.lastName}`,
-      })),
-      sponsoredUsers: sponsoredUsers || "No sponsored users",
-      sponsorName: sponsorName, // Add sponsor name to response
-      user: {
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        phoneNumber: user.phoneNumber,
-        sponsorBy: user.sponsorBy,
-        country: user.country,
-        kycLevel: user.kycLevel,
-        gender: user.gender,
-      },
-    });
-});
+  // Each login is a separate session (device) that can be listed and revoked
+  const { token, refreshToken, expiresIn } = await startSession(req, res, user);
+  res.status(200).json({
+    message: "Login successful",
+    token,
+    refreshToken,
+    expiresIn,
+    userId: user._id,
+    sponsorId: user.sponsorId,
+    level: user.level,
+    sponsorTree: user.sponsorTree.map((s) => ({
+      id: s._id,
+      name: `${s.firstName} ${s.lastName}`,
+    })),
+    sponsoredUsers: sponsoredUsers || "No sponsored users",
+    sponsorName: sponsorName, // Add sponsor name to response
+    user: {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      sponsorBy: user.sponsorBy,
+      country: user.country,
+      kycLevel: user.kycLevel,
+      gender: user.gender,
+      phoneVerified: user.phoneVerified,
+    },
+  });
+};
 
-// Function to handle forgot password request and send OTP
-const forgotPassword = asyncHandler(async (req, res) => {
-  const { email } = req.body;
-  if (!email) {
-    res.status(400);
-    throw new Error("Email is required");
-  }
-  const user = await User.findOne({ email });
-  if (!user) {
-    res.status(404);
-    throw new Error("User not found");
-  }
-  const resetOtp = generateOTP();
-  await User.findByIdAndUpdate(
-    user._id,
-    { resetOtp, resetOtpExpires: Date.now() + 10 * 60 * 1000 },
-    { new: true, runValidators: true }
+// Generate a code for the user's phone number and text it
+const sendPhoneOtp = async (user, purpose) => {
+  const code = generateOTP();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      phoneOtp: hashCode(code), // Only the hash is stored
+      phoneOtpPurpose: purpose,
+      phoneOtpExpires: new Date(Date.now() + 10 * 60 * 1000),
+      phoneOtpAttempts: 0,
+    }
   );
-  await transporter.sendMail({
-    from: `"Your App" <${process.env.MAIL_USER}>`,
-    to: email,
-    subject: "Your OTP for Password Reset",
-    text: `Hello ${user.firstName} ${user.lastName},\nYour OTP for password reset is: ${resetOtp}\nPlease use this OTP within 10 minutes.`,
-    html: `<h2>Hello ${user.firstName} ${user.lastName},</h2><p>Your OTP is: <strong>${resetOtp}</strong></p><p>Use within 10 minutes.</p>`,
-  });
-  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRY,
+  await getSmsProvider().send({
+    to: user.phoneNumber,
+    body:
+      purpose === "login"
+        ? `Your login code is ${code}. It expires in 10 minutes. Never share it with anyone.`
+        : `Your phone verification code is ${code}. It expires in 10 minutes.`,
   });
-  res.cookie("token", token, {
-    httpOnly: true,
-    maxAge: 3600000, // 1 hour
-    sameSite: "lax",
-    secure: process.env.NODE_ENV === "production",
+};
+
+// Check a texted code for a purpose; throws 400 (and counts the guess) when it is wrong
+const checkPhoneOtp = async (user, purpose, otp) => {
+  const expired = new BadRequestError(
+    "Code has expired. Please request a new one.",
+    "OTP_EXPIRED"
+  );
+  if (
+    !user.phoneOtp ||
+    user.phoneOtpPurpose !== purpose ||
+    !user.phoneOtpExpires ||
+    user.phoneOtpExpires < Date.now()
+  ) {
+    throw expired;
+  }
+  if (!codeMatches(user.phoneOtp, otp)) {
+    const invalidated = await recordWrongOtp(user._id, "phoneOtp");
+    throw invalidated
+      ? new BadRequestError(
+          "Too many incorrect attempts. Please request a new code.",
+          "OTP_ATTEMPTS_EXCEEDED"
+        )
+      : new BadRequestError("Invalid code", "OTP_INVALID");
+  }
+  // Consume the code so it works only once
+  const claimed = await User.updateOne(
+    { _id: user._id, phoneOtp: user.phoneOtp },
+    { phoneOtp: null, phoneOtpExpires: null, phoneOtpAttempts: 0 }
+  );
+  if (!claimed.modifiedCount) throw expired;
+};
+
+// Function to text a verification code to the authenticated user's phone number
+const requestPhoneVerification = asyncHandler(async (req, res) => {
+  if (req.user.phoneVerified) {
+    throw new ConflictError(
+      "Phone number is already verified",
+      "PHONE_ALREADY_VERIFIED"
+    );
+  }
+  await limitOtpSends(res, req.user.phoneNumber);
+  await sendPhoneOtp(req.user, "verify");
+  res.status(200).json({ message: "Verification code sent by SMS" });
+});
+
+// Function to confirm the authenticated user's phone number with the texted code
+const verifyPhone = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+  if (req.user.phoneVerified) {
+    throw new ConflictError(
+      "Phone number is already verified",
+      "PHONE_ALREADY_VERIFIED"
+    );
+  }
+  await checkPhoneOtp(req.user, "verify", otp);
+  await User.updateOne({ _id: req.user._id }, { phoneVerified: true });
+  res.status(200).json({ message: "Phone number verified" });
+});
+
+// Function to text a one-time login code; the response is the same whether or not the number is registered
+const requestLoginOtp = asyncHandler(async (req, res) => {
+  const { phoneNumber } = req.body;
+  await limitOtpSends(res, phoneNumber);
+  const user = await User.findOne({ phoneNumber });
+  // Only verified numbers can receive login codes
+  if (user && user.isVerified && user.phoneVerified && !user.isSuspended) {
+    await sendPhoneOtp(user, "login");
+  }
+  res.status(200).json({
+    message:
+      "If this phone number is registered and verified, a login code has been sent.",
   });
-  res.status(200).json({ message: "Reset OTP sent to email", token });
 });
 
-// Function to reset user password using OTP
-const resetPassword = asyncHandler(async (req, res) => {
-  const { userId, resetOtp, password } = req.body;
-  if (!userId) {
-    res.status(400);
-    throw new Error("User ID is required");
+// Log in with a phone number and a texted one-time code instead of a password
+const logInWithPhoneCode = async (req, res, phoneNumber, otp) => {
+  // Shares the password login's lockout counter for this account
+  const lockKey = `login-fail:${String(phoneNumber).toLowerCase()}`;
+  await assertNotLocked(
+    res,
+    lockKey,
+    RATE_LIMITS.loginFailuresPerAccount,
+    "Too many failed login attempts. Please try again later."
+  );
+  const user = await User.findOne({ phoneNumber });
+  if (!user || !user.phoneVerified) {
+    await recordFailure(lockKey, RATE_LIMITS.loginFailuresPerAccount);
+    throw new UnauthorizedError(
+      "Invalid phone number or code",
+      "INVALID_CREDENTIALS"
+    );
   }
-  if (!resetOtp) {
-    res.status(400);
-    throw new Error("Reset OTP is required");
+  try {
+    await checkPhoneOtp(user, "login", otp);
+  } catch (error) {
+    await recordFailure(lockKey, RATE_LIMITS.loginFailuresPerAccount);
+    throw error;
   }
-  if (!password) {
-    res.status(400);
-    throw new Error("Password is required");
+  await clearLimit(lockKey);
+  if (user.isSuspended) {
+    throw new ForbiddenError(
+      "Account suspended. Please contact support.",
+      "ACCOUNT_SUSPENDED"
+    );
   }
-  const user = await User.findById(userId);
-  if (!user) {
-    res.status(404);
-    throw new Error("User not found");
+  await sendLoginResponse(req, res, user);
+};
+
+// Function to log in with phone number and a texted code; /login accepts the same body
+const loginWithOtp = asyncHandler((req, res) =>
+  logInWithPhoneCode(req, res, req.body.phoneNumber, req.body.otp)
+);
+
+// Function to handle forgot password request and send a reset OTP and link
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  // Limits are keyed on the address itself so a 429 says nothing about whether it exists
+  await limitOtpSends(res, email);
+
+  const user = await User.findOne({ email });
+  if (user) {
+    const resetOtp = generateOTP();
+    const resetToken = generateResetToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        resetOtp: hashCode(resetOtp),
+        resetTokenHash: hashCode(resetToken),
+        resetOtpExpires: Date.now() + 10 * 60 * 1000,
+        resetOtpAttempts: 0,
+      }
+    );
+    const resetLink = `${PASSWORD_RESET_URL}?token=${resetToken}`;
+    // Not awaited, so the response takes as long whether or not the account exists
+    queueMail({
+      to: user.email,
+      template: "passwordReset",
+      locale: user.locale,
+      data: {
+        name: `${user.firstName} ${user.lastName}`,
+        otp: resetOtp,
+        resetLink,
+        minutes: 10,
+      },
+    }).catch((error) =>
+      console.error("Could not queue password reset email:", error.message)
+    );
   }
+  res.status(200).json({
+    message:
+      "If an account exists for this email, a password reset code has been sent.",
+  });
+});
+
+// Function to reset the password with email + OTP, or the token from the reset link
+const resetPassword = asyncHandler(async (req, res) => {
+  const { email, otp, token, password } = req.body;
+  const missing =
+    !token &&
+    requireFields(
+      { email, otp },
+      { email: "Email", otp: "OTP" },
+      "Email and OTP, or a reset token, are required"
+    );
+  if (missing) throw missing;
+
+  const user = token
+    ? await User.findOne({ resetTokenHash: hashCode(token) })
+    : await User.findOne({ email });
   if (
-    user.resetOtp !== resetOtp ||
+    !user ||
+    !user.resetOtp ||
     !user.resetOtpExpires ||
     user.resetOtpExpires < Date.now()
   ) {
-    res.status(400);
-    throw new Error("Invalid or expired reset OTP");
+    throw new BadRequestError(
+      "Invalid or expired reset code",
+      "RESET_CODE_INVALID"
+    );
+  }
+  if (!token && !codeMatches(user.resetOtp, otp)) {
+    const invalidated = await recordWrongOtp(user._id, "resetOtp");
+    throw invalidated
+      ? new BadRequestError(
+          "Too many incorrect attempts. Please request a new reset code.",
+          "OTP_ATTEMPTS_EXCEEDED"
+        )
+      : new BadRequestError(
+          "Invalid or expired reset code",
+          "RESET_CODE_INVALID"
+        );
+  }
+
+  // Consume the code and link atomically so each works only once
+  const claimed = await User.updateOne(
+    { _id: user._id, resetOtp: user.resetOtp },
+    {
+      resetOtp: null,
+      resetTokenHash: null,
+      resetOtpExpires: null,
+      resetOtpAttempts: 0,
+    }
+  );
+  if (!claimed.modifiedCount) {
+    throw new BadRequestError(
+      "Invalid or expired reset code",
+      "RESET_CODE_INVALID"
+    );
   }
   user.password = password;
-  user.resetOtp = null;
-  user.resetOtpExpires = null;
   await user.save();
-  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRY,
-  });
-  res.cookie("token", token, {
-    httpOnly: true,
-    maxAge: 3600000, // 1 hour
-    sameSite: "lax",
-    secure: process.env.NODE_ENV === "production",
-  });
-  res.status(200).json({ message: "Password reset successful", token });
-});
 
-// Function to handle KYC Level 1 submission
-cloudinary.config({
-  cloud_name: process.env.Cloud_Name,
-  api_key: process.env.API_Key,
-  api_secret: process.env.API_Secret,
+  // Sign out every device, including any that may hold a stolen token
+  await endAllSessions(user._id, "password_reset");
+  clearAuthCookies(res);
+  queueMail({
+    to: user.email,
+    template: "passwordChanged",
+    locale: user.locale,
+    data: { name: `${user.firstName} ${user.lastName}` },
+  }).catch((error) =>
+    console.error("Could not queue password change email:", error.message)
+  );
+  res
+    .status(200)
+    .json({ message: "Password reset successful. Please log in again." });
 });
+
+// Function to handle KYC Level 1 submission for the authenticated user
 const submitKYC = asyncHandler(async (req, res) => {
-  const { userId, fullName, country, gender } = req.body;
-  const frontImage = req.files?.frontImage;
-  const backImage = req.files?.backImage;
-  const selfieImage = req.files?.selfieImage;
-  if (!userId) {
-    res.status(400);
-    throw new Error("User ID is required");
-  }
-  if (!fullName) {
-    res.status(400);
-    throw new Error("Full name is required");
-  }
-  if (!country) {
-    res.status(400);
-    throw new Error("Country is required");
-  }
-  if (!frontImage) {
-    res.status(400);
-    throw new Error("Front image is required");
-  }
-  if (!backImage) {
-    res.status(400);
-    throw new Error("Back image is required");
-  }
-  if (!selfieImage) {
-    res.status(400);
-    throw new Error("Selfie image is required");
-  }
+  const { fullName, country, gender } = req.body;
+  const { frontImage, backImage, selfieImage } = req.files;
   const [firstName, lastName] = fullName.split(" ").filter(Boolean);
   if (!firstName || !lastName) {
-    res.status(400);
-    throw new Error("Full name must contain both first and last names");
-  }
-  const user = await User.findById(userId);
-  if (!user) {
-    res.status(404);
-    throw new Error("User not found. Please provide a valid user ID.");
-  }
-  const frontUpload = await cloudinary.uploader.upload(frontImage[0].path, {
-    folder: "kyc/front",
-  });
-  const backUpload = await cloudinary.uploader.upload(backImage[0].path, {
-    folder: "kyc/back",
+    const message = "Full name must contain both first and last names";
+    throw new ValidationError(message, [{ field: "fullName", message }]);
+  }
+  const user = req.user;
+  if (user.kycLevel >= 1) {
+    throw new ConflictError(
+      "KYC Level 1 is already approved",
+      "KYC_ALREADY_APPROVED"
+    );
+  }
+  // Only one submission per level may be under review; re-submitting is allowed after a rejection
+  const pending = await KycSubmission.exists({
+    userId: user._id,
+    level: 1,
+    status: "pending",
   });
-  const selfieUpload = await cloudinary.uploader.upload(selfieImage[0].path, {
-    folder: "kyc/selfie",
+  if (pending) {
+    throw new ConflictError(
+      "Your KYC Level 1 submission is already under review",
+      "KYC_SUBMISSION_PENDING"
+    );
+  }
+  // Details and images are only applied to the user once an admin approves them.
+  // The images are uploaded in the background; reviewers see them once they arrive.
+  const submission = await KycSubmission.create({
+    userId: user._id,
+    level: 1,
+    fullName: `${firstName} ${lastName}`,
+    country,
+    gender,
+    documents: { cnicFront: {}, cnicBack: {}, selfie: {} },
+    uploadStatus: "uploading",
   });
-  user.firstName = firstName;
-  user.lastName = lastName;
-  user.country = country;
-  user.gender = gender;
-  user.cnicImages = {
-    front: frontUpload.secure_url,
-    back: backUpload.secure_url,
-  };
-  user.selfieImage = selfieUpload.secure_url;
-  user.kycLevel = 1;
-  await user.save();
-  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRY,
+  const job = await queueKycDocumentUpload(submission, {
+    cnicFront: tempFile(frontImage[0]),
+    cnicBack: tempFile(backImage[0]),
+    selfie: tempFile(selfieImage[0]),
   });
-  res.cookie("token", token, {
-    httpOnly: true,
-    maxAge: 3600000, // 1 hour
-    sameSite: "lax",
-    secure: process.env.NODE_ENV === "production",
+  retainUploads(req); // The upload job removes the temp files
+  res.status(200).json({
+    message: "KYC Level 1 submitted for review",
+    submissionId: submission._id,
+    status: submission.status,
+    uploadStatus: submission.uploadStatus,
+    jobId: job._id,
   });
-  res
-    .status(200)
-    .json({ message: "KYC Level 1 completed successfully", token });
 });
 
-// Handle user logout by clearing the token cookie
-const logout = async (req, res) => {
-  try {
-    // Clear the cookie regardless of its existence
-    res.clearCookie("token", {
-      httpOnly: true,
-      maxAge: 0,
-      sameSite: "lax",
-      secure: process.env.NODE_ENV === "production",
-    });
-    // Check if token exists in request cookies and log for debugging
-    if (!req.cookies || !req.cookies.token) {
-      console.log("No token found in request cookies during logout");
-    }
-    res.status(200).json({ message: "Logged out successfully" });
-  } catch (error) {
-    console.error("Logout error:", error.message);
-    res.status(500).json({ message: "Logout failed", error: error.message });
-  }
-};
+// Handle user logout by revoking the current session and clearing the auth cookies
+const logout = asyncHandler(async (req, res) => {
+  // Revoke server-side so the access and refresh tokens stop working immediately
+  await endSession(req.user._id, req.session._id, "logout");
+  clearAuthCookies(res);
+  res.status(200).json({ message: "Logged out successfully" });
+});
 
 // Function to resend OTP to user's email
 const resendOtp = asyncHandler(async (req, res) => {
   const { email } = req.body;
-  if (!email) {
-    res.status(400);
-    throw new Error("Email is required");
-  }
+  // Same limit and answer whether or not the account exists or is verified already
+  await limitOtpSends(res, email);
+
   const user = await User.findOne({ email });
-  if (!user) {
-    res.status(404);
-    throw new Error("User not found");
-  }
-  if (user.isVerified) {
-    res.status(400);
-    throw new Error("User is already verified");
+  if (user && !user.isVerified) {
+    const newOtp = generateOTP();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        otp: hashCode(newOtp), // Only the hash is stored
+        otpExpires: new Date(Date.now() + 10 * 60 * 1000),
+        otpAttempts: 0,
+      }
+    );
+    // Not awaited, so the response takes as long whether or not a code is sent
+    queueMail({
+      to: user.email,
+      template: "verifyEmail",
+      locale: user.locale,
+      data: {
+        name: `${user.firstName} ${user.lastName}`,
+        otp: newOtp,
+        minutes: 10,
+      },
+    }).catch((error) =>
+      console.error("Could not queue verification email:", error.message)
+    );
   }
-  const newOtp = generateOTP();
-  const otpExpires = new Date(Date.now() + 10 * 60 * 1000);
-  user.otp = newOtp;
-  user.otpExpires = otpExpires;
-  await user.save();
-  await transporter.sendMail({
-    from: `"Your App" <${process.env.MAIL_USER}>`,
-    to: email,
-    subject: "Your New OTP for Account Verification",
-    text: `Hello ${user.firstName} ${user.lastName},\nYour new OTP for account verification is: ${newOtp}\nPlease enter this OTP to verify within 10 minutes.`,
-    html: `<h2>Hello ${user.firstName} ${user.lastName},</h2><p>Your new OTP is: <strong>${newOtp}</strong></p><p>Verify within 10 minutes.</p>`,
+  res.status(200).json({
+    message:
+      "If this email belongs to an unverified account, a new code has been sent.",
   });
-  res.status(200).json({ message: "New OTP sent successfully" });
 });
 
-// Helper function to update sponsor levels recursively
-async function updateSponsorLevels(userId) {
-  const user = await User.findById(userId);
-  if (!user) return;
-
-  const directReferrals = user.sponsorTree.length;
-  if (directReferrals >= 3 && user.level < 1) {
-    user.level = 1;
-  }
-
-  const allReferrals = await User.find({ sponsorBy: user.sponsorId });
-  let totalLevel2Referrals = 0;
-  for (const referral of allReferrals) {
-    const subReferrals = await User.find({ sponsorBy: referral.sponsorId });
-    if (subReferrals.length >= 3 && referral.level < 2) {
-      referral.level = 2;
-      await referral.save();
-      totalLevel2Referrals += 1;
-    }
-  }
-  if (totalLevel2Referrals >= 3 && user.level < 2) {
-    user.level = 2;
-  }
-
-  const level3Referrals = await User.find({
-    level: 2,
-    sponsorBy: user.sponsorId,
-  });
-  let totalLevel3Referrals = 0;
-  for (const level2Referral of level3Referrals) {
-    const subSubReferrals = await User.find({
-      sponsorBy: level2Referral.sponsorId,
-      level: 2,
-    });
-    if (subSubReferrals.length >= 3 && level2Referral.level < 3) {
-      level2Referral.level = 3;
-      await level2Referral.save();
-      totalLevel3Referrals += 1;
-    }
-  }
-  if (totalLevel3Referrals >= 3 && user.level < 3) {
-    user.level = 3;
-  }
-
-  const level4Referrals = await User.find({
-    level: 3,
-    sponsorBy: user.sponsorId,
-  });
-  let totalLevel4Referrals = 0;
-  for (const level3Referral of level4Referrals) {
-    const subSubSubReferrals = await User.find({
-      sponsorBy: level3Referral.sponsorId,
-      level: 3,
-    });
-    if (subSubSubReferrals.length >= 3 && level3Referral.level < 4) {
-      level3Referral.level = 4;
-      await level3Referral.save();
-      totalLevel4Referrals += 1;
-    }
-  }
-  if (totalLevel4Referrals >= 3 && user.level < 4) {
-    user.level = 4;
-  }
-
-  if (user.level > 4) user.level = 4;
-  await user.save();
-
-  if (user.sponsorBy && user.sponsorBy !== "root") {
-    const parentSponsor = await User.findOne({ sponsorId: user.sponsorBy });
-    if (parentSponsor) {
-      await updateSponsorLevels(parentSponsor._id);
-    }
-  }
-}
-
 // Export all controller functions
 export {
   signupUser,
   verifyOTPUser,
   loginUser,
+  requestPhoneVerification,
+  verifyPhone,
+  requestLoginOtp,
+  loginWithOtp,
   forgotPassword,
   resetPassword,
   submitKYC,
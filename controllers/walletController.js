@@ -0,0 +1,189 @@
+// Importing required modules, models and services
+import asyncHandler from "express-async-handler";
+import Ride from "../models/rideModel.js";
+import LedgerTransaction from "../models/ledgerTransactionModel.js";
+import {
+  getOrCreateWallet,
+  getBalance,
+  getTransactions,
+  topUp,
+  refundRide,
+  reserveRefund,
+  releaseRefund,
+  settleRide,
+  toMajor,
+  toMinor,
+} from "../services/walletService.js";
+import {
+  distributeRideCommissions,
+  reverseRideCommissions,
+} from "../services/commissionService.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+
+// Function to return the authenticated user's wallet balance
+const getWallet = asyncHandler(async (req, res) => {
+  const wallet = await getOrCreateWallet(req.user._id);
+  const balance = await getBalance(wallet._id);
+  res.status(200).json({
+    walletId: wallet._id,
+    currency: wallet.currency,
+    balance: toMajor(balance),
+  });
+});
+
+// Function to list the user's wallet transactions, newest first
+const getWalletTransactions = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const wallet = await getOrCreateWallet(req.user._id);
+  const { transactions, total } = await getTransactions(wallet._id, {
+    page,
+    limit,
+  });
+  res.status(200).json({
+    transactions,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// Function to add funds to the user's wallet through the payment adapter
+const topUpWallet = asyncHandler(async (req, res) => {
+  const { amount, source } = req.body;
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (!idempotencyKey) {
+    throw new BadRequestError(
+      "Idempotency-Key header is required",
+      "IDEMPOTENCY_KEY_REQUIRED"
+    );
+  }
+
+  const { transaction, replayed } = await topUp({
+    user: req.user,
+    amount,
+    source,
+    idempotencyKey,
+  });
+  const wallet = await getOrCreateWallet(req.user._id);
+  res.status(replayed ? 200 : 201).json({
+    message: replayed ? "Top-up already processed" : "Wallet topped up",
+    transactionId: transaction._id,
+    balance: toMajor(await getBalance(wallet._id)),
+  });
+});
+
+// Load a ride by route parameter for the admin payment endpoints
+const findRide = async (req) => {
+  const ride = await Ride.findById(req.params.id);
+  if (!ride) {
+    throw new NotFoundError("Ride not found", "RIDE_NOT_FOUND");
+  }
+  return ride;
+};
+
+// Function to (re-)run settlement for a completed ride whose payment is still pending
+const settleRidePayment = asyncHandler(async (req, res) => {
+  const ride = await findRide(req);
+  if (ride.status !== "completed") {
+    throw new ConflictError(
+      "Only completed rides can be settled",
+      "RIDE_NOT_COMPLETED"
+    );
+  }
+  const settled = (await settleRide(ride)) || (await Ride.findById(ride._id));
+  await distributeRideCommissions(settled);
+  res.status(200).json({ message: "Ride settled", payment: settled.payment });
+});
+
+// Function to refund part or all of a paid ride to the rider's wallet
+const refundRidePayment = asyncHandler(async (req, res) => {
+  const { reason, amount: requested } = req.body;
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (!idempotencyKey) {
+    throw new BadRequestError(
+      "Idempotency-Key header is required",
+      "IDEMPOTENCY_KEY_REQUIRED"
+    );
+  }
+  const ride = await findRide(req);
+
+  // A retried request returns the refund it already issued
+  const previous = await LedgerTransaction.findOne({
+    idempotencyKey: `ride:${ride._id}:refund:${idempotencyKey}`,
+  });
+  if (previous) {
+    return res.status(200).json({
+      message: "Refund already processed",
+      transactionId: previous._id,
+      payment: ride.payment,
+    });
+  }
+
+  if (!["paid", "partially_refunded"].includes(ride.payment.status)) {
+    throw new ConflictError("Only paid rides can be refunded", "RIDE_NOT_PAID");
+  }
+  const remaining = ride.fare.amount - ride.payment.refundedAmount;
+  const amount = requested ?? remaining;
+  if (toMinor(amount) <= 0) {
+    throw new BadRequestError(
+      "Refund amount must be a positive number",
+      "INVALID_REFUND_AMOUNT"
+    );
+  }
+  if (toMinor(amount) > toMinor(remaining)) {
+    throw new BadRequestError(
+      `Refund cannot exceed the remaining ${remaining}`,
+      "REFUND_EXCEEDS_REMAINING"
+    );
+  }
+
+  // Reserve the amount first so concurrent refunds can't exceed the fare together, then
+  // post it; the reservation is given back if nothing was posted
+  let updated = await reserveRefund(ride, amount);
+  if (!updated) {
+    throw new ConflictError(
+      "The ride was refunded by another request; refresh and try again",
+      "REFUND_CONFLICT"
+    );
+  }
+  let posted;
+  try {
+    posted = await refundRide({
+      ride,
+      amount,
+      idempotencyKey,
+      reason,
+      admin: req.user,
+    });
+  } catch (error) {
+    await releaseRefund(ride._id, amount);
+    throw error;
+  }
+  const { transaction, replayed } = posted;
+  if (replayed) {
+    // A concurrent request with the same key posted the refund first
+    updated = await releaseRefund(ride._id, amount);
+  } else if (updated.payment.status === "refunded") {
+    // Referral commissions only stand for rides the rider actually paid for
+    await reverseRideCommissions(updated);
+  }
+  res.status(replayed ? 200 : 201).json({
+    message: replayed ? "Refund already processed" : "Refund issued",
+    transactionId: transaction._id,
+    payment: updated.payment,
+  });
+});
+
+// Export all controller functions
+export {
+  getWallet,
+  getWalletTransactions,
+  topUpWallet,
+  settleRidePayment,
+  refundRidePayment,
+};
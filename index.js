@@ -1,34 +1,77 @@
 // Importing required modules and configurations
 import "dotenv/config";
 import express from "express";
+import http from "http";
 import cookieParser from "cookie-parser";
-import errorHandler from "./middlewares/errorMiddleware.js"; // Import error handling middleware
+import errorHandler, { notFound } from "./middlewares/errorMiddleware.js"; // Import error handling middleware
+import requestId from "./middlewares/requestIdMiddleware.js";
 import connectDB from "./config/connectDB.js";
+import { initSocket } from "./config/socket.js";
+import { startStaleDriverSweeper } from "./services/shiftService.js";
+import { startJobWorker } from "./services/jobQueue.js";
+import { startTempUploadSweeper } from "./services/storage/index.js";
+import { startDocumentExpiryScheduler } from "./services/documentExpiryService.js";
+import { assertPaymentProvider } from "./services/payments/index.js";
+import "./services/jobs/index.js"; // Register background job handlers
 import cors from "cors";
 import userRoutes from "./routes/userRoutes.js";
 import driversRoutes from "./routes/driversRoutes.js"; // Updated from vehicleRoutes
+import adminRoutes from "./routes/adminRoutes.js";
+import rideRoutes from "./routes/rideRoutes.js";
+import fileRoutes from "./routes/fileRoutes.js";
+import fleetRoutes from "./routes/fleetRoutes.js";
 import "colors";
 
+// Refuse to start without a payment provider, or with the fake one in production
+assertPaymentProvider();
+
 // Initialize Express app
 const app = express();
 
-// Middleware setup for CORS, JSON parsing, URL-encoded data, and cookies
+// Behind a load balancer, TRUST_PROXY=<hops> makes req.ip the client address for per-IP limits
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY));
+}
+
+// Middleware setup for request IDs, CORS, JSON parsing, URL-encoded data, and cookies
+app.use(requestId); // Correlation ID on every response and error log
 app.use(cors({ origin: true, credentials: true })); // Allow all origins with credentials
 app.use(express.json()); // Parses JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Enables extended parsing for form data
 app.use(cookieParser()); // Parse cookies
 
-// Apply user and drivers routes
+// Apply user, drivers, admin, ride and file routes
 app.use("/api/user", userRoutes);
 app.use("/api/drivers", driversRoutes); // Updated from /api/vehicle
+app.use("/api/admin", adminRoutes);
+app.use("/api/rides", rideRoutes);
+app.use("/api/files", fileRoutes);
+app.use("/api/fleet", fleetRoutes);
 
 // Connect to MongoDB database
 connectDB();
 
-// Apply global error handling middleware
+// Periodically take offline drivers whose location heartbeat has gone stale
+startStaleDriverSweeper();
+
+// Remove temp uploads left behind by crashes or jobs that never ran
+startTempUploadSweeper();
+
+// Email document expiry reminders and suspend vehicles and drivers whose documents lapsed
+startDocumentExpiryScheduler();
+
+// Run background jobs (emails, uploads) in this process unless a separate worker does (npm run worker)
+if (process.env.JOB_WORKER !== "false") startJobWorker();
+
+// Answer unknown routes, then every error, in the standard error format
+app.use(notFound);
 app.use(errorHandler);
 
+// Create the HTTP server and attach the Socket.IO channel for real-time updates
+const server = http.createServer(app);
+initSocket(server);
+
 // Start the server on the specified port
-app.listen(process.env.PORT, () =>
+server.listen(process.env.PORT, () =>
   console.log(`Server started on port:${process.env.PORT.yellow}`)
-);
\ No newline at end of file
+);
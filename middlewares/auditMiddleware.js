@@ -0,0 +1,23 @@
+import { recordAudit } from "../services/auditService.js";
+
+// Audit middleware for back-office routes that change data: once the response is sent, the
+// action is recorded with who took it, its target (the :id route parameter) and outcome.
+// Must run after authHandler and validation so only checked input is stored.
+const audit = (action, targetType) => (req, res, next) => {
+  res.on("finish", () => {
+    recordAudit({
+      actorId: req.user._id,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId: req.params.id ?? null,
+      details: { ...req.params, ...req.body },
+      statusCode: res.statusCode,
+      requestId: req.id,
+      ip: req.ip,
+    });
+  });
+  next();
+};
+
+export default audit;
@@ -1,37 +1,25 @@
-// Importing required modules for handling asynchronous operations and JWT
+// Importing required modules for handling asynchronous operations and sessions
 import handler from "express-async-handler";
-import jwt from "jsonwebtoken";
-import userModel from "../models/userModel.js";
+import { UnauthorizedError } from "../utils/errors.js";
+import {
+  getAccessToken,
+  authenticateAccessToken,
+} from "../services/sessionService.js";
 
-// Authentication middleware to verify JWT tokens from cookies
+// Authentication middleware to verify access tokens from the Authorization header or cookies
 const authHandler = handler(async (req, res, next) => {
-  let token = req.cookies.token; // Extract token from cookies
+  let token = getAccessToken(req); // Bearer header first, then the "token" cookie
 
-  if (!token) {
-    res.status(401);
-    throw new Error("Token not found");
-  }
+  if (!token) throw new UnauthorizedError("Token not found", "TOKEN_MISSING");
 
-  try {
-    // Verify the token using the secret key from environment variables
-    let decode = jwt.verify(token, process.env.JWT_SECRET);
+  // Verify the token and make sure its session has not been revoked; the errors carry
+  // their status and code (TOKEN_INVALID, SESSION_REVOKED, ACCOUNT_SUSPENDED, ...)
+  const { user, session } = await authenticateAccessToken(token);
+  req.user = user;
+  req.session = session;
 
-    // Find the user in the database using the decoded ID from the token
-    req.user = await userModel.findById(decode.id);
-
-    // If user is not found, throw an error (handled by try-catch)
-    if (!req.user) {
-      res.status(401);
-      throw new Error("User not found");
-    }
-
-    // Proceed to the next middleware or route handler
-    next();
-  } catch (error) {
-    // Handle token verification errors (e.g., expired or invalid token)
-    res.status(401);
-    throw new Error("Invalid Token");
-  }
+  // Proceed to the next middleware or route handler
+  next();
 });
 
 export default authHandler;
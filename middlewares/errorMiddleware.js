@@ -1,7 +1,107 @@
-const errorHandler = (err, req, res, next) => {
-  res.json({
-    message: err.message,
+// Importing required modules and error types
+import mongoose from "mongoose";
+import {
+  defaultCode,
+  AppError,
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+} from "../utils/errors.js";
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+// Translate anything a route can throw into an AppError: typed errors as they are,
+// Mongoose validation, cast and duplicate-key errors with per-field details, body-parser
+// failures, and errors thrown after res.status(...) or carrying a service statusCode
+const toAppError = (err, res) => {
+  if (err instanceof AppError) return err;
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map((fieldError) => ({
+      field: fieldError.path,
+      message:
+        fieldError instanceof mongoose.Error.CastError
+          ? `${fieldError.path} is invalid`
+          : fieldError.message,
+    }));
+    return new ValidationError(
+      details[0]?.message || "Validation failed",
+      details
+    );
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    const message = `Invalid ${err.path}`;
+    return new BadRequestError(message, "INVALID_VALUE", [
+      { field: err.path, message },
+    ]);
+  }
+  if (err.code === 11000) {
+    // Name the fields, never the values, of a duplicate key
+    const fields = Object.keys(err.keyPattern || err.keyValue || {});
+    const details = fields.map((field) => ({
+      field,
+      message: `${field} is already in use`,
+    }));
+    return new ConflictError(
+      details[0]?.message || "Duplicate value",
+      "DUPLICATE_VALUE",
+      details
+    );
+  }
+  if (err.type === "entity.parse.failed") {
+    return new BadRequestError(
+      "Request body is not valid JSON",
+      "INVALID_JSON"
+    );
+  }
+  if (err.type === "entity.too.large") {
+    return new PayloadTooLargeError("Request body is too large");
+  }
+  const statusCode =
+    err.statusCode ||
+    (err.status >= 400 && err.status) ||
+    (res.statusCode >= 400 ? res.statusCode : 500);
+  return new AppError(err.message, {
+    statusCode,
+    code: typeof err.code === "string" && err.statusCode ? err.code : undefined,
   });
 };
 
-module.exports = errorHandler;
+// Error handler: answers { message, code, details?, requestId } with the error's status.
+// Server errors are logged with the request ID; production responses never carry stack
+// traces or the text of unexpected errors. Express spots error handlers by their four
+// parameters, so next stays even though it is only used once headers are sent.
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const error = toAppError(err, res);
+  const serverError = error.statusCode >= 500;
+  if (serverError) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, err);
+  }
+
+  const body = {
+    message:
+      serverError && isProduction() && !(err instanceof AppError)
+        ? "Something went wrong. Please try again later."
+        : error.message,
+    code: error.code || defaultCode(error.statusCode),
+    requestId: req.id,
+  };
+  if (error.details) body.details = error.details;
+  if (!isProduction()) body.stack = err.stack;
+  res.status(error.statusCode).json(body);
+};
+
+// Requests no route matched
+const notFound = (req, res, next) => {
+  next(
+    new NotFoundError(
+      `Route not found: ${req.method} ${req.originalUrl}`,
+      "ROUTE_NOT_FOUND"
+    )
+  );
+};
+
+export { notFound };
+export default errorHandler;
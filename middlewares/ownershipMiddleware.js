@@ -0,0 +1,19 @@
+import { ForbiddenError } from "../utils/errors.js";
+
+// Ownership middleware for self-service routes, which always act on the authenticated user.
+// A user ID given in the body must be the caller's own; staff act on other users through
+// the admin routes instead. Must run after authHandler and validation.
+const selfOnly =
+  (field = "userId") =>
+  (req, res, next) => {
+    const claimed = req.body?.[field];
+    if (claimed && !req.user._id.equals(claimed)) {
+      throw new ForbiddenError(
+        "You can only act on your own account",
+        "NOT_ACCOUNT_OWNER"
+      );
+    }
+    next();
+  };
+
+export default selfOnly;
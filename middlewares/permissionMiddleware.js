@@ -0,0 +1,19 @@
+import { hasPermission } from "../config/permissions.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+// Authorization middleware requiring every listed permission; must run after authHandler
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (
+      !permissions.every((permission) => hasPermission(req.user, permission))
+    ) {
+      throw new ForbiddenError(
+        "You do not have permission to perform this action",
+        "PERMISSION_DENIED"
+      );
+    }
+    next();
+  };
+
+export default requirePermission;
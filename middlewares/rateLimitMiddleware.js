@@ -0,0 +1,17 @@
+// Importing required modules for handling asynchronous operations and rate limiting
+import handler from "express-async-handler";
+import { consumeLimit } from "../services/rateLimitService.js";
+
+// Per-IP limiter for a route; every request counts, over-limit requests get 429 with Retry-After
+const rateLimit = (name, policy) =>
+  handler(async (req, res, next) => {
+    await consumeLimit(
+      res,
+      `${name}:${req.ip}`,
+      policy,
+      "Too many requests. Please try again later."
+    );
+    next();
+  });
+
+export default rateLimit;
@@ -0,0 +1,19 @@
+// Importing required modules
+import crypto from "crypto";
+
+// Caller-supplied IDs are only trusted when short and free of odd characters
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Correlation ID for each request: the caller's X-Request-Id (e.g. from a load balancer),
+// otherwise a new UUID. It is echoed in the response header and in error bodies and logs.
+const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+export default requestId;
@@ -0,0 +1,239 @@
+// Upload handling: multer saves request files to the temp upload directory, then each file
+// is checked against its field's rules (see config/uploads.js) and images are normalised
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import multer from "multer";
+import sharp from "sharp";
+import handler from "express-async-handler";
+import { STORAGE } from "../config/storage.js";
+import {
+  FILE_TYPES,
+  IMAGE_MAX_DIMENSION,
+  THUMBNAIL_DIMENSION,
+} from "../config/uploads.js";
+import { removeTempFiles } from "../services/storage/index.js";
+import {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+} from "../utils/errors.js";
+
+fs.mkdirSync(STORAGE.tempDir, { recursive: true });
+
+const tempPath = (extension) =>
+  path.join(STORAGE.tempDir, crypto.randomUUID() + extension);
+
+const storage = multer.diskStorage({
+  destination: STORAGE.tempDir,
+  filename: (req, file, cb) => cb(null, crypto.randomUUID()), // Extension is set once the content is known
+});
+
+// Files multer attached to the request, whichever upload method was used
+const requestFiles = (req) => [
+  ...(req.file ? [req.file] : []),
+  ...(Array.isArray(req.files)
+    ? req.files
+    : Object.values(req.files || {}).flat()),
+];
+
+// Temp paths (file and thumbnail) of uploaded files
+const filePaths = (files) =>
+  files.flatMap((file) => [file.path, file.thumbnailPath].filter(Boolean));
+
+// Delete the request's temp files once the response is sent or the connection drops,
+// unless the controller handed them to a background job with retainUploads(req)
+const cleanupUploads = (req, res, next) => {
+  res.on("close", () => {
+    if (req.uploadsRetained) return;
+    removeTempFiles(filePaths(requestFiles(req)));
+  });
+  next();
+};
+
+// Keep the temp files past the response; whoever takes them must delete them
+const retainUploads = (req) => {
+  req.uploadsRetained = true;
+};
+
+// What a background job needs to take over an uploaded file
+const tempFile = (file) => ({
+  path: file.path,
+  thumbnailPath: file.thumbnailPath || null,
+});
+
+// Validated temp files of a request, grouped by field
+const uploadedFiles = (req) =>
+  Object.fromEntries(
+    Object.entries(req.files || {}).map(([field, files]) => [
+      field,
+      files.map(tempFile),
+    ])
+  );
+
+// Identify a file from its leading bytes
+const detectFileType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  const header = Buffer.alloc(12);
+  try {
+    await handle.read(header, 0, 12, 0);
+  } finally {
+    await handle.close();
+  }
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (header.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return "image/png";
+  }
+  if (
+    header.toString("ascii", 0, 4) === "RIFF" &&
+    header.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  if (header.toString("ascii", 0, 5) === "%PDF-") return "application/pdf";
+  return null;
+};
+
+// Re-encode an image upright, without metadata and within the maximum size, plus a thumbnail
+const normaliseImage = async (file, type) => {
+  const format = FILE_TYPES[type].extension.slice(1).replace("jpg", "jpeg");
+  const outputPath = tempPath(FILE_TYPES[type].extension);
+  const thumbnailPath = tempPath(FILE_TYPES[type].extension);
+  const image = sharp(file.path).rotate(); // Apply the EXIF orientation before it is dropped
+  const resized = await image
+    .clone()
+    .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .toFormat(format)
+    .toFile(outputPath);
+  await image
+    .clone()
+    .resize(THUMBNAIL_DIMENSION, THUMBNAIL_DIMENSION, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .toFormat(format)
+    .toFile(thumbnailPath);
+  return { path: outputPath, thumbnailPath, size: resized.size };
+};
+
+// Reject a request's upload with an error type, code and a message naming the field
+const uploadError = (ErrorType, code, field, message) =>
+  new ErrorType(message, code, [{ field, message }]);
+
+const tooLarge = (field, rule) =>
+  uploadError(
+    PayloadTooLargeError,
+    "FILE_TOO_LARGE",
+    field,
+    `${field} must be at most ${rule.maxSize / (1024 * 1024)} MB`
+  );
+
+// Multer's limit errors, rephrased to name the field
+const multerError = (error, fields) => {
+  const rule = fields[error.field];
+  switch (error.code) {
+    case "LIMIT_FILE_SIZE":
+      return tooLarge(error.field, rule);
+    case "LIMIT_UNEXPECTED_FILE":
+      return rule
+        ? uploadError(
+            BadRequestError,
+            "TOO_MANY_FILES",
+            error.field,
+            `${error.field} accepts at most ${rule.maxCount} file(s)`
+          )
+        : uploadError(
+            BadRequestError,
+            "UNEXPECTED_FILE",
+            error.field,
+            `Unexpected file field: ${error.field}`
+          );
+    default:
+      return new BadRequestError(error.message, "UPLOAD_FAILED");
+  }
+};
+
+// Check every uploaded file against its field's rules and normalise images in place
+const validateUploads = (fields) =>
+  handler(async (req, res, next) => {
+    for (const [field, files] of Object.entries(req.files || {})) {
+      const rule = fields[field];
+      for (const file of files) {
+        if (file.size > rule.maxSize) throw tooLarge(field, rule);
+        const type = await detectFileType(file.path);
+        if (!rule.types.includes(type)) {
+          const allowed = rule.types.map((t) => FILE_TYPES[t].label);
+          throw uploadError(
+            UnsupportedMediaTypeError,
+            "UNSUPPORTED_FILE_TYPE",
+            field,
+            `${field} must be a ${allowed.slice(0, -1).join(", ")} or ${
+              allowed[allowed.length - 1]
+            } file`
+          );
+        }
+        const originalPath = file.path;
+        file.mimetype = type;
+        if (FILE_TYPES[type].image) {
+          let normalised;
+          try {
+            normalised = await normaliseImage(file, type);
+          } catch (error) {
+            throw uploadError(
+              BadRequestError,
+              "INVALID_IMAGE",
+              field,
+              `${field} could not be read as an image`
+            );
+          }
+          Object.assign(file, normalised);
+        } else {
+          file.path = tempPath(FILE_TYPES[type].extension);
+          await fs.promises.rename(originalPath, file.path);
+        }
+        await removeTempFiles([originalPath]);
+      }
+    }
+    next();
+  });
+
+// Middleware chain accepting the given fields, e.g. acceptUploads(UPLOADS.vehicle). A
+// validate(...) middleware given as well runs on the parsed form, before any file is
+// inspected or re-encoded.
+const acceptUploads = (fields, validation) => {
+  const parse = multer({
+    storage,
+    limits: {
+      fileSize: Math.max(...Object.values(fields).map((rule) => rule.maxSize)),
+      files: Object.values(fields).reduce(
+        (sum, rule) => sum + rule.maxCount,
+        0
+      ),
+    },
+  }).fields(
+    Object.entries(fields).map(([name, rule]) => ({
+      name,
+      maxCount: rule.maxCount,
+    }))
+  );
+  return [
+    cleanupUploads,
+    (req, res, next) =>
+      parse(req, res, (error) =>
+        next(
+          error instanceof multer.MulterError
+            ? multerError(error, fields)
+            : error
+        )
+      ),
+    ...(validation ? [validation] : []),
+    validateUploads(fields),
+  ];
+};
+
+export { acceptUploads, retainUploads, tempFile, uploadedFiles };
@@ -0,0 +1,39 @@
+// Route validation: validate({ params, query, body, files }) checks each declared part of the
+// request against its schema (see utils/validation.js) before the controller runs. The typed
+// values replace the raw ones, so undeclared fields never reach the controller; every
+// problem is reported at once as a ValidationError.
+import { checkFields } from "../utils/validation.js";
+import { ValidationError } from "../utils/errors.js";
+
+const PARTS = ["params", "query", "body"];
+
+const validate = (schema) => (req, res, next) => {
+  const details = [];
+  const checked = {};
+  for (const part of PARTS) {
+    if (!schema[part]) continue;
+    const { values, errors } = checkFields(schema[part], req[part] || {});
+    checked[part] = values;
+    details.push(...errors);
+  }
+  // Files are only required or not; multer has already rejected unknown fields
+  if (schema.files) {
+    details.push(...checkFields(schema.files, req.files || {}).errors);
+  }
+  if (details.length) {
+    return next(new ValidationError(details[0].message, details));
+  }
+
+  for (const [part, values] of Object.entries(checked)) {
+    // req.query is a getter in Express 5, so it is shadowed rather than assigned
+    Object.defineProperty(req, part, {
+      value: values,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+  next();
+};
+
+export default validate;
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A back-office action taken by staff, usually on another user's account or records
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  actorRole: { type: String, required: true }, // Role held when acting
+  action: { type: String, required: true }, // e.g. "user.suspend"
+  targetType: { type: String, required: true }, // e.g. "user", "vehicle", "kycSubmission"
+  targetId: { type: String, default: null }, // Route parameter naming the target, if any
+  details: { type: mongoose.Schema.Types.Mixed, default: {} }, // Validated request body
+  statusCode: { type: Number, required: true }, // Refused and failed attempts are kept too
+  requestId: { type: String },
+  ip: { type: String, default: "" },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", auditLogSchema);
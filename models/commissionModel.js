@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Referral commission earned by an upline from a ride taken by someone in their downline
+const commissionSchema = new mongoose.Schema({
+  beneficiaryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true, // Upline who earns the commission
+  },
+  sourceUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true, // Referred user whose ride generated it
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ride",
+    required: true,
+  },
+  generation: {
+    type: Number,
+    required: true,
+    min: 1, // 1 = direct sponsor of the rider, 2 = sponsor's sponsor, ...
+  },
+  rate: { type: Number, required: true }, // Percentage of the fare
+  amount: { type: Number, required: true }, // Same unit as Ride.fare.amount
+  currency: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["pending", "paid", "reversed"],
+    default: "pending",
+  },
+  ledgerTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LedgerTransaction", // Payout posting once paid
+  },
+  paidAt: { type: Date },
+  reversedAt: { type: Date },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One commission per upline per ride, so re-running distribution is harmless
+commissionSchema.index({ rideId: 1, beneficiaryId: 1 }, { unique: true });
+commissionSchema.index({ beneficiaryId: 1, generation: 1, status: 1 });
+
+export default mongoose.model("Commission", commissionSchema);
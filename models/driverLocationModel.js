@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Latest known GPS position of a driver, one document per driver
+const driverLocationSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Vehicle",
+    required: true, // Vehicle of the driver's current shift
+  },
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true }, // [longitude, latitude]
+  },
+  heading: { type: Number, min: 0, max: 360 }, // Degrees clockwise from north
+  speed: { type: Number, min: 0 }, // Metres per second as reported by the device
+  isOnline: {
+    type: Boolean,
+    default: false, // True while the driver has an active shift
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now, // Time of the last position heartbeat
+  },
+});
+
+driverLocationSchema.index({ location: "2dsphere" });
+
+export default mongoose.model("DriverLocation", driverLocationSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// A document expiry reminder that was sent, so each one goes out only once
+const expiryReminderSchema = new mongoose.Schema({
+  subjectId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Vehicle, or user for the license
+  document: { type: String, required: true }, // e.g. "insurance"
+  expiresAt: { type: Date, required: true }, // Renewing the document starts a new set of reminders
+  daysBefore: { type: Number, required: true },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+    index: { expireAfterSeconds: 400 * 24 * 60 * 60 }, // Kept a little over a year
+  },
+});
+
+expiryReminderSchema.index(
+  { subjectId: 1, document: 1, expiresAt: 1, daysBefore: 1 },
+  { unique: true }
+);
+
+export default mongoose.model("ExpiryReminder", expiryReminderSchema);
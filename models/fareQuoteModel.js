@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Price for one vehicle type within a quote, with the components that produced it
+const quotedFareSchema = new mongoose.Schema(
+  {
+    vehicleType: { type: String, required: true },
+    currency: { type: String, required: true },
+    amount: { type: Number, required: true },
+    baseFare: { type: Number, required: true },
+    distanceFare: { type: Number, required: true },
+    timeFare: { type: Number, required: true },
+    minimumFareApplied: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// Fares shown to a rider before booking; honoured until it expires or is used for a ride
+const fareQuoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  pickup: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true }, // [longitude, latitude]
+  },
+  dropoff: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true },
+  },
+  distanceKm: { type: Number, required: true },
+  durationMinutes: { type: Number, required: true },
+  country: { type: String, required: true }, // Tariff country the fares were priced with
+  fares: [quotedFareSchema],
+  usedAt: { type: Date, default: null }, // Set once a ride is booked with this quote
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }, // MongoDB removes quotes once they expire
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model("FareQuote", fareQuoteSchema);
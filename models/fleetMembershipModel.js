@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// A driver's place in a fleet, from invitation to removal. Invitations name an email or
+// phone number and are accepted by the user who has verified it.
+const fleetMembershipSchema = new mongoose.Schema({
+  fleetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Fleet",
+    required: true,
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null, // Set when the invitation is accepted
+  },
+  email: { type: String, lowercase: true, trim: true }, // Invited address, if invited by email
+  phoneNumber: { type: String, trim: true }, // Invited number, if invited by phone
+  status: {
+    type: String,
+    enum: ["invited", "active", "declined", "removed"],
+    default: "invited",
+  },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  respondedAt: { type: Date, default: null },
+  removedAt: { type: Date, default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now, // Time of the invitation
+  },
+});
+
+// A driver drives for one fleet at a time
+fleetMembershipSchema.index(
+  { driverId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+fleetMembershipSchema.index({ fleetId: 1, status: 1 });
+// One open invitation per contact and fleet; also finds a user's invitations
+fleetMembershipSchema.index(
+  { email: 1, fleetId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: "invited", email: { $type: "string" } },
+  }
+);
+fleetMembershipSchema.index(
+  { phoneNumber: 1, fleetId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: "invited",
+      phoneNumber: { $type: "string" },
+    },
+  }
+);
+
+export default mongoose.model("FleetMembership", fleetMembershipSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Company share of a fleet driver's earnings when the fleet doesn't set its own
+const DEFAULT_COMPANY_SHARE_PERCENT =
+  Number(process.env.FLEET_COMPANY_SHARE_PERCENT) || 20;
+
+// A company whose owner registers vehicles and assigns them to the drivers it invites
+const fleetSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true, // One fleet per fleet-owner account
+  },
+  name: {
+    type: String,
+    required: [true, "Fleet name is required"],
+    trim: true,
+  },
+  companySharePercent: {
+    type: Number,
+    default: DEFAULT_COMPANY_SHARE_PERCENT, // Of the driver's earnings after the platform commission
+    min: [0, "Company share must be between 0 and 100"],
+    max: [100, "Company share must be between 0 and 100"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model("Fleet", fleetSchema);
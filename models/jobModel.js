@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// A unit of background work picked up by a job worker (see services/jobQueue.js)
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // Name of the registered handler, e.g. "sendEmail"
+  payload: { type: mongoose.Schema.Types.Mixed, default: null },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null, // User the job was queued for, who may query its status
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "dead"], // "dead" = gave up after maxAttempts
+    default: "queued",
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  runAt: {
+    type: Date,
+    default: Date.now, // Not picked up before this time; pushed back after each failure
+  },
+  lockedAt: { type: Date, default: null }, // When a worker claimed the current attempt
+  lockedBy: { type: String, default: null },
+  lastError: { type: String, default: null },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  sensitive: {
+    type: Boolean,
+    default: false, // Payload (e.g. a one-time code) is erased once the job finishes
+  },
+  completedAt: { type: Date, default: null },
+  failedAt: { type: Date, default: null },
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: { expireAfterSeconds: 0 }, // Completed jobs are removed after the retention period
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+
+export default mongoose.model("Job", jobSchema);
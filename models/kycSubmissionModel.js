@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// A single document within a KYC submission and the reviewer's verdict on it
+const kycDocumentSchema = new mongoose.Schema(
+  {
+    url: { type: String, default: null }, // Stored file (see services/storage), set once the upload job finishes
+    thumbnailUrl: { type: String, default: null },
+    rejectionReason: { type: String, default: null, trim: true }, // Set by the reviewer when this document is rejected
+  },
+  { _id: false }
+);
+
+const kycSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  level: {
+    type: Number,
+    enum: [1, 2], // KYC level this submission unlocks once approved
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+    index: true,
+  },
+  uploadStatus: {
+    type: String,
+    enum: ["uploading", "ready", "failed"], // Documents can only be reviewed once "ready"
+    default: "ready",
+  },
+  // Level 1 profile details, copied onto the user when the submission is approved
+  fullName: { type: String, trim: true },
+  country: { type: String, trim: true },
+  gender: { type: String, enum: ["Male", "Female", "Other"] },
+  licenseExpiryDate: { type: Date }, // Level 2 only
+  documents: {
+    cnicFront: { type: kycDocumentSchema, default: undefined },
+    cnicBack: { type: kycDocumentSchema, default: undefined },
+    selfie: { type: kycDocumentSchema, default: undefined },
+    license: { type: kycDocumentSchema, default: undefined },
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String, trim: true }, // Optional overall comment from the reviewer
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+kycSubmissionSchema.index({ userId: 1, level: 1, createdAt: -1 });
+
+export default mongoose.model("KycSubmission", kycSubmissionSchema);
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+// One side of a posting; amounts are integers in the currency's minor unit (e.g. paisa)
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    walletId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, "Entry amount must be positive"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Entry amount must be an integer number of minor units",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Balanced, append-only posting; the unique idempotency key makes retries safe
+const ledgerTransactionSchema = new mongoose.Schema({
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  kind: {
+    type: String,
+    enum: [
+      "topup",
+      "ride_charge",
+      "driver_earning",
+      "refund",
+      "commission",
+      "commission_reversal",
+    ],
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+  },
+  entries: {
+    type: [ledgerEntrySchema],
+    validate: {
+      // Double-entry: at least two entries and debits must equal credits
+      validator: (entries) => {
+        if (entries.length < 2) return false;
+        const sum = (direction) =>
+          entries
+            .filter((e) => e.direction === direction)
+            .reduce((total, e) => total + e.amount, 0);
+        return sum("debit") === sum("credit");
+      },
+      message: "Ledger transaction must balance debits and credits",
+    },
+  },
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride" },
+  paymentReference: { type: String }, // Provider reference for top-ups
+  description: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ledgerTransactionSchema.index({ "entries.walletId": 1, createdAt: -1 });
+
+// Postings are immutable: corrections are made with new, offsetting transactions
+const rejectMutation = function () {
+  throw new Error("Ledger transactions are append-only");
+};
+for (const operation of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  ledgerTransactionSchema.pre(operation, rejectMutation);
+}
+ledgerTransactionSchema.pre("save", function (next) {
+  if (!this.isNew)
+    return next(new Error("Ledger transactions are append-only"));
+  next();
+});
+
+export default mongoose.model("LedgerTransaction", ledgerTransactionSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// A fixed-window attempt counter shared by every server instance (RATE_LIMIT_STORE=mongo)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true, // e.g. "login-ip:1.2.3.4" or "login-fail:user@example.com"
+  },
+  count: { type: Number, default: 0 },
+  resetAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }, // MongoDB removes counters once their window ends
+  },
+});
+
+export default mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+
+// GeoJSON point stored as [longitude, latitude]
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (c) => c.length === 2,
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const rideSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null, // Set when a driver accepts the ride
+    index: true,
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Vehicle",
+    default: null, // Vehicle the accepting driver uses for this ride
+  },
+  vehicleType: {
+    type: String,
+    enum: ["bike", "minicar", "accar", "luxurycar", "premium"], // Mirrors Vehicle.vehicleType
+    required: [true, "Vehicle type is required"],
+  },
+  wheelchair: {
+    type: Boolean,
+    default: false, // Rider needs a wheelchair-accessible vehicle
+  },
+  pickup: { type: pointSchema, required: true },
+  pickupAddress: { type: String, trim: true },
+  dropoff: { type: pointSchema, required: true },
+  dropoffAddress: { type: String, trim: true },
+  fare: {
+    quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "FareQuote" }, // Quote the rider accepted
+    amount: { type: Number, required: true },
+    currency: { type: String, required: true },
+    distanceKm: { type: Number },
+    durationMinutes: { type: Number },
+  },
+  // Fleet the vehicle belonged to when the ride was accepted, with the split then in force
+  fleet: {
+    fleetId: { type: mongoose.Schema.Types.ObjectId, ref: "Fleet" },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    companySharePercent: { type: Number },
+  },
+  // How the fare was divided at settlement; same unit as fare.amount
+  earnings: {
+    driver: { type: Number },
+    company: { type: Number }, // Fleet rides only
+    platform: { type: Number },
+  },
+  payment: {
+    status: {
+      type: String,
+      enum: ["pending", "paid", "partially_refunded", "refunded"],
+      default: "pending", // Becomes "paid" once the ride is settled through the wallet ledger
+    },
+    paidAt: { type: Date },
+    refundedAmount: { type: Number, default: 0 }, // Same unit as fare.amount
+  },
+  status: {
+    type: String,
+    enum: [
+      "requested", // Waiting for a driver
+      "accepted", // Driver is on the way to pickup
+      "arrived", // Driver is waiting at pickup
+      "in_progress", // Rider on board
+      "completed",
+      "cancelled",
+    ],
+    default: "requested",
+    index: true,
+  },
+  cancelledBy: {
+    type: String,
+    enum: ["customer", "driver"],
+  },
+  cancellationReason: { type: String, trim: true },
+  acceptedAt: { type: Date },
+  arrivedAt: { type: Date },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  cancelledAt: { type: Date },
+  createdAt: {
+    type: Date,
+    default: Date.now, // Time the ride was requested
+  },
+});
+
+rideSchema.index({ pickup: "2dsphere" });
+rideSchema.index({ "fleet.fleetId": 1, driverId: 1, completedAt: -1 });
+
+export default mongoose.model("Ride", rideSchema);
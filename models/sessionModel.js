@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// A signed-in device; access tokens name their session so it can be revoked server-side
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  refreshTokenHash: { type: String, required: true }, // SHA-256 of the current refresh token
+  previousTokenHash: { type: String, default: null }, // Last rotated-out token, kept to detect reuse
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: [
+      "logout",
+      "revoked",
+      "revoked_all",
+      "password_reset",
+      "token_reuse",
+      "suspended",
+    ],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }, // MongoDB removes sessions once the refresh token expires
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+export default mongoose.model("Session", sessionSchema);
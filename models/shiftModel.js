@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// A continuous period a driver spends online with one vehicle
+const shiftSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Vehicle",
+    required: true,
+  },
+  fleetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Fleet",
+    default: null, // Fleet of the vehicle, so fleet owners can see shifts driven for them
+  },
+  status: {
+    type: String,
+    enum: ["active", "ended"],
+    default: "active",
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  endedAt: { type: Date, default: null },
+  onlineDuration: { type: Number, default: 0 }, // Seconds online, set when the shift ends
+  endReason: {
+    type: String,
+    // "stale" = auto-offlined after missed location heartbeats, "suspended" = vehicle suspended,
+    // "unassigned" = the fleet took the vehicle away from the driver
+    enum: ["manual", "stale", "suspended", "unassigned"],
+  },
+});
+
+// A driver can only have one active shift at a time
+shiftSchema.index(
+  { driverId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+shiftSchema.index({ driverId: 1, startedAt: -1 });
+shiftSchema.index({ fleetId: 1, driverId: 1, startedAt: -1 });
+
+export default mongoose.model("Shift", shiftSchema);
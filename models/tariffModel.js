@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Admin-editable pricing for one vehicle type in one country
+const tariffSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: [true, "Country is required"],
+    trim: true,
+    lowercase: true, // Matched case-insensitively against User.country; "default" applies everywhere else
+  },
+  vehicleType: {
+    type: String,
+    enum: ["bike", "minicar", "accar", "luxurycar", "premium"], // Mirrors Vehicle.vehicleType
+    required: [true, "Vehicle type is required"],
+  },
+  currency: {
+    type: String,
+    required: [true, "Currency is required"],
+    uppercase: true,
+    trim: true,
+  },
+  baseFare: { type: Number, required: true, min: 0 }, // Flat amount charged on every ride
+  perKm: { type: Number, required: true, min: 0 },
+  perMinute: { type: Number, required: true, min: 0 },
+  minimumFare: { type: Number, required: true, min: 0 }, // Floor applied after the other components are summed
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+tariffSchema.index({ country: 1, vehicleType: 1 }, { unique: true });
+
+export default mongoose.model("Tariff", tariffSchema);
@@ -2,6 +2,8 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
 import { v4 as uuidv4 } from "uuid"; // Import uuid for unique sponsorId
+import { ROLES } from "../config/permissions.js"; // Roles and what each may do
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "../config/branding.js";
 
 // Defining the user schema with validation rules
 const userSchema = new mongoose.Schema({
@@ -52,6 +54,14 @@ const userSchema = new mongoose.Schema({
     default: 0, // Starts at level 0
     max: 4, // Maximum level is 4
   },
+  referralCounts: {
+    // Verified direct referrals grouped by their level; maintained by sponsorLevelService
+    level0: { type: Number, default: 0 },
+    level1: { type: Number, default: 0 },
+    level2: { type: Number, default: 0 },
+    level3: { type: Number, default: 0 },
+    level4: { type: Number, default: 0 },
+  },
   sponsorBy: {
     type: String,
     trim: true, // Removes leading/trailing whitespace
@@ -73,39 +83,99 @@ const userSchema = new mongoose.Schema({
     type: String, // URL for driver's license image (Cloudinary)
     required: false,
   },
+  licenseExpiryDate: { type: Date, default: null }, // Copied from the approved KYC Level 2 submission
   gender: {
     type: String, // Optional gender field
     required: false,
     enum: ["Male", "Female", "Other"], // Restrict to these values
     trim: true,
   },
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES, // Language transactional emails are sent in
+    default: DEFAULT_LOCALE,
+  },
   kycLevel: {
     type: Number,
-    default: 0, // 0 = unverified, 1 = KYC Level 1 completed, 2 = KYC Level 2 completed
+    default: 0, // 0 = unverified, 1 = KYC Level 1 approved, 2 = KYC Level 2 approved (see KycSubmission)
   },
   otp: {
     type: String,
-    default: null, // Stores one-time password for verification
+    default: null, // Hash of the one-time password for verification (see utils/otp.js)
   },
   otpExpires: {
     type: Date, // Expiration time for OTP
     default: null,
   },
+  otpAttempts: {
+    type: Number,
+    default: 0, // Wrong guesses against the current OTP; it is invalidated at OTP_MAX_ATTEMPTS
+  },
   isVerified: {
     type: Boolean,
     default: false, // Tracks if user email is verified
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false, // Set once the user confirms a code texted to phoneNumber
+  },
+  phoneOtp: {
+    type: String,
+    default: null, // Hash of the texted code, for phone verification or OTP login
+  },
+  phoneOtpPurpose: {
+    type: String,
+    enum: ["verify", "login"],
+  },
+  phoneOtpExpires: {
+    type: Date,
+    default: null,
+  },
+  phoneOtpAttempts: {
+    type: Number,
+    default: 0, // Wrong guesses against the current texted code
+  },
   resetOtp: {
     type: String,
-    default: null, // Stores OTP for password reset
+    default: null, // Hash of the OTP for password reset
+  },
+  resetTokenHash: {
+    type: String,
+    default: null, // Hash of the single-use reset link token; expires with resetOtpExpires
   },
   resetOtpExpires: {
     type: Date, // Expiration time for password reset OTP
   },
+  resetOtpAttempts: {
+    type: Number,
+    default: 0, // Wrong guesses against the current reset OTP
+  },
   role: {
     type: String,
     default: "customer", // Default role is "customer", can switch to "driver"
-    enum: ["customer", "driver"], // Restricts role to these values
+    enum: ROLES, // Staff roles (admin, support, fleet_manager) are only assigned by admins
+  },
+  isSuspended: {
+    type: Boolean,
+    default: false, // Suspended users cannot log in and their sessions are revoked
+  },
+  suspendedAt: {
+    type: Date,
+    default: null,
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+  },
+  drivingSuspendedAt: {
+    type: Date,
+    default: null, // Set when the driver's license lapses; blocks going online until a renewal is approved
+  },
+  drivingSuspensionReason: { type: String, trim: true },
+  activeVehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Vehicle",
+    default: null, // Vehicle the driver goes online with when they don't name one
   },
   createdAt: {
     type: Date,
@@ -113,6 +183,14 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+// Supports downline lookups, which walk the tree from sponsorId to the referrals' sponsorBy
+userSchema.index({ sponsorBy: 1 });
+// Finds the account a password reset link belongs to
+userSchema.index(
+  { resetTokenHash: 1 },
+  { partialFilterExpression: { resetTokenHash: { $type: "string" } } }
+);
+
 // Hash password before saving to database
 userSchema.pre("save", async function (next) {
   if (this.isModified("password")) {
@@ -1,10 +1,35 @@
 import mongoose from "mongoose";
 
+// The reviewer's verdict on one uploaded document; reset to "pending" when it is re-uploaded
+const documentReviewSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    rejectionReason: { type: String, default: null, trim: true },
+    reviewedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const vehicleSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+    required: true, // Owner: the driver, or the fleet owner for company vehicles
+  },
+  fleetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Fleet",
+    default: null, // Set for vehicles registered under a fleet
+  },
+  assignedDriverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null, // Fleet driver currently allowed to drive this vehicle
+    index: true,
   },
   licenseImage: {
     type: String, // URL from Cloudinary, now set only via uploadLicense
@@ -17,9 +42,22 @@ const vehicleSchema = new mongoose.Schema({
   roadAuthorityCertificate: { type: String, required: false }, // URL from Cloudinary
   insuranceCertificate: { type: String, required: false }, // URL from Cloudinary
   vehicleImages: [{ type: String, required: false }], // Array of URLs from Cloudinary
+  // Thumbnails of the uploaded images above, by upload field (PDFs have none)
+  thumbnails: {
+    vehicleRegistrationCardFront: { type: String, default: null },
+    vehicleRegistrationCardBack: { type: String, default: null },
+    roadAuthorityCertificate: { type: String, default: null },
+    insuranceCertificate: { type: String, default: null },
+    vehicleImages: [{ type: String }],
+  },
   vehicleOwnerName: { type: String, required: false },
   companyName: { type: String, required: false },
-  vehiclePlateNumber: { type: String, required: false },
+  vehiclePlateNumber: {
+    type: String,
+    required: false,
+    trim: true,
+    uppercase: true, // Stored normalised so "lea 123" and "LEA 123" collide
+  },
   vehicleMakeModel: {
     type: String, // e.g., "Toyota Camry 2005"
     required: false,
@@ -28,23 +66,104 @@ const vehicleSchema = new mongoose.Schema({
       "Format should be 'Make Model Year' (e.g., 'Toyota Camry 2005')",
     ],
   },
-  chassisNumber: { type: String, required: false },
+  chassisNumber: {
+    type: String,
+    required: false,
+    trim: true,
+    uppercase: true,
+  },
   vehicleColor: { type: String, required: false },
   registrationExpiryDate: { type: Date, required: false },
+  insuranceExpiryDate: { type: Date, default: null },
+  roadAuthorityExpiryDate: { type: Date, default: null }, // Of the road authority certificate
   vehicleType: {
     type: String,
     enum: ["bike", "minicar", "accar", "luxurycar", "premium"],
     required: false,
   },
+  uploadStatus: {
+    type: String,
+    enum: ["uploading", "ready", "failed"], // State of the latest document upload
+    default: "ready",
+  },
+  uploadJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job",
+    default: null,
+  }, // Upload job in progress
+  status: {
+    type: String,
+    // draft -> submitted -> approved | rejected; rejected vehicles are resubmitted and approved
+    // ones can be suspended. Only approved vehicles can go online (see services/vehicleService.js)
+    enum: ["draft", "submitted", "approved", "rejected", "suspended"],
+    default: "draft",
+    index: true,
+  },
+  documentReviews: {
+    vehicleRegistrationCardFront: {
+      type: documentReviewSchema,
+      default: undefined,
+    },
+    vehicleRegistrationCardBack: {
+      type: documentReviewSchema,
+      default: undefined,
+    },
+    roadAuthorityCertificate: {
+      type: documentReviewSchema,
+      default: undefined,
+    },
+    insuranceCertificate: { type: documentReviewSchema, default: undefined },
+    vehicleImages: { type: documentReviewSchema, default: undefined }, // All photos are reviewed together
+  },
+  submittedAt: { type: Date, default: null },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, trim: true }, // Optional overall comment from the reviewer
+  suspendedAt: { type: Date, default: null },
+  suspensionReason: { type: String, trim: true },
+  autoSuspended: {
+    type: Boolean,
+    default: false, // Suspended because a document lapsed; uploading a renewal sends it back for review
+  },
   wheelchair: {
     type: Boolean,
     default: false,
     required: false,
   },
+  archived: {
+    type: Boolean,
+    default: false, // Retired by its owner: hidden from their list, can't go online or be reviewed
+  },
+  archivedAt: { type: Date, default: null },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// A plate or chassis number belongs to one live vehicle across the platform; archiving a
+// vehicle releases them so the car can be registered again (e.g. by a new owner)
+vehicleSchema.index(
+  { vehiclePlateNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      archived: false,
+      vehiclePlateNumber: { $type: "string" },
+    },
+  }
+);
+vehicleSchema.index(
+  { chassisNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      archived: false,
+      chassisNumber: { $type: "string" },
+    },
+  }
+);
+vehicleSchema.index({ userId: 1, archived: 1 });
+vehicleSchema.index({ fleetId: 1, archived: 1 });
+
 export default mongoose.model("Vehicle", vehicleSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A ledger account; balances are never stored here but derived from LedgerTransaction entries
+const walletSchema = new mongoose.Schema({
+  ownerType: {
+    type: String,
+    enum: ["user", "system"], // "system" wallets are the platform's side of every posting
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: undefined, // Set for user wallets only
+  },
+  systemCode: {
+    type: String,
+    default: undefined, // Set for system wallets only, e.g. "platform:cash"
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+walletSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { ownerType: "user" } }
+);
+walletSchema.index(
+  { systemCode: 1 },
+  { unique: true, partialFilterExpression: { ownerType: "system" } }
+);
+
+export default mongoose.model("Wallet", walletSchema);
@@ -0,0 +1,277 @@
+// Importing required modules and controllers
+import express from "express";
+import {
+  listKycSubmissions,
+  getKycSubmission,
+  approveKycSubmission,
+  rejectKycSubmission,
+} from "../controllers/kycController.js";
+import {
+  listVehicles,
+  getVehicle,
+  approveVehicleReview,
+  rejectVehicleReview,
+  suspendVehicleReview,
+  reinstateVehicleReview,
+} from "../controllers/adminVehicleController.js";
+import {
+  listTariffs,
+  upsertTariff,
+  deleteTariff,
+} from "../controllers/fareController.js";
+import {
+  settleRidePayment,
+  refundRidePayment,
+} from "../controllers/walletController.js";
+import {
+  listCommissions,
+  payoutCommissions,
+} from "../controllers/commissionController.js";
+import { rebuildSponsorLevels } from "../controllers/networkController.js";
+import {
+  listUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+} from "../controllers/adminUserController.js";
+import {
+  listJobs,
+  getJob,
+  retryDeadJob,
+} from "../controllers/jobController.js";
+import { listAuditLogs } from "../controllers/auditController.js";
+import { getNearbyDriverLocations } from "../controllers/rideController.js";
+import authHandler from "../middlewares/authMIddleware.js";
+import requirePermission from "../middlewares/permissionMiddleware.js";
+import validate from "../middlewares/validateMiddleware.js";
+import audit from "../middlewares/auditMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import * as schemas from "../schemas/adminSchemas.js";
+
+const router = express.Router();
+
+// Every back-office route requires an authenticated user; each route declares its permission
+// and the request schema it accepts, and routes that change data are recorded in the audit log
+router.use(authHandler);
+
+// KYC review queue: list with filters (status, level, userId, search, from, to, page, limit)
+router.get(
+  "/kyc",
+  requirePermission(PERMISSIONS.kycRead),
+  validate(schemas.listKycSubmissions),
+  listKycSubmissions
+);
+router.get(
+  "/kyc/:id",
+  requirePermission(PERMISSIONS.kycRead),
+  validate(schemas.kycSubmission),
+  getKycSubmission
+);
+
+// Approve a submission, raising the user's KYC level
+router.post(
+  "/kyc/:id/approve",
+  requirePermission(PERMISSIONS.kycReview),
+  validate(schemas.approveKycSubmission),
+  audit("kyc.approve", "kycSubmission"),
+  approveKycSubmission
+);
+
+// Reject a submission with per-document reasons, e.g. { reasons: { cnicFront: "Blurry" } }
+router.post(
+  "/kyc/:id/reject",
+  requirePermission(PERMISSIONS.kycReview),
+  validate(schemas.rejectKycSubmission),
+  audit("kyc.reject", "kycSubmission"),
+  rejectKycSubmission
+);
+
+// Vehicle review queue: list with filters (status, userId, search, page, limit) and details
+router.get(
+  "/vehicles",
+  requirePermission(PERMISSIONS.vehiclesRead),
+  validate(schemas.listVehicles),
+  listVehicles
+);
+router.get(
+  "/vehicles/:id",
+  requirePermission(PERMISSIONS.vehiclesRead),
+  validate(schemas.vehicle),
+  getVehicle
+);
+
+// Approve a submitted vehicle, or reject it with per-document reasons,
+// e.g. { reasons: { insuranceCertificate: "Expired" }, note }
+router.post(
+  "/vehicles/:id/approve",
+  requirePermission(PERMISSIONS.vehiclesReview),
+  validate(schemas.approveVehicle),
+  audit("vehicle.approve", "vehicle"),
+  approveVehicleReview
+);
+router.post(
+  "/vehicles/:id/reject",
+  requirePermission(PERMISSIONS.vehiclesReview),
+  validate(schemas.rejectVehicle),
+  audit("vehicle.reject", "vehicle"),
+  rejectVehicleReview
+);
+
+// Suspend an approved vehicle (optionally { reason }), taking its driver offline; reinstate lifts it
+router.post(
+  "/vehicles/:id/suspend",
+  requirePermission(PERMISSIONS.vehiclesManage),
+  validate(schemas.suspendVehicle),
+  audit("vehicle.suspend", "vehicle"),
+  suspendVehicleReview
+);
+router.post(
+  "/vehicles/:id/reinstate",
+  requirePermission(PERMISSIONS.vehiclesManage),
+  validate(schemas.vehicle),
+  audit("vehicle.reinstate", "vehicle"),
+  reinstateVehicleReview
+);
+
+// Fare tariffs per country ("default" applies where no country tariff exists)
+router.get(
+  "/tariffs",
+  requirePermission(PERMISSIONS.tariffsRead),
+  validate(schemas.listTariffs),
+  listTariffs
+);
+router.put(
+  "/tariffs/:country/:vehicleType",
+  requirePermission(PERMISSIONS.tariffsWrite),
+  validate(schemas.upsertTariff),
+  audit("tariff.upsert", "tariff"),
+  upsertTariff
+);
+router.delete(
+  "/tariffs/:country/:vehicleType",
+  requirePermission(PERMISSIONS.tariffsWrite),
+  validate(schemas.tariff),
+  audit("tariff.delete", "tariff"),
+  deleteTariff
+);
+
+// Ride payments: retry settlement, or refund to the rider's wallet (Idempotency-Key header required)
+router.post(
+  "/rides/:id/settle",
+  requirePermission(PERMISSIONS.paymentsSettle),
+  validate(schemas.ride),
+  audit("ride.settle", "ride"),
+  settleRidePayment
+);
+router.post(
+  "/rides/:id/refund",
+  requirePermission(PERMISSIONS.paymentsRefund),
+  validate(schemas.refundRide),
+  audit("ride.refund", "ride"),
+  refundRidePayment
+);
+
+// Referral commissions: list, and pay out pending ones (optionally { before: date })
+router.get(
+  "/commissions",
+  requirePermission(PERMISSIONS.commissionsRead),
+  validate(schemas.listCommissions),
+  listCommissions
+);
+router.post(
+  "/commissions/payout",
+  requirePermission(PERMISSIONS.commissionsPayout),
+  validate(schemas.payoutCommissions),
+  audit("commission.payout", "commission"),
+  payoutCommissions
+);
+
+// Recompute every sponsor level from scratch ({ dryRun: true } only reports changes)
+router.post(
+  "/sponsor-levels/rebuild",
+  requirePermission(PERMISSIONS.sponsorLevelsRebuild),
+  validate(schemas.rebuildSponsorLevels),
+  audit("sponsorLevels.rebuild", "sponsorLevels"),
+  rebuildSponsorLevels
+);
+
+// User management: list with filters (role, kycLevel, suspended, search, page, limit) and details
+router.get(
+  "/users",
+  requirePermission(PERMISSIONS.usersRead),
+  validate(schemas.listUsers),
+  listUsers
+);
+router.get(
+  "/users/:id",
+  requirePermission(PERMISSIONS.usersRead),
+  validate(schemas.user),
+  getUser
+);
+
+// Assign a role, e.g. { role: "support" }
+router.put(
+  "/users/:id/role",
+  requirePermission(PERMISSIONS.usersAssignRoles),
+  validate(schemas.updateUserRole),
+  audit("user.role", "user"),
+  updateUserRole
+);
+
+// Suspend (optionally { reason }) signs the user out everywhere; reactivate lifts it
+router.post(
+  "/users/:id/suspend",
+  requirePermission(PERMISSIONS.usersManage),
+  validate(schemas.suspendUser),
+  audit("user.suspend", "user"),
+  suspendUser
+);
+router.post(
+  "/users/:id/reactivate",
+  requirePermission(PERMISSIONS.usersManage),
+  validate(schemas.user),
+  audit("user.reactivate", "user"),
+  reactivateUser
+);
+
+// Background jobs: list with filters (status, type, page, limit), details, and retry of dead jobs
+router.get(
+  "/jobs",
+  requirePermission(PERMISSIONS.jobsManage),
+  validate(schemas.listJobs),
+  listJobs
+);
+router.get(
+  "/jobs/:id",
+  requirePermission(PERMISSIONS.jobsManage),
+  validate(schemas.job),
+  getJob
+);
+router.post(
+  "/jobs/:id/retry",
+  requirePermission(PERMISSIONS.jobsManage),
+  validate(schemas.job),
+  audit("job.retry", "job"),
+  retryDeadJob
+);
+
+// Live locations of online drivers near ?lat&lng, with their IDs and vehicles
+router.get(
+  "/drivers/nearby",
+  requirePermission(PERMISSIONS.driversTrack),
+  validate(schemas.nearbyDrivers),
+  getNearbyDriverLocations
+);
+
+// Audit log of back-office actions: list with filters (actorId, action, targetType,
+// targetId, from, to, page, limit)
+router.get(
+  "/audit-logs",
+  requirePermission(PERMISSIONS.auditRead),
+  validate(schemas.listAuditLogs),
+  listAuditLogs
+);
+
+// Export router for use in main application
+export default router;
@@ -4,55 +4,110 @@ import {
   handleVehicleDecision,
   registerVehicle,
   updateVehicle,
+  submitVehicleForReview,
+  listVehicles,
+  setActiveVehicle,
+  archiveOwnVehicle,
+  getDocumentExpirations,
   getUserVehicleInfo,
   getCurrentUser,
 } from "../controllers/driversController.js";
+import {
+  goOnline,
+  goOffline,
+  getAvailability,
+  getShifts,
+} from "../controllers/shiftController.js";
+import {
+  listFleetInvites,
+  acceptFleetInvite,
+  declineFleetInvite,
+} from "../controllers/fleetController.js";
 import authHandler from "../middlewares/authMIddleware.js";
-import multer from "multer";
-import path from "path";
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, "uploads/"),
-  filename: (req, file, cb) =>
-    cb(null, Date.now() + path.extname(file.originalname)),
-});
-const upload = multer({ storage });
+import { acceptUploads } from "../middlewares/uploadMiddleware.js";
+import validate from "../middlewares/validateMiddleware.js";
+import selfOnly from "../middlewares/ownershipMiddleware.js";
+import { UPLOADS } from "../config/uploads.js";
+import * as schemas from "../schemas/driversSchemas.js";
 
 const router = express.Router();
 
 router.post(
   "/upload-license",
   authHandler,
-  upload.single("licenseImage"),
+  acceptUploads(UPLOADS.license, validate(schemas.uploadLicense)),
+  selfOnly(),
   uploadLicense
 );
-router.post("/vehicle-decision", authHandler, handleVehicleDecision);
+router.post(
+  "/vehicle-decision",
+  authHandler,
+  validate(schemas.vehicleDecision),
+  selfOnly(),
+  handleVehicleDecision
+);
 router.post(
   "/register-vehicle",
   authHandler,
-  upload.fields([
-    { name: "vehicleRegistrationCardFront", maxCount: 1 },
-    { name: "vehicleRegistrationCardBack", maxCount: 1 },
-    { name: "roadAuthorityCertificate", maxCount: 1 },
-    { name: "insuranceCertificate", maxCount: 1 },
-    { name: "vehicleImages", maxCount: 4 },
-  ]),
+  acceptUploads(UPLOADS.vehicle, validate(schemas.registerVehicle)),
+  selfOnly(),
   registerVehicle
 );
 router.post(
   "/update-vehicle",
   authHandler,
-  upload.fields([
-    { name: "vehicleRegistrationCardFront", maxCount: 1 },
-    { name: "vehicleRegistrationCardBack", maxCount: 1 },
-    { name: "roadAuthorityCertificate", maxCount: 1 },
-    { name: "insuranceCertificate", maxCount: 1 },
-    { name: "vehicleImages", maxCount: 4 },
-  ]),
+  acceptUploads(UPLOADS.vehicle, validate(schemas.updateVehicle)),
   updateVehicle
 );
+// The driver's vehicles (?includeArchived=true), choosing the one to drive and retiring old ones
+router.get(
+  "/vehicles",
+  authHandler,
+  validate(schemas.listVehicles),
+  listVehicles
+);
+router.post(
+  "/vehicles/:id/activate",
+  authHandler,
+  validate(schemas.vehicleAction),
+  setActiveVehicle
+);
+router.post(
+  "/vehicles/:id/archive",
+  authHandler,
+  validate(schemas.vehicleAction),
+  archiveOwnVehicle
+);
+// Send a draft or rejected vehicle for review once all its documents are uploaded
+router.post(
+  "/vehicles/:id/submit",
+  authHandler,
+  validate(schemas.vehicleAction),
+  submitVehicleForReview
+);
+// Invitations to drive for a fleet, sent to the user's verified email or phone number
+router.get("/fleet-invites", authHandler, listFleetInvites);
+router.post(
+  "/fleet-invites/:id/accept",
+  authHandler,
+  validate(schemas.fleetInviteAction),
+  acceptFleetInvite
+);
+router.post(
+  "/fleet-invites/:id/decline",
+  authHandler,
+  validate(schemas.fleetInviteAction),
+  declineFleetInvite
+);
+// Expiry dates of the driver's vehicle documents and license, with days left
+router.get("/expirations", authHandler, getDocumentExpirations);
 router.get("/user-vehicle-info", authHandler, getUserVehicleInfo);
 router.get("/get-current-user", authHandler, getCurrentUser);
 
+// Availability: go online with { lat, lng, vehicleId? }, go offline, and shift history
+router.post("/online", authHandler, validate(schemas.goOnline), goOnline);
+router.post("/offline", authHandler, goOffline);
+router.get("/availability", authHandler, getAvailability);
+router.get("/shifts", authHandler, validate(schemas.listShifts), getShifts);
 
 export default router;
@@ -0,0 +1,13 @@
+// Importing required modules and controllers
+import express from "express";
+import { serveFile } from "../controllers/fileController.js";
+import validate from "../middlewares/validateMiddleware.js";
+import * as schemas from "../schemas/fileSchemas.js";
+
+const router = express.Router();
+
+// Files stored by the local storage backend: public/... as-is, private/... with ?expires=&signature=
+router.get("/*key", validate(schemas.serveFile), serveFile);
+
+// Export router for use in main application
+export default router;
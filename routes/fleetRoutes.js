@@ -0,0 +1,84 @@
+// Importing required modules and controllers
+import express from "express";
+import {
+  createFleet,
+  getFleet,
+  updateFleet,
+  listMembers,
+  inviteMember,
+  removeFleetMember,
+  getMemberShifts,
+  getMemberEarnings,
+  listFleetVehicles,
+  registerFleetVehicle,
+  submitFleetVehicle,
+  assignFleetVehicle,
+  unassignFleetVehicle,
+  archiveFleetVehicle,
+} from "../controllers/fleetController.js";
+import authHandler from "../middlewares/authMIddleware.js";
+import requirePermission from "../middlewares/permissionMiddleware.js";
+import { acceptUploads } from "../middlewares/uploadMiddleware.js";
+import validate from "../middlewares/validateMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { UPLOADS } from "../config/uploads.js";
+import * as schemas from "../schemas/fleetSchemas.js";
+
+const router = express.Router();
+
+// Fleet owners run their own company here; every route acts on the caller's fleet
+router.use(authHandler, requirePermission(PERMISSIONS.fleetManage));
+
+// The fleet itself: { name, companySharePercent } where the share is taken from drivers'
+// earnings after the platform commission
+router.post("/", validate(schemas.createFleet), createFleet);
+router.get("/", getFleet);
+router.put("/", validate(schemas.updateFleet), updateFleet);
+
+// Drivers: list (?status=active|invited|declined|removed), invite { email } or
+// { phoneNumber }, remove, and each driver's shifts and earnings (?from, to, page, limit)
+router.get("/members", validate(schemas.listMembers), listMembers);
+router.post("/members", validate(schemas.inviteMember), inviteMember);
+router.post("/members/:id/remove", validate(schemas.member), removeFleetMember);
+router.get(
+  "/members/:id/shifts",
+  validate(schemas.memberActivity),
+  getMemberShifts
+);
+router.get(
+  "/members/:id/earnings",
+  validate(schemas.memberActivity),
+  getMemberEarnings
+);
+
+// Company vehicles: register with documents, submit for review, assign { driverId } to a
+// fleet driver, unassign and archive. Details and documents are updated through
+// /api/drivers/update-vehicle like any vehicle the caller owns.
+router.get("/vehicles", validate(schemas.listVehicles), listFleetVehicles);
+router.post(
+  "/vehicles",
+  acceptUploads(UPLOADS.vehicle, validate(schemas.registerVehicle)),
+  registerFleetVehicle
+);
+router.post(
+  "/vehicles/:id/submit",
+  validate(schemas.vehicle),
+  submitFleetVehicle
+);
+router.post(
+  "/vehicles/:id/assign",
+  validate(schemas.assignVehicle),
+  assignFleetVehicle
+);
+router.post(
+  "/vehicles/:id/unassign",
+  validate(schemas.vehicle),
+  unassignFleetVehicle
+);
+router.post(
+  "/vehicles/:id/archive",
+  validate(schemas.vehicle),
+  archiveFleetVehicle
+);
+
+export default router;
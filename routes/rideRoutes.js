@@ -0,0 +1,57 @@
+// Importing required modules and controllers
+import express from "express";
+import {
+  requestRide,
+  getNearbyDrivers,
+  getAvailableRides,
+  acceptRide,
+  markArrived,
+  startRide,
+  completeRide,
+  cancelRide,
+  getRide,
+  getCurrentRide,
+  getRideHistory,
+} from "../controllers/rideController.js";
+import { estimateFare } from "../controllers/fareController.js";
+import authHandler from "../middlewares/authMIddleware.js";
+import validate from "../middlewares/validateMiddleware.js";
+import * as schemas from "../schemas/rideSchemas.js";
+
+const router = express.Router();
+
+// Every ride route requires an authenticated user
+router.use(authHandler);
+
+// Fare quote for every vehicle type between pickup/dropoff { lat, lng }; valid until expiresAt
+router.post("/estimate", validate(schemas.estimateFare), estimateFare);
+
+// Customer books a ride from a quoteId with a vehicleType and optional wheelchair flag
+router.post("/", validate(schemas.requestRide), requestRide);
+
+// Rider or driver history, and the ride currently in progress
+router.get("/", validate(schemas.rideHistory), getRideHistory);
+router.get("/current", getCurrentRide);
+
+// Online drivers near ?lat&lng, filtered by vehicleType and wheelchair, closest first; riders
+// only see vehicle type, rough distance and ETA (precise locations: /api/admin/drivers/nearby)
+router.get(
+  "/nearby-drivers",
+  validate(schemas.nearbyDrivers),
+  getNearbyDrivers
+);
+
+// Open requests a driver's vehicles can serve
+router.get("/available", getAvailableRides);
+
+router.get("/:id", validate(schemas.rideAction), getRide);
+
+// Lifecycle: requested -> accepted -> arrived -> in_progress -> completed, or cancelled before start
+router.post("/:id/accept", validate(schemas.rideAction), acceptRide);
+router.post("/:id/arrived", validate(schemas.rideAction), markArrived);
+router.post("/:id/start", validate(schemas.rideAction), startRide);
+router.post("/:id/complete", validate(schemas.rideAction), completeRide);
+router.post("/:id/cancel", validate(schemas.cancelRide), cancelRide);
+
+// Export router for use in main application
+export default router;
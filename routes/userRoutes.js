@@ -4,56 +4,219 @@ import {
   signupUser,
   verifyOTPUser,
   loginUser,
+  requestPhoneVerification,
+  verifyPhone,
+  requestLoginOtp,
+  loginWithOtp,
   forgotPassword,
   resetPassword,
   submitKYC,
   logout,
   resendOtp,
 } from "../controllers/userController.js";
-import multer from "multer";
-import path from "path";
+import { getKycStatus } from "../controllers/kycController.js";
+import { getMyJob } from "../controllers/jobController.js";
+import {
+  refreshAccessToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../controllers/sessionController.js";
+import {
+  getWallet,
+  getWalletTransactions,
+  topUpWallet,
+} from "../controllers/walletController.js";
+import { getMyCommissions } from "../controllers/commissionController.js";
+import {
+  getDownlineTree,
+  getDownlineStats,
+  getDownlineGeneration,
+  searchDownline,
+} from "../controllers/networkController.js";
 import authHandler from "../middlewares/authMIddleware.js"; // Correct casing
+import { acceptUploads } from "../middlewares/uploadMiddleware.js";
+import { UPLOADS } from "../config/uploads.js";
+import rateLimit from "../middlewares/rateLimitMiddleware.js";
+import validate from "../middlewares/validateMiddleware.js";
+import selfOnly from "../middlewares/ownershipMiddleware.js";
+import { RATE_LIMITS } from "../config/rateLimits.js";
+import * as schemas from "../schemas/userSchemas.js";
 
-// Multer setup for handling file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, "uploads/"), // Sets upload directory
-  filename: (req, file, cb) =>
-    cb(null, Date.now() + path.extname(file.originalname)), // Generates unique filename
-});
-const upload = multer({ storage }); // Initialize multer with storage configuration
+// Per-IP limits: every OTP email endpoint shares one budget, guesses are capped separately
+const limitOtpSendsPerIp = rateLimit("otp-send", RATE_LIMITS.otpSendsPerIp);
+const limitOtpGuessesPerIp = rateLimit(
+  "otp-verify",
+  RATE_LIMITS.verifyOtpPerIp
+);
 
 // Route to handle initial signup (send OTP)
 const router = express.Router();
-router.post("/signup", signupUser);
+router.post(
+  "/signup",
+  limitOtpSendsPerIp,
+  validate(schemas.signup),
+  signupUser
+);
 
 // Route to handle OTP verification and full registration
-router.post("/verify-otp", verifyOTPUser); // Renamed from /register
+router.post(
+  "/verify-otp",
+  limitOtpGuessesPerIp,
+  validate(schemas.verifyOtp),
+  verifyOTPUser
+); // Renamed from /register
 
 // Route to handle user login (no authentication required for initial login)
-router.post("/login", loginUser);
+router.post(
+  "/login",
+  rateLimit("login", RATE_LIMITS.loginPerIp),
+  validate(schemas.login),
+  loginUser
+);
+
+// Passwordless login for verified phone numbers: request a texted code, then log in with
+// { phoneNumber, otp } here or on /login, which share the login rate limit
+router.post(
+  "/login/otp/request",
+  limitOtpSendsPerIp,
+  validate(schemas.requestLoginOtp),
+  requestLoginOtp
+);
+router.post(
+  "/login/otp",
+  rateLimit("login", RATE_LIMITS.loginPerIp),
+  validate(schemas.loginWithOtp),
+  loginWithOtp
+);
+
+// Phone number verification by SMS code, requiring authentication
+router.post(
+  "/phone/send-otp",
+  authHandler,
+  limitOtpSendsPerIp,
+  requestPhoneVerification
+);
+router.post(
+  "/phone/verify",
+  authHandler,
+  limitOtpGuessesPerIp,
+  validate(schemas.verifyPhone),
+  verifyPhone
+);
+
+// Route to exchange a refresh token for a new token pair, no authentication required
+router.post(
+  "/refresh-token",
+  validate(schemas.refreshToken),
+  refreshAccessToken
+);
+
+// Signed-in devices: list them, sign one out, or sign out all (?keepCurrent=true keeps this one)
+router.get("/sessions", authHandler, getSessions);
+router.delete(
+  "/sessions",
+  authHandler,
+  validate(schemas.revokeAllSessions),
+  revokeAllSessions
+);
+router.delete(
+  "/sessions/:id",
+  authHandler,
+  validate(schemas.revokeSession),
+  revokeSession
+);
 
 // Route to handle forgot password request, no authentication required
-router.post("/forgot-password", forgotPassword);
+router.post(
+  "/forgot-password",
+  limitOtpSendsPerIp,
+  validate(schemas.forgotPassword),
+  forgotPassword
+);
 
-// Route to reset user password, requiring authentication
-router.post("/reset-password", authHandler, resetPassword);
+// Route to reset user password with the emailed OTP; signs out every device
+router.post(
+  "/reset-password",
+  limitOtpGuessesPerIp,
+  validate(schemas.resetPassword),
+  resetPassword
+);
 
-// Route to submit KYC Level 1 with CNIC images and selfie, requiring authentication
+// Route to submit the authenticated user's KYC Level 1 with CNIC images and selfie
 router.post(
   "/submit-kyc",
   authHandler,
-  upload.fields([
-    { name: "frontImage" },
-    { name: "backImage" },
-    { name: "selfieImage" },
-  ]),
+  acceptUploads(UPLOADS.kycLevel1, validate(schemas.submitKyc)),
+  selfOnly(),
   submitKYC
 );
 
+// Route to check the review status of the user's KYC submissions, requiring authentication
+router.get("/kyc-status", authHandler, getKycStatus);
+
+// Status of a background job queued for the user, e.g. the jobId returned by a KYC submission
+router.get("/jobs/:id", authHandler, validate(schemas.getJob), getMyJob);
+
+// Wallet balance, paginated transaction history and top-ups (Idempotency-Key header required)
+router.get("/wallet", authHandler, getWallet);
+router.get(
+  "/wallet/transactions",
+  authHandler,
+  validate(schemas.listPage),
+  getWalletTransactions
+);
+router.post(
+  "/wallet/top-up",
+  authHandler,
+  validate(schemas.topUp),
+  topUpWallet
+);
+
+// Referral commission earnings broken down by sponsor-tree generation
+router.get(
+  "/commissions",
+  authHandler,
+  validate(schemas.listPage),
+  getMyCommissions
+);
+
+// Downline explorer for the user's own sponsor network; ?root=<sponsorId> narrows to a member's subtree
+// Nested tree (?depth=&childLimit=), per-generation counts, one generation paged, and search (?q=)
+router.get(
+  "/downline",
+  authHandler,
+  validate(schemas.downlineTree),
+  getDownlineTree
+);
+router.get(
+  "/downline/stats",
+  authHandler,
+  validate(schemas.downlineStats),
+  getDownlineStats
+);
+router.get(
+  "/downline/generations/:generation",
+  authHandler,
+  validate(schemas.downlineGeneration),
+  getDownlineGeneration
+);
+router.get(
+  "/downline/search",
+  authHandler,
+  validate(schemas.downlineSearch),
+  searchDownline
+);
+
 router.post("/logout", authHandler, logout);
 
 // Route to resend OTP to user's email, requiring no authentication
-router.post("/resend-otp", resendOtp); // Keep as is
+router.post(
+  "/resend-otp",
+  limitOtpSendsPerIp,
+  validate(schemas.resendOtp),
+  resendOtp
+);
 
 // Export router for use in main application
 export default router;
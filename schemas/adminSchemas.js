@@ -0,0 +1,194 @@
+// Request schemas for /api/admin routes
+import Vehicle from "../models/vehicleModel.js";
+import KycSubmission from "../models/kycSubmissionModel.js";
+import Commission from "../models/commissionModel.js";
+import Job from "../models/jobModel.js";
+import { ROLES } from "../config/permissions.js";
+import {
+  string,
+  number,
+  integer,
+  boolean,
+  date,
+  objectId,
+} from "../utils/validation.js";
+import {
+  pagination,
+  dateRange,
+  idParam,
+  vehicleType,
+  reviewRejection,
+  reviewNote,
+  reason,
+} from "./common.js";
+import { nearbyDrivers } from "./rideSchemas.js";
+
+const search = string({ max: 100, label: "Search" });
+const userId = objectId({ label: "User ID" });
+
+const listKycSubmissions = {
+  query: {
+    status: string({
+      enum: KycSubmission.schema.path("status").enumValues,
+      label: "Status",
+    }),
+    level: integer({ min: 1, max: 2, label: "Level" }),
+    userId,
+    search,
+    ...dateRange,
+    ...pagination,
+  },
+};
+
+const kycSubmission = { params: idParam("Submission ID") };
+const approveKycSubmission = { ...kycSubmission, body: reviewNote };
+const rejectKycSubmission = { ...kycSubmission, body: reviewRejection };
+
+const listVehicles = {
+  query: {
+    status: string({
+      enum: Vehicle.schema.path("status").enumValues,
+      label: "Status",
+    }),
+    userId,
+    search,
+    archived: boolean({ default: false, label: "Archived" }),
+    ...pagination,
+  },
+};
+
+const vehicle = { params: idParam("Vehicle ID") };
+const approveVehicle = { ...vehicle, body: reviewNote };
+const rejectVehicle = { ...vehicle, body: reviewRejection };
+const suspendVehicle = { ...vehicle, body: reason };
+
+const listTariffs = {
+  query: { country: string({ max: 60, label: "Country" }) },
+};
+
+// "default" as the country sets the tariff used where a country has none
+const tariff = {
+  params: {
+    country: string({ required: true, max: 60, label: "Country" }),
+    vehicleType: vehicleType({ required: true }),
+  },
+};
+
+const fare = (label) => number({ required: true, min: 0, label });
+
+const upsertTariff = {
+  ...tariff,
+  body: {
+    currency: string({
+      required: true,
+      uppercase: true,
+      pattern: /^[A-Z]{3}$/,
+      patternMessage: "Currency must be a 3-letter code",
+      label: "Currency",
+    }),
+    baseFare: fare("baseFare"),
+    perKm: fare("perKm"),
+    perMinute: fare("perMinute"),
+    minimumFare: fare("minimumFare"),
+  },
+};
+
+const ride = { params: idParam("Ride ID") };
+
+// Without an amount the rest of the fare is refunded
+const refundRide = {
+  ...ride,
+  body: {
+    amount: number({ min: 0.01, label: "Refund amount" }),
+    ...reason,
+  },
+};
+
+const listCommissions = {
+  query: {
+    status: string({
+      enum: Commission.schema.path("status").enumValues,
+      label: "Status",
+    }),
+    beneficiaryId: objectId({ label: "beneficiaryId" }),
+    rideId: objectId({ label: "rideId" }),
+    ...pagination,
+  },
+};
+
+const payoutCommissions = {
+  body: { before: date({ default: () => new Date(), label: "before" }) },
+};
+
+const rebuildSponsorLevels = {
+  body: { dryRun: boolean({ default: false, label: "dryRun" }) },
+};
+
+const listUsers = {
+  query: {
+    role: string({ enum: ROLES, label: "Role" }),
+    kycLevel: integer({ min: 0, max: 2, label: "KYC level" }),
+    suspended: boolean({ label: "Suspended" }),
+    search,
+    ...pagination,
+  },
+};
+
+const user = { params: idParam("User ID") };
+const updateUserRole = {
+  ...user,
+  body: { role: string({ required: true, enum: ROLES, label: "Role" }) },
+};
+const suspendUser = { ...user, body: reason };
+
+const listJobs = {
+  query: {
+    status: string({
+      enum: Job.schema.path("status").enumValues,
+      label: "Status",
+    }),
+    type: string({ max: 60, label: "Type" }),
+    ...pagination,
+  },
+};
+
+const job = { params: idParam("Job ID") };
+
+const listAuditLogs = {
+  query: {
+    actorId: objectId({ label: "actorId" }),
+    action: string({ max: 60, label: "Action" }),
+    targetType: string({ max: 60, label: "Target type" }),
+    targetId: string({ max: 100, label: "Target ID" }),
+    ...dateRange,
+    ...pagination,
+  },
+};
+
+export {
+  listKycSubmissions,
+  kycSubmission,
+  approveKycSubmission,
+  rejectKycSubmission,
+  listVehicles,
+  vehicle,
+  approveVehicle,
+  rejectVehicle,
+  suspendVehicle,
+  listTariffs,
+  tariff,
+  upsertTariff,
+  ride,
+  refundRide,
+  listCommissions,
+  payoutCommissions,
+  rebuildSponsorLevels,
+  listUsers,
+  user,
+  updateUserRole,
+  suspendUser,
+  listJobs,
+  job,
+  listAuditLogs,
+  nearbyDrivers,
+};
@@ -0,0 +1,89 @@
+// Schema pieces shared by several routes
+import Vehicle from "../models/vehicleModel.js";
+import {
+  string,
+  integer,
+  boolean,
+  date,
+  objectId,
+  record,
+} from "../utils/validation.js";
+
+const VEHICLE_TYPES = Vehicle.schema.path("vehicleType").enumValues;
+
+// ?page=&limit= of a paginated list
+const pagination = {
+  page: integer({ min: 1, default: 1, label: "Page" }),
+  limit: integer({ min: 1, max: 100, default: 20, label: "Limit" }),
+};
+
+// ?from=&to= bounds of a date-filtered list
+const dateRange = {
+  from: date({ label: "From" }),
+  to: date({ label: "To" }),
+};
+
+// The :id route parameter, e.g. idParam("Vehicle ID")
+const idParam = (label) => ({ id: objectId({ required: true, label }) });
+
+// The userId older clients still send to self-service routes; the route acts on the
+// authenticated user, and selfOnly refuses anyone else's ID
+const ownUserId = { userId: objectId({ label: "User ID" }) };
+
+const vehicleType = (options = {}) =>
+  string({ enum: VEHICLE_TYPES, label: "Vehicle type", ...options });
+
+// Expiry dates of a vehicle's documents
+const vehicleExpiryDates = {
+  registrationExpiryDate: date({ label: "Registration expiry date" }),
+  insuranceExpiryDate: date({ label: "Insurance expiry date" }),
+  roadAuthorityExpiryDate: date({ label: "Road authority expiry date" }),
+};
+
+// Vehicle details a driver or fleet owner fills in; documents are uploaded as files
+const vehicleDetails = {
+  vehicleOwnerName: string({ max: 100, label: "Vehicle owner name" }),
+  companyName: string({ max: 100, label: "Company name" }),
+  vehiclePlateNumber: string({ max: 20, label: "Plate number" }),
+  vehicleMakeModel: string({ max: 100, label: "Make and model" }),
+  chassisNumber: string({ max: 50, label: "Chassis number" }),
+  vehicleColor: string({ max: 30, label: "Vehicle color" }),
+  vehicleType: vehicleType(),
+  ...vehicleExpiryDates,
+};
+
+// Per-document rejection reasons and an optional note, for KYC and vehicle reviews
+const reviewRejection = {
+  reasons: record(
+    string({
+      max: 500,
+      required: "Each rejection reason must be a non-empty string",
+    }),
+    {
+      required: "At least one document rejection reason is required",
+      label: "Reasons",
+    }
+  ),
+  note: string({ max: 1000, label: "Note" }),
+};
+
+const wheelchair = (options = {}) =>
+  boolean({ label: "Wheelchair", ...options });
+
+const reviewNote = { note: string({ max: 1000, label: "Note" }) };
+const reason = { reason: string({ max: 500, label: "Reason" }) };
+
+export {
+  VEHICLE_TYPES,
+  pagination,
+  dateRange,
+  idParam,
+  ownUserId,
+  vehicleType,
+  vehicleExpiryDates,
+  vehicleDetails,
+  wheelchair,
+  reviewRejection,
+  reviewNote,
+  reason,
+};
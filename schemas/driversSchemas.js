@@ -0,0 +1,86 @@
+// Request schemas for /api/drivers routes
+import {
+  string,
+  number,
+  boolean,
+  date,
+  objectId,
+  file,
+} from "../utils/validation.js";
+import {
+  pagination,
+  dateRange,
+  idParam,
+  ownUserId,
+  vehicleDetails,
+  wheelchair,
+} from "./common.js";
+
+const uploadLicense = {
+  body: {
+    ...ownUserId,
+    licenseExpiryDate: date({
+      required: "A valid licenseExpiryDate is required",
+      label: "licenseExpiryDate",
+    }),
+  },
+  files: {
+    licenseImage: file({
+      required: "License image is required for KYC Level 2",
+    }),
+  },
+};
+
+const vehicleDecision = {
+  body: {
+    ...ownUserId,
+    hasVehicle: string({
+      required: "Please select Yes or No for vehicle ownership",
+      enum: ["yes", "no"],
+      label: "hasVehicle",
+    }),
+  },
+};
+
+// Documents are only accepted as uploaded files, never as links in the body
+const registerVehicle = { body: { ...ownUserId, ...vehicleDetails } };
+
+const updateVehicle = {
+  body: {
+    vehicleId: objectId({ required: true, label: "Vehicle ID" }),
+    ...vehicleDetails,
+    wheelchair: wheelchair(),
+  },
+};
+
+const listVehicles = {
+  query: {
+    includeArchived: boolean({ default: false, label: "includeArchived" }),
+  },
+};
+
+const vehicleAction = { params: idParam("Vehicle ID") };
+
+const fleetInviteAction = { params: idParam("Invitation ID") };
+
+const goOnline = {
+  body: {
+    vehicleId: objectId({ label: "Vehicle ID" }),
+    lat: number({ required: true, min: -90, max: 90, label: "Latitude" }),
+    lng: number({ required: true, min: -180, max: 180, label: "Longitude" }),
+  },
+};
+
+const listShifts = { query: { ...pagination, ...dateRange } };
+
+export {
+  uploadLicense,
+  vehicleDecision,
+  registerVehicle,
+  updateVehicle,
+  listVehicles,
+  vehicleAction,
+  fleetInviteAction,
+  goOnline,
+  listShifts,
+};
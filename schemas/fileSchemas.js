@@ -0,0 +1,12 @@
+// Request schemas for /api/files routes
+import { string } from "../utils/validation.js";
+
+// Private files need the expiry and signature of a signed link
+const serveFile = {
+  query: {
+    expires: string({ max: 20, label: "expires" }),
+    signature: string({ max: 128, label: "signature" }),
+  },
+};
+
+export { serveFile };
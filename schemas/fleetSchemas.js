@@ -0,0 +1,89 @@
+// Request schemas for /api/fleet routes
+import FleetMembership from "../models/fleetMembershipModel.js";
+import {
+  string,
+  email,
+  number,
+  boolean,
+  objectId,
+} from "../utils/validation.js";
+import {
+  pagination,
+  dateRange,
+  idParam,
+  vehicleDetails,
+  wheelchair,
+} from "./common.js";
+
+const companySharePercent = number({
+  min: 0,
+  max: 100,
+  label: "Company share",
+});
+
+const createFleet = {
+  body: {
+    name: string({
+      required: "Fleet name is required",
+      max: 100,
+      label: "Fleet name",
+    }),
+    companySharePercent,
+  },
+};
+
+const updateFleet = {
+  body: {
+    name: string({ max: 100, label: "Fleet name" }),
+    companySharePercent,
+  },
+};
+
+const listMembers = {
+  query: {
+    status: string({
+      enum: FleetMembership.schema.path("status").enumValues,
+      default: "active",
+      label: "Status",
+    }),
+    ...pagination,
+  },
+};
+
+// Exactly one of email or phoneNumber, checked when the invitation is created
+const inviteMember = {
+  body: {
+    email: email({ label: "Email" }),
+    phoneNumber: string({ max: 20, label: "Phone number" }),
+  },
+};
+
+const member = { params: idParam("Member ID") };
+const memberActivity = { ...member, query: { ...pagination, ...dateRange } };
+
+const listVehicles = {
+  query: { archived: boolean({ default: false, label: "Archived" }) },
+};
+
+const registerVehicle = {
+  body: { ...vehicleDetails, wheelchair: wheelchair({ default: false }) },
+};
+
+const vehicle = { params: idParam("Vehicle ID") };
+const assignVehicle = {
+  ...vehicle,
+  body: { driverId: objectId({ required: true, label: "Driver ID" }) },
+};
+
+export {
+  createFleet,
+  updateFleet,
+  listMembers,
+  inviteMember,
+  member,
+  memberActivity,
+  listVehicles,
+  registerVehicle,
+  vehicle,
+  assignVehicle,
+};
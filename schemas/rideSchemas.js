@@ -0,0 +1,77 @@
+// Request schemas for /api/rides routes
+import {
+  string,
+  number,
+  integer,
+  objectId,
+  object,
+} from "../utils/validation.js";
+import { pagination, idParam, vehicleType, wheelchair } from "./common.js";
+
+const latitude = (options = {}) =>
+  number({ required: true, min: -90, max: 90, label: "Latitude", ...options });
+const longitude = (options = {}) =>
+  number({
+    required: true,
+    min: -180,
+    max: 180,
+    label: "Longitude",
+    ...options,
+  });
+
+// A { lat, lng } position
+const position = (label) =>
+  object(
+    {
+      lat: latitude({ label: `${label} latitude` }),
+      lng: longitude({ label: `${label} longitude` }),
+    },
+    { required: true, label }
+  );
+
+const estimateFare = {
+  body: { pickup: position("Pickup"), dropoff: position("Dropoff") },
+};
+
+const requestRide = {
+  body: {
+    quoteId: objectId({
+      required: "A valid fare quote ID is required",
+      label: "Fare quote ID",
+    }),
+    pickupAddress: string({ max: 300, label: "Pickup address" }),
+    dropoffAddress: string({ max: 300, label: "Dropoff address" }),
+    vehicleType: vehicleType({ required: true }),
+    wheelchair: wheelchair({ default: false }),
+  },
+};
+
+const rideHistory = { query: pagination };
+
+// Radius in metres
+const nearbyDrivers = {
+  query: {
+    lat: latitude(),
+    lng: longitude(),
+    vehicleType: vehicleType(),
+    wheelchair: wheelchair({ default: false }),
+    radius: number({ min: 1, max: 50000, default: 5000, label: "Radius" }),
+    limit: integer({ min: 1, max: 50, default: 10, label: "Limit" }),
+  },
+};
+
+const rideAction = { params: idParam("Ride ID") };
+
+const cancelRide = {
+  params: idParam("Ride ID"),
+  body: { reason: string({ max: 500, label: "Reason" }) },
+};
+
+export {
+  estimateFare,
+  requestRide,
+  rideHistory,
+  nearbyDrivers,
+  rideAction,
+  cancelRide,
+};
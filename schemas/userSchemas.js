@@ -0,0 +1,192 @@
+// Request schemas for /api/user routes
+import User from "../models/userModel.js";
+import { SUPPORTED_LOCALES } from "../config/branding.js";
+import { MAX_TREE_DEPTH, MAX_SEARCH_DEPTH } from "../config/network.js";
+import { MAX_TOP_UP_AMOUNT } from "../config/payments.js";
+import {
+  string,
+  email,
+  number,
+  integer,
+  boolean,
+  file,
+} from "../utils/validation.js";
+import { pagination, idParam, ownUserId } from "./common.js";
+
+const GENDERS = User.schema.path("gender").enumValues;
+
+// Passwords are taken as typed, spaces included
+const password = (options = {}) =>
+  string({ trim: false, min: 6, max: 128, label: "Password", ...options });
+const otp = (options = {}) =>
+  string({ max: 12, label: "OTP", required: true, ...options });
+const phoneNumber = (options = {}) =>
+  string({ max: 20, label: "Phone number", ...options });
+
+const signup = {
+  body: {
+    firstName: string({ required: true, max: 50, label: "First name" }),
+    lastName: string({ required: true, max: 50, label: "Last name" }),
+    email: email({ required: true, label: "Email" }),
+    phoneNumber: phoneNumber({ required: true }),
+    password: password({ required: true }),
+    sponsorBy: string({ max: 64, label: "Sponsor ID" }),
+    gender: string({ required: true, enum: GENDERS, label: "Gender" }),
+    locale: string({ enum: SUPPORTED_LOCALES, label: "Locale" }),
+  },
+};
+
+const verifyOtp = {
+  body: { email: email({ required: true, label: "Email" }), otp: otp() },
+};
+
+// Either email or phoneNumber identifies the account; a password proves it, or for a
+// phone number the code texted by /login/otp/request
+const login = {
+  body: {
+    email: email({ label: "Email" }),
+    phoneNumber: phoneNumber(),
+    password: string({ trim: false, label: "Password" }),
+    otp: otp({ required: false }),
+  },
+};
+
+const requestLoginOtp = {
+  body: { phoneNumber: phoneNumber({ required: true }) },
+};
+
+const loginWithOtp = {
+  body: { phoneNumber: phoneNumber({ required: true }), otp: otp() },
+};
+
+const verifyPhone = { body: { otp: otp() } };
+
+// The refresh token may come from its cookie instead
+const refreshToken = {
+  body: { refreshToken: string({ label: "Refresh token" }) },
+};
+
+const revokeSession = { params: idParam("Session ID") };
+
+const revokeAllSessions = {
+  query: { keepCurrent: boolean({ default: false, label: "keepCurrent" }) },
+};
+
+const forgotPassword = {
+  body: { email: email({ required: true, label: "Email" }) },
+};
+
+// The emailed OTP with its email, or the token from the emailed link
+const resetPassword = {
+  body: {
+    email: email({ label: "Email" }),
+    otp: otp({ required: false }),
+    token: string({ max: 128, label: "Reset token" }),
+    password: password({ required: true }),
+  },
+};
+
+const submitKyc = {
+  body: {
+    ...ownUserId,
+    fullName: string({ required: true, max: 100, label: "Full name" }),
+    country: string({ required: true, max: 60, label: "Country" }),
+    gender: string({ enum: GENDERS, label: "Gender" }),
+  },
+  files: {
+    frontImage: file({ required: true, label: "Front image" }),
+    backImage: file({ required: true, label: "Back image" }),
+    selfieImage: file({ required: true, label: "Selfie image" }),
+  },
+};
+
+const getJob = { params: idParam("Job ID") };
+
+const listPage = { query: pagination };
+
+const topUp = {
+  body: {
+    amount: number({
+      required: true,
+      min: 0.01,
+      max: MAX_TOP_UP_AMOUNT,
+      label: "Amount",
+    }),
+    source: string({ required: true, max: 200, label: "Payment source" }),
+  },
+};
+
+// ?root=<sponsorId> narrows every downline view to a member's subtree
+const downlineRoot = { root: string({ max: 64, label: "Root" }) };
+
+const downlineTree = {
+  query: {
+    ...downlineRoot,
+    depth: integer({ min: 1, max: MAX_TREE_DEPTH, default: 3, label: "Depth" }),
+    childLimit: integer({
+      min: 1,
+      max: 200,
+      default: 50,
+      label: "Child limit",
+    }),
+  },
+};
+
+const downlineStats = {
+  query: {
+    ...downlineRoot,
+    depth: integer({
+      min: 1,
+      max: MAX_SEARCH_DEPTH,
+      default: 10,
+      label: "Depth",
+    }),
+  },
+};
+
+const downlineGeneration = {
+  params: {
+    generation: integer({
+      required: true,
+      min: 1,
+      max: MAX_SEARCH_DEPTH,
+      label: "Generation",
+    }),
+  },
+  query: { ...downlineRoot, ...pagination },
+};
+
+const downlineSearch = {
+  query: {
+    ...downlineRoot,
+    q: string({ required: true, min: 2, max: 100, label: "Search query" }),
+    ...pagination,
+  },
+};
+
+const resendOtp = {
+  body: { email: email({ required: true, label: "Email" }) },
+};
+
+export {
+  signup,
+  verifyOtp,
+  login,
+  requestLoginOtp,
+  loginWithOtp,
+  verifyPhone,
+  refreshToken,
+  revokeSession,
+  revokeAllSessions,
+  forgotPassword,
+  resetPassword,
+  submitKyc,
+  getJob,
+  listPage,
+  topUp,
+  downlineTree,
+  downlineStats,
+  downlineGeneration,
+  downlineSearch,
+  resendOtp,
+};
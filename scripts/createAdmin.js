@@ -0,0 +1,51 @@
+// Admin command: bootstrap an admin account, or promote an existing user to admin
+// Usage: npm run create-admin -- --email admin@example.com [--password <pw>] [--first-name Jane]
+//        [--last-name Doe] [--phone +920000000000]
+// The password may also be given as ADMIN_PASSWORD so it stays out of shell history.
+import "dotenv/config";
+import mongoose from "mongoose";
+import "colors";
+import User from "../models/userModel.js";
+
+// Read "--name value" pairs from the command line
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const email = option("email")?.toLowerCase();
+const password = option("password") || process.env.ADMIN_PASSWORD;
+
+try {
+  if (!email) throw new Error("--email is required");
+  await mongoose.connect(process.env.MONGO_URL);
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    existing.role = "admin";
+    existing.isVerified = true;
+    existing.isSuspended = false;
+    if (password) existing.password = password;
+    await existing.save();
+    console.log(`Promoted ${email} (${existing._id}) to admin`.green);
+  } else {
+    const phoneNumber = option("phone");
+    if (!password) throw new Error("--password or ADMIN_PASSWORD is required");
+    if (!phoneNumber) throw new Error("--phone is required for a new account");
+    const admin = await User.create({
+      firstName: option("first-name") || "Admin",
+      lastName: option("last-name") || "User",
+      email,
+      phoneNumber,
+      password,
+      role: "admin",
+      isVerified: true,
+    });
+    console.log(`Created admin ${email} (${admin._id})`.green);
+  }
+} catch (error) {
+  console.error("Creating admin failed:", error.message.red);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,17 @@
+// Standalone background job worker, for running jobs outside the API servers
+// (start those with JOB_WORKER=false). Usage: npm run worker
+import "dotenv/config";
+import mongoose from "mongoose";
+import "colors";
+import { startJobWorker } from "../services/jobQueue.js";
+import "../services/jobs/index.js";
+
+try {
+  await mongoose.connect(process.env.MONGO_URL);
+  startJobWorker().ref(); // Keep the process alive for the worker
+  console.log(`Job worker started (pid ${process.pid})`.green);
+} catch (error) {
+  console.error("Job worker failed to start:", error.message.red);
+  process.exitCode = 1;
+  await mongoose.disconnect();
+}
@@ -0,0 +1,73 @@
+// Admin command: prepare existing vehicles for multi-vehicle support. Marks them as not
+// archived, normalises plate and chassis numbers, reports live duplicates (which must be
+// archived or corrected first) and then builds the unique indexes.
+// Usage: npm run migrate-vehicles [-- --dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import "colors";
+import Vehicle from "../models/vehicleModel.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const UNIQUE_FIELDS = ["vehiclePlateNumber", "chassisNumber"];
+
+try {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  if (!dryRun) {
+    await Vehicle.collection.updateMany(
+      { archived: { $exists: false } },
+      { $set: { archived: false, archivedAt: null } }
+    );
+    for (const field of UNIQUE_FIELDS) {
+      // Blank numbers are dropped; the rest are stored trimmed and upper-cased like new ones
+      await Vehicle.collection.updateMany({ [field]: /^\s*$/ }, [
+        { $unset: field },
+      ]);
+      await Vehicle.collection.updateMany({ [field]: { $type: "string" } }, [
+        { $set: { [field]: { $toUpper: { $trim: { input: `$${field}` } } } } },
+      ]);
+    }
+  }
+
+  let duplicates = 0;
+  for (const field of UNIQUE_FIELDS) {
+    const groups = await Vehicle.aggregate([
+      {
+        $match: {
+          archived: { $ne: true },
+          [field]: { $type: "string", $not: /^\s*$/ },
+        },
+      },
+      {
+        $group: {
+          _id: { $toUpper: { $trim: { input: `$${field}` } } },
+          vehicles: { $push: "$_id" },
+        },
+      },
+      { $match: { "vehicles.1": { $exists: true } } },
+    ]);
+    for (const group of groups) {
+      console.log(
+        `Duplicate ${field} ${group._id}: ${group.vehicles.join(", ")}`.yellow
+      );
+    }
+    duplicates += groups.length;
+  }
+
+  if (duplicates) {
+    throw new Error(
+      `${duplicates} duplicate number(s) found; archive or correct those vehicles and run again`
+    );
+  }
+  if (!dryRun) await Vehicle.createIndexes();
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Vehicles ${
+      dryRun ? "can be" : "are"
+    } migrated; no duplicate plate or chassis numbers`.green
+  );
+} catch (error) {
+  console.error("Vehicle migration failed:", error.message.red);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
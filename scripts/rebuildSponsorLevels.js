@@ -0,0 +1,31 @@
+// Admin command: recompute every user's sponsor level and referral counters from scratch
+// Usage: npm run rebuild-levels [-- --dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import "colors";
+import { rebuildAllLevels } from "../services/sponsorLevelService.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+try {
+  await mongoose.connect(process.env.MONGO_URL);
+  const report = await rebuildAllLevels({ dryRun });
+
+  for (const change of report.levelChanges) {
+    console.log(
+      `${change.sponsorId} (${change.userId}): level ${change.from} -> ${change.to}`
+    );
+  }
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Scanned ${report.usersScanned} users, ${
+      report.levelChanges.length
+    } level change(s), ${report.usersUpdated} user(s) ${
+      dryRun ? "would be " : ""
+    }updated`.green
+  );
+} catch (error) {
+  console.error("Sponsor level rebuild failed:", error.message.red);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
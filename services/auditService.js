@@ -0,0 +1,17 @@
+// Importing required models
+import AuditLog from "../models/auditLogModel.js";
+
+// Record a staff action; a failed write is logged but never fails the request it describes
+const recordAudit = async (entry) => {
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error(
+      `Could not record audit entry ${entry.action}:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+export { recordAudit };
@@ -0,0 +1,139 @@
+// Importing required models, config and ledger helpers
+import User from "../models/userModel.js";
+import Commission from "../models/commissionModel.js";
+import { COMMISSION_RATES, generationsForLevel } from "../config/commission.js";
+import {
+  SYSTEM_WALLETS,
+  getOrCreateWallet,
+  getSystemWallet,
+  postTransaction,
+  toMinor,
+  toMajor,
+} from "./walletService.js";
+
+// Create pending commissions for every eligible upline of the rider of a paid ride
+const distributeRideCommissions = async (ride) => {
+  if (ride.payment?.status !== "paid") return [];
+  const rider = await User.findById(ride.customerId).select("sponsorBy");
+  const fareMinor = toMinor(ride.fare.amount);
+
+  const commissions = [];
+  let sponsorId = rider?.sponsorBy;
+  for (
+    let generation = 1;
+    generation <= COMMISSION_RATES.length && sponsorId;
+    generation++
+  ) {
+    const upline = await User.findOne({ sponsorId }).select(
+      "level sponsorBy isVerified"
+    );
+    if (!upline) break;
+    // An upline only earns as many generations deep as their level allows
+    const amount = Math.floor(
+      (fareMinor * COMMISSION_RATES[generation - 1]) / 100
+    );
+    if (
+      upline.isVerified &&
+      generation <= generationsForLevel(upline.level) &&
+      amount > 0
+    ) {
+      commissions.push({
+        beneficiaryId: upline._id,
+        sourceUserId: ride.customerId,
+        rideId: ride._id,
+        generation,
+        rate: COMMISSION_RATES[generation - 1],
+        amount: toMajor(amount),
+        currency: ride.fare.currency,
+      });
+    }
+    sponsorId = upline.sponsorBy;
+  }
+  if (!commissions.length) return [];
+
+  try {
+    return await Commission.insertMany(commissions, { ordered: false });
+  } catch (error) {
+    // Duplicates mean distribution already ran for this ride; keep whatever was new
+    if (error.code === 11000) return error.insertedDocs || [];
+    throw error;
+  }
+};
+
+// Credit a pending commission to the upline's wallet and mark it paid
+const payCommission = async (commission) => {
+  const minor = toMinor(commission.amount);
+  const wallet = await getOrCreateWallet(commission.beneficiaryId);
+  const expense = await getSystemWallet(SYSTEM_WALLETS.commissions);
+  const { transaction } = await postTransaction({
+    idempotencyKey: `commission:${commission._id}:payout`,
+    kind: "commission",
+    currency: commission.currency,
+    rideId: commission.rideId,
+    description: `Referral commission (generation ${commission.generation})`,
+    entries: [
+      { walletId: expense._id, direction: "debit", amount: minor },
+      { walletId: wallet._id, direction: "credit", amount: minor },
+    ],
+  });
+  return Commission.findOneAndUpdate(
+    { _id: commission._id, status: "pending" },
+    {
+      status: "paid",
+      paidAt: new Date(),
+      ledgerTransactionId: transaction._id,
+    },
+    { new: true }
+  );
+};
+
+// Pay out every pending commission created before a cut-off date
+const payPendingCommissions = async (before = new Date()) => {
+  const pending = await Commission.find({
+    status: "pending",
+    createdAt: { $lte: before },
+  });
+  let paid = 0;
+  for (const commission of pending) {
+    if (await payCommission(commission)) paid++;
+  }
+  return { pending: pending.length, paid };
+};
+
+// Reverse all commissions of a fully refunded ride, clawing back any that were paid
+const reverseRideCommissions = async (ride) => {
+  const commissions = await Commission.find({
+    rideId: ride._id,
+    status: { $ne: "reversed" },
+  });
+  for (const commission of commissions) {
+    if (commission.status === "paid") {
+      const minor = toMinor(commission.amount);
+      const wallet = await getOrCreateWallet(commission.beneficiaryId);
+      const expense = await getSystemWallet(SYSTEM_WALLETS.commissions);
+      await postTransaction({
+        idempotencyKey: `commission:${commission._id}:reversal`,
+        kind: "commission_reversal",
+        currency: commission.currency,
+        rideId: commission.rideId,
+        description: "Referral commission reversed after refund",
+        entries: [
+          { walletId: wallet._id, direction: "debit", amount: minor },
+          { walletId: expense._id, direction: "credit", amount: minor },
+        ],
+      });
+    }
+    await Commission.updateOne(
+      { _id: commission._id },
+      { status: "reversed", reversedAt: new Date() }
+    );
+  }
+  return commissions.length;
+};
+
+export {
+  distributeRideCommissions,
+  payCommission,
+  payPendingCommissions,
+  reverseRideCommissions,
+};
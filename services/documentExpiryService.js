@@ -0,0 +1,234 @@
+// Importing required models and services
+import Vehicle from "../models/vehicleModel.js";
+import User from "../models/userModel.js";
+import ExpiryReminder from "../models/expiryReminderModel.js";
+import {
+  VEHICLE_EXPIRY_DATES,
+  expiredDocuments,
+  suspendVehicle,
+} from "./vehicleService.js";
+import { endShift } from "./shiftService.js";
+import { queueMail } from "./mail/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Reminders go out this many days before a document expires
+const REMINDER_DAYS = [30, 7, 1];
+const CHECK_INTERVAL_MS =
+  (Number(process.env.EXPIRY_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Vehicles that can still be driven, and so need their documents kept current
+const ACTIVE_VEHICLE_STATUSES = ["submitted", "approved"];
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+const daysUntil = (date, now) => Math.ceil((date - now) / DAY_MS);
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+// Every expiring document of a driver, soonest first: their vehicles' documents and license
+const getExpirations = async (user, now = new Date()) => {
+  const vehicles = await Vehicle.find({
+    userId: user._id,
+    status: { $ne: "draft" },
+    archived: false,
+  }).select(
+    `vehiclePlateNumber status ${Object.values(VEHICLE_EXPIRY_DATES).join(" ")}`
+  );
+  const expirations = [];
+  for (const vehicle of vehicles) {
+    for (const [document, field] of Object.entries(VEHICLE_EXPIRY_DATES)) {
+      if (!vehicle[field]) continue;
+      expirations.push({
+        document,
+        vehicleId: vehicle._id,
+        vehiclePlateNumber: vehicle.vehiclePlateNumber,
+        expiresAt: vehicle[field],
+      });
+    }
+  }
+  if (user.licenseExpiryDate) {
+    expirations.push({
+      document: "license",
+      expiresAt: user.licenseExpiryDate,
+    });
+  }
+  return expirations
+    .map((expiration) => {
+      const daysLeft = daysUntil(expiration.expiresAt, now);
+      return {
+        ...expiration,
+        daysLeft,
+        status:
+          daysLeft <= 0
+            ? "expired"
+            : daysLeft <= REMINDER_DAYS[0]
+            ? "expiring"
+            : "valid",
+      };
+    })
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+};
+
+// Email one reminder per threshold; the unique index makes concurrent sweeps send it once
+const remind = async ({ subjectId, document, expiresAt, user, plate }, now) => {
+  const daysLeft = daysUntil(expiresAt, now);
+  const daysBefore = [...REMINDER_DAYS]
+    .sort((a, b) => a - b)
+    .find((days) => daysLeft <= days);
+  if (!daysBefore) return false;
+  try {
+    await ExpiryReminder.create({ subjectId, document, expiresAt, daysBefore });
+  } catch (error) {
+    if (error.code === 11000) return false; // Already sent
+    throw error;
+  }
+  await queueMail({
+    to: user.email,
+    template: "documentExpiring",
+    locale: user.locale,
+    data: {
+      name: fullName(user),
+      document,
+      expiresOn: toDay(expiresAt),
+      daysLeft,
+      plate,
+    },
+  });
+  return true;
+};
+
+// Send the reminders that are due for vehicle documents and driver licenses
+const sendExpiryReminders = async (now = new Date()) => {
+  const window = {
+    $gt: now,
+    $lte: new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS),
+  };
+  let sent = 0;
+  for (const [document, field] of Object.entries(VEHICLE_EXPIRY_DATES)) {
+    const vehicles = await Vehicle.find({
+      [field]: window,
+      status: { $in: ACTIVE_VEHICLE_STATUSES },
+      archived: false,
+    }).populate("userId", "firstName lastName email locale");
+    for (const vehicle of vehicles) {
+      if (!vehicle.userId) continue;
+      const reminded = await remind(
+        {
+          subjectId: vehicle._id,
+          document,
+          expiresAt: vehicle[field],
+          user: vehicle.userId,
+          plate: vehicle.vehiclePlateNumber,
+        },
+        now
+      );
+      if (reminded) sent++;
+    }
+  }
+  const drivers = await User.find({ licenseExpiryDate: window });
+  for (const driver of drivers) {
+    const reminded = await remind(
+      {
+        subjectId: driver._id,
+        document: "license",
+        expiresAt: driver.licenseExpiryDate,
+        user: driver,
+      },
+      now
+    );
+    if (reminded) sent++;
+  }
+  return sent;
+};
+
+// Suspend approved vehicles and drivers whose documents have lapsed, and tell them why
+const suspendLapsed = async (now = new Date()) => {
+  let suspended = 0;
+  const vehicles = await Vehicle.find({
+    status: "approved",
+    archived: false,
+    $or: Object.values(VEHICLE_EXPIRY_DATES).map((field) => ({
+      [field]: { $lte: now },
+    })),
+  }).populate("userId", "firstName lastName email locale");
+  for (const vehicle of vehicles) {
+    const [lapsed] = expiredDocuments(vehicle, now);
+    try {
+      await suspendVehicle(
+        vehicle._id,
+        null,
+        `${lapsed.document} expired on ${toDay(lapsed.expiresAt)}`,
+        { automatic: true }
+      );
+    } catch (error) {
+      if (error.statusCode === 409) continue; // Changed status since it was loaded
+      throw error;
+    }
+    suspended++;
+    if (vehicle.userId) {
+      await queueMail({
+        to: vehicle.userId.email,
+        template: "documentExpired",
+        locale: vehicle.userId.locale,
+        data: {
+          name: fullName(vehicle.userId),
+          document: lapsed.document,
+          expiredOn: toDay(lapsed.expiresAt),
+          plate: vehicle.vehiclePlateNumber,
+        },
+      });
+    }
+  }
+
+  const drivers = await User.find({
+    licenseExpiryDate: { $lte: now },
+    drivingSuspendedAt: null,
+  });
+  for (const driver of drivers) {
+    const expiredOn = toDay(driver.licenseExpiryDate);
+    const { modifiedCount } = await User.updateOne(
+      { _id: driver._id, drivingSuspendedAt: null },
+      {
+        drivingSuspendedAt: now,
+        drivingSuspensionReason: `license expired on ${expiredOn}`,
+      }
+    );
+    if (!modifiedCount) continue;
+    suspended++;
+    await endShift(driver._id, "suspended");
+    await queueMail({
+      to: driver.email,
+      template: "documentExpired",
+      locale: driver.locale,
+      data: { name: fullName(driver), document: "license", expiredOn },
+    });
+  }
+  return suspended;
+};
+
+// Check document expiry on an interval for the lifetime of the process
+const startDocumentExpiryScheduler = () => {
+  const timer = setInterval(async () => {
+    try {
+      const now = new Date();
+      const suspended = await suspendLapsed(now);
+      const reminded = await sendExpiryReminders(now);
+      if (suspended || reminded) {
+        console.log(
+          `Document expiry: ${reminded} reminder(s) sent, ${suspended} suspension(s)`
+        );
+      }
+    } catch (error) {
+      console.error("Document expiry check failed:", error.message);
+    }
+  }, CHECK_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the scheduler
+  return timer;
+};
+
+export {
+  REMINDER_DAYS,
+  getExpirations,
+  sendExpiryReminders,
+  suspendLapsed,
+  startDocumentExpiryScheduler,
+};
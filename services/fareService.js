@@ -0,0 +1,133 @@
+// Importing required models and tariff defaults
+import Tariff from "../models/tariffModel.js";
+import FareQuote from "../models/fareQuoteModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_TARIFFS,
+  DEFAULT_COUNTRY,
+} from "../config/tariffs.js";
+
+const EARTH_RADIUS_KM = 6371;
+// Straight-line distance is scaled up to approximate the road distance actually driven
+const ROAD_DISTANCE_FACTOR = Number(process.env.FARE_ROAD_FACTOR) || 1.3;
+const AVERAGE_SPEED_KMH = Number(process.env.FARE_AVERAGE_SPEED_KMH) || 25;
+const QUOTE_TTL_MS = (Number(process.env.FARE_QUOTE_TTL_SECONDS) || 300) * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Great-circle distance in kilometres between two [lng, lat] pairs
+const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Minutes to drive a road distance at the average speed, at least one
+const drivingMinutes = (distanceKm) =>
+  Math.max(1, Math.round((distanceKm / AVERAGE_SPEED_KMH) * 60));
+
+// Estimate road distance and driving time between two GeoJSON points
+const estimateTrip = (pickup, dropoff) => {
+  const distanceKm =
+    haversineKm(pickup.coordinates, dropoff.coordinates) * ROAD_DISTANCE_FACTOR;
+  return {
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    durationMinutes: drivingMinutes(distanceKm),
+  };
+};
+
+// Estimated minutes for a driver to reach a rider a straight-line distance away
+const estimateArrival = (distanceMetres) =>
+  drivingMinutes((distanceMetres / 1000) * ROAD_DISTANCE_FACTOR);
+
+// Tariff per vehicle type for a country: country-specific, then the "default" row, then built-in defaults
+const resolveTariffs = async (country) => {
+  const key = (country || "").trim().toLowerCase() || DEFAULT_COUNTRY;
+  const rows = await Tariff.find({
+    country: { $in: [key, DEFAULT_COUNTRY] },
+  }).lean();
+  const vehicleTypes = Vehicle.schema.path("vehicleType").enumValues;
+  const tariffs = {};
+  for (const vehicleType of vehicleTypes) {
+    const tariff =
+      rows.find((t) => t.country === key && t.vehicleType === vehicleType) ||
+      rows.find(
+        (t) => t.country === DEFAULT_COUNTRY && t.vehicleType === vehicleType
+      );
+    tariffs[vehicleType] = tariff || {
+      country: DEFAULT_COUNTRY,
+      vehicleType,
+      currency: DEFAULT_CURRENCY,
+      ...DEFAULT_TARIFFS[vehicleType],
+    };
+  }
+  return { country: key, tariffs };
+};
+
+// Price a trip with a tariff: base + distance + time, never below the minimum fare
+const priceTrip = (tariff, distanceKm, durationMinutes) => {
+  const baseFare = roundMoney(tariff.baseFare);
+  const distanceFare = roundMoney(tariff.perKm * distanceKm);
+  const timeFare = roundMoney(tariff.perMinute * durationMinutes);
+  const total = roundMoney(baseFare + distanceFare + timeFare);
+  return {
+    vehicleType: tariff.vehicleType,
+    currency: tariff.currency,
+    amount: Math.max(total, roundMoney(tariff.minimumFare)),
+    baseFare,
+    distanceFare,
+    timeFare,
+    minimumFareApplied: total < tariff.minimumFare,
+  };
+};
+
+// Create a stored quote with fares for every vehicle type
+const createQuote = async (user, pickup, dropoff) => {
+  const { distanceKm, durationMinutes } = estimateTrip(pickup, dropoff);
+  const { country, tariffs } = await resolveTariffs(user.country);
+  return FareQuote.create({
+    userId: user._id,
+    pickup,
+    dropoff,
+    distanceKm,
+    durationMinutes,
+    country,
+    fares: Object.values(tariffs).map((t) =>
+      priceTrip(t, distanceKm, durationMinutes)
+    ),
+    expiresAt: new Date(Date.now() + QUOTE_TTL_MS),
+  });
+};
+
+// Atomically consume an unexpired quote so the accepted fare is used exactly once
+const redeemQuote = async (quoteId, userId) =>
+  FareQuote.findOneAndUpdate(
+    {
+      _id: quoteId,
+      userId,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+// Give a quote back if the ride it was redeemed for could not be created
+const releaseQuote = async (quoteId) =>
+  FareQuote.updateOne({ _id: quoteId }, { usedAt: null });
+
+export {
+  haversineKm,
+  estimateTrip,
+  estimateArrival,
+  resolveTariffs,
+  priceTrip,
+  createQuote,
+  redeemQuote,
+  releaseQuote,
+};
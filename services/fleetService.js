@@ -0,0 +1,256 @@
+// Importing required models and services
+import Fleet from "../models/fleetModel.js";
+import FleetMembership from "../models/fleetMembershipModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import User from "../models/userModel.js";
+import Shift from "../models/shiftModel.js";
+import { endShift } from "./shiftService.js";
+import { queueMail } from "./mail/index.js";
+import { getSmsProvider } from "./sms/index.js";
+import { BRANDING } from "../config/branding.js";
+import { AppError } from "../utils/errors.js";
+
+// Error carrying the HTTP status and code to respond with
+const fleetError = (status, message, code) =>
+  new AppError(message, { statusCode: status, code });
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+// The fleet run by a fleet owner
+const getOwnFleet = async (owner) => {
+  const fleet = await Fleet.findOne({ ownerId: owner._id });
+  if (!fleet) throw fleetError(404, "Create your fleet first");
+  return fleet;
+};
+
+// Filter for the open invitations a user can answer: those sent to their verified email
+// or phone number. Null when they have verified neither.
+const openInvitesFor = (user) => {
+  const contacts = [];
+  if (user.isVerified) contacts.push({ email: user.email });
+  if (user.phoneVerified) contacts.push({ phoneNumber: user.phoneNumber });
+  return contacts.length ? { status: "invited", $or: contacts } : null;
+};
+
+// Tell the invitee by email or text message, in their language when they have an account
+const sendInvite = async (fleet, owner, membership, invitee) => {
+  const data = {
+    fleetName: fleet.name,
+    ownerName: fullName(owner),
+    companySharePercent: fleet.companySharePercent,
+  };
+  if (membership.email) {
+    await queueMail({
+      to: membership.email,
+      template: "fleetInvite",
+      locale: invitee?.locale,
+      data,
+    });
+  } else {
+    await getSmsProvider().send({
+      to: membership.phoneNumber,
+      body: `${data.ownerName} invited you to drive for ${fleet.name} on ${BRANDING.appName}. Open the app to accept.`,
+    });
+  }
+};
+
+// Invite a driver to the fleet by email or phone number
+const inviteDriver = async (fleet, owner, { email, phoneNumber }) => {
+  const contact = {};
+  if (email) contact.email = String(email).trim().toLowerCase();
+  if (phoneNumber) contact.phoneNumber = String(phoneNumber).trim();
+  if (Object.keys(contact).length !== 1) {
+    throw fleetError(400, "Invite a driver by either email or phoneNumber");
+  }
+  if (contact.email && !/^\S+@\S+\.\S+$/.test(contact.email)) {
+    throw fleetError(400, "Please enter a valid email address");
+  }
+
+  const invitee = await User.findOne(contact).select("_id locale");
+  if (invitee?._id.equals(owner._id)) {
+    throw fleetError(400, "You cannot invite yourself");
+  }
+  if (
+    invitee &&
+    (await FleetMembership.exists({
+      fleetId: fleet._id,
+      driverId: invitee._id,
+      status: "active",
+    }))
+  ) {
+    throw fleetError(409, "This driver is already in your fleet");
+  }
+
+  let membership;
+  try {
+    membership = await FleetMembership.create({
+      fleetId: fleet._id,
+      ...contact,
+      invitedBy: owner._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw fleetError(409, "This driver has already been invited");
+    }
+    throw error;
+  }
+  try {
+    await sendInvite(fleet, owner, membership, invitee);
+  } catch (error) {
+    // Nobody was told, so the invitation can be sent again
+    await FleetMembership.deleteOne({ _id: membership._id });
+    throw error;
+  }
+  return membership;
+};
+
+// Join the fleet that invited the user; customers become drivers
+const acceptInvite = async (user, membershipId) => {
+  const open = openInvitesFor(user);
+  const invite = open
+    ? await FleetMembership.findOne({ ...open, _id: membershipId })
+    : null;
+  if (!invite) throw fleetError(404, "Invitation not found");
+  if (!["customer", "driver"].includes(user.role)) {
+    throw fleetError(403, "Only drivers can join a fleet");
+  }
+  if (user.kycLevel < 2) {
+    throw fleetError(403, "Complete KYC Level 2 before joining a fleet");
+  }
+
+  let membership;
+  try {
+    membership = await FleetMembership.findOneAndUpdate(
+      { _id: invite._id, status: "invited" },
+      { status: "active", driverId: user._id, respondedAt: new Date() },
+      { new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw fleetError(409, "Leave your current fleet before joining another");
+    }
+    throw error;
+  }
+  if (!membership) throw fleetError(409, "This invitation is no longer open");
+  await User.updateOne({ _id: user._id, role: "customer" }, { role: "driver" });
+  return membership;
+};
+
+// Turn down an invitation
+const declineInvite = async (user, membershipId) => {
+  const open = openInvitesFor(user);
+  const membership = open
+    ? await FleetMembership.findOneAndUpdate(
+        { ...open, _id: membershipId },
+        { status: "declined", driverId: user._id, respondedAt: new Date() },
+        { new: true }
+      )
+    : null;
+  if (!membership) throw fleetError(404, "Invitation not found");
+  return membership;
+};
+
+// Take a vehicle away from its driver, ending their shift if they are driving it
+const unassignVehicle = async (fleet, vehicleId) => {
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, fleetId: fleet._id });
+  if (!vehicle) throw fleetError(404, "Vehicle not found in your fleet");
+  const driverId = vehicle.assignedDriverId;
+  if (!driverId) {
+    throw fleetError(409, "This vehicle is not assigned to a driver");
+  }
+  const unassigned = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, assignedDriverId: driverId },
+    { assignedDriverId: null },
+    { new: true }
+  );
+  if (!unassigned) {
+    throw fleetError(409, "This vehicle is not assigned to a driver");
+  }
+  if (
+    await Shift.exists({ driverId, vehicleId: vehicle._id, status: "active" })
+  ) {
+    await endShift(driverId, "unassigned");
+  }
+  await User.updateOne(
+    { _id: driverId, activeVehicleId: vehicle._id },
+    { activeVehicleId: null }
+  );
+  return unassigned;
+};
+
+// Let one of the fleet's drivers drive a fleet vehicle. A vehicle has one driver at a
+// time; an approved vehicle becomes the driver's active one if they have none.
+const assignVehicle = async (fleet, vehicleId, driverId) => {
+  const vehicle = await Vehicle.findOne({
+    _id: vehicleId,
+    fleetId: fleet._id,
+    archived: false,
+  });
+  if (!vehicle) throw fleetError(404, "Vehicle not found in your fleet");
+  const member = await FleetMembership.exists({
+    fleetId: fleet._id,
+    driverId,
+    status: "active",
+  });
+  if (!member) {
+    throw fleetError(404, "Driver is not an active member of your fleet");
+  }
+  if (vehicle.assignedDriverId?.equals(driverId)) return vehicle;
+
+  const assigned = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, assignedDriverId: null },
+    { assignedDriverId: driverId },
+    { new: true }
+  );
+  if (!assigned) {
+    throw fleetError(
+      409,
+      "This vehicle is assigned to another driver; unassign it first"
+    );
+  }
+  if (assigned.status === "approved") {
+    await User.updateOne(
+      { _id: driverId, activeVehicleId: null },
+      { activeVehicleId: assigned._id }
+    );
+  }
+  return assigned;
+};
+
+// Withdraw an invitation or remove a driver, taking back every fleet vehicle they hold
+const removeMember = async (fleet, membershipId) => {
+  const membership = await FleetMembership.findOne({
+    _id: membershipId,
+    fleetId: fleet._id,
+  });
+  if (!membership) throw fleetError(404, "Fleet member not found");
+  const removed = await FleetMembership.findOneAndUpdate(
+    { _id: membership._id, status: { $in: ["invited", "active"] } },
+    { status: "removed", removedAt: new Date() },
+    { new: true }
+  );
+  if (!removed) {
+    throw fleetError(409, `This membership is already ${membership.status}`);
+  }
+  if (membership.status === "active") {
+    const vehicles = await Vehicle.find({
+      fleetId: fleet._id,
+      assignedDriverId: membership.driverId,
+    }).select("_id");
+    for (const vehicle of vehicles) {
+      await unassignVehicle(fleet, vehicle._id);
+    }
+  }
+  return removed;
+};
+
+export {
+  getOwnFleet,
+  openInvitesFor,
+  inviteDriver,
+  acceptInvite,
+  declineInvite,
+  assignVehicle,
+  unassignVehicle,
+  removeMember,
+};
@@ -0,0 +1,200 @@
+// Importing required modules and models
+import os from "os";
+import Job from "../models/jobModel.js";
+
+// A running job not finished within this time is assumed lost with its worker and retried
+const JOB_LOCK_TIMEOUT_MS =
+  (Number(process.env.JOB_LOCK_TIMEOUT_SECONDS) || 5 * 60) * 1000;
+// First retry waits this long; each further retry doubles it, up to an hour
+const JOB_BACKOFF_BASE_MS =
+  (Number(process.env.JOB_BACKOFF_SECONDS) || 30) * 1000;
+const JOB_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const JOB_RETENTION_MS =
+  (Number(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// type -> { run(payload, job) -> result, onDead?(payload, error, job), retryable? }
+// retryable: false marks jobs whose onDead discards their input, so a dead one can't run again
+const handlers = {};
+let wakeWorker = null; // Set while a worker runs in this process so new jobs start immediately
+
+// Register the function that performs a job type; onDead runs once when retries are exhausted
+const registerJobHandler = (type, handler) => {
+  handlers[type] = typeof handler === "function" ? { run: handler } : handler;
+};
+
+// Queue a job; options: userId (owner), maxAttempts, delayMs, sensitive (erase payload when
+// done) and jobId, for callers that must store the ID on a record before the job can run
+const enqueueJob = async (
+  type,
+  payload,
+  {
+    userId = null,
+    maxAttempts = 5,
+    delayMs = 0,
+    sensitive = false,
+    jobId = undefined,
+  } = {}
+) => {
+  const job = await Job.create({
+    _id: jobId,
+    type,
+    payload,
+    userId,
+    maxAttempts,
+    sensitive,
+    runAt: new Date(Date.now() + delayMs),
+  });
+  if (wakeWorker && !delayMs) setImmediate(wakeWorker);
+  return job;
+};
+
+// Exponential backoff with jitter so failed jobs don't retry in lockstep
+const backoffMs = (attempts) =>
+  Math.min(JOB_BACKOFF_BASE_MS * 2 ** (attempts - 1), JOB_BACKOFF_MAX_MS) *
+  (0.8 + Math.random() * 0.4);
+
+// Atomically claim the next due job this process has a handler for
+const claimNextJob = async (workerId) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        {
+          status: "running",
+          lockedAt: { $lt: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) },
+        },
+      ],
+    },
+    {
+      status: "running",
+      lockedAt: now,
+      lockedBy: workerId,
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Run one claimed attempt and record its outcome: completed, queued for retry, or dead
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  const finished = job.sensitive ? { payload: null } : {};
+  const claim = { _id: job._id, lockedBy: job.lockedBy, status: "running" };
+  try {
+    const result = await handler.run(job.payload, job);
+    await Job.updateOne(claim, {
+      status: "completed",
+      result: result ?? null,
+      lastError: null,
+      lockedAt: null,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + JOB_RETENTION_MS),
+      ...finished,
+    });
+  } catch (error) {
+    if (job.attempts < job.maxAttempts) {
+      await Job.updateOne(claim, {
+        status: "queued",
+        lastError: error.message,
+        lockedAt: null,
+        runAt: new Date(Date.now() + backoffMs(job.attempts)),
+      });
+      return;
+    }
+    // Dead-lettered: kept (without expiry) for inspection and manual retry
+    console.error(
+      `Job ${job._id} (${job.type}) failed after ${job.attempts} attempt(s):`,
+      error.message
+    );
+    await Job.updateOne(claim, {
+      status: "dead",
+      lastError: error.message,
+      lockedAt: null,
+      failedAt: new Date(),
+      ...finished,
+    });
+    if (handler.onDead) {
+      await Promise.resolve(handler.onDead(job.payload, error, job)).catch(
+        (err) =>
+          console.error(`Job ${job._id} dead-letter hook failed:`, err.message)
+      );
+    }
+  }
+};
+
+// Whether dead jobs of a type can be put back in the queue
+const isRetryable = (type) => handlers[type]?.retryable !== false;
+
+// Put a dead job back in the queue with a fresh set of attempts
+const retryJob = async (jobId) =>
+  Job.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: "dead",
+      payload: { $ne: null },
+      type: {
+        $nin: Object.keys(handlers).filter((type) => !isRetryable(type)),
+      },
+    },
+    {
+      status: "queued",
+      attempts: 0,
+      runAt: new Date(),
+      failedAt: null,
+      lastError: null,
+    },
+    { new: true }
+  );
+
+// Poll for due jobs and run up to `concurrency` of them at once for the lifetime of the process
+const startJobWorker = ({
+  concurrency = Number(process.env.JOB_CONCURRENCY) || 2,
+  pollIntervalMs = (Number(process.env.JOB_POLL_SECONDS) || 5) * 1000,
+} = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let active = 0;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      while (active < concurrency) {
+        const job = await claimNextJob(workerId);
+        if (!job) break;
+        active++;
+        runJob(job)
+          .catch((error) =>
+            console.error(
+              `Job ${job._id} could not be recorded:`,
+              error.message
+            )
+          )
+          .finally(() => {
+            active--;
+            setImmediate(wakeWorker); // A slot freed up; look for more work
+          });
+      }
+    } finally {
+      polling = false;
+    }
+  };
+
+  wakeWorker = () =>
+    poll().catch((error) => console.error("Job poll failed:", error.message));
+  const timer = setInterval(wakeWorker, pollIntervalMs);
+  timer.unref(); // Don't keep the process alive just for the worker
+  return timer;
+};
+
+export {
+  registerJobHandler,
+  enqueueJob,
+  claimNextJob,
+  runJob,
+  isRetryable,
+  retryJob,
+  startJobWorker,
+};
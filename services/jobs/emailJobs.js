@@ -0,0 +1,5 @@
+// Outgoing email, sent by the worker so requests don't wait on the mail server
+import { registerJobHandler } from "../jobQueue.js";
+import { sendMail } from "../mail/index.js";
+
+registerJobHandler("sendEmail", { run: (message) => sendMail(message) });
@@ -0,0 +1,3 @@
+// Registers every background job handler; import once in each process that runs a worker
+import "./emailJobs.js";
+import "./uploadJobs.js";
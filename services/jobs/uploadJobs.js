@@ -0,0 +1,154 @@
+// Document uploads: files saved by multer are moved to file storage in the background and
+// the owning record is patched with their URLs. Temp files are removed once the job
+// finishes either way.
+import { registerJobHandler, enqueueJob } from "../jobQueue.js";
+import { saveFile, deleteFile, removeTempFiles } from "../storage/index.js";
+import KycSubmission from "../../models/kycSubmissionModel.js";
+import Vehicle from "../../models/vehicleModel.js";
+import { VEHICLE_DOCUMENTS, resubmitVehicle } from "../vehicleService.js";
+
+// Storage folder per KYC document; all are private
+const KYC_FOLDERS = {
+  cnicFront: "kyc/front",
+  cnicBack: "kyc/back",
+  selfie: "kyc/selfie",
+  license: "kyc/license",
+};
+
+// Temp paths held by a job's files, for removal once it is done
+const tempPaths = (files) =>
+  Object.values(files)
+    .flat()
+    .flatMap((file) => [file.path, file.thumbnailPath].filter(Boolean));
+
+// Store an upload and its thumbnail (images only); returns [url, thumbnailUrl]
+const storeUpload = (file, folder, isPrivate) =>
+  Promise.all([
+    saveFile(file.path, { folder, isPrivate }),
+    file.thumbnailPath
+      ? saveFile(file.thumbnailPath, {
+          folder: `${folder}/thumbnails`,
+          isPrivate,
+        })
+      : null,
+  ]);
+
+// payload: { submissionId, files: { cnicFront: { path, thumbnailPath }, ... } }
+registerJobHandler("uploadKycDocuments", {
+  run: async ({ submissionId, files }) => {
+    const update = { uploadStatus: "ready" };
+    await Promise.all(
+      Object.entries(files).map(async ([name, file]) => {
+        const [url, thumbnailUrl] = await storeUpload(
+          file,
+          KYC_FOLDERS[name],
+          true
+        );
+        update[`documents.${name}.url`] = url;
+        update[`documents.${name}.thumbnailUrl`] = thumbnailUrl;
+      })
+    );
+    await KycSubmission.updateOne(
+      { _id: submissionId, uploadStatus: "uploading" },
+      update
+    );
+    await removeTempFiles(tempPaths(files));
+    return { submissionId, documents: Object.keys(files) };
+  },
+  // A submission whose documents never arrived can't be reviewed; reject it so the user can
+  // resubmit. Its temp files are removed, so the job can't be retried.
+  retryable: false,
+  onDead: async ({ submissionId, files }) => {
+    await KycSubmission.updateOne(
+      { _id: submissionId, status: "pending" },
+      {
+        uploadStatus: "failed",
+        status: "rejected",
+        reviewedAt: new Date(),
+        reviewNote:
+          "Your documents could not be uploaded. Please submit again.",
+      }
+    );
+    await removeTempFiles(tempPaths(files));
+  },
+});
+
+// payload: { vehicleId, files: { vehicleImages: [{ path, thumbnailPath }, ...], ... } }
+registerJobHandler("uploadVehicleDocuments", {
+  run: async ({ vehicleId, files }, job) => {
+    const update = { uploadStatus: "ready", uploadJobId: null };
+    const storedFiles = [];
+    await Promise.all(
+      Object.entries(files).map(async ([field, fieldFiles]) => {
+        const stored = await Promise.all(
+          // Photos are public; the registration card and certificates are private
+          fieldFiles.map((file) =>
+            storeUpload(file, "vehicles", field !== "vehicleImages")
+          )
+        );
+        storedFiles.push(...stored.flat());
+        const urls = stored.map(([url]) => url);
+        const thumbnails = stored.map(([, thumbnailUrl]) => thumbnailUrl);
+        const multiple = field === "vehicleImages";
+        update[VEHICLE_DOCUMENTS[field]] = multiple ? urls : urls[0];
+        update[`thumbnails.${field}`] = multiple ? thumbnails : thumbnails[0];
+        update[`documentReviews.${field}`] = { status: "pending" }; // New copies need a new review
+      })
+    );
+    // Only the latest upload for a vehicle is applied; files of one a newer upload replaced
+    // while it ran are deleted again
+    const { modifiedCount } = await Vehicle.updateOne(
+      { _id: vehicleId, uploadJobId: job._id },
+      update
+    );
+    await removeTempFiles(tempPaths(files));
+    if (!modifiedCount) {
+      await Promise.all(storedFiles.map(deleteFile));
+      return { vehicleId, superseded: true };
+    }
+    await resubmitVehicle(vehicleId); // Renewed documents of an approved vehicle need a new review
+    return { vehicleId, fields: Object.keys(files) };
+  },
+  // The user uploads the files again; the temp copies are gone once the job is dead
+  retryable: false,
+  onDead: async ({ vehicleId, files }, error, job) => {
+    await Vehicle.updateOne(
+      { _id: vehicleId, uploadJobId: job._id },
+      { uploadStatus: "failed", uploadJobId: null }
+    );
+    await removeTempFiles(tempPaths(files));
+  },
+});
+
+// Queue the upload of a new submission's documents; the submission is discarded if that fails
+const queueKycDocumentUpload = async (submission, files) => {
+  try {
+    return await enqueueJob(
+      "uploadKycDocuments",
+      { submissionId: submission._id, files },
+      { userId: submission.userId }
+    );
+  } catch (error) {
+    await KycSubmission.deleteOne({ _id: submission._id });
+    throw error;
+  }
+};
+
+// Queue the upload of a vehicle's new files under the job ID already stored on the vehicle
+const queueVehicleDocumentUpload = async (vehicle, files) => {
+  try {
+    return await enqueueJob(
+      "uploadVehicleDocuments",
+      { vehicleId: vehicle._id, files },
+      { userId: vehicle.userId, jobId: vehicle.uploadJobId }
+    );
+  } catch (error) {
+    await Vehicle.updateOne(
+      { _id: vehicle._id, uploadJobId: vehicle.uploadJobId },
+      { uploadStatus: "failed", uploadJobId: null }
+    );
+    throw error;
+  }
+};
+
+export { queueKycDocumentUpload, queueVehicleDocumentUpload };
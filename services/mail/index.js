@@ -0,0 +1,39 @@
+// Transactional email: renders a named template in the recipient's language and
+// sends it through the configured transport
+import templates from "./templates/index.js";
+import { renderEmail } from "./layout.js";
+import { getMailTransport } from "./transports/index.js";
+import { enqueueJob } from "../jobQueue.js";
+import {
+  BRANDING,
+  mailFrom,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+} from "../../config/branding.js";
+
+// Send a templated email; unknown locales fall back to the default language
+const sendMail = async ({ to, template, locale, data = {} }) => {
+  const variants = templates[template];
+  if (!variants) throw new Error(`Unknown email template: ${template}`);
+  const language = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  const content = variants[language]({
+    appName: BRANDING.appName,
+    supportEmail: BRANDING.supportEmail,
+    ...data,
+  });
+  const { html, text } = renderEmail(content, language);
+  return getMailTransport().send({
+    from: mailFrom(),
+    to,
+    subject: content.subject,
+    html,
+    text,
+  });
+};
+
+// Queue an email for the job worker (retried with backoff). Messages often carry one-time
+// codes, so the job's payload is erased once it has been sent.
+const queueMail = (message) =>
+  enqueueJob("sendEmail", message, { sensitive: true });
+
+export { sendMail, queueMail };
@@ -0,0 +1,87 @@
+// Renders template content into the branded HTML layout and a matching plain-text body
+import { BRANDING, RTL_LOCALES } from "../../config/branding.js";
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// content: { subject, greeting, body: [paragraphs], code?, action?: { intro, label, url }, footnote? }
+const renderHtml = (content, locale) => {
+  const rtl = RTL_LOCALES.includes(locale);
+  const align = rtl ? "right" : "left";
+  const header = BRANDING.logoUrl
+    ? `<img src="${escapeHtml(BRANDING.logoUrl)}" alt="${escapeHtml(
+        BRANDING.appName
+      )}" height="32" style="display:block;border:0;">`
+    : escapeHtml(BRANDING.appName);
+  const paragraphs = content.body
+    .map((line) => `<p style="margin:0 0 16px;">${escapeHtml(line)}</p>`)
+    .join("");
+  const code = content.code
+    ? `<p style="margin:0 0 16px;font-size:28px;font-weight:bold;letter-spacing:6px;direction:ltr;text-align:center;">${escapeHtml(
+        content.code
+      )}</p>`
+    : "";
+  const action = content.action
+    ? `<p style="margin:0 0 8px;">${escapeHtml(
+        content.action.intro
+      )}</p><p style="margin:0 0 16px;text-align:center;"><a href="${escapeHtml(
+        content.action.url
+      )}" style="display:inline-block;padding:12px 24px;background:${
+        BRANDING.primaryColor
+      };color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(
+        content.action.label
+      )}</a></p>`
+    : "";
+  const footnote = content.footnote
+    ? `<p style="margin:0;color:#71717a;font-size:13px;">${escapeHtml(
+        content.footnote
+      )}</p>`
+    : "";
+  const footer = [BRANDING.appName, BRANDING.supportEmail]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(" &middot; ");
+
+  return `<!DOCTYPE html>
+<html lang="${locale}" dir="${rtl ? "rtl" : "ltr"}">
+<head><meta charset="utf-8"><title>${escapeHtml(content.subject)}</title></head>
+<body style="margin:0;padding:24px 0;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center">
+<table role="presentation" width="560" cellpadding="0" cellspacing="0" style="max-width:560px;background:#ffffff;border-radius:8px;overflow:hidden;">
+<tr><td style="padding:20px 24px;background:${
+    BRANDING.primaryColor
+  };color:#ffffff;font-size:20px;font-weight:bold;text-align:${align};">${header}</td></tr>
+<tr><td style="padding:24px;color:#18181b;font-size:15px;line-height:1.6;text-align:${align};">
+<p style="margin:0 0 16px;">${escapeHtml(content.greeting)}</p>
+${paragraphs}${code}${action}${footnote}
+</td></tr>
+<tr><td style="padding:16px 24px;background:#fafafa;color:#a1a1aa;font-size:12px;text-align:center;">${footer}</td></tr>
+</table>
+</td></tr></table>
+</body>
+</html>`;
+};
+
+const renderText = (content) =>
+  [
+    content.greeting,
+    ...content.body,
+    content.code,
+    content.action && `${content.action.intro}\n${content.action.url}`,
+    content.footnote,
+    `— ${BRANDING.appName}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+const renderEmail = (content, locale) => ({
+  html: renderHtml(content, locale),
+  text: renderText(content),
+});
+
+export { renderEmail, escapeHtml };
@@ -0,0 +1,40 @@
+// Notice that a lapsed document suspended a vehicle or the driver
+// data: { name, document, expiredOn, plate? }
+import { LABELS } from "./documentExpiring.js";
+
+export default {
+  en: ({ appName, name, document, expiredOn, plate }) => ({
+    subject: `Your ${LABELS.en[document]} has expired`,
+    greeting: `Hello ${name},`,
+    body: [
+      `Your ${LABELS.en[document]}${
+        plate ? ` for ${plate}` : ""
+      } expired on ${expiredOn}, so ${
+        plate ? "the vehicle" : "your driver account"
+      } has been suspended.`,
+      `Upload the renewed document in the ${appName} app; you can go online again once it is approved.`,
+    ],
+  }),
+  ur: ({ appName, name, document, expiredOn, plate }) => ({
+    subject: `آپ کا ${LABELS.ur[document]} ختم ہو گیا ہے`,
+    greeting: `ہیلو ${name}،`,
+    body: [
+      `آپ کا ${LABELS.ur[document]}${
+        plate ? ` (${plate})` : ""
+      } ${expiredOn} کو ختم ہو گیا، اس لیے ${
+        plate ? "گاڑی" : "آپ کا ڈرائیور اکاؤنٹ"
+      } معطل کر دیا گیا ہے۔`,
+      `${appName} ایپ میں تجدید شدہ دستاویز اپ لوڈ کریں؛ منظوری کے بعد آپ دوبارہ آن لائن ہو سکیں گے۔`,
+    ],
+  }),
+  ar: ({ appName, name, document, expiredOn, plate }) => ({
+    subject: `انتهت صلاحية ${LABELS.ar[document]}`,
+    greeting: `مرحبًا ${name}،`,
+    body: [
+      `انتهت صلاحية ${LABELS.ar[document]}${
+        plate ? ` (${plate})` : ""
+      } في ${expiredOn}، لذا تم تعليق ${plate ? "المركبة" : "حساب السائق"}.`,
+      `ارفع المستند المجدد في تطبيق ${appName}؛ يمكنك الاتصال مجددًا بعد الموافقة عليه.`,
+    ],
+  }),
+};
@@ -0,0 +1,65 @@
+// Reminder that a vehicle or driver document expires soon
+// data: { name, document, expiresOn, daysLeft, plate? }
+const LABELS = {
+  en: {
+    registration: "vehicle registration",
+    insurance: "insurance certificate",
+    roadAuthorityCertificate: "road authority certificate",
+    license: "driver's license",
+  },
+  ur: {
+    registration: "گاڑی کی رجسٹریشن",
+    insurance: "انشورنس سرٹیفکیٹ",
+    roadAuthorityCertificate: "روڈ اتھارٹی سرٹیفکیٹ",
+    license: "ڈرائیونگ لائسنس",
+  },
+  ar: {
+    registration: "تسجيل المركبة",
+    insurance: "شهادة التأمين",
+    roadAuthorityCertificate: "شهادة هيئة الطرق",
+    license: "رخصة القيادة",
+  },
+};
+
+export { LABELS };
+
+export default {
+  en: ({ appName, name, document, expiresOn, daysLeft, plate }) => ({
+    subject: `Your ${LABELS.en[document]} expires in ${daysLeft} day${
+      daysLeft === 1 ? "" : "s"
+    }`,
+    greeting: `Hello ${name},`,
+    body: [
+      `Your ${LABELS.en[document]}${
+        plate ? ` for ${plate}` : ""
+      } expires on ${expiresOn}.`,
+      `Upload the renewed document in the ${appName} app before then to keep driving.`,
+    ],
+    footnote:
+      "Once it expires you won't be able to go online until the renewal is approved.",
+  }),
+  ur: ({ appName, name, document, expiresOn, daysLeft, plate }) => ({
+    subject: `آپ کا ${LABELS.ur[document]} ${daysLeft} دن میں ختم ہو رہا ہے`,
+    greeting: `ہیلو ${name}،`,
+    body: [
+      `آپ کا ${LABELS.ur[document]}${
+        plate ? ` (${plate})` : ""
+      } ${expiresOn} کو ختم ہو جائے گا۔`,
+      `ڈرائیونگ جاری رکھنے کے لیے اس سے پہلے ${appName} ایپ میں تجدید شدہ دستاویز اپ لوڈ کریں۔`,
+    ],
+    footnote:
+      "میعاد ختم ہونے کے بعد آپ تجدید کی منظوری تک آن لائن نہیں ہو سکیں گے۔",
+  }),
+  ar: ({ appName, name, document, expiresOn, daysLeft, plate }) => ({
+    subject: `تنتهي صلاحية ${LABELS.ar[document]} خلال ${daysLeft} يوم`,
+    greeting: `مرحبًا ${name}،`,
+    body: [
+      `تنتهي صلاحية ${LABELS.ar[document]}${
+        plate ? ` (${plate})` : ""
+      } في ${expiresOn}.`,
+      `ارفع المستند المجدد في تطبيق ${appName} قبل ذلك لمواصلة القيادة.`,
+    ],
+    footnote:
+      "بعد انتهاء الصلاحية لن تتمكن من الاتصال حتى تتم الموافقة على التجديد.",
+  }),
+};
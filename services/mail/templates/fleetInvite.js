@@ -0,0 +1,32 @@
+// Invitation to drive for a fleet; accepted in the app by the owner of this address
+// data: { fleetName, ownerName, companySharePercent }
+export default {
+  en: ({ appName, fleetName, ownerName, companySharePercent }) => ({
+    subject: `${fleetName} invited you to drive on ${appName}`,
+    greeting: "Hello,",
+    body: [
+      `${ownerName} invited you to join ${fleetName} as a driver. The company will assign you its vehicles and keeps ${companySharePercent}% of your earnings on them.`,
+      `Sign in to the ${appName} app with this email address to accept or decline.`,
+    ],
+    footnote: "If you weren't expecting this, you can ignore this email.",
+  }),
+  ur: ({ appName, fleetName, ownerName, companySharePercent }) => ({
+    subject: `${fleetName} نے آپ کو ${appName} پر ڈرائیو کرنے کی دعوت دی ہے`,
+    greeting: "ہیلو،",
+    body: [
+      `${ownerName} نے آپ کو بطور ڈرائیور ${fleetName} میں شامل ہونے کی دعوت دی ہے۔ کمپنی آپ کو اپنی گاڑیاں دے گی اور ان پر آپ کی آمدنی کا ${companySharePercent}% رکھے گی۔`,
+      `قبول یا مسترد کرنے کے لیے اسی ای میل ایڈریس سے ${appName} ایپ میں سائن ان کریں۔`,
+    ],
+    footnote:
+      "اگر آپ اس کی توقع نہیں کر رہے تھے تو اس ای میل کو نظر انداز کر دیں۔",
+  }),
+  ar: ({ appName, fleetName, ownerName, companySharePercent }) => ({
+    subject: `دعتك ${fleetName} للقيادة على ${appName}`,
+    greeting: "مرحبًا،",
+    body: [
+      `دعاك ${ownerName} للانضمام إلى ${fleetName} كسائق. ستخصص لك الشركة مركباتها وتحتفظ بنسبة ${companySharePercent}% من أرباحك عليها.`,
+      `سجّل الدخول إلى تطبيق ${appName} بعنوان البريد الإلكتروني هذا للقبول أو الرفض.`,
+    ],
+    footnote: "إذا لم تكن تتوقع هذه الرسالة، يمكنك تجاهلها.",
+  }),
+};
@@ -0,0 +1,17 @@
+// Named email templates; each maps a locale to a function of the template data
+// returning { subject, greeting, body, code?, action?, footnote? }
+import verifyEmail from "./verifyEmail.js";
+import passwordReset from "./passwordReset.js";
+import passwordChanged from "./passwordChanged.js";
+import documentExpiring from "./documentExpiring.js";
+import documentExpired from "./documentExpired.js";
+import fleetInvite from "./fleetInvite.js";
+
+export default {
+  verifyEmail,
+  passwordReset,
+  passwordChanged,
+  documentExpiring,
+  documentExpired,
+  fleetInvite,
+};
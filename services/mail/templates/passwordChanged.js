@@ -0,0 +1,34 @@
+// Confirmation after a successful password reset
+// data: { name }
+export default {
+  en: ({ appName, name, supportEmail }) => ({
+    subject: `Your ${appName} password was changed`,
+    greeting: `Hello ${name},`,
+    body: [
+      "The password for your account was just reset and all devices were signed out.",
+    ],
+    footnote: `If this wasn't you, contact support right away${
+      supportEmail ? ` at ${supportEmail}` : ""
+    }.`,
+  }),
+  ur: ({ appName, name, supportEmail }) => ({
+    subject: `آپ کا ${appName} پاس ورڈ تبدیل کر دیا گیا ہے`,
+    greeting: `ہیلو ${name}،`,
+    body: [
+      "آپ کے اکاؤنٹ کا پاس ورڈ ابھی دوبارہ سیٹ کیا گیا ہے اور تمام ڈیوائسز سے سائن آؤٹ کر دیا گیا ہے۔",
+    ],
+    footnote: `اگر یہ آپ نے نہیں کیا تو فوراً سپورٹ سے رابطہ کریں${
+      supportEmail ? `: ${supportEmail}` : "۔"
+    }`,
+  }),
+  ar: ({ appName, name, supportEmail }) => ({
+    subject: `تم تغيير كلمة مرور ${appName}`,
+    greeting: `مرحبًا ${name}،`,
+    body: [
+      "تمت إعادة تعيين كلمة مرور حسابك للتو وتم تسجيل الخروج من جميع الأجهزة.",
+    ],
+    footnote: `إذا لم تقم بذلك، تواصل مع الدعم فورًا${
+      supportEmail ? `: ${supportEmail}` : "."
+    }`,
+  }),
+};
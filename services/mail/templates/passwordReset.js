@@ -0,0 +1,44 @@
+// Password reset code plus single-use link
+// data: { name, otp, resetLink, minutes }
+export default {
+  en: ({ appName, name, otp, resetLink, minutes }) => ({
+    subject: `Reset your ${appName} password`,
+    greeting: `Hello ${name},`,
+    body: ["We received a request to reset your password. Use this code:"],
+    code: otp,
+    action: {
+      intro: "Or reset it with this link:",
+      label: "Reset password",
+      url: resetLink,
+    },
+    footnote: `The code and link expire in ${minutes} minutes and can be used once. If you didn't ask for this, ignore this email and your password will stay the same.`,
+  }),
+  ur: ({ appName, name, otp, resetLink, minutes }) => ({
+    subject: `اپنا ${appName} پاس ورڈ دوبارہ سیٹ کریں`,
+    greeting: `ہیلو ${name}،`,
+    body: [
+      "ہمیں آپ کا پاس ورڈ دوبارہ سیٹ کرنے کی درخواست موصول ہوئی ہے۔ یہ کوڈ استعمال کریں:",
+    ],
+    code: otp,
+    action: {
+      intro: "یا اس لنک سے پاس ورڈ دوبارہ سیٹ کریں:",
+      label: "پاس ورڈ دوبارہ سیٹ کریں",
+      url: resetLink,
+    },
+    footnote: `کوڈ اور لنک ${minutes} منٹ میں ختم ہو جائیں گے اور صرف ایک بار استعمال ہو سکتے ہیں۔ اگر یہ درخواست آپ نے نہیں کی تو اس ای میل کو نظر انداز کر دیں، آپ کا پاس ورڈ تبدیل نہیں ہوگا۔`,
+  }),
+  ar: ({ appName, name, otp, resetLink, minutes }) => ({
+    subject: `إعادة تعيين كلمة مرور ${appName}`,
+    greeting: `مرحبًا ${name}،`,
+    body: [
+      "تلقينا طلبًا لإعادة تعيين كلمة المرور الخاصة بك. استخدم هذا الرمز:",
+    ],
+    code: otp,
+    action: {
+      intro: "أو أعد تعيينها من خلال هذا الرابط:",
+      label: "إعادة تعيين كلمة المرور",
+      url: resetLink,
+    },
+    footnote: `تنتهي صلاحية الرمز والرابط خلال ${minutes} دقائق ويمكن استخدامهما مرة واحدة فقط. إذا لم تطلب ذلك، تجاهل هذه الرسالة ولن تتغير كلمة المرور.`,
+  }),
+};
@@ -0,0 +1,25 @@
+// Account verification code, sent on signup and whenever a new code is requested
+// data: { name, otp, minutes }
+export default {
+  en: ({ appName, name, otp, minutes }) => ({
+    subject: `Your ${appName} verification code`,
+    greeting: `Hello ${name},`,
+    body: ["Use this code to verify your account:"],
+    code: otp,
+    footnote: `The code expires in ${minutes} minutes. If you didn't create an account, you can ignore this email.`,
+  }),
+  ur: ({ appName, name, otp, minutes }) => ({
+    subject: `آپ کا ${appName} تصدیقی کوڈ`,
+    greeting: `ہیلو ${name}،`,
+    body: ["اپنے اکاؤنٹ کی تصدیق کے لیے یہ کوڈ استعمال کریں:"],
+    code: otp,
+    footnote: `یہ کوڈ ${minutes} منٹ میں ختم ہو جائے گا۔ اگر آپ نے اکاؤنٹ نہیں بنایا تو اس ای میل کو نظر انداز کر دیں۔`,
+  }),
+  ar: ({ appName, name, otp, minutes }) => ({
+    subject: `رمز التحقق الخاص بك في ${appName}`,
+    greeting: `مرحبًا ${name}،`,
+    body: ["استخدم هذا الرمز لتأكيد حسابك:"],
+    code: otp,
+    footnote: `تنتهي صلاحية الرمز خلال ${minutes} دقائق. إذا لم تقم بإنشاء حساب، يمكنك تجاهل هذه الرسالة.`,
+  }),
+};
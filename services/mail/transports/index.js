@@ -0,0 +1,26 @@
+// Mail transport registry; each transport exposes
+// send({ from, to, subject, html, text }) -> { messageId }, throwing when delivery fails
+import smtpTransport from "./smtpTransport.js";
+import jsonTransport from "./jsonTransport.js";
+import testTransport from "./testTransport.js";
+
+const transports = {
+  smtp: smtpTransport,
+  json: jsonTransport,
+  test: testTransport,
+};
+
+// Select the transport named by MAIL_TRANSPORT, defaulting to SMTP
+const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || "smtp";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  return transport;
+};
+
+// Register an additional transport, e.g. a provider API, under a name
+const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export { getMailTransport, registerMailTransport };
@@ -0,0 +1,24 @@
+// Development transport: writes each message as a JSON file to MAIL_OUTBOX_DIR
+// (default "mail-outbox") instead of sending it
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+const send = async (message) => {
+  const info = await transporter.sendMail(message);
+  const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(
+    dir,
+    `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+  );
+  await fs.writeFile(file, JSON.stringify(JSON.parse(info.message), null, 2));
+  console.log(
+    `[mail] "${message.subject}" to ${message.to} written to ${file}`
+  );
+  return { messageId: info.messageId };
+};
+
+export default { name: "json", send };
@@ -0,0 +1,33 @@
+// SMTP delivery through nodemailer. MAIL_HOST/MAIL_PORT/MAIL_SECURE select a server,
+// otherwise MAIL_SERVICE (default "gmail"); MAIL_USER and MAIL_PASS authenticate
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+// Created on first send so a missing configuration only fails when mail is actually sent
+const getTransporter = () => {
+  if (transporter) return transporter;
+  if (!process.env.MAIL_USER || !process.env.MAIL_PASS) {
+    throw new Error("SMTP mail transport needs MAIL_USER and MAIL_PASS");
+  }
+  const auth = { user: process.env.MAIL_USER, pass: process.env.MAIL_PASS };
+  transporter = process.env.MAIL_HOST
+    ? nodemailer.createTransport({
+        host: process.env.MAIL_HOST,
+        port: Number(process.env.MAIL_PORT) || 587,
+        secure: process.env.MAIL_SECURE === "true",
+        auth,
+      })
+    : nodemailer.createTransport({
+        service: process.env.MAIL_SERVICE || "gmail",
+        auth,
+      });
+  return transporter;
+};
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+};
+
+export default { name: "smtp", send };
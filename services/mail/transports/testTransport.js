@@ -0,0 +1,18 @@
+// Capture transport for automated tests; keeps messages in memory for inspection
+
+const captured = [];
+
+const send = async (message) => {
+  captured.push({ ...message, sentAt: new Date() });
+  return { messageId: `test-${captured.length}` };
+};
+
+// Messages sent so far, oldest first
+const getCapturedMail = () => [...captured];
+
+const clearCapturedMail = () => {
+  captured.length = 0;
+};
+
+export { getCapturedMail, clearCapturedMail };
+export default { name: "test", send };
@@ -0,0 +1,88 @@
+// Importing required models
+import DriverLocation from "../models/driverLocationModel.js";
+
+// Positions older than this are treated as stale and never matched
+const LOCATION_STALE_MS =
+  (Number(process.env.LOCATION_STALE_SECONDS) || 120) * 1000;
+
+// Statuses during which a driver is busy and can't take another ride
+const BUSY_STATUSES = ["accepted", "arrived", "in_progress"];
+
+// Find online, idle drivers near a point whose vehicle fits the request, closest first
+const findNearbyDrivers = async ({
+  lng,
+  lat,
+  vehicleType,
+  wheelchair = false,
+  maxDistance = 5000, // Metres
+  limit = 10,
+  excludeDriverIds = [],
+}) => {
+  const vehicleMatch = { "vehicle.status": "approved" }; // Never a vehicle suspended mid-shift
+  if (vehicleType) vehicleMatch["vehicle.vehicleType"] = vehicleType;
+  if (wheelchair) vehicleMatch["vehicle.wheelchair"] = true; // Only accessible vehicles can serve wheelchair requests
+
+  return DriverLocation.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [lng, lat] },
+        distanceField: "distance",
+        maxDistance,
+        spherical: true,
+        query: {
+          isOnline: true,
+          updatedAt: { $gte: new Date(Date.now() - LOCATION_STALE_MS) },
+          driverId: { $nin: excludeDriverIds },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "vehicles",
+        localField: "vehicleId",
+        foreignField: "_id",
+        as: "vehicle",
+      },
+    },
+    { $unwind: "$vehicle" },
+    { $match: vehicleMatch },
+    {
+      $lookup: {
+        from: "rides",
+        let: { driverId: "$driverId" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$driverId", "$$driverId"] },
+              status: { $in: BUSY_STATUSES },
+            },
+          },
+          { $limit: 1 },
+        ],
+        as: "activeRides",
+      },
+    },
+    { $match: { activeRides: { $size: 0 } } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        driverId: 1,
+        distance: { $round: ["$distance", 0] },
+        location: 1,
+        heading: 1,
+        updatedAt: 1,
+        vehicle: {
+          _id: "$vehicle._id",
+          vehicleType: "$vehicle.vehicleType",
+          vehicleMakeModel: "$vehicle.vehicleMakeModel",
+          vehicleColor: "$vehicle.vehicleColor",
+          vehiclePlateNumber: "$vehicle.vehiclePlateNumber",
+          wheelchair: "$vehicle.wheelchair",
+        },
+      },
+    },
+  ]);
+};
+
+export { LOCATION_STALE_MS, findNearbyDrivers };
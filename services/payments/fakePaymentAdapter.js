@@ -0,0 +1,23 @@
+// Local stand-in for a card/payment provider; never moves real money
+// Use the source "tok_declined" to simulate a declined payment
+
+const charges = new Map(); // idempotencyKey -> result, so retries return the first outcome
+
+const charge = async ({ amount, currency, source, idempotencyKey }) => {
+  if (charges.has(idempotencyKey)) return charges.get(idempotencyKey);
+  const result =
+    source === "tok_declined"
+      ? { status: "failed", reason: "Card declined" }
+      : {
+          status: "succeeded",
+          reference: `fake_${Date.now()}_${Math.random()
+            .toString(36)
+            .slice(2, 10)}`,
+          amount,
+          currency,
+        };
+  charges.set(idempotencyKey, result);
+  return result;
+};
+
+export default { name: "fake", charge };
@@ -0,0 +1,38 @@
+// Payment adapter registry; each adapter exposes
+// charge({ amount, currency, source, idempotencyKey }) -> { status: "succeeded", reference } | { status: "failed", reason }
+// where amount is in minor units
+import fakePaymentAdapter from "./fakePaymentAdapter.js";
+import { PAYMENT_PROVIDER } from "../../config/payments.js";
+
+const adapters = {
+  fake: fakePaymentAdapter,
+};
+
+// Check PAYMENT_PROVIDER names a registered adapter, and never the fake one in production.
+// Called at startup so a misconfigured deployment fails before taking any top-ups.
+const assertPaymentProvider = () => {
+  if (!PAYMENT_PROVIDER) {
+    throw new Error(
+      'PAYMENT_PROVIDER is not set; use "fake" only for local development'
+    );
+  }
+  if (!adapters[PAYMENT_PROVIDER]) {
+    throw new Error(`Unknown payment provider: ${PAYMENT_PROVIDER}`);
+  }
+  if (PAYMENT_PROVIDER === "fake" && process.env.NODE_ENV === "production") {
+    throw new Error("The fake payment provider cannot be used in production");
+  }
+};
+
+// Select the adapter named by PAYMENT_PROVIDER
+const getPaymentAdapter = () => {
+  assertPaymentProvider();
+  return adapters[PAYMENT_PROVIDER];
+};
+
+// Register an additional adapter, e.g. a real provider, under a name
+const registerPaymentAdapter = (name, adapter) => {
+  adapters[name] = adapter;
+};
+
+export { assertPaymentProvider, getPaymentAdapter, registerPaymentAdapter };
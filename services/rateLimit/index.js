@@ -0,0 +1,25 @@
+// Rate limit store registry; each store keeps fixed-window counters and exposes
+// get(key) -> { count, resetAt } | null, increment(key, windowMs) -> { count, resetAt }
+// and reset(key)
+import memoryStore from "./memoryStore.js";
+import mongoStore from "./mongoStore.js";
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore,
+};
+
+// Select the store named by RATE_LIMIT_STORE; use "mongo" when running several instances
+const getRateLimitStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+  const store = stores[name];
+  if (!store) throw new Error(`Unknown rate limit store: ${name}`);
+  return store;
+};
+
+// Register an additional store, e.g. Redis, under a name
+const registerRateLimitStore = (name, store) => {
+  stores[name] = store;
+};
+
+export { getRateLimitStore, registerRateLimitStore };
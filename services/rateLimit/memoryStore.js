@@ -0,0 +1,34 @@
+// In-process counter store; fine for a single server, counters are lost on restart
+
+const counters = new Map(); // key -> { count, resetAt }
+
+// Drop finished windows now and then so abandoned keys don't pile up
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) counters.delete(key);
+  }
+}, 60 * 1000).unref();
+
+const get = async (key) => {
+  const counter = counters.get(key);
+  if (!counter || counter.resetAt <= Date.now()) return null;
+  return { count: counter.count, resetAt: new Date(counter.resetAt) };
+};
+
+const increment = async (key, windowMs) => {
+  const now = Date.now();
+  let counter = counters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    counters.set(key, counter);
+  }
+  counter.count++;
+  return { count: counter.count, resetAt: new Date(counter.resetAt) };
+};
+
+const reset = async (key) => {
+  counters.delete(key);
+};
+
+export default { name: "memory", get, increment, reset };
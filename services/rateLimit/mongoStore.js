@@ -0,0 +1,43 @@
+// Counter store backed by MongoDB so limits hold across several server instances
+import RateLimit from "../../models/rateLimitModel.js";
+
+const get = async (key) => {
+  const counter = await RateLimit.findOne({
+    key,
+    resetAt: { $gt: new Date() },
+  });
+  return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+};
+
+// Atomically count a hit, starting a fresh window when the previous one has ended
+const increment = async (key, windowMs, retried = false) => {
+  const now = new Date();
+  const active = { $gt: ["$resetAt", now] };
+  try {
+    const counter = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [active, { $add: ["$count", 1] }, 1] },
+            resetAt: {
+              $cond: [active, "$resetAt", new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+    return { count: counter.count, resetAt: counter.resetAt };
+  } catch (error) {
+    // Two instances created the same key at once; the retry updates the winner's document
+    if (error.code === 11000 && !retried) return increment(key, windowMs, true);
+    throw error;
+  }
+};
+
+const reset = async (key) => {
+  await RateLimit.deleteOne({ key });
+};
+
+export default { name: "mongo", get, increment, reset };
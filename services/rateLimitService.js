@@ -0,0 +1,38 @@
+// Importing the configured counter store and error type
+import { getRateLimitStore } from "./rateLimit/index.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+
+// Respond 429 with Retry-After set to the seconds left in the window
+const tooManyRequests = (res, resetAt, message, code) => {
+  const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+  res.set("Retry-After", String(retryAfter));
+  throw new TooManyRequestsError(message, code);
+};
+
+// Count an attempt and reject it once the policy's limit is exceeded within the window
+const consumeLimit = async (res, key, policy, message) => {
+  const { count, resetAt } = await getRateLimitStore().increment(
+    key,
+    policy.windowSeconds * 1000
+  );
+  if (count > policy.limit) {
+    tooManyRequests(res, resetAt, message, "RATE_LIMITED");
+  }
+};
+
+// Reject while a failure counter is at its limit (a lockout) without counting this attempt
+const assertNotLocked = async (res, key, policy, message) => {
+  const counter = await getRateLimitStore().get(key);
+  if (counter && counter.count >= policy.limit) {
+    tooManyRequests(res, counter.resetAt, message, "ACCOUNT_LOCKED");
+  }
+};
+
+// Count a failed attempt towards a lockout
+const recordFailure = (key, policy) =>
+  getRateLimitStore().increment(key, policy.windowSeconds * 1000);
+
+// Forget a counter, e.g. after a successful login
+const clearLimit = (key) => getRateLimitStore().reset(key);
+
+export { consumeLimit, assertNotLocked, recordFailure, clearLimit };
@@ -0,0 +1,224 @@
+// Importing required modules and models
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/sessionModel.js";
+import User from "../models/userModel.js";
+import { AppError } from "../utils/errors.js";
+
+// Access tokens are short-lived; the refresh token keeps a device signed in
+const ACCESS_TOKEN_TTL_SECONDS =
+  Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Error carrying the HTTP status and code to respond with
+const sessionError = (status, message, code) =>
+  new AppError(message, { statusCode: status, code });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens are "<sessionId>.<secret>" so a session is found without scanning hashes
+const newRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`;
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: "lax", // Adjust for local dev; use "none" with secure: true for cross-origin if needed
+  secure: process.env.NODE_ENV === "production", // Only secure in production
+};
+// The refresh cookie is only sent to the endpoints that need it
+const refreshCookieOptions = { ...cookieOptions, path: "/api/user" };
+
+const setAuthCookies = (res, { token, refreshToken }) => {
+  res.cookie("token", token, {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions);
+  res.clearCookie("refreshToken", refreshCookieOptions);
+};
+
+// Access token from the Authorization header (mobile clients) or the "token" cookie
+const getAccessToken = (req) => {
+  const header = req.get("Authorization");
+  if (header?.startsWith("Bearer ")) return header.slice(7).trim();
+  return req.cookies?.token || null;
+};
+
+// Sign a user in on the requesting device, set the auth cookies and return the token pair
+const startSession = async (req, res, user) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = newRefreshToken(sessionId);
+  await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get("User-Agent") || "",
+    ip: req.ip || "",
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  const tokens = {
+    token: signAccessToken(user._id, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+  setAuthCookies(res, tokens);
+  return tokens;
+};
+
+// Exchange a refresh token for a new token pair. Each refresh token works once; presenting
+// an already rotated one means it was copied, so the whole session is revoked.
+const rotateSession = async (req, res, refreshToken) => {
+  const [sessionId] = String(refreshToken).split(".");
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw sessionError(401, "Invalid refresh token", "REFRESH_TOKEN_INVALID");
+  }
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw sessionError(401, "Session expired or revoked", "SESSION_REVOKED");
+  }
+
+  const hash = hashToken(refreshToken);
+  if (hash === session.previousTokenHash) {
+    await endSession(session.userId, session._id, "token_reuse");
+    throw sessionError(
+      401,
+      "Refresh token reuse detected; session revoked",
+      "REFRESH_TOKEN_REUSED"
+    );
+  }
+  if (hash !== session.refreshTokenHash) {
+    throw sessionError(401, "Invalid refresh token", "REFRESH_TOKEN_INVALID");
+  }
+
+  const nextToken = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: hash,
+      userAgent: req.get("User-Agent") || session.userAgent,
+      ip: req.ip || session.ip,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // A concurrent refresh already rotated this token
+    throw sessionError(401, "Invalid refresh token", "REFRESH_TOKEN_INVALID");
+  }
+  const tokens = {
+    token: signAccessToken(rotated.userId, rotated._id),
+    refreshToken: nextToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+  setAuthCookies(res, tokens);
+  return tokens;
+};
+
+// Resolve an access token to its user and live session; used by REST and socket auth
+const authenticateAccessToken = async (token) => {
+  let decode;
+  try {
+    decode = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw sessionError(
+      401,
+      "Invalid Token",
+      error.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID"
+    );
+  }
+  // Tokens issued before sessions existed carry no sid and are no longer accepted
+  if (!decode.sid || !mongoose.isValidObjectId(decode.sid)) {
+    throw sessionError(401, "Invalid Token", "TOKEN_INVALID");
+  }
+  return loadSession(decode.sid, decode.id);
+};
+
+// The live session and its active user; sockets check it again before every event
+const loadSession = async (sessionId, userId) => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!session) {
+    throw sessionError(401, "Session expired or revoked", "SESSION_REVOKED");
+  }
+  const user = await User.findById(userId);
+  if (!user) throw sessionError(401, "User not found", "USER_NOT_FOUND");
+  if (user.isSuspended) {
+    throw sessionError(403, "Account suspended", "ACCOUNT_SUSPENDED");
+  }
+  return { user, session };
+};
+
+// Called with { userId, sessionId } or { userId, exceptSessionId } when sessions are
+// revoked, e.g. so the socket server can drop their connections
+const sessionEndListeners = [];
+const onSessionsEnded = (listener) => {
+  sessionEndListeners.push(listener);
+};
+const notifySessionsEnded = (ended) =>
+  sessionEndListeners.forEach((listener) => listener(ended));
+
+// Revoke one of a user's sessions; returns false when it was not active
+const endSession = async (userId, sessionId, reason) => {
+  const { modifiedCount } = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  if (modifiedCount) notifySessionsEnded({ userId, sessionId });
+  return modifiedCount > 0;
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current device)
+const endAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const { modifiedCount } = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  if (modifiedCount) notifySessionsEnded({ userId, exceptSessionId });
+  return modifiedCount;
+};
+
+// Active sessions of a user, most recently used first
+const getActiveSessions = async (userId) =>
+  Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .select("userAgent ip createdAt lastUsedAt expiresAt");
+
+export {
+  clearAuthCookies,
+  getAccessToken,
+  startSession,
+  rotateSession,
+  authenticateAccessToken,
+  loadSession,
+  onSessionsEnded,
+  endSession,
+  endAllSessions,
+  getActiveSessions,
+};
@@ -0,0 +1,60 @@
+// Importing required models and the socket channel
+import Shift from "../models/shiftModel.js";
+import DriverLocation from "../models/driverLocationModel.js";
+import { emitToUser } from "../config/socket.js";
+
+// Drivers whose last location heartbeat is older than this are taken offline
+const HEARTBEAT_TIMEOUT_MS =
+  (Number(process.env.DRIVER_OFFLINE_AFTER_SECONDS) || 300) * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// End a driver's active shift and take them off the map; returns the ended shift or null
+const endShift = async (driverId, reason) => {
+  await DriverLocation.updateOne({ driverId }, { isOnline: false });
+  const shift = await Shift.findOne({ driverId, status: "active" });
+  if (!shift) return null;
+
+  const endedAt = new Date();
+  const ended = await Shift.findOneAndUpdate(
+    { _id: shift._id, status: "active" },
+    {
+      status: "ended",
+      endedAt,
+      endReason: reason,
+      onlineDuration: Math.round((endedAt - shift.startedAt) / 1000),
+    },
+    { new: true }
+  );
+  if (ended) emitToUser(driverId, "driver:offline", { reason, shift: ended });
+  return ended;
+};
+
+// Take offline every online driver whose heartbeat has gone stale
+const sweepStaleDrivers = async () => {
+  const cutoff = new Date(Date.now() - HEARTBEAT_TIMEOUT_MS);
+  const stale = await DriverLocation.find({
+    isOnline: true,
+    updatedAt: { $lt: cutoff },
+  }).select("driverId");
+  for (const { driverId } of stale) {
+    await endShift(driverId, "stale");
+  }
+  return stale.length;
+};
+
+// Run the stale-driver sweep on an interval for the lifetime of the process
+const startStaleDriverSweeper = () => {
+  const timer = setInterval(() => {
+    sweepStaleDrivers()
+      .then((count) => {
+        if (count) console.log(`Auto-offlined ${count} stale driver(s)`);
+      })
+      .catch((error) =>
+        console.error("Stale driver sweep failed:", error.message)
+      );
+  }, SWEEP_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the sweeper
+  return timer;
+};
+
+export { endShift, sweepStaleDrivers, startStaleDriverSweeper };
@@ -0,0 +1,17 @@
+// Development SMS provider; prints messages instead of sending them
+// Set SMS_OUTBOX_FILE to also append each message as a JSON line to that file
+import fs from "fs/promises";
+
+const send = async ({ to, body }) => {
+  const message = { to, body, sentAt: new Date().toISOString() };
+  console.log(`[sms] to ${to}: ${body}`);
+  if (process.env.SMS_OUTBOX_FILE) {
+    await fs.appendFile(
+      process.env.SMS_OUTBOX_FILE,
+      `${JSON.stringify(message)}\n`
+    );
+  }
+  return { status: "sent", reference: `console_${Date.now()}` };
+};
+
+export default { name: "console", send };
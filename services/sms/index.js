@@ -0,0 +1,24 @@
+// SMS provider registry; each provider exposes
+// send({ to, body }) -> { status: "sent", reference }, throwing when delivery fails
+import consoleSmsProvider from "./consoleSmsProvider.js";
+import twilioSmsProvider from "./twilioSmsProvider.js";
+
+const providers = {
+  console: consoleSmsProvider,
+  twilio: twilioSmsProvider,
+};
+
+// Select the provider named by SMS_PROVIDER, defaulting to the development console
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || "console";
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown SMS provider: ${name}`);
+  return provider;
+};
+
+// Register an additional provider under a name
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+export { getSmsProvider, registerSmsProvider };
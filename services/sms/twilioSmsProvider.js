@@ -0,0 +1,27 @@
+// Twilio-style HTTP provider; needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER
+// TWILIO_API_URL can point at any API-compatible gateway
+import axios from "axios";
+
+const send = async ({ to, body }) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+  if (!accountSid || !authToken || !from) {
+    throw new Error("Twilio SMS provider is not configured");
+  }
+  const baseUrl = process.env.TWILIO_API_URL || "https://api.twilio.com";
+  try {
+    const { data } = await axios.post(
+      `${baseUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: from, Body: body }),
+      { auth: { username: accountSid, password: authToken }, timeout: 10000 }
+    );
+    return { status: "sent", reference: data.sid };
+  } catch (error) {
+    throw new Error(
+      `SMS delivery failed: ${error.response?.data?.message || error.message}`
+    );
+  }
+};
+
+export default { name: "twilio", send };
@@ -0,0 +1,173 @@
+// Importing required models
+import User from "../models/userModel.js";
+
+// A user reaches level L (1-4) with at least this many verified direct referrals at level L-1 or above
+const LEVEL_THRESHOLD = Number(process.env.SPONSOR_LEVEL_THRESHOLD) || 3;
+const MAX_LEVEL = 4;
+
+const emptyCounts = () =>
+  Object.fromEntries(
+    Array.from({ length: MAX_LEVEL + 1 }, (_, l) => [`level${l}`, 0])
+  );
+
+// Level implied by a user's referralCounts (verified direct referrals per level)
+const computeLevel = (counts = {}) => {
+  let atOrAbove = counts[`level${MAX_LEVEL}`] || 0;
+  for (let level = MAX_LEVEL; level >= 1; level--) {
+    atOrAbove += counts[`level${level - 1}`] || 0;
+    if (atOrAbove >= LEVEL_THRESHOLD) return level;
+  }
+  return 0;
+};
+
+// Re-evaluate a sponsor's level from its counters and carry any promotion up the chain.
+// Each step touches one document, and the walk stops at the first upline whose level is unchanged.
+const promoteUpline = async (start) => {
+  const changes = [];
+  let user = start;
+  while (user) {
+    const level = computeLevel(user.referralCounts);
+    if (level <= user.level) break; // Incremental updates only ever promote
+    const promoted = await User.findOneAndUpdate(
+      { _id: user._id, level: user.level },
+      { level },
+      { new: true }
+    );
+    if (!promoted) {
+      // Another request changed this user's level first; retry with fresh counters
+      user = await User.findById(user._id);
+      continue;
+    }
+    changes.push({
+      userId: user._id,
+      sponsorId: user.sponsorId,
+      from: user.level,
+      to: level,
+    });
+
+    // Unverified users were never counted by their sponsor, so there's nothing to move
+    if (!user.isVerified || !user.sponsorBy) break;
+    user = await User.findOneAndUpdate(
+      { sponsorId: user.sponsorBy },
+      {
+        $inc: {
+          [`referralCounts.level${user.level}`]: -1,
+          [`referralCounts.level${level}`]: 1,
+        },
+      },
+      { new: true }
+    );
+  }
+  return changes;
+};
+
+// Count a newly verified user towards their sponsor and promote uplines as needed
+const recordVerifiedReferral = async (user) => {
+  if (!user.sponsorBy) return { sponsor: null, changes: [] };
+  const sponsor = await User.findOneAndUpdate(
+    { sponsorId: user.sponsorBy },
+    {
+      $addToSet: { sponsorTree: user._id },
+      $inc: { [`referralCounts.level${user.level}`]: 1 },
+    },
+    { new: true }
+  );
+  if (!sponsor) return { sponsor: null, changes: [] };
+  return { sponsor, changes: await promoteUpline(sponsor) };
+};
+
+// Recompute every user's counters and level from scratch, bottom-up; reports what changed
+const rebuildAllLevels = async ({ dryRun = false } = {}) => {
+  const users = await User.find()
+    .select("sponsorId sponsorBy isVerified level referralCounts")
+    .lean();
+  const bySponsorId = new Map(users.map((u) => [u.sponsorId, u]));
+  const children = new Map();
+  for (const user of users) {
+    if (!user.sponsorBy || !bySponsorId.has(user.sponsorBy)) continue;
+    if (!children.has(user.sponsorBy)) children.set(user.sponsorBy, []);
+    children.get(user.sponsorBy).push(user);
+  }
+
+  // Iterative post-order walk so deep trees can't overflow the stack
+  const levels = new Map();
+  const counts = new Map();
+  for (const root of users) {
+    if (levels.has(root.sponsorId)) continue;
+    const stack = [{ user: root, expanded: false }];
+    const onPath = new Set();
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const { user } = frame;
+      if (levels.has(user.sponsorId)) {
+        stack.pop();
+        continue;
+      }
+      if (!frame.expanded) {
+        frame.expanded = true;
+        onPath.add(user.sponsorId);
+        for (const child of children.get(user.sponsorId) || []) {
+          // Skip sponsor cycles from bad data instead of looping forever
+          if (!levels.has(child.sponsorId) && !onPath.has(child.sponsorId)) {
+            stack.push({ user: child, expanded: false });
+          }
+        }
+        continue;
+      }
+      const userCounts = emptyCounts();
+      for (const child of children.get(user.sponsorId) || []) {
+        if (child.isVerified && levels.has(child.sponsorId)) {
+          userCounts[`level${levels.get(child.sponsorId)}`]++;
+        }
+      }
+      counts.set(user.sponsorId, userCounts);
+      levels.set(user.sponsorId, computeLevel(userCounts));
+      onPath.delete(user.sponsorId);
+      stack.pop();
+    }
+  }
+
+  const changes = [];
+  const operations = [];
+  for (const user of users) {
+    const level = levels.get(user.sponsorId);
+    const userCounts = counts.get(user.sponsorId);
+    const countsChanged = Object.entries(userCounts).some(
+      ([key, value]) => (user.referralCounts?.[key] || 0) !== value
+    );
+    if (level !== user.level) {
+      changes.push({
+        userId: user._id,
+        sponsorId: user.sponsorId,
+        from: user.level,
+        to: level,
+      });
+    }
+    if (level !== user.level || countsChanged) {
+      operations.push({
+        updateOne: {
+          filter: { _id: user._id },
+          update: { level, referralCounts: userCounts },
+        },
+      });
+    }
+  }
+  if (!dryRun && operations.length) {
+    await User.bulkWrite(operations, { ordered: false });
+  }
+
+  return {
+    dryRun,
+    usersScanned: users.length,
+    usersUpdated: operations.length,
+    levelChanges: changes,
+  };
+};
+
+export {
+  LEVEL_THRESHOLD,
+  computeLevel,
+  promoteUpline,
+  recordVerifiedReferral,
+  rebuildAllLevels,
+};
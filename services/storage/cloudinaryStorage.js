@@ -0,0 +1,47 @@
+// Cloudinary backend. Private files are uploaded as "authenticated" assets, which can
+// only be fetched through a signed download link.
+import cloudinary from "../../config/cloudinary.js";
+
+const save = async (filePath, { folder, isPrivate }) => {
+  const result = await cloudinary.uploader.upload(filePath, {
+    folder,
+    type: isPrivate ? "authenticated" : "upload",
+  });
+  return {
+    key: `${result.public_id}.${result.format}`,
+    url: isPrivate ? null : result.secure_url,
+  };
+};
+
+// public_id and format of a stored key
+const splitKey = (key) => {
+  const dot = key.lastIndexOf(".");
+  return [key.slice(0, dot), key.slice(dot + 1)];
+};
+
+// Key of a public asset from its delivery URL, or null for other URLs
+const keyFromUrl = (url) => {
+  const match =
+    /^https:\/\/res\.cloudinary\.com\/[^/]+\/\w+\/upload\/(?:v\d+\/)?(.+\.\w+)$/.exec(
+      url
+    );
+  return match ? match[1] : null;
+};
+
+const remove = async (key, { isPrivate }) => {
+  const [publicId] = splitKey(key);
+  await cloudinary.uploader.destroy(publicId, {
+    type: isPrivate ? "authenticated" : "upload",
+  });
+};
+
+// Download link for a private file that stops working after ttlSeconds
+const signedUrl = (key, ttlSeconds) => {
+  const [publicId, format] = splitKey(key);
+  return cloudinary.utils.private_download_url(publicId, format, {
+    type: "authenticated",
+    expires_at: Math.floor(Date.now() / 1000) + ttlSeconds,
+  });
+};
+
+export default { name: "cloudinary", save, remove, keyFromUrl, signedUrl };
@@ -0,0 +1,101 @@
+// File storage: the backend is chosen by STORAGE_DRIVER (see config/storage.js).
+// Public files are stored as plain URLs. Private ones (identity documents) are stored as
+// a "<backend>:<key>" reference and only handed out as short-lived signed links.
+import fs from "fs";
+import path from "path";
+import { STORAGE } from "../../config/storage.js";
+import cloudinaryStorage from "./cloudinaryStorage.js";
+import localStorage from "./localStorage.js";
+
+const backends = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+// Make another backend available to STORAGE_DRIVER
+const registerStorage = (name, backend) => {
+  backends[name] = backend;
+};
+
+const getStorage = () => {
+  const backend = backends[STORAGE.driver];
+  if (!backend) throw new Error(`Unknown storage driver: ${STORAGE.driver}`);
+  return backend;
+};
+
+// Store a local file; returns the value to save on the record (URL or private reference)
+const saveFile = async (filePath, { folder, isPrivate = false }) => {
+  const backend = getStorage();
+  const { key, url } = await backend.save(filePath, { folder, isPrivate });
+  return isPrivate ? `${backend.name}:${key}` : url;
+};
+
+// Delete a stored file given the value saveFile returned; other URLs are left alone
+const deleteFile = async (stored) => {
+  if (!stored) return;
+  if (/^https?:\/\//i.test(stored)) {
+    for (const backend of Object.values(backends)) {
+      const key = backend.keyFromUrl?.(stored);
+      if (key) return backend.remove(key, { isPrivate: false });
+    }
+    return;
+  }
+  const separator = stored.indexOf(":");
+  const backend = backends[stored.slice(0, separator)];
+  await backend?.remove(stored.slice(separator + 1), { isPrivate: true });
+};
+
+// Link a client can open for a stored value; URLs saved before private storage pass through
+const fileUrl = (stored) => {
+  if (!stored || /^https?:\/\//i.test(stored) || stored.startsWith("/")) {
+    return stored || null;
+  }
+  const separator = stored.indexOf(":");
+  const backend = backends[stored.slice(0, separator)];
+  if (!backend) return null;
+  return backend.signedUrl(
+    stored.slice(separator + 1),
+    STORAGE.signedUrlTtlSeconds
+  );
+};
+
+// Delete temp files, ignoring ones that are already gone
+const removeTempFiles = (filePaths) =>
+  Promise.all(
+    filePaths.map((filePath) => fs.promises.unlink(filePath).catch(() => {}))
+  );
+
+// Remove temp uploads abandoned by a crash or a job that never ran
+const sweepTempUploads = async () => {
+  const cutoff = Date.now() - STORAGE.tempMaxAgeMs;
+  const names = await fs.promises.readdir(STORAGE.tempDir).catch(() => []);
+  const stale = [];
+  for (const name of names) {
+    const filePath = path.join(STORAGE.tempDir, name);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats?.isFile() && stats.mtimeMs < cutoff) stale.push(filePath);
+  }
+  await removeTempFiles(stale);
+  return stale.length;
+};
+
+// Sweep the temp upload directory every hour
+const startTempUploadSweeper = () => {
+  const timer = setInterval(
+    () => sweepTempUploads().catch(console.error),
+    60 * 60 * 1000
+  );
+  timer.unref(); // Don't keep the process alive just for the sweeper
+  return timer;
+};
+
+export {
+  registerStorage,
+  getStorage,
+  saveFile,
+  deleteFile,
+  fileUrl,
+  removeTempFiles,
+  sweepTempUploads,
+  startTempUploadSweeper,
+};
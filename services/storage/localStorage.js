@@ -0,0 +1,86 @@
+// Local filesystem backend, served by GET /api/files/<key>. Public files are under
+// "public/"; private ones need a link signed with an HMAC and an expiry time.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { STORAGE } from "../../config/storage.js";
+import { AppError } from "../../utils/errors.js";
+
+// Error carrying the HTTP status and code to respond with
+const storageError = (status, message, code) =>
+  new AppError(message, { statusCode: status, code });
+
+const signature = (key, expires) =>
+  crypto
+    .createHmac(
+      "sha256",
+      process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET
+    )
+    .update(`${key}:${expires}`)
+    .digest("base64url");
+
+const fileUrl = (key) =>
+  `${STORAGE.publicBaseUrl}/api/files/${key
+    .split("/")
+    .map(encodeURIComponent)
+    .join("/")}`;
+
+const save = async (filePath, { folder, isPrivate }) => {
+  const key = path.posix.join(
+    isPrivate ? "private" : "public",
+    folder,
+    `${crypto.randomUUID()}${path.extname(filePath).toLowerCase()}`
+  );
+  const target = path.join(STORAGE.localDir, key);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.copyFile(filePath, target); // The caller removes its temp file
+  return { key, url: isPrivate ? null : fileUrl(key) };
+};
+
+// Key of a file from its public URL, or null if the URL is not one of ours
+const keyFromUrl = (url) => {
+  const prefix = `${STORAGE.publicBaseUrl}/api/files/`;
+  if (!url.startsWith(prefix)) return null;
+  return url.slice(prefix.length).split("/").map(decodeURIComponent).join("/");
+};
+
+const remove = (key) =>
+  fs.promises.unlink(path.join(STORAGE.localDir, key)).catch((error) => {
+    if (error.code !== "ENOENT") throw error;
+  });
+
+const signedUrl = (key, ttlSeconds) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${fileUrl(key)}?expires=${expires}&signature=${signature(
+    key,
+    expires
+  )}`;
+};
+
+// Absolute path of a stored file a request may read, checking the link for private files
+const resolveLocalFile = (requestedKey, { expires, signature: given } = {}) => {
+  const filePath = path.resolve(STORAGE.localDir, requestedKey);
+  if (!filePath.startsWith(STORAGE.localDir + path.sep)) {
+    throw storageError(404, "File not found");
+  }
+  // Checks use the normalised key so "public/../private/..." can't skip the signature
+  const key = path
+    .relative(STORAGE.localDir, filePath)
+    .split(path.sep)
+    .join("/");
+  if (!key.startsWith("public/")) {
+    const expected = Buffer.from(signature(key, expires));
+    const valid =
+      typeof given === "string" &&
+      Buffer.byteLength(given) === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(given), expected);
+    if (!valid || Number(expires) * 1000 < Date.now()) {
+      throw storageError(403, "This link is invalid or has expired");
+    }
+  }
+  if (!fs.existsSync(filePath)) throw storageError(404, "File not found");
+  return filePath;
+};
+
+export { resolveLocalFile };
+export default { name: "local", save, remove, keyFromUrl, signedUrl };
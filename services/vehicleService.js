@@ -0,0 +1,398 @@
+// Importing required models and services
+import Vehicle from "../models/vehicleModel.js";
+import User from "../models/userModel.js";
+import Shift from "../models/shiftModel.js";
+import { endShift } from "./shiftService.js";
+import { fileUrl } from "./storage/index.js";
+import { AppError } from "../utils/errors.js";
+
+// Reviewable documents of a vehicle -> path of the stored file(s) on the record.
+// The names match the upload fields; every document is required for review.
+const VEHICLE_DOCUMENTS = {
+  vehicleRegistrationCardFront: "vehicleRegistrationCard.front",
+  vehicleRegistrationCardBack: "vehicleRegistrationCard.back",
+  roadAuthorityCertificate: "roadAuthorityCertificate",
+  insuranceCertificate: "insuranceCertificate",
+  vehicleImages: "vehicleImages",
+};
+
+// Documents that expire -> the vehicle field holding the expiry date
+const VEHICLE_EXPIRY_DATES = {
+  registration: "registrationExpiryDate",
+  insurance: "insuranceExpiryDate",
+  roadAuthorityCertificate: "roadAuthorityExpiryDate",
+};
+
+// Expiry dates given in a validated request body
+const expiryDatesIn = (body) => {
+  const dates = {};
+  for (const field of Object.values(VEHICLE_EXPIRY_DATES)) {
+    if (body[field] instanceof Date) dates[field] = body[field];
+  }
+  return dates;
+};
+
+// Allowed status changes: status -> statuses it may move to. Approved and auto-suspended
+// vehicles go back to "submitted" when their documents are renewed.
+const VEHICLE_TRANSITIONS = {
+  draft: ["submitted"],
+  submitted: ["approved", "rejected"],
+  rejected: ["submitted"],
+  approved: ["suspended", "submitted"],
+  suspended: ["approved", "submitted"],
+};
+
+// How each target status reads in a "cannot be ..." message
+const TRANSITION_VERBS = {
+  submitted: "submitted for review",
+  approved: "approved",
+  rejected: "rejected",
+  suspended: "suspended",
+};
+
+// Error carrying the HTTP status and code to respond with
+const vehicleError = (status, message, code) =>
+  new AppError(message, { statusCode: status, code });
+
+// "A draft vehicle", "An approved vehicle"
+const describeStatus = (status) =>
+  `${/^[aeiou]/.test(status) ? "An" : "A"} ${status} vehicle`;
+
+// Filter for the vehicles a user may drive: their own, and fleet vehicles assigned to them
+const drivableBy = (userId) => ({
+  $or: [{ userId, fleetId: null }, { assignedDriverId: userId }],
+});
+
+// Expiring documents of a vehicle that have lapsed by the given time
+const expiredDocuments = (vehicle, at = new Date()) =>
+  Object.entries(VEHICLE_EXPIRY_DATES)
+    .filter(([, field]) => vehicle[field] && vehicle[field] <= at)
+    .map(([document, field]) => ({ document, expiresAt: vehicle[field] }));
+
+const describeExpired = (expired) =>
+  expired
+    .map(
+      ({ document, expiresAt }) =>
+        `${document} expired on ${expiresAt.toISOString().slice(0, 10)}`
+    )
+    .join(", ");
+
+// Vehicles with lapsed documents can't be approved or reinstated
+const assertNotExpired = async (vehicleId) => {
+  const vehicle = await Vehicle.findById(vehicleId).select(
+    Object.values(VEHICLE_EXPIRY_DATES).join(" ")
+  );
+  if (!vehicle) throw vehicleError(404, "Vehicle not found");
+  const expired = expiredDocuments(vehicle);
+  if (expired.length) {
+    throw vehicleError(
+      409,
+      `Vehicle documents have lapsed: ${describeExpired(expired)}`
+    );
+  }
+};
+
+const hasDocument = (vehicle, name) => {
+  const value = vehicle.get(VEHICLE_DOCUMENTS[name]);
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+};
+
+// Move a vehicle between statuses atomically, so concurrent reviews can't both apply
+const transitionVehicle = async (vehicleId, from, to, update = {}) => {
+  if (!VEHICLE_TRANSITIONS[from]?.includes(to)) {
+    throw new Error(`Invalid vehicle transition: ${from} -> ${to}`);
+  }
+  const vehicle = await Vehicle.findOneAndUpdate(
+    { _id: vehicleId, status: from, archived: false },
+    { ...update, status: to },
+    { new: true, runValidators: true }
+  );
+  if (vehicle) return vehicle;
+  const current = await Vehicle.findById(vehicleId).select("status archived");
+  if (!current) throw vehicleError(404, "Vehicle not found");
+  throw vehicleError(
+    409,
+    `${describeStatus(
+      current.archived ? "archived" : current.status
+    )} cannot be ${TRANSITION_VERBS[to]}`
+  );
+};
+
+// What a duplicate key on a unique vehicle index refers to
+const UNIQUE_FIELDS = {
+  vehiclePlateNumber: "plate number",
+  chassisNumber: "chassis number",
+};
+
+// Turn a duplicate plate or chassis number into a 409; other errors pass through
+const toVehicleError = (error) => {
+  if (error.code !== 11000) return error;
+  const [field] = Object.keys(error.keyPattern || {});
+  return vehicleError(
+    409,
+    `A vehicle with this ${
+      UNIQUE_FIELDS[field] || "registration"
+    } is already registered`
+  );
+};
+
+// Make one of the driver's approved vehicles the one they go online with. A driver who is
+// online keeps their shift's vehicle until they go offline.
+const activateVehicle = async (user, vehicle) => {
+  if (vehicle.archived) {
+    throw vehicleError(409, "An archived vehicle cannot be made active");
+  }
+  if (vehicle.status !== "approved") {
+    throw vehicleError(
+      409,
+      `This vehicle is ${vehicle.status}; only approved vehicles can be made active`
+    );
+  }
+  const shift = await Shift.findOne({ driverId: user._id, status: "active" });
+  if (shift && !shift.vehicleId.equals(vehicle._id)) {
+    throw vehicleError(409, "Go offline before switching to another vehicle");
+  }
+  await User.updateOne({ _id: user._id }, { activeVehicleId: vehicle._id });
+  return vehicle;
+};
+
+// Retire a vehicle its owner no longer drives. It leaves review and the expiry checks, a
+// fleet vehicle is taken from its driver, and its plate and chassis numbers are free to be
+// registered again.
+const archiveVehicle = async (vehicle) => {
+  const inUse = await Shift.exists({
+    vehicleId: vehicle._id,
+    status: "active",
+  });
+  if (inUse) {
+    throw vehicleError(
+      409,
+      "Go offline before archiving the vehicle you are driving"
+    );
+  }
+  const archived = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, archived: false },
+    { archived: true, archivedAt: new Date(), assignedDriverId: null },
+    { new: true }
+  );
+  if (!archived) throw vehicleError(409, "Vehicle is already archived");
+  const drivers = [archived.userId, vehicle.assignedDriverId].filter(Boolean);
+  await User.updateMany(
+    { _id: { $in: drivers }, activeVehicleId: archived._id },
+    { activeVehicleId: null }
+  );
+  return archived;
+};
+
+// Send a draft or rejected vehicle for review once every document is uploaded.
+// Documents approved in an earlier review keep their verdict.
+const submitVehicle = async (vehicle) => {
+  if (vehicle.archived || !["draft", "rejected"].includes(vehicle.status)) {
+    throw vehicleError(
+      409,
+      `${describeStatus(
+        vehicle.archived ? "archived" : vehicle.status
+      )} cannot be submitted for review`
+    );
+  }
+  if (vehicle.uploadStatus !== "ready") {
+    throw vehicleError(
+      409,
+      vehicle.uploadStatus === "uploading"
+        ? "Wait for the vehicle's documents to finish uploading"
+        : "The last document upload failed; please upload the documents again"
+    );
+  }
+  const names = Object.keys(VEHICLE_DOCUMENTS);
+  const missing = names.filter((name) => !hasDocument(vehicle, name));
+  if (missing.length) {
+    throw vehicleError(400, `Missing document(s): ${missing.join(", ")}`);
+  }
+  const undated = Object.values(VEHICLE_EXPIRY_DATES).filter(
+    (field) => !vehicle[field]
+  );
+  if (undated.length) {
+    throw vehicleError(400, `Missing expiry date(s): ${undated.join(", ")}`);
+  }
+  const expired = expiredDocuments(vehicle);
+  if (expired.length) {
+    throw vehicleError(
+      400,
+      `Renew the lapsed document(s): ${describeExpired(expired)}`
+    );
+  }
+  const stillRejected = names.filter(
+    (name) => vehicle.documentReviews?.[name]?.status === "rejected"
+  );
+  if (stillRejected.length) {
+    throw vehicleError(
+      400,
+      `Upload new copies of the rejected document(s): ${stillRejected.join(
+        ", "
+      )}`
+    );
+  }
+
+  const update = { submittedAt: new Date() };
+  for (const name of names) {
+    if (!vehicle.documentReviews?.[name]) {
+      update[`documentReviews.${name}`] = { status: "pending" };
+    }
+  }
+  return transitionVehicle(vehicle._id, vehicle.status, "submitted", update);
+};
+
+// Approve a submitted vehicle and all its documents; its owner becomes a driver and a
+// first approved vehicle becomes their active one. Fleet vehicles become the active one of
+// the driver they are assigned to instead.
+const approveVehicle = async (vehicleId, reviewer, note) => {
+  await assertNotExpired(vehicleId);
+  const reviewedAt = new Date();
+  const update = {
+    reviewedBy: reviewer._id,
+    reviewedAt,
+    reviewNote: note,
+    suspendedAt: null,
+    suspensionReason: null,
+    autoSuspended: false,
+  };
+  for (const name of Object.keys(VEHICLE_DOCUMENTS)) {
+    update[`documentReviews.${name}`] = { status: "approved", reviewedAt };
+  }
+  const vehicle = await transitionVehicle(
+    vehicleId,
+    "submitted",
+    "approved",
+    update
+  );
+  if (!vehicle.fleetId) {
+    await User.updateOne(
+      { _id: vehicle.userId, role: "customer" },
+      { role: "driver" }
+    );
+  }
+  const driverId = vehicle.fleetId ? vehicle.assignedDriverId : vehicle.userId;
+  if (driverId) {
+    await User.updateOne(
+      { _id: driverId, activeVehicleId: null },
+      { activeVehicleId: vehicle._id }
+    );
+  }
+  return vehicle;
+};
+
+// Reject a submitted vehicle with a reason per offending document; the rest are approved
+const rejectVehicle = async (vehicleId, reviewer, reasons, note) => {
+  const names = Object.keys(VEHICLE_DOCUMENTS);
+  const unknown = Object.keys(reasons).filter((name) => !names.includes(name));
+  if (unknown.length) {
+    throw vehicleError(
+      400,
+      `Unknown document(s): ${unknown.join(
+        ", "
+      )}. Expected one of: ${names.join(", ")}`
+    );
+  }
+  const reviewedAt = new Date();
+  const update = { reviewedBy: reviewer._id, reviewedAt, reviewNote: note };
+  for (const name of names) {
+    update[`documentReviews.${name}`] = reasons[name]
+      ? {
+          status: "rejected",
+          rejectionReason: reasons[name].trim(),
+          reviewedAt,
+        }
+      : { status: "approved", reviewedAt };
+  }
+  return transitionVehicle(vehicleId, "submitted", "rejected", update);
+};
+
+// Suspend an approved vehicle, taking its driver offline if it is in use.
+// Automatic suspensions (lapsed documents) have no reviewer.
+const suspendVehicle = async (
+  vehicleId,
+  reviewer,
+  reason,
+  { automatic = false } = {}
+) => {
+  const vehicle = await transitionVehicle(vehicleId, "approved", "suspended", {
+    suspendedAt: new Date(),
+    suspensionReason: reason,
+    autoSuspended: automatic,
+    ...(reviewer && { reviewedBy: reviewer._id }),
+  });
+  const shift = await Shift.findOne({ vehicleId, status: "active" });
+  if (shift) await endShift(shift.driverId, "suspended");
+  return vehicle;
+};
+
+// Lift a vehicle's suspension
+const reinstateVehicle = async (vehicleId, reviewer) => {
+  await assertNotExpired(vehicleId);
+  return transitionVehicle(vehicleId, "suspended", "approved", {
+    suspendedAt: null,
+    suspensionReason: null,
+    autoSuspended: false,
+    reviewedBy: reviewer._id,
+  });
+};
+
+// Send an approved or auto-suspended vehicle back for review after its documents or
+// expiry dates change; returns null when the vehicle was in any other state
+const resubmitVehicle = async (vehicleId) =>
+  Vehicle.findOneAndUpdate(
+    {
+      _id: vehicleId,
+      archived: false,
+      $or: [
+        { status: "approved" },
+        { status: "suspended", autoSuspended: true },
+      ],
+    },
+    {
+      status: "submitted",
+      submittedAt: new Date(),
+      suspendedAt: null,
+      suspensionReason: null,
+      autoSuspended: false,
+    },
+    { new: true }
+  );
+
+// Vehicle as returned to clients, with private document links signed for short-lived access
+const withDocumentUrls = (vehicle) => {
+  const shaped = vehicle.toObject();
+  shaped.licenseImage = fileUrl(shaped.licenseImage);
+  shaped.vehicleRegistrationCard = {
+    front: fileUrl(shaped.vehicleRegistrationCard?.front),
+    back: fileUrl(shaped.vehicleRegistrationCard?.back),
+  };
+  shaped.roadAuthorityCertificate = fileUrl(shaped.roadAuthorityCertificate);
+  shaped.insuranceCertificate = fileUrl(shaped.insuranceCertificate);
+  if (shaped.thumbnails) {
+    for (const [field, thumbnail] of Object.entries(shaped.thumbnails)) {
+      shaped.thumbnails[field] = Array.isArray(thumbnail)
+        ? thumbnail.map(fileUrl)
+        : fileUrl(thumbnail);
+    }
+  }
+  return shaped;
+};
+
+export {
+  VEHICLE_DOCUMENTS,
+  VEHICLE_EXPIRY_DATES,
+  expiryDatesIn,
+  drivableBy,
+  expiredDocuments,
+  submitVehicle,
+  approveVehicle,
+  rejectVehicle,
+  suspendVehicle,
+  reinstateVehicle,
+  resubmitVehicle,
+  activateVehicle,
+  archiveVehicle,
+  toVehicleError,
+  withDocumentUrls,
+};
@@ -0,0 +1,357 @@
+// Importing required models and the payment adapter registry
+import mongoose from "mongoose";
+import Wallet from "../models/walletModel.js";
+import LedgerTransaction from "../models/ledgerTransactionModel.js";
+import Ride from "../models/rideModel.js";
+import { getPaymentAdapter } from "./payments/index.js";
+import { DEFAULT_CURRENCY } from "../config/tariffs.js";
+import {
+  MAX_TOP_UP_AMOUNT,
+  PLATFORM_COMMISSION_PERCENT,
+} from "../config/payments.js";
+import { AppError } from "../utils/errors.js";
+
+// Platform-side accounts every posting balances against
+const SYSTEM_WALLETS = {
+  cash: "platform:cash", // Money received from the payment provider
+  clearing: "platform:clearing", // Ride fares held between charge and payout
+  revenue: "platform:revenue", // Platform's commission on rides
+  refunds: "platform:refunds", // Money returned to riders
+  commissions: "platform:commissions", // Referral commissions paid to uplines
+};
+
+// Convert between major units (e.g. 150.5 rupees) and integer minor units (15050)
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+const toMajor = (minor) => minor / 100;
+
+// Error carrying the HTTP status and code to respond with
+const walletError = (status, message, code) =>
+  new AppError(message, { statusCode: status, code });
+
+// Wallets hold a single currency; amounts in another one are refused rather than
+// posted as if they were the same
+const assertCurrency = (wallet, currency) => {
+  if (wallet.currency !== currency) {
+    throw walletError(
+      409,
+      `Cannot post ${currency} to a wallet held in ${wallet.currency}`
+    );
+  }
+};
+
+// Fetch a user's wallet, creating it on first use
+const getOrCreateWallet = async (userId) =>
+  Wallet.findOneAndUpdate(
+    { ownerType: "user", userId },
+    { $setOnInsert: { currency: DEFAULT_CURRENCY } },
+    { upsert: true, new: true }
+  );
+
+// Fetch a platform wallet by code, creating it on first use
+const getSystemWallet = async (systemCode) =>
+  Wallet.findOneAndUpdate(
+    { ownerType: "system", systemCode },
+    { $setOnInsert: { currency: DEFAULT_CURRENCY } },
+    { upsert: true, new: true }
+  );
+
+// Balance in minor units: credits minus debits across every entry for the wallet
+const getBalance = async (walletId) => {
+  const [result] = await LedgerTransaction.aggregate([
+    { $match: { "entries.walletId": walletId } },
+    { $unwind: "$entries" },
+    { $match: { "entries.walletId": walletId } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$entries.direction", "credit"] },
+              "$entries.amount",
+              { $multiply: ["$entries.amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return result?.balance || 0;
+};
+
+// Post a balanced transaction once per idempotency key; replays return the original posting
+const postTransaction = async ({ idempotencyKey, kind, ...fields }) => {
+  const existing = await LedgerTransaction.findOne({ idempotencyKey });
+  if (existing) {
+    if (existing.kind !== kind) {
+      throw walletError(
+        409,
+        "Idempotency key was already used for another operation"
+      );
+    }
+    return { transaction: existing, replayed: true };
+  }
+  try {
+    const transaction = await LedgerTransaction.create({
+      idempotencyKey,
+      kind,
+      ...fields,
+    });
+    return { transaction, replayed: false };
+  } catch (error) {
+    // Lost a race with a concurrent request using the same key
+    if (error.code === 11000) {
+      const transaction = await LedgerTransaction.findOne({ idempotencyKey });
+      return { transaction, replayed: true };
+    }
+    throw error;
+  }
+};
+
+// Charge the rider's payment source and credit their wallet
+const topUp = async ({ user, amount, source, idempotencyKey }) => {
+  const minor = toMinor(amount);
+  if (!Number.isInteger(minor) || minor <= 0) {
+    throw walletError(400, "Amount must be a positive number");
+  }
+  if (minor > toMinor(MAX_TOP_UP_AMOUNT)) {
+    throw walletError(400, `A top-up cannot exceed ${MAX_TOP_UP_AMOUNT}`);
+  }
+  const key = `topup:${user._id}:${idempotencyKey}`;
+  const existing = await LedgerTransaction.findOne({ idempotencyKey: key });
+  if (existing) return { transaction: existing, replayed: true };
+
+  const wallet = await getOrCreateWallet(user._id);
+  const payment = await getPaymentAdapter().charge({
+    amount: minor,
+    currency: wallet.currency,
+    source,
+    idempotencyKey: key,
+  });
+  if (payment.status !== "succeeded") {
+    throw walletError(402, payment.reason || "Payment failed");
+  }
+
+  const cash = await getSystemWallet(SYSTEM_WALLETS.cash);
+  return postTransaction({
+    idempotencyKey: key,
+    kind: "topup",
+    currency: wallet.currency,
+    paymentReference: payment.reference,
+    description: "Wallet top-up",
+    createdBy: user._id,
+    entries: [
+      { walletId: cash._id, direction: "debit", amount: minor },
+      { walletId: wallet._id, direction: "credit", amount: minor },
+    ],
+  });
+};
+
+// Debit the rider for a completed ride's fare
+const chargeRide = async (ride) => {
+  const amount = toMinor(ride.fare.amount);
+  const rider = await getOrCreateWallet(ride.customerId);
+  assertCurrency(rider, ride.fare.currency);
+  const clearing = await getSystemWallet(SYSTEM_WALLETS.clearing);
+  return postTransaction({
+    idempotencyKey: `ride:${ride._id}:charge`,
+    kind: "ride_charge",
+    currency: ride.fare.currency,
+    rideId: ride._id,
+    description: "Ride fare",
+    entries: [
+      { walletId: rider._id, direction: "debit", amount },
+      { walletId: clearing._id, direction: "credit", amount },
+    ],
+  });
+};
+
+// Divide a fare in minor units: the platform takes its commission, and on fleet rides the
+// company takes its share of what is left; the driver keeps the rest
+const splitFare = (ride) => {
+  const amount = toMinor(ride.fare.amount);
+  const platform = Math.round((amount * PLATFORM_COMMISSION_PERCENT) / 100);
+  const company = ride.fleet?.fleetId
+    ? Math.round(((amount - platform) * ride.fleet.companySharePercent) / 100)
+    : 0;
+  return { amount, platform, company, driver: amount - platform - company };
+};
+
+// Pay the driver their share of a charged fare, the fleet owner the company's share and
+// book the platform commission
+const creditDriverEarnings = async (ride) => {
+  const split = splitFare(ride);
+  const driver = await getOrCreateWallet(ride.driverId);
+  assertCurrency(driver, ride.fare.currency);
+  const clearing = await getSystemWallet(SYSTEM_WALLETS.clearing);
+  const revenue = await getSystemWallet(SYSTEM_WALLETS.revenue);
+  const entries = [
+    { walletId: clearing._id, direction: "debit", amount: split.amount },
+  ];
+  if (split.driver > 0) {
+    entries.push({
+      walletId: driver._id,
+      direction: "credit",
+      amount: split.driver,
+    });
+  }
+  if (split.company > 0) {
+    const company = await getOrCreateWallet(ride.fleet.ownerId);
+    assertCurrency(company, ride.fare.currency);
+    entries.push({
+      walletId: company._id,
+      direction: "credit",
+      amount: split.company,
+    });
+  }
+  if (split.platform > 0) {
+    entries.push({
+      walletId: revenue._id,
+      direction: "credit",
+      amount: split.platform,
+    });
+  }
+  return postTransaction({
+    idempotencyKey: `ride:${ride._id}:earnings`,
+    kind: "driver_earning",
+    currency: ride.fare.currency,
+    rideId: ride._id,
+    description: "Driver earnings",
+    entries,
+  });
+};
+
+// Return part or all of a ride's fare to the rider's wallet
+const refundRide = async ({ ride, amount, idempotencyKey, reason, admin }) => {
+  const minor = toMinor(amount);
+  const rider = await getOrCreateWallet(ride.customerId);
+  assertCurrency(rider, ride.fare.currency);
+  const refunds = await getSystemWallet(SYSTEM_WALLETS.refunds);
+  return postTransaction({
+    idempotencyKey: `ride:${ride._id}:refund:${idempotencyKey}`,
+    kind: "refund",
+    currency: ride.fare.currency,
+    rideId: ride._id,
+    description: reason || "Ride refund",
+    createdBy: admin?._id,
+    entries: [
+      { walletId: refunds._id, direction: "debit", amount: minor },
+      { walletId: rider._id, direction: "credit", amount: minor },
+    ],
+  });
+};
+
+// Update stages moving a ride's refunded amount by delta (major units, kept to 2 decimals)
+// and deriving its payment status from the result
+const refundedAmountBy = (delta) => [
+  {
+    $set: {
+      "payment.refundedAmount": {
+        $round: [{ $add: ["$payment.refundedAmount", delta] }, 2],
+      },
+    },
+  },
+  {
+    $set: {
+      "payment.status": {
+        $switch: {
+          branches: [
+            {
+              case: { $gte: ["$payment.refundedAmount", "$fare.amount"] },
+              then: "refunded",
+            },
+            { case: { $lte: ["$payment.refundedAmount", 0] }, then: "paid" },
+          ],
+          default: "partially_refunded",
+        },
+      },
+    },
+  },
+];
+
+// Reserve part of a paid ride's fare for a refund before the ledger entry is posted, so
+// concurrent refunds can't together return more than the fare. Resolves to the updated
+// ride, or null when the amount is no longer available.
+const reserveRefund = (ride, amount) =>
+  Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      "payment.status": { $in: ["paid", "partially_refunded"] },
+      "payment.refundedAmount": {
+        $lte: toMajor(toMinor(ride.fare.amount) - toMinor(amount)),
+      },
+    },
+    refundedAmountBy(amount),
+    { new: true }
+  );
+
+// Give back a reservation whose refund was not posted
+const releaseRefund = (rideId, amount) =>
+  Ride.findByIdAndUpdate(rideId, refundedAmountBy(-amount), { new: true });
+
+// Charge the rider and pay the driver for a completed ride; safe to call again after a failure
+const settleRide = async (ride) => {
+  await chargeRide(ride);
+  await creditDriverEarnings(ride);
+  const split = splitFare(ride);
+  return Ride.findOneAndUpdate(
+    { _id: ride._id, "payment.status": "pending" },
+    {
+      "payment.status": "paid",
+      "payment.paidAt": new Date(),
+      earnings: {
+        driver: toMajor(split.driver),
+        company: toMajor(split.company),
+        platform: toMajor(split.platform),
+      },
+    },
+    { new: true }
+  );
+};
+
+// Paginated postings touching a wallet, each reduced to this wallet's side
+const getTransactions = async (walletId, { page, limit }) => {
+  const match = { "entries.walletId": new mongoose.Types.ObjectId(walletId) };
+  const [transactions, total] = await Promise.all([
+    LedgerTransaction.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $unwind: "$entries" },
+      { $match: match },
+      {
+        $project: {
+          kind: 1,
+          currency: 1,
+          rideId: 1,
+          description: 1,
+          createdAt: 1,
+          direction: "$entries.direction",
+          amount: { $divide: ["$entries.amount", 100] },
+        },
+      },
+    ]),
+    LedgerTransaction.countDocuments(match),
+  ]);
+  return { transactions, total };
+};
+
+export {
+  SYSTEM_WALLETS,
+  toMinor,
+  toMajor,
+  getOrCreateWallet,
+  getSystemWallet,
+  getBalance,
+  postTransaction,
+  topUp,
+  chargeRide,
+  splitFare,
+  creditDriverEarnings,
+  refundRide,
+  reserveRefund,
+  releaseRefund,
+  settleRide,
+  getTransactions,
+};
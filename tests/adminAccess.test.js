@@ -0,0 +1,77 @@
+// Back-office routes need the matching permission, and what staff change is audited
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import AuditLog from "../models/auditLogModel.js";
+import { startApp, makeUser, signIn } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const changeRole = (cookie, user, role) =>
+  fetch(`${app.baseUrl}/api/admin/users/${user._id}/role`, {
+    method: "PUT",
+    headers: {
+      Cookie: cookie,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ role }),
+  });
+
+for (const role of ["customer", "driver", "support"]) {
+  test(`a ${role} cannot change roles`, async (t) => {
+    const caller = makeUser(t, { role });
+    const target = makeUser(t, {});
+    const [cookie] = signIn(t, [caller, target]);
+    t.mock.method(AuditLog, "create", async (entry) => entry);
+
+    const response = await changeRole(cookie, target, "admin");
+
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, "PERMISSION_DENIED");
+    assert.equal(target.role, "customer");
+    assert.equal(target.save.mock.callCount(), 0);
+    assert.equal(AuditLog.create.mock.callCount(), 0);
+  });
+}
+
+test("an admin's role change is recorded in the audit log", async (t) => {
+  const admin = makeUser(t, { role: "admin" });
+  const target = makeUser(t, {});
+  const [cookie] = signIn(t, [admin, target]);
+  const recorded = new Promise((resolve) =>
+    t.mock.method(AuditLog, "create", async (entry) => resolve(entry))
+  );
+
+  const response = await changeRole(cookie, target, "support");
+
+  assert.equal(response.status, 200);
+  assert.equal(target.role, "support");
+  const entry = await recorded;
+  assert.ok(admin._id.equals(entry.actorId));
+  assert.equal(entry.actorRole, "admin");
+  assert.equal(entry.action, "user.role");
+  assert.equal(entry.targetType, "user");
+  assert.equal(entry.targetId, String(target._id));
+  assert.equal(entry.details.role, "support");
+  assert.equal(entry.statusCode, 200);
+  assert.equal(entry.requestId, response.headers.get("x-request-id"));
+});
+
+test("a refused admin action is audited too", async (t) => {
+  const admin = makeUser(t, { role: "admin" });
+  const [cookie] = signIn(t, [admin]);
+  const recorded = new Promise((resolve) =>
+    t.mock.method(AuditLog, "create", async (entry) => resolve(entry))
+  );
+
+  // Admins cannot change their own role
+  const response = await changeRole(cookie, admin, "customer");
+
+  assert.equal(response.status, 400);
+  const entry = await recorded;
+  assert.equal(entry.action, "user.role");
+  assert.equal(entry.statusCode, 400);
+});
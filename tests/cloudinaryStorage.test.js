@@ -0,0 +1,90 @@
+// The Cloudinary backend keeps private documents as authenticated assets in their folder.
+// The SDK's HTTP request is stubbed, so these check what would be sent to Cloudinary.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import https from "https";
+import os from "os";
+import path from "path";
+import { PassThrough } from "stream";
+import cloudinary from "../config/cloudinary.js";
+import cloudinaryStorage from "../services/storage/cloudinaryStorage.js";
+
+let dir;
+let filePath;
+before(async () => {
+  cloudinary.config({
+    cloud_name: "demo",
+    api_key: "key",
+    api_secret: "secret",
+  });
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "cloudinary-test-"));
+  filePath = path.join(dir, "document.jpg");
+  await fs.promises.writeFile(filePath, "not really a JPEG");
+});
+after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+// Answer every upload request with result; returns the multipart fields each one sent
+const stubUploads = (t, result) => {
+  const sent = [];
+  t.mock.method(https, "request", (options, respond) => {
+    const request = new PassThrough();
+    const chunks = [];
+    request.setTimeout = () => request;
+    request.abort = () => {};
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => {
+      const body = Buffer.concat(chunks).toString("latin1");
+      sent.push(
+        Object.fromEntries(
+          [...body.matchAll(/name="(\w+)"\r\n\r\n([^\r]*)\r\n/g)].map(
+            ([, name, value]) => [name, value]
+          )
+        )
+      );
+      const response = new PassThrough();
+      response.statusCode = 200;
+      respond(response);
+      response.end(JSON.stringify(result));
+    });
+    return request;
+  });
+  return sent;
+};
+
+test("private files are uploaded as authenticated assets in their folder", async (t) => {
+  const sent = stubUploads(t, { public_id: "kyc/abc123", format: "jpg" });
+
+  const saved = await cloudinaryStorage.save(filePath, {
+    folder: "kyc",
+    isPrivate: true,
+  });
+
+  assert.equal(sent[0].type, "authenticated");
+  assert.equal(sent[0].folder, "kyc");
+  assert.deepEqual(saved, { key: "kyc/abc123.jpg", url: null });
+});
+
+test("public files are uploaded as plain assets and keep their URL", async (t) => {
+  const secureUrl = "https://res.cloudinary.com/demo/image/upload/cars/x.jpg";
+  const sent = stubUploads(t, {
+    public_id: "cars/x",
+    format: "jpg",
+    secure_url: secureUrl,
+  });
+
+  const saved = await cloudinaryStorage.save(filePath, {
+    folder: "cars",
+    isPrivate: false,
+  });
+
+  assert.equal(sent[0].type, "upload");
+  assert.equal(sent[0].folder, "cars");
+  assert.equal(saved.url, secureUrl);
+});
+
+test("signed links point at the authenticated asset", () => {
+  const url = new URL(cloudinaryStorage.signedUrl("kyc/abc123.jpg", 60));
+  assert.equal(url.searchParams.get("public_id"), "kyc/abc123");
+  assert.equal(url.searchParams.get("type"), "authenticated");
+});
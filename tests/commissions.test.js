@@ -0,0 +1,163 @@
+// Referral commissions: who in the rider's upline earns on a paid ride, and payouts and
+// reversals through the ledger
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import Commission from "../models/commissionModel.js";
+import LedgerTransaction from "../models/ledgerTransactionModel.js";
+import {
+  distributeRideCommissions,
+  payCommission,
+  reverseRideCommissions,
+} from "../services/commissionService.js";
+import { query, fundWallets } from "./helpers/app.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const paidRide = (fields = {}) => ({
+  _id: id(),
+  customerId: id(),
+  fare: { amount: 1000, currency: "PKR" },
+  payment: { status: "paid" },
+  ...fields,
+});
+
+// Sponsor chain above the rider, direct sponsor first; each entry holds User fields
+const stubUpline = (t, uplines) => {
+  const users = uplines.map((fields, index) => ({
+    _id: id(),
+    sponsorBy: index + 1 < uplines.length ? `S${index + 1}` : undefined,
+    isVerified: true,
+    level: 0,
+    ...fields,
+    sponsorId: `S${index}`,
+  }));
+  t.mock.method(User, "findById", () => query({ sponsorBy: "S0" }));
+  const lookups = t.mock.method(User, "findOne", ({ sponsorId }) =>
+    query(users.find((user) => user.sponsorId === sponsorId) || null)
+  );
+  return { users, lookups };
+};
+
+test("each upline earns their generation's rate as deep as their level allows", async (t) => {
+  const ride = paidRide();
+  const { users } = stubUpline(t, [
+    { level: 0 }, // Generation 1: direct sponsor, always eligible
+    { level: 0 }, // Generation 2: needs level 1
+    { level: 4 }, // Generation 3: eligible
+    { level: 4, isVerified: false }, // Generation 4: unverified, skipped
+    { level: 4 }, // Generation 5: eligible
+  ]);
+  const insert = t.mock.method(Commission, "insertMany", async (docs) => docs);
+
+  const commissions = await distributeRideCommissions(ride);
+  assert.deepEqual(
+    commissions.map((c) => [c.beneficiaryId, c.generation, c.rate, c.amount]),
+    [
+      [users[0]._id, 1, 5, 50],
+      [users[2]._id, 3, 2, 20],
+      [users[4]._id, 5, 0.5, 5],
+    ]
+  );
+  assert.ok(commissions.every((c) => c.currency === "PKR"));
+  assert.deepEqual(insert.mock.calls[0].arguments[1], { ordered: false });
+});
+
+test("the walk stops after the last paid generation", async (t) => {
+  const ride = paidRide();
+  const { lookups } = stubUpline(
+    t,
+    Array.from({ length: 7 }, () => ({ level: 10 }))
+  );
+  t.mock.method(Commission, "insertMany", async (docs) => docs);
+
+  const commissions = await distributeRideCommissions(ride);
+  assert.equal(commissions.length, 5);
+  assert.equal(lookups.mock.callCount(), 5);
+});
+
+test("unpaid rides earn no commission", async (t) => {
+  const lookup = t.mock.method(User, "findById", () => query(null));
+  const insert = t.mock.method(Commission, "insertMany", async () => []);
+
+  const ride = paidRide({ payment: { status: "pending" } });
+  assert.deepEqual(await distributeRideCommissions(ride), []);
+  assert.equal(lookup.mock.callCount(), 0);
+  assert.equal(insert.mock.callCount(), 0);
+});
+
+test("distributing a ride again keeps only commissions not created before", async (t) => {
+  const ride = paidRide();
+  stubUpline(t, [{ level: 0 }]);
+  const inserted = [{ _id: id() }];
+  t.mock.method(Commission, "insertMany", async () => {
+    throw Object.assign(new Error("duplicate key"), {
+      code: 11000,
+      insertedDocs: inserted,
+    });
+  });
+
+  assert.equal(await distributeRideCommissions(ride), inserted);
+});
+
+test("a payout credits the upline from the commissions account once", async (t) => {
+  fundWallets(t);
+  t.mock.method(LedgerTransaction, "findOne", () => query(null));
+  const create = t.mock.method(LedgerTransaction, "create", async (fields) => ({
+    _id: id(),
+    ...fields,
+  }));
+  const mark = t.mock.method(Commission, "findOneAndUpdate", async () => ({}));
+  const commission = {
+    _id: id(),
+    beneficiaryId: id(),
+    rideId: id(),
+    generation: 1,
+    amount: 50,
+    currency: "PKR",
+  };
+
+  await payCommission(commission);
+  const [posting] = create.mock.calls[0].arguments;
+  assert.equal(posting.kind, "commission");
+  assert.equal(posting.idempotencyKey, `commission:${commission._id}:payout`);
+  assert.deepEqual(
+    posting.entries.map((entry) => [entry.direction, entry.amount]),
+    [
+      ["debit", 5000],
+      ["credit", 5000],
+    ]
+  );
+  const [filter, update] = mark.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: commission._id, status: "pending" });
+  assert.equal(update.status, "paid");
+});
+
+test("reversing a refunded ride claws back paid commissions only", async (t) => {
+  fundWallets(t);
+  t.mock.method(LedgerTransaction, "findOne", () => query(null));
+  const create = t.mock.method(LedgerTransaction, "create", async (fields) => ({
+    _id: id(),
+    ...fields,
+  }));
+  const ride = paidRide();
+  const paid = { _id: id(), status: "paid", amount: 50, currency: "PKR" };
+  const pending = { _id: id(), status: "pending", amount: 20, currency: "PKR" };
+  t.mock.method(Commission, "find", async () => [paid, pending]);
+  const reverse = t.mock.method(Commission, "updateOne", async () => ({}));
+
+  assert.equal(await reverseRideCommissions(ride), 2);
+  assert.equal(create.mock.callCount(), 1);
+  const [posting] = create.mock.calls[0].arguments;
+  assert.equal(posting.kind, "commission_reversal");
+  assert.deepEqual(
+    posting.entries.map((entry) => entry.direction),
+    ["debit", "credit"]
+  );
+  assert.deepEqual(
+    reverse.mock.calls.map((call) => call.arguments[1].status),
+    ["reversed", "reversed"]
+  );
+});
@@ -0,0 +1,149 @@
+// Lapsed documents suspend vehicles and drivers automatically; reminders go out once each
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Vehicle from "../models/vehicleModel.js";
+import User from "../models/userModel.js";
+import Shift from "../models/shiftModel.js";
+import Job from "../models/jobModel.js";
+import DriverLocation from "../models/driverLocationModel.js";
+import ExpiryReminder from "../models/expiryReminderModel.js";
+import {
+  suspendLapsed,
+  sendExpiryReminders,
+} from "../services/documentExpiryService.js";
+import { query } from "./helpers/app.js";
+
+mongoose.set("bufferCommands", false);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-10-19T09:00:00Z");
+
+const owner = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: "Test",
+  lastName: "Driver",
+  email: "driver@example.com",
+  locale: "en",
+});
+
+// Emails queued through the job queue, by template
+const stubMail = (t) => {
+  const mails = [];
+  t.mock.method(Job, "create", async ({ payload }) => {
+    mails.push(payload);
+    return {};
+  });
+  return mails;
+};
+
+// No drivers with lapsed licenses unless a test says otherwise
+const stubDrivers = (t, drivers = []) =>
+  t.mock.method(User, "find", async () => drivers);
+
+test("a vehicle with a lapsed document is suspended automatically", async (t) => {
+  const mails = stubMail(t);
+  stubDrivers(t);
+  const vehicle = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: owner(),
+    status: "approved",
+    vehiclePlateNumber: "ABC-123",
+    insuranceExpiryDate: new Date(now.getTime() - DAY_MS),
+  };
+  t.mock.method(Vehicle, "find", () => query([vehicle]));
+  const transition = t.mock.method(Vehicle, "findOneAndUpdate", async () => ({
+    ...vehicle,
+    status: "suspended",
+  }));
+  t.mock.method(Shift, "findOne", async () => null);
+
+  assert.equal(await suspendLapsed(now), 1);
+  const [filter, update] = transition.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: vehicle._id,
+    status: "approved",
+    archived: false,
+  });
+  assert.equal(update.status, "suspended");
+  assert.equal(update.autoSuspended, true);
+  assert.equal(update.suspensionReason, "insurance expired on 2026-10-18");
+  assert.equal(update.reviewedBy, undefined);
+  assert.deepEqual(
+    mails.map(({ template, data }) => [template, data.plate]),
+    [["documentExpired", "ABC-123"]]
+  );
+});
+
+test("a vehicle whose status changed in the meantime is left alone", async (t) => {
+  const mails = stubMail(t);
+  stubDrivers(t);
+  const vehicle = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: owner(),
+    status: "approved",
+    registrationExpiryDate: new Date(now.getTime() - DAY_MS),
+  };
+  t.mock.method(Vehicle, "find", () => query([vehicle]));
+  t.mock.method(Vehicle, "findOneAndUpdate", async () => null);
+  t.mock.method(Vehicle, "findById", () => query({ status: "submitted" }));
+
+  assert.equal(await suspendLapsed(now), 0);
+  assert.deepEqual(mails, []);
+});
+
+test("a driver with a lapsed license stops driving once", async (t) => {
+  const mails = stubMail(t);
+  t.mock.method(Vehicle, "find", () => query([]));
+  const driver = {
+    ...owner(),
+    licenseExpiryDate: new Date(now.getTime() - 2 * DAY_MS),
+  };
+  stubDrivers(t, [driver, driver]);
+  let claimed = 0;
+  const suspend = t.mock.method(User, "updateOne", async () => ({
+    modifiedCount: claimed++ ? 0 : 1,
+  }));
+  t.mock.method(DriverLocation, "updateOne", async () => ({}));
+  const activeShift = t.mock.method(Shift, "findOne", async () => null);
+
+  assert.equal(await suspendLapsed(now), 1);
+  const [filter, update] = suspend.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: driver._id, drivingSuspendedAt: null });
+  assert.equal(update.drivingSuspendedAt, now);
+  assert.equal(update.drivingSuspensionReason, "license expired on 2026-10-17");
+  assert.deepEqual(activeShift.mock.calls[0].arguments[0], {
+    driverId: driver._id,
+    status: "active",
+  });
+  assert.equal(mails.length, 1);
+  assert.equal(mails[0].data.document, "license");
+});
+
+test("each reminder threshold is emailed once", async (t) => {
+  const mails = stubMail(t);
+  const vehicle = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: owner(),
+    vehiclePlateNumber: "ABC-123",
+    insuranceExpiryDate: new Date(now.getTime() + 6 * DAY_MS),
+  };
+  t.mock.method(Vehicle, "find", (filter) =>
+    query(filter.insuranceExpiryDate ? [vehicle] : [])
+  );
+  stubDrivers(t);
+  const sent = new Set();
+  const record = t.mock.method(ExpiryReminder, "create", async (reminder) => {
+    const key = `${reminder.subjectId}:${reminder.document}:${reminder.daysBefore}`;
+    if (sent.has(key)) throw Object.assign(new Error("dup"), { code: 11000 });
+    sent.add(key);
+  });
+
+  assert.equal(await sendExpiryReminders(now), 1);
+  assert.equal(await sendExpiryReminders(now), 0);
+  assert.equal(record.mock.calls[0].arguments[0].daysBefore, 7);
+  assert.equal(mails.length, 1);
+  assert.equal(mails[0].template, "documentExpiring");
+  assert.equal(mails[0].data.daysLeft, 6);
+});
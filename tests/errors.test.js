@@ -0,0 +1,96 @@
+// Every error answers { message, code, details?, requestId } with the matching status
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/userModel.js";
+import { startApp, query, makeUser, signIn } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const post = (path, body, headers = {}) =>
+  fetch(`${app.baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+
+test("missing fields are listed in details", async () => {
+  const response = await post("/api/user/login/otp", {});
+  assert.equal(response.status, 400);
+  const body = await response.json();
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.equal(body.message, "Phone number is required");
+  assert.deepEqual(body.details, [
+    { field: "phoneNumber", message: "Phone number is required" },
+    { field: "otp", message: "OTP is required" },
+  ]);
+});
+
+test("the request ID is echoed in the header and the error body", async () => {
+  const given = await post("/api/user/login", {}, { "X-Request-Id": "lb-42" });
+  assert.equal(given.headers.get("x-request-id"), "lb-42");
+  assert.equal((await given.json()).requestId, "lb-42");
+
+  // Odd caller IDs are replaced with a fresh one
+  const odd = await post("/api/user/login", {}, { "X-Request-Id": "a b" });
+  const { requestId } = await odd.json();
+  assert.notEqual(requestId, "a b");
+  assert.equal(odd.headers.get("x-request-id"), requestId);
+});
+
+test("malformed JSON and unknown routes get their own codes", async () => {
+  const malformed = await post("/api/user/login", "{");
+  assert.equal(malformed.status, 400);
+  assert.equal((await malformed.json()).code, "INVALID_JSON");
+
+  const unknown = await post("/api/nowhere", {});
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(
+    [(await unknown.json()).code, unknown.headers.has("x-request-id")],
+    ["ROUTE_NOT_FOUND", true]
+  );
+});
+
+test("missing tokens and invalid IDs answer with their codes", async (t) => {
+  const anonymous = await fetch(`${app.baseUrl}/api/drivers/vehicles`);
+  assert.equal(anonymous.status, 401);
+
+  const driver = makeUser(t, { role: "driver" });
+  const [cookie] = signIn(t, [driver]);
+  const invalid = await post(
+    "/api/drivers/vehicles/not-an-id/archive",
+    {},
+    { Cookie: cookie }
+  );
+  assert.equal(invalid.status, 400);
+  assert.deepEqual((await invalid.json()).details, [
+    { field: "id", message: "Vehicle ID is invalid" },
+  ]);
+});
+
+test("unexpected errors are 500s whose text stays out of production responses", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(User, "findOne", () =>
+    query(Promise.reject(new Error("db down")))
+  );
+  const login = () =>
+    post("/api/user/login", { email: "a@example.com", password: "secret" });
+
+  const development = await login();
+  assert.equal(development.status, 500);
+  assert.equal((await development.json()).code, "INTERNAL_ERROR");
+
+  const environment = process.env.NODE_ENV;
+  process.env.NODE_ENV = "production";
+  t.after(() => {
+    if (environment === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = environment;
+  });
+  const body = await (await login()).json();
+  assert.equal(body.message, "Something went wrong. Please try again later.");
+  assert.equal(body.stack, undefined);
+  assert.ok(body.requestId);
+});
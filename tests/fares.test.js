@@ -0,0 +1,181 @@
+// Fare quotes: tariff fallbacks, pricing, and booking each quote at most once
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Ride from "../models/rideModel.js";
+import Tariff from "../models/tariffModel.js";
+import FareQuote from "../models/fareQuoteModel.js";
+import { priceTrip, resolveTariffs } from "../services/fareService.js";
+import { DEFAULT_TARIFFS } from "../config/tariffs.js";
+import {
+  startApp,
+  query,
+  makeUser,
+  signIn,
+  fundWallets,
+} from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const send = (method, path, cookie, body = {}) =>
+  fetch(`${app.baseUrl}${path}`, {
+    method,
+    headers: { Cookie: cookie, "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+test("a trip is priced by its components, never below the minimum fare", () => {
+  const tariff = {
+    vehicleType: "minicar",
+    currency: "PKR",
+    baseFare: 100,
+    perKm: 30,
+    perMinute: 4,
+    minimumFare: 200,
+  };
+  assert.deepEqual(priceTrip(tariff, 10, 20), {
+    vehicleType: "minicar",
+    currency: "PKR",
+    amount: 480,
+    baseFare: 100,
+    distanceFare: 300,
+    timeFare: 80,
+    minimumFareApplied: false,
+  });
+
+  const short = priceTrip(tariff, 1, 2);
+  assert.equal(short.amount, 200);
+  assert.equal(short.minimumFareApplied, true);
+});
+
+test("a country tariff wins over the default row, then built-in pricing", async (t) => {
+  t.mock.method(Tariff, "find", () =>
+    query([
+      { country: "default", vehicleType: "bike", currency: "PKR", baseFare: 1 },
+      {
+        country: "default",
+        vehicleType: "minicar",
+        currency: "PKR",
+        baseFare: 2,
+      },
+      { country: "uae", vehicleType: "minicar", currency: "AED", baseFare: 3 },
+    ])
+  );
+
+  const { country, tariffs } = await resolveTariffs(" UAE ");
+  assert.equal(country, "uae");
+  assert.equal(tariffs.minicar.currency, "AED");
+  assert.equal(tariffs.bike.baseFare, 1);
+  assert.equal(tariffs.premium.baseFare, DEFAULT_TARIFFS.premium.baseFare);
+});
+
+test("an estimate stores an expiring quote with a fare per vehicle type", async (t) => {
+  const rider = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [rider]);
+  t.mock.method(Tariff, "find", () => query([]));
+  const create = t.mock.method(FareQuote, "create", async (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...fields,
+  }));
+
+  const response = await send("POST", "/api/rides/estimate", cookie, {
+    pickup: { lat: 31.52, lng: 74.35 },
+    dropoff: { lat: 31.47, lng: 74.27 },
+  });
+  assert.equal(response.status, 201);
+  const body = await response.json();
+  assert.equal(body.fares.length, Object.keys(DEFAULT_TARIFFS).length);
+  assert.ok(body.distanceKm > 0);
+  const [fields] = create.mock.calls[0].arguments;
+  assert.ok(fields.userId.equals(rider._id));
+  assert.ok(fields.expiresAt > new Date());
+});
+
+test("an expired or used quote cannot book a ride", async (t) => {
+  const rider = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [rider]);
+  t.mock.method(Ride, "exists", async () => null);
+  const redeem = t.mock.method(FareQuote, "findOneAndUpdate", async () => null);
+  const create = t.mock.method(Ride, "create", async (fields) => fields);
+
+  const response = await send("POST", "/api/rides", cookie, {
+    quoteId: String(new mongoose.Types.ObjectId()),
+    vehicleType: "minicar",
+  });
+  assert.equal(response.status, 410);
+  const [filter, update] = redeem.mock.calls[0].arguments;
+  assert.equal(filter.usedAt, null);
+  assert.ok(filter.expiresAt.$gt instanceof Date);
+  assert.ok(update.usedAt instanceof Date);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("a quote is given back when the ride cannot be created", async (t) => {
+  const rider = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [rider]);
+  const quote = {
+    _id: new mongoose.Types.ObjectId(),
+    pickup: { type: "Point", coordinates: [74.35, 31.52] },
+    dropoff: { type: "Point", coordinates: [74.27, 31.47] },
+    fares: [{ vehicleType: "minicar", amount: 270, currency: "PKR" }],
+  };
+  t.mock.method(Ride, "exists", async () => null);
+  t.mock.method(FareQuote, "findOneAndUpdate", async () => quote);
+  fundWallets(t, { balance: 27000 });
+  t.mock.method(Ride, "create", async () => {
+    throw new Error("write failed");
+  });
+  const release = t.mock.method(FareQuote, "updateOne", async () => ({}));
+
+  await send("POST", "/api/rides", cookie, {
+    quoteId: String(quote._id),
+    vehicleType: "minicar",
+  });
+  assert.deepEqual(release.mock.calls[0].arguments, [
+    { _id: quote._id },
+    { usedAt: null },
+  ]);
+});
+
+test("admins save tariffs only with non-negative amounts", async (t) => {
+  const admin = makeUser(t, { role: "admin" });
+  const [cookie] = signIn(t, [admin]);
+  const save = t.mock.method(
+    Tariff,
+    "findOneAndUpdate",
+    async (filter, update) => ({
+      ...filter,
+      ...update,
+    })
+  );
+  const tariff = {
+    currency: "AED",
+    baseFare: 5,
+    perKm: 2,
+    perMinute: 0.5,
+    minimumFare: 10,
+  };
+
+  let response = await send("PUT", "/api/admin/tariffs/UAE/minicar", cookie, {
+    ...tariff,
+    perKm: -1,
+  });
+  assert.equal(response.status, 400);
+  assert.equal(save.mock.callCount(), 0);
+
+  response = await send(
+    "PUT",
+    "/api/admin/tariffs/UAE/minicar",
+    cookie,
+    tariff
+  );
+  assert.equal(response.status, 200);
+  assert.deepEqual(save.mock.calls[0].arguments[0], {
+    country: "uae",
+    vehicleType: "minicar",
+  });
+});
@@ -0,0 +1,109 @@
+// Fleet rides split the fare three ways, and fleet vehicles go only to the fleet's drivers
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Vehicle from "../models/vehicleModel.js";
+import User from "../models/userModel.js";
+import FleetMembership from "../models/fleetMembershipModel.js";
+import LedgerTransaction from "../models/ledgerTransactionModel.js";
+import { PLATFORM_COMMISSION_PERCENT } from "../config/payments.js";
+import { splitFare, creditDriverEarnings } from "../services/walletService.js";
+import { assignVehicle } from "../services/fleetService.js";
+import { query, fundWallets } from "./helpers/app.js";
+
+mongoose.set("bufferCommands", false);
+
+const id = () => new mongoose.Types.ObjectId();
+
+const ride = (fleet) => ({
+  _id: id(),
+  driverId: id(),
+  fare: { amount: 500, currency: "PKR" },
+  ...(fleet && { fleet }),
+});
+
+test("the company's share comes out of the driver's part, after the commission", () => {
+  const fleet = { fleetId: id(), ownerId: id(), companySharePercent: 25 };
+  const split = splitFare(ride(fleet));
+  const platform = Math.round((50000 * PLATFORM_COMMISSION_PERCENT) / 100);
+  const company = Math.round(((50000 - platform) * 25) / 100);
+  assert.deepEqual(split, {
+    amount: 50000,
+    platform,
+    company,
+    driver: 50000 - platform - company,
+  });
+  assert.equal(splitFare(ride()).company, 0);
+});
+
+test("fleet earnings credit the driver, the fleet owner and the platform", async (t) => {
+  fundWallets(t);
+  t.mock.method(LedgerTransaction, "findOne", () => query(null));
+  const create = t.mock.method(LedgerTransaction, "create", async (fields) => ({
+    _id: id(),
+    ...fields,
+  }));
+  const fleetRide = ride({
+    fleetId: id(),
+    ownerId: id(),
+    companySharePercent: 25,
+  });
+  const split = splitFare(fleetRide);
+
+  await creditDriverEarnings(fleetRide);
+  const [posting] = create.mock.calls[0].arguments;
+  assert.equal(posting.idempotencyKey, `ride:${fleetRide._id}:earnings`);
+  assert.deepEqual(
+    posting.entries.map((entry) => [entry.direction, entry.amount]),
+    [
+      ["debit", split.amount],
+      ["credit", split.driver],
+      ["credit", split.company],
+      ["credit", split.platform],
+    ]
+  );
+});
+
+test("a fleet vehicle is assigned only to an active member of the fleet", async (t) => {
+  const fleet = { _id: id() };
+  const vehicle = { _id: id(), fleetId: fleet._id, status: "approved" };
+  t.mock.method(Vehicle, "findOne", async () => vehicle);
+  const member = t.mock.method(FleetMembership, "exists", async () => null);
+  const assign = t.mock.method(Vehicle, "findOneAndUpdate", async () => null);
+
+  await assert.rejects(assignVehicle(fleet, vehicle._id, id()), {
+    statusCode: 404,
+    message: "Driver is not an active member of your fleet",
+  });
+  assert.equal(member.mock.calls[0].arguments[0].status, "active");
+  assert.equal(assign.mock.callCount(), 0);
+});
+
+test("a vehicle has one driver at a time and becomes a new driver's active one", async (t) => {
+  const fleet = { _id: id() };
+  const vehicle = { _id: id(), fleetId: fleet._id, status: "approved" };
+  const driverId = id();
+  t.mock.method(Vehicle, "findOne", async () => vehicle);
+  t.mock.method(FleetMembership, "exists", async () => ({ _id: id() }));
+  const assign = t.mock.method(Vehicle, "findOneAndUpdate", async () => null);
+  const activate = t.mock.method(User, "updateOne", async () => ({}));
+
+  await assert.rejects(assignVehicle(fleet, vehicle._id, driverId), {
+    statusCode: 409,
+  });
+  assert.deepEqual(assign.mock.calls[0].arguments[0], {
+    _id: vehicle._id,
+    assignedDriverId: null,
+  });
+
+  assign.mock.mockImplementation(async (filter, update) => ({
+    ...vehicle,
+    ...update,
+  }));
+  await assignVehicle(fleet, vehicle._id, driverId);
+  assert.deepEqual(activate.mock.calls[0].arguments, [
+    { _id: driverId, activeVehicleId: null },
+    { activeVehicleId: vehicle._id },
+  ]);
+});
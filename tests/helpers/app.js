@@ -0,0 +1,123 @@
+// Test harness: the real routers and error handling, served on a random port with no
+// database. Tests stub the model methods a request reaches with mock.method; with command
+// buffering off, any query left unstubbed fails at once instead of waiting for MongoDB.
+import "./env.js";
+import "dotenv/config";
+import express from "express";
+import cookieParser from "cookie-parser";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import sharp from "sharp";
+import errorHandler, { notFound } from "../../middlewares/errorMiddleware.js";
+import requestId from "../../middlewares/requestIdMiddleware.js";
+import userRoutes from "../../routes/userRoutes.js";
+import driversRoutes from "../../routes/driversRoutes.js";
+import adminRoutes from "../../routes/adminRoutes.js";
+import rideRoutes from "../../routes/rideRoutes.js";
+import User from "../../models/userModel.js";
+import Session from "../../models/sessionModel.js";
+import Wallet from "../../models/walletModel.js";
+import LedgerTransaction from "../../models/ledgerTransactionModel.js";
+
+mongoose.set("bufferCommands", false);
+
+// Start the app; returns its base URL and a close function for the after() hook
+const startApp = async () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/user", userRoutes);
+  app.use("/api/drivers", driversRoutes);
+  app.use("/api/admin", adminRoutes);
+  app.use("/api/rides", rideRoutes);
+  app.use(notFound);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// A resolved Mongoose query: awaitable, with the chainable methods controllers call
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  for (const method of [
+    "select",
+    "populate",
+    "sort",
+    "skip",
+    "limit",
+    "lean",
+  ]) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// An unsaved user document whose save() only resolves
+const makeUser = (t, fields) => {
+  const user = new User({
+    firstName: "Test",
+    lastName: "User",
+    email: `${new mongoose.Types.ObjectId()}@example.com`,
+    isVerified: true,
+    ...fields,
+  });
+  t.mock.method(user, "save", async () => user);
+  return user;
+};
+
+// Let authHandler and User.findById find these users; returns a token cookie per user,
+// each on its own live session
+const signIn = (t, users) => {
+  t.mock.method(User, "findById", (id) =>
+    query(users.find((user) => user._id.equals(id)) || null)
+  );
+  t.mock.method(Session, "findOne", (filter) =>
+    query({ _id: filter._id, userId: filter.userId })
+  );
+  return users.map(
+    (user) =>
+      `token=${jwt.sign(
+        { id: user._id, sid: new mongoose.Types.ObjectId() },
+        process.env.JWT_SECRET
+      )}`
+  );
+};
+
+// Give every wallet this currency and a balance in minor units
+const fundWallets = (t, { currency = "PKR", balance = 0 } = {}) => {
+  t.mock.method(Wallet, "findOneAndUpdate", async (filter) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...filter,
+    currency,
+  }));
+  t.mock.method(LedgerTransaction, "aggregate", async () => [{ balance }]);
+};
+
+// A small PNG to attach to upload requests
+const pngImage = () =>
+  sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#808080" },
+  })
+    .png()
+    .toBuffer();
+
+// Multipart body from form fields and { field: Buffer } images
+const formData = (fields, images = {}) => {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  for (const [name, image] of Object.entries(images)) {
+    form.append(name, new Blob([image], { type: "image/png" }), `${name}.png`);
+  }
+  return form;
+};
+
+export { startApp, query, makeUser, signIn, fundWallets, pngImage, formData };
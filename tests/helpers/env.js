@@ -0,0 +1,4 @@
+// Settings the app reads at import time; imported before anything else so tests never
+// depend on a local .env
+process.env.JWT_SECRET ||= "test-secret";
+process.env.PAYMENT_PROVIDER ||= "fake";
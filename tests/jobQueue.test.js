@@ -0,0 +1,118 @@
+// Failed jobs retry with exponential backoff and are dead-lettered once attempts run out
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  registerJobHandler,
+  runJob,
+  isRetryable,
+  retryJob,
+} from "../services/jobQueue.js";
+import Job from "../models/jobModel.js";
+
+mongoose.set("bufferCommands", false);
+
+const deadLetters = [];
+registerJobHandler("flaky", {
+  run: async () => {
+    throw new Error("provider unavailable");
+  },
+  onDead: async (payload, error) => {
+    deadLetters.push({ payload, error: error.message });
+  },
+});
+registerJobHandler("once", {
+  run: async () => {
+    throw new Error("input gone");
+  },
+  retryable: false,
+});
+registerJobHandler("report", async (payload) => ({ rows: payload.rows }));
+
+const claimedJob = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  lockedBy: "test-worker",
+  attempts: 1,
+  maxAttempts: 5,
+  payload: { rows: 3 },
+  ...fields,
+});
+
+// The update recorded for a job after one attempt
+const recordedOutcome = async (t, job) => {
+  const record = t.mock.method(Job, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  await runJob(job);
+  assert.equal(record.mock.callCount(), 1);
+  const [filter, update] = record.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: job._id,
+    lockedBy: "test-worker",
+    status: "running",
+  });
+  return update;
+};
+
+test("a completed job records its result and expiry", async (t) => {
+  const update = await recordedOutcome(t, claimedJob({ type: "report" }));
+  assert.equal(update.status, "completed");
+  assert.deepEqual(update.result, { rows: 3 });
+  assert.ok(update.expiresAt > new Date());
+});
+
+test("a sensitive job's payload is erased once it finishes", async (t) => {
+  const update = await recordedOutcome(
+    t,
+    claimedJob({ type: "report", sensitive: true })
+  );
+  assert.equal(update.payload, null);
+});
+
+test("retries back off exponentially, with jitter", async (t) => {
+  const delays = [];
+  for (const attempts of [1, 2, 3]) {
+    const before = Date.now();
+    const update = await recordedOutcome(
+      t,
+      claimedJob({ type: "flaky", attempts })
+    );
+    assert.equal(update.status, "queued");
+    assert.equal(update.lastError, "provider unavailable");
+    delays.push(update.runAt.getTime() - before);
+    t.mock.restoreAll();
+  }
+  // 30s, 60s and 120s, each within 20% either way
+  [30000, 60000, 120000].forEach((base, i) => {
+    assert.ok(delays[i] >= base * 0.8 - 50 && delays[i] <= base * 1.2 + 50);
+  });
+  assert.equal(deadLetters.length, 0);
+});
+
+test("the last failed attempt dead-letters the job and runs its hook", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const job = claimedJob({ type: "flaky", attempts: 5 });
+  const update = await recordedOutcome(t, job);
+  assert.equal(update.status, "dead");
+  assert.ok(update.failedAt);
+  assert.equal(update.expiresAt, undefined); // Kept for inspection
+  assert.deepEqual(deadLetters, [
+    { payload: job.payload, error: "provider unavailable" },
+  ]);
+});
+
+test("dead jobs are retried only for retryable types", async (t) => {
+  assert.equal(isRetryable("flaky"), true);
+  assert.equal(isRetryable("once"), false);
+
+  const requeue = t.mock.method(Job, "findOneAndUpdate", async () => null);
+  const jobId = new mongoose.Types.ObjectId();
+  await retryJob(jobId);
+  const [filter, update] = requeue.mock.calls[0].arguments;
+  assert.equal(filter.status, "dead");
+  assert.deepEqual(filter.payload, { $ne: null });
+  assert.ok(filter.type.$nin.includes("once"));
+  assert.ok(!filter.type.$nin.includes("flaky"));
+  assert.equal(update.status, "queued");
+  assert.equal(update.attempts, 0);
+});
@@ -0,0 +1,128 @@
+// Drivers keep several vehicles: one is active, old ones are archived, plates stay unique
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import Shift from "../models/shiftModel.js";
+import { startApp, makeUser, signIn } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const post = (path, cookie, body = {}) =>
+  fetch(`${app.baseUrl}/api/drivers${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Cookie: cookie },
+    body: JSON.stringify(body),
+  });
+
+// A driver owning this vehicle, signed in
+const stubOwnVehicle = (t, fields = {}) => {
+  const driver = makeUser(t, { role: "driver", kycLevel: 2 });
+  const [cookie] = signIn(t, [driver]);
+  const vehicle = new Vehicle({
+    userId: driver._id,
+    status: "approved",
+    ...fields,
+  });
+  t.mock.method(Vehicle, "findOne", async (filter) =>
+    vehicle._id.equals(filter._id) ? vehicle : null
+  );
+  return { driver, cookie, vehicle };
+};
+
+test("an approved vehicle becomes the active one", async (t) => {
+  const { driver, cookie, vehicle } = stubOwnVehicle(t);
+  t.mock.method(Shift, "findOne", async () => null);
+  const activate = t.mock.method(User, "updateOne", async () => ({}));
+
+  const response = await post(`/vehicles/${vehicle._id}/activate`, cookie);
+  assert.equal(response.status, 200);
+  assert.deepEqual(activate.mock.calls[0].arguments, [
+    { _id: driver._id },
+    { activeVehicleId: vehicle._id },
+  ]);
+});
+
+test("only approved vehicles, and not mid-shift, can be made active", async (t) => {
+  const { cookie, vehicle } = stubOwnVehicle(t, { status: "submitted" });
+  t.mock.method(Shift, "findOne", async () => ({
+    vehicleId: new mongoose.Types.ObjectId(),
+  }));
+  const activate = t.mock.method(User, "updateOne", async () => ({}));
+
+  const pending = await post(`/vehicles/${vehicle._id}/activate`, cookie);
+  assert.equal(pending.status, 409);
+
+  vehicle.status = "approved";
+  const online = await post(`/vehicles/${vehicle._id}/activate`, cookie);
+  assert.equal(online.status, 409);
+  assert.equal(
+    (await online.json()).message,
+    "Go offline before switching to another vehicle"
+  );
+  assert.equal(activate.mock.callCount(), 0);
+});
+
+test("archiving a vehicle clears it as the active one", async (t) => {
+  const { driver, cookie, vehicle } = stubOwnVehicle(t);
+  t.mock.method(Shift, "exists", async () => null);
+  const archive = t.mock.method(
+    Vehicle,
+    "findOneAndUpdate",
+    async (filter, update) => vehicle.set(update)
+  );
+  const clear = t.mock.method(User, "updateMany", async () => ({}));
+
+  const response = await post(`/vehicles/${vehicle._id}/archive`, cookie);
+  assert.equal(response.status, 200);
+  assert.equal(vehicle.archived, true);
+  assert.deepEqual(archive.mock.calls[0].arguments[0], {
+    _id: vehicle._id,
+    archived: false,
+  });
+  assert.deepEqual(clear.mock.calls[0].arguments, [
+    { _id: { $in: [driver._id] }, activeVehicleId: vehicle._id },
+    { activeVehicleId: null },
+  ]);
+
+  archive.mock.mockImplementation(async () => null);
+  const again = await post(`/vehicles/${vehicle._id}/archive`, cookie);
+  assert.equal(again.status, 409);
+});
+
+test("the vehicle being driven can't be archived", async (t) => {
+  const { cookie, vehicle } = stubOwnVehicle(t);
+  t.mock.method(Shift, "exists", async () => ({ _id: "shift" }));
+  const archive = t.mock.method(Vehicle, "findOneAndUpdate", async () => null);
+
+  const response = await post(`/vehicles/${vehicle._id}/archive`, cookie);
+  assert.equal(response.status, 409);
+  assert.equal(archive.mock.callCount(), 0);
+});
+
+test("a plate or chassis number already registered is a conflict", async (t) => {
+  const driver = makeUser(t, { kycLevel: 2 });
+  const [cookie] = signIn(t, [driver]);
+  t.mock.method(Vehicle.prototype, "save", async () => {
+    throw Object.assign(new Error("E11000 duplicate key"), {
+      code: 11000,
+      keyPattern: { chassisNumber: 1 },
+    });
+  });
+
+  const response = await post("/register-vehicle", cookie, {
+    userId: driver._id,
+    vehiclePlateNumber: "ABC-123",
+    chassisNumber: "CH-42",
+  });
+  assert.equal(response.status, 409);
+  assert.equal(
+    (await response.json()).message,
+    "A vehicle with this chassis number is already registered"
+  );
+});
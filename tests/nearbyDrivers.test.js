@@ -0,0 +1,74 @@
+// Riders see what is available nearby without learning where drivers are or who they are
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import DriverLocation from "../models/driverLocationModel.js";
+import { startApp, makeUser, signIn } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const get = (path, cookie) =>
+  fetch(`${app.baseUrl}${path}`, { headers: { Cookie: cookie } });
+
+// One online driver 1234 m away, as the matching pipeline returns it
+const stubDrivers = (t) =>
+  t.mock.method(DriverLocation, "aggregate", async () => [
+    {
+      driverId: new mongoose.Types.ObjectId(),
+      distance: 1234,
+      location: { type: "Point", coordinates: [67.0, 24.86] },
+      vehicle: {
+        _id: new mongoose.Types.ObjectId(),
+        vehicleType: "minicar",
+        vehiclePlateNumber: "ABC-123",
+        wheelchair: false,
+      },
+    },
+  ]);
+
+test("riders get vehicle type, rounded distance and ETA only", async (t) => {
+  const rider = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [rider]);
+  stubDrivers(t);
+
+  const response = await get(
+    "/api/rides/nearby-drivers?lat=24.86&lng=67.01",
+    cookie
+  );
+  assert.equal(response.status, 200);
+  const { drivers } = await response.json();
+  assert.deepEqual(drivers, [
+    {
+      vehicleType: "minicar",
+      wheelchair: false,
+      distance: 1200,
+      etaMinutes: 4,
+    },
+  ]);
+});
+
+test("admins get live locations and vehicles of nearby drivers", async (t) => {
+  const admin = makeUser(t, { role: "admin" });
+  const rider = makeUser(t, { role: "customer" });
+  const [adminCookie, riderCookie] = signIn(t, [admin, rider]);
+  stubDrivers(t);
+
+  let response = await get(
+    "/api/admin/drivers/nearby?lat=24.86&lng=67.01",
+    adminCookie
+  );
+  assert.equal(response.status, 200);
+  const [driver] = (await response.json()).drivers;
+  assert.deepEqual(driver.location.coordinates, [67.0, 24.86]);
+  assert.equal(driver.vehicle.vehiclePlateNumber, "ABC-123");
+
+  response = await get(
+    "/api/admin/drivers/nearby?lat=24.86&lng=67.01",
+    riderCookie
+  );
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,141 @@
+// Verified phone numbers can log in with a texted one-time code instead of a password
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
+import { hashCode } from "../utils/otp.js";
+import { registerSmsProvider } from "../services/sms/index.js";
+import { startApp, query, makeUser } from "./helpers/app.js";
+
+// Texts are kept here instead of being sent
+const texts = [];
+registerSmsProvider("test", {
+  send: async (message) => {
+    texts.push(message);
+    return { status: "sent", reference: String(texts.length) };
+  },
+});
+process.env.SMS_PROVIDER = "test";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const post = (path, body) =>
+  fetch(`${app.baseUrl}/api/user${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+// A verified phone user holding login code 123456; each test gets its own number so the
+// per-account limits don't carry over
+let phoneUsers = 0;
+const stubPhoneUser = (t, fields = {}) => {
+  const user = makeUser(t, {
+    phoneNumber: `+92300000${String(++phoneUsers).padStart(4, "0")}`,
+    phoneVerified: true,
+    phoneOtp: hashCode("123456"),
+    phoneOtpPurpose: "login",
+    phoneOtpExpires: new Date(Date.now() + 60000),
+    sponsorTree: [],
+    ...fields,
+  });
+  t.mock.method(User, "findOne", (filter) =>
+    query(filter.phoneNumber === user.phoneNumber ? user : null)
+  );
+  t.mock.method(Session, "create", async () => ({}));
+  return user;
+};
+
+test("a login code is texted only to verified numbers", async (t) => {
+  const verified = stubPhoneUser(t);
+  const store = t.mock.method(User, "updateOne", async () => ({}));
+  texts.length = 0;
+
+  const sent = await post("/login/otp/request", {
+    phoneNumber: verified.phoneNumber,
+  });
+  const unknown = await post("/login/otp/request", {
+    phoneNumber: "+923000000000",
+  });
+  assert.equal(sent.status, 200);
+  assert.deepEqual(await sent.json(), await unknown.json());
+
+  assert.equal(texts.length, 1);
+  assert.equal(texts[0].to, verified.phoneNumber);
+  const [code] = texts[0].body.match(/\d{6}/);
+  const [, update] = store.mock.calls[0].arguments;
+  assert.equal(update.phoneOtp, hashCode(code));
+  assert.equal(update.phoneOtpPurpose, "login");
+});
+
+for (const path of ["/login", "/login/otp"]) {
+  test(`${path} logs in with the code and consumes it`, async (t) => {
+    const user = stubPhoneUser(t);
+    const claim = t.mock.method(User, "updateOne", async () => ({
+      modifiedCount: 1,
+    }));
+
+    const response = await post(path, {
+      phoneNumber: user.phoneNumber,
+      otp: "123456",
+    });
+    assert.equal(response.status, 200);
+    assert.ok((await response.json()).token);
+    assert.deepEqual(claim.mock.calls[0].arguments, [
+      { _id: user._id, phoneOtp: hashCode("123456") },
+      { phoneOtp: null, phoneOtpExpires: null, phoneOtpAttempts: 0 },
+    ]);
+  });
+}
+
+test("a wrong code is refused and counted", async (t) => {
+  const user = stubPhoneUser(t);
+  const guesses = t.mock.method(User, "findByIdAndUpdate", async () => ({
+    phoneOtpAttempts: 1,
+  }));
+  const claim = t.mock.method(User, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  const response = await post("/login", {
+    phoneNumber: user.phoneNumber,
+    otp: "654321",
+  });
+  assert.equal(response.status, 400);
+  const body = await response.json();
+  assert.equal(body.message, "Invalid code");
+  assert.equal(body.code, "OTP_INVALID");
+  assert.equal(guesses.mock.callCount(), 1);
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test("a phone verification code can't be used to log in", async (t) => {
+  const user = stubPhoneUser(t, { phoneOtpPurpose: "verify" });
+  const claim = t.mock.method(User, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  const response = await post("/login/otp", {
+    phoneNumber: user.phoneNumber,
+    otp: "123456",
+  });
+  assert.equal(response.status, 400);
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test("unverified phone numbers can't log in with a code", async (t) => {
+  const user = stubPhoneUser(t, { phoneVerified: false });
+
+  const response = await post("/login", {
+    phoneNumber: user.phoneNumber,
+    otp: "123456",
+  });
+  assert.equal(response.status, 401);
+  const body = await response.json();
+  assert.equal(body.message, "Invalid phone number or code");
+  assert.equal(body.code, "INVALID_CREDENTIALS");
+});
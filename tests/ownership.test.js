@@ -0,0 +1,143 @@
+// Self-service routes act on the authenticated user: another user's ID in the body is
+// refused, or ignored where the route has no use for it
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
+import Job from "../models/jobModel.js";
+import {
+  startApp,
+  query,
+  makeUser,
+  signIn,
+  pngImage,
+  formData,
+} from "./helpers/app.js";
+import { hashCode } from "../utils/otp.js";
+
+let app;
+let image;
+before(async () => {
+  app = await startApp();
+  image = await pngImage();
+});
+after(() => app.close());
+
+const post = (path, cookie, body) =>
+  fetch(`${app.baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      Cookie: cookie,
+      ...(body instanceof FormData
+        ? {}
+        : { "Content-Type": "application/json" }),
+    },
+    body: body instanceof FormData ? body : JSON.stringify(body),
+  });
+
+const assertNotOwner = async (response) => {
+  assert.equal(response.status, 403);
+  const body = await response.json();
+  assert.equal(body.code, "NOT_ACCOUNT_OWNER");
+  assert.ok(body.requestId);
+};
+
+test("submit-kyc refuses another user's ID", async (t) => {
+  const caller = makeUser(t, { kycLevel: 0 });
+  const victim = makeUser(t, { kycLevel: 0 });
+  const [cookie] = signIn(t, [caller, victim]);
+  const form = formData(
+    { userId: String(victim._id), fullName: "Test User", country: "Pakistan" },
+    { frontImage: image, backImage: image, selfieImage: image }
+  );
+  await assertNotOwner(await post("/api/user/submit-kyc", cookie, form));
+});
+
+test("upload-license refuses another user's ID", async (t) => {
+  const caller = makeUser(t, { kycLevel: 1 });
+  const victim = makeUser(t, { kycLevel: 1 });
+  const [cookie] = signIn(t, [caller, victim]);
+  const form = formData(
+    { userId: String(victim._id), licenseExpiryDate: "2030-01-01" },
+    { licenseImage: image }
+  );
+  await assertNotOwner(await post("/api/drivers/upload-license", cookie, form));
+});
+
+test("register-vehicle refuses another user's ID", async (t) => {
+  const caller = makeUser(t, { kycLevel: 2 });
+  const victim = makeUser(t, { kycLevel: 2 });
+  const [cookie] = signIn(t, [caller, victim]);
+  const form = formData(
+    { userId: String(victim._id), vehiclePlateNumber: "ABC-123" },
+    { vehicleRegistrationCardFront: image }
+  );
+  await assertNotOwner(
+    await post("/api/drivers/register-vehicle", cookie, form)
+  );
+});
+
+test("vehicle-decision refuses another user's ID", async (t) => {
+  const caller = makeUser(t, { kycLevel: 2 });
+  const victim = makeUser(t, { kycLevel: 2 });
+  const [cookie] = signIn(t, [caller, victim]);
+  await assertNotOwner(
+    await post("/api/drivers/vehicle-decision", cookie, {
+      userId: String(victim._id),
+      hasVehicle: "no",
+    })
+  );
+  assert.equal(victim.role, "customer");
+  assert.equal(victim.save.mock.callCount(), 0);
+});
+
+test("vehicle-decision acts on the authenticated user", async (t) => {
+  const caller = makeUser(t, { kycLevel: 2 });
+  const [cookie] = signIn(t, [caller]);
+  const response = await post("/api/drivers/vehicle-decision", cookie, {
+    userId: String(caller._id),
+    hasVehicle: "no",
+  });
+  assert.equal(response.status, 200);
+  assert.equal(caller.role, "driver");
+  assert.equal(caller.save.mock.callCount(), 1);
+});
+
+test("reset-password ignores a user ID and resets the account the code belongs to", async (t) => {
+  const owner = makeUser(t, {
+    resetOtp: hashCode("123456"),
+    resetOtpExpires: new Date(Date.now() + 60 * 1000),
+  });
+  const victim = makeUser(t, {});
+  const lookups = [];
+  t.mock.method(User, "findOne", (filter) => {
+    lookups.push(filter);
+    return query(owner);
+  });
+  const claims = [];
+  t.mock.method(User, "updateOne", async (filter) => {
+    claims.push(filter);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Session, "updateMany", async () => ({ modifiedCount: 0 }));
+  t.mock.method(Job, "create", async (job) => job);
+
+  const response = await fetch(`${app.baseUrl}/api/user/reset-password`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      userId: String(victim._id),
+      email: owner.email,
+      otp: "123456",
+      password: "N3w-password!",
+    }),
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(lookups, [{ email: owner.email }]);
+  assert.ok(claims.every((filter) => owner._id.equals(filter._id)));
+  assert.equal(owner.save.mock.callCount(), 1);
+  assert.equal(victim.save.mock.callCount(), 0);
+  const [mail] = Job.create.mock.calls[0].arguments;
+  assert.equal(mail.payload.to, owner.email);
+});
@@ -0,0 +1,162 @@
+// Reset codes and links are stored hashed, work once, and never reveal whether an account exists
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
+import { hashCode } from "../utils/otp.js";
+import { startApp, query, makeUser } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const post = (path, body) =>
+  fetch(`${app.baseUrl}/api/user${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+// A user holding reset code 123456 and link token "link-secret"
+const stubResetting = (t) => {
+  const user = makeUser(t, {
+    resetOtp: hashCode("123456"),
+    resetTokenHash: hashCode("link-secret"),
+    resetOtpExpires: new Date(Date.now() + 60000),
+  });
+  const findOne = t.mock.method(User, "findOne", () => query(user));
+  const endSessions = t.mock.method(Session, "updateMany", async () => ({
+    modifiedCount: 0,
+  }));
+  return { user, findOne, endSessions };
+};
+
+test("forgot-password answers the same for unknown accounts", async (t) => {
+  const user = makeUser(t, { email: "known@example.com" });
+  t.mock.method(User, "findOne", (filter) =>
+    query(filter.email === user.email ? user : null)
+  );
+  const store = t.mock.method(User, "updateOne", async () => ({}));
+
+  const known = await post("/forgot-password", { email: user.email });
+  const unknown = await post("/forgot-password", {
+    email: "nobody@example.com",
+  });
+  assert.equal(known.status, 200);
+  assert.equal(unknown.status, 200);
+  assert.deepEqual(await known.json(), await unknown.json());
+
+  // Only hashes of the code and link are stored
+  assert.equal(store.mock.callCount(), 1);
+  const [, update] = store.mock.calls[0].arguments;
+  assert.match(update.resetOtp, /^[0-9a-f]{64}$/);
+  assert.match(update.resetTokenHash, /^[0-9a-f]{64}$/);
+  assert.equal(update.resetOtpAttempts, 0);
+});
+
+test("a reset code is consumed by the first reset", async (t) => {
+  const { user, endSessions } = stubResetting(t);
+  const claim = t.mock.method(User, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  const response = await post("/reset-password", {
+    email: user.email,
+    otp: "123456",
+    password: "new-password",
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(claim.mock.calls[0].arguments, [
+    { _id: user._id, resetOtp: hashCode("123456") },
+    {
+      resetOtp: null,
+      resetTokenHash: null,
+      resetOtpExpires: null,
+      resetOtpAttempts: 0,
+    },
+  ]);
+  assert.equal(user.save.mock.callCount(), 1);
+  assert.equal(
+    endSessions.mock.calls[0].arguments[1].revokedReason,
+    "password_reset"
+  );
+});
+
+test("a code already used by another request is refused", async (t) => {
+  const { user } = stubResetting(t);
+  t.mock.method(User, "updateOne", async () => ({ modifiedCount: 0 }));
+
+  const response = await post("/reset-password", {
+    email: user.email,
+    otp: "123456",
+    password: "new-password",
+  });
+  assert.equal(response.status, 400);
+  assert.equal(
+    (await response.json()).message,
+    "Invalid or expired reset code"
+  );
+  assert.equal(user.save.mock.callCount(), 0);
+});
+
+test("the reset link is looked up by its hash", async (t) => {
+  const { user, findOne } = stubResetting(t);
+  t.mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  const response = await post("/reset-password", {
+    token: "link-secret",
+    password: "new-password",
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+    resetTokenHash: hashCode("link-secret"),
+  });
+  assert.equal(user.save.mock.callCount(), 1);
+});
+
+test("a wrong code is refused without consuming the reset", async (t) => {
+  const { user } = stubResetting(t);
+  t.mock.method(User, "findByIdAndUpdate", async () => ({
+    resetOtpAttempts: 1,
+  }));
+  const claim = t.mock.method(User, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  const response = await post("/reset-password", {
+    email: user.email,
+    otp: "654321",
+    password: "new-password",
+  });
+  assert.equal(response.status, 400);
+  assert.equal(claim.mock.callCount(), 0);
+  assert.equal(user.save.mock.callCount(), 0);
+});
+
+test("resend-otp answers the same whatever the account state", async (t) => {
+  const accounts = {
+    "pending@example.com": makeUser(t, { isVerified: false }),
+    "verified@example.com": makeUser(t, { isVerified: true }),
+  };
+  t.mock.method(User, "findOne", (filter) =>
+    query(accounts[filter.email] || null)
+  );
+  const store = t.mock.method(User, "updateOne", async () => ({}));
+
+  const bodies = [];
+  for (const email of [
+    "pending@example.com",
+    "verified@example.com",
+    "stranger@example.com",
+  ]) {
+    const response = await post("/resend-otp", { email });
+    assert.equal(response.status, 200);
+    bodies.push(await response.json());
+  }
+  assert.deepEqual(bodies[1], bodies[0]);
+  assert.deepEqual(bodies[2], bodies[0]);
+  // Only the unverified account gets a new code
+  assert.equal(store.mock.callCount(), 1);
+});
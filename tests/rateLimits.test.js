@@ -0,0 +1,131 @@
+// Login and OTP endpoints lock out repeated failures and answer 429 with Retry-After
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
+import { hashCode } from "../utils/otp.js";
+import { registerRateLimitStore } from "../services/rateLimit/index.js";
+import { RATE_LIMITS, OTP_MAX_ATTEMPTS } from "../config/rateLimits.js";
+import { startApp, query, makeUser } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+// Every test starts with empty counters
+beforeEach(() => {
+  const counters = new Map();
+  registerRateLimitStore("memory", {
+    get: async (key) => counters.get(key) || null,
+    increment: async (key, windowMs) => {
+      const counter = counters.get(key) || {
+        count: 0,
+        resetAt: new Date(Date.now() + windowMs),
+      };
+      counter.count++;
+      counters.set(key, counter);
+      return counter;
+    },
+    reset: async (key) => counters.delete(key),
+  });
+});
+
+const post = (path, body) =>
+  fetch(`${app.baseUrl}/api/user${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+// A verified user that logs in with "right-password"
+const stubLogin = (t) => {
+  const user = makeUser(t, { email: "rider@example.com", sponsorTree: [] });
+  t.mock.method(user, "comparePassword", async (p) => p === "right-password");
+  t.mock.method(User, "findOne", () => query(user));
+  t.mock.method(Session, "create", async () => ({}));
+  return user;
+};
+
+const login = (password) =>
+  post("/login", { email: "rider@example.com", password });
+
+test("an account locks after repeated wrong passwords", async (t) => {
+  stubLogin(t);
+  const { limit, windowSeconds } = RATE_LIMITS.loginFailuresPerAccount;
+  for (let i = 0; i < limit; i++) {
+    assert.equal((await login("wrong")).status, 401);
+  }
+
+  // Locked even with the right password, until the window ends
+  const locked = await login("right-password");
+  assert.equal(locked.status, 429);
+  const retryAfter = Number(locked.headers.get("retry-after"));
+  assert.ok(retryAfter > 0 && retryAfter <= windowSeconds);
+  const body = await locked.json();
+  assert.equal(
+    body.message,
+    "Too many failed login attempts. Please try again later."
+  );
+  assert.equal(body.code, "ACCOUNT_LOCKED");
+});
+
+test("a successful login clears the failure count", async (t) => {
+  stubLogin(t);
+  const { limit } = RATE_LIMITS.loginFailuresPerAccount;
+  for (let i = 0; i < limit - 1; i++) await login("wrong");
+  assert.equal((await login("right-password")).status, 200);
+
+  for (let i = 0; i < limit - 1; i++) await login("wrong");
+  assert.equal((await login("right-password")).status, 200);
+});
+
+test("too many login requests from one IP get 429", async (t) => {
+  stubLogin(t);
+  const { limit } = RATE_LIMITS.loginPerIp;
+  for (let i = 0; i < limit; i++) {
+    assert.equal((await login("right-password")).status, 200);
+  }
+  const limited = await login("right-password");
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  assert.equal((await limited.json()).code, "RATE_LIMITED");
+});
+
+test("an OTP is invalidated after too many wrong guesses", async (t) => {
+  const user = makeUser(t, {
+    isVerified: false,
+    otp: hashCode("123456"),
+    otpExpires: new Date(Date.now() + 60000),
+  });
+  t.mock.method(User, "findOne", async () => user);
+  let attempts = 0;
+  const increments = t.mock.method(User, "findByIdAndUpdate", async () => ({
+    otpAttempts: ++attempts,
+  }));
+  const invalidate = t.mock.method(User, "updateOne", async () => ({}));
+
+  for (let i = 1; i < OTP_MAX_ATTEMPTS; i++) {
+    const response = await post("/verify-otp", { email: user.email, otp: "0" });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).message, "Invalid OTP");
+  }
+  assert.equal(invalidate.mock.callCount(), 0);
+
+  const last = await post("/verify-otp", { email: user.email, otp: "0" });
+  const body = await last.json();
+  assert.equal(
+    body.message,
+    "Too many incorrect attempts. Please request a new OTP."
+  );
+  assert.equal(body.code, "OTP_ATTEMPTS_EXCEEDED");
+  assert.deepEqual(increments.mock.calls[0].arguments.slice(0, 2), [
+    user._id,
+    { $inc: { otpAttempts: 1 } },
+  ]);
+  assert.deepEqual(invalidate.mock.calls[0].arguments, [
+    { _id: user._id },
+    { otp: null, otpExpires: null },
+  ]);
+});
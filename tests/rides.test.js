@@ -0,0 +1,301 @@
+// Ride lifecycle: who may move a ride between statuses, and which moves are refused
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Ride from "../models/rideModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import Shift from "../models/shiftModel.js";
+import DriverLocation from "../models/driverLocationModel.js";
+import FareQuote from "../models/fareQuoteModel.js";
+import {
+  startApp,
+  query,
+  makeUser,
+  signIn,
+  fundWallets,
+} from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const post = (path, cookie, body = {}) =>
+  fetch(`${app.baseUrl}${path}`, {
+    method: "POST",
+    headers: { Cookie: cookie, "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+const point = { type: "Point", coordinates: [74.35, 31.52] };
+
+// A ride between these users in the given status, returned by Ride.findById
+const stubRide = (t, customer, driver, status) => {
+  const ride = new Ride({
+    customerId: customer._id,
+    driverId: status === "requested" ? null : driver._id,
+    vehicleType: "minicar",
+    pickup: point,
+    dropoff: point,
+    status,
+  });
+  t.mock.method(Ride, "findById", () => query(ride));
+  return ride;
+};
+
+// Put the driver online in a vehicle with these fields; returns the vehicle
+const stubShift = (t, fields) => {
+  const vehicle = { _id: new mongoose.Types.ObjectId(), ...fields };
+  t.mock.method(Shift, "findOne", () => query({ vehicleId: vehicle._id }));
+  t.mock.method(Vehicle, "findById", () => query(vehicle));
+  return vehicle;
+};
+
+// Record the filter and update of each status change, applying it to the ride
+const stubUpdate = (t, ride) => {
+  const calls = [];
+  t.mock.method(Ride, "findOneAndUpdate", async (filter, update) => {
+    calls.push({ filter, update });
+    return Object.assign(ride, update);
+  });
+  return calls;
+};
+
+// An unexpired quote for this customer, handed out once by redeemQuote
+const stubQuote = (t, customer) => {
+  const quote = new FareQuote({
+    userId: customer._id,
+    pickup: point,
+    dropoff: point,
+    distanceKm: 4.2,
+    durationMinutes: 11,
+    country: "default",
+    fares: [
+      {
+        vehicleType: "minicar",
+        currency: "PKR",
+        amount: 270,
+        baseFare: 100,
+        distanceFare: 126,
+        timeFare: 44,
+      },
+    ],
+    expiresAt: new Date(Date.now() + 60000),
+  });
+  t.mock.method(FareQuote, "findOneAndUpdate", async () => quote);
+  return quote;
+};
+
+test("a customer books a ride at the quoted fare", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [customer]);
+  const quote = stubQuote(t, customer);
+  fundWallets(t, { balance: 27000 });
+  t.mock.method(Ride, "exists", async () => null);
+  const create = t.mock.method(Ride, "create", async (fields) => fields);
+  t.mock.method(DriverLocation, "aggregate", async () => [
+    { driverId: new mongoose.Types.ObjectId(), distance: 800 },
+  ]);
+
+  const response = await post("/api/rides", cookie, {
+    quoteId: String(quote._id),
+    vehicleType: "minicar",
+  });
+  assert.equal(response.status, 201);
+  assert.equal((await response.json()).driversNotified, 1);
+  const [fields] = create.mock.calls[0].arguments;
+  assert.ok(fields.customerId.equals(customer._id));
+  assert.equal(fields.pickup, quote.pickup);
+  assert.equal(fields.fare.amount, 270);
+  assert.equal(fields.fare.currency, "PKR");
+});
+
+test("requesting a ride refuses drivers, bad quotes and a second active ride", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const [customerCookie, driverCookie] = signIn(t, [customer, driver]);
+  const valid = {
+    quoteId: String(new mongoose.Types.ObjectId()),
+    vehicleType: "minicar",
+  };
+
+  let response = await post("/api/rides", driverCookie, valid);
+  assert.equal(response.status, 403);
+
+  response = await post("/api/rides", customerCookie, {
+    ...valid,
+    quoteId: "not-a-quote",
+  });
+  assert.equal(response.status, 400);
+
+  t.mock.method(Ride, "exists", async () => ({ _id: "active" }));
+  response = await post("/api/rides", customerCookie, valid);
+  assert.equal(response.status, 409);
+  assert.equal(
+    (await response.json()).message,
+    "You already have an active ride"
+  );
+});
+
+test("the fare must be covered by the wallet, in the wallet's currency", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [customer]);
+  const quote = stubQuote(t, customer);
+  t.mock.method(Ride, "exists", async () => null);
+  const create = t.mock.method(Ride, "create", async (fields) => fields);
+  const release = t.mock.method(FareQuote, "updateOne", async () => ({}));
+  const book = () =>
+    post("/api/rides", cookie, {
+      quoteId: String(quote._id),
+      vehicleType: "minicar",
+    });
+
+  fundWallets(t, { currency: "AED", balance: 100000 });
+  let response = await book();
+  assert.equal(response.status, 409);
+  assert.equal(
+    (await response.json()).message,
+    "This fare is priced in PKR but your wallet holds AED"
+  );
+
+  fundWallets(t, { balance: 26999 });
+  response = await book();
+  assert.equal(response.status, 402);
+
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal(release.mock.callCount(), 2);
+});
+
+test("a driver with a matching vehicle accepts a requested ride", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const [, cookie] = signIn(t, [customer, driver]);
+  const ride = stubRide(t, customer, driver, "requested");
+  const vehicle = stubShift(t, { vehicleType: "minicar" });
+  t.mock.method(Ride, "exists", async () => null);
+  const calls = stubUpdate(t, ride);
+
+  const response = await post(`/api/rides/${ride._id}/accept`, cookie);
+  assert.equal(response.status, 200);
+  const [{ filter, update }] = calls;
+  assert.deepEqual(filter, { _id: ride._id, status: "requested" });
+  assert.equal(update.status, "accepted");
+  assert.ok(update.acceptedAt instanceof Date);
+  assert.ok(update.driverId.equals(driver._id));
+  assert.equal(update.vehicleId, vehicle._id);
+});
+
+test("a driver offline or in a vehicle of another type cannot accept", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const [, cookie] = signIn(t, [customer, driver]);
+  const ride = stubRide(t, customer, driver, "requested");
+  const calls = stubUpdate(t, ride);
+
+  t.mock.method(Shift, "findOne", () => query(null));
+  let response = await post(`/api/rides/${ride._id}/accept`, cookie);
+  assert.equal(response.status, 403);
+  assert.equal(
+    (await response.json()).message,
+    "Go online before accepting rides"
+  );
+
+  stubShift(t, { vehicleType: "bike" });
+  response = await post(`/api/rides/${ride._id}/accept`, cookie);
+  assert.equal(response.status, 403);
+  assert.equal(calls.length, 0);
+});
+
+test("the assigned driver moves the ride through arrival, start and completion", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const [, cookie] = signIn(t, [customer, driver]);
+  const ride = stubRide(t, customer, driver, "accepted");
+  const calls = stubUpdate(t, ride);
+
+  for (const [step, status] of [
+    ["arrived", "arrived"],
+    ["start", "in_progress"],
+    ["complete", "completed"],
+  ]) {
+    const response = await post(`/api/rides/${ride._id}/${step}`, cookie);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).ride.status, status);
+  }
+  assert.deepEqual(
+    calls.map(({ filter }) => filter.status),
+    ["accepted", "arrived", "in_progress"]
+  );
+});
+
+test("steps out of order are refused without touching the ride", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const [, cookie] = signIn(t, [customer, driver]);
+  const ride = stubRide(t, customer, driver, "accepted");
+  const calls = stubUpdate(t, ride);
+
+  const response = await post(`/api/rides/${ride._id}/complete`, cookie);
+  assert.equal(response.status, 409);
+  assert.equal(
+    (await response.json()).message,
+    "Cannot change ride status from accepted to completed"
+  );
+  assert.equal(calls.length, 0);
+});
+
+test("rides in progress or finished cannot be cancelled", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const [cookie] = signIn(t, [customer, driver]);
+
+  for (const status of ["in_progress", "completed", "cancelled"]) {
+    const ride = stubRide(t, customer, driver, status);
+    const calls = stubUpdate(t, ride);
+    const response = await post(`/api/rides/${ride._id}/cancel`, cookie);
+    assert.equal(response.status, 409, status);
+    assert.equal(calls.length, 0);
+  }
+});
+
+test("a cancellation records who cancelled and why", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const [cookie] = signIn(t, [customer, driver]);
+  const ride = stubRide(t, customer, driver, "accepted");
+  const calls = stubUpdate(t, ride);
+
+  const response = await post(`/api/rides/${ride._id}/cancel`, cookie, {
+    reason: "Changed plans",
+  });
+  assert.equal(response.status, 200);
+  assert.equal(calls[0].update.cancelledBy, "customer");
+  assert.equal(calls[0].update.cancellationReason, "Changed plans");
+});
+
+test("only the assigned driver may progress a ride", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const other = makeUser(t, { role: "driver" });
+  const [customerCookie, , otherCookie] = signIn(t, [customer, driver, other]);
+  const ride = stubRide(t, customer, driver, "accepted");
+  const calls = stubUpdate(t, ride);
+
+  let response = await post(`/api/rides/${ride._id}/arrived`, customerCookie);
+  assert.equal(response.status, 403);
+  response = await post(`/api/rides/${ride._id}/arrived`, otherCookie);
+  assert.equal(response.status, 403);
+  assert.equal(calls.length, 0);
+});
+
+test("a status change that lost a race is refused", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const driver = makeUser(t, { role: "driver" });
+  const [, cookie] = signIn(t, [customer, driver]);
+  const ride = stubRide(t, customer, driver, "accepted");
+  t.mock.method(Ride, "findOneAndUpdate", async () => null);
+
+  const response = await post(`/api/rides/${ride._id}/arrived`, cookie);
+  assert.equal(response.status, 409);
+});
@@ -0,0 +1,116 @@
+// Refresh tokens rotate on every use; replaying a rotated one revokes the session
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/sessionModel.js";
+import { startApp, query, makeUser, signIn } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const refresh = (refreshToken) =>
+  fetch(`${app.baseUrl}/api/user/refresh-token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken }),
+  });
+
+// A live session whose current and previous refresh tokens are returned
+const stubSession = (t, fields = {}) => {
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    expiresAt: new Date(Date.now() + 60000),
+    revokedAt: null,
+    ...fields,
+  };
+  const current = `${session._id}.current`;
+  const previous = `${session._id}.previous`;
+  session.refreshTokenHash = hash(current);
+  session.previousTokenHash = hash(previous);
+  t.mock.method(Session, "findById", async () => session);
+  return { session, current, previous };
+};
+
+test("a refresh token is exchanged once for a new pair", async (t) => {
+  const { session, current } = stubSession(t);
+  const rotate = t.mock.method(
+    Session,
+    "findOneAndUpdate",
+    async (filter, update) => ({ ...session, ...update })
+  );
+
+  const response = await refresh(current);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.ok(body.token);
+  assert.notEqual(body.refreshToken, current);
+  assert.ok(body.refreshToken.startsWith(`${session._id}.`));
+  assert.match(response.headers.get("set-cookie"), /refreshToken=/);
+
+  const [filter, update] = rotate.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: session._id,
+    refreshTokenHash: hash(current),
+    revokedAt: null,
+  });
+  assert.equal(update.previousTokenHash, hash(current));
+  assert.equal(update.refreshTokenHash, hash(body.refreshToken));
+});
+
+test("replaying a rotated refresh token revokes the session", async (t) => {
+  const { session, previous } = stubSession(t);
+  const revoke = t.mock.method(Session, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  const rotate = t.mock.method(Session, "findOneAndUpdate", async () => null);
+
+  const response = await refresh(previous);
+  assert.equal(response.status, 401);
+  assert.match((await response.json()).message, /reuse detected/);
+  const [filter, update] = revoke.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: session._id,
+    userId: session.userId,
+    revokedAt: null,
+  });
+  assert.equal(update.revokedReason, "token_reuse");
+  assert.equal(rotate.mock.callCount(), 0);
+});
+
+test("unknown, revoked and concurrently rotated tokens are refused", async (t) => {
+  const { session, current } = stubSession(t);
+  const revoke = t.mock.method(Session, "updateOne", async () => ({}));
+  t.mock.method(Session, "findOneAndUpdate", async () => null);
+
+  let response = await refresh(`${session._id}.guessed`);
+  assert.equal(response.status, 401);
+
+  response = await refresh(current); // Lost the race to a concurrent refresh
+  assert.equal(response.status, 401);
+
+  session.revokedAt = new Date();
+  response = await refresh(current);
+  assert.equal(response.status, 401);
+  assert.equal(revoke.mock.callCount(), 0);
+});
+
+test("an access token stops working once its session is revoked", async (t) => {
+  const user = makeUser(t, {});
+  const [cookie] = signIn(t, [user]);
+  t.mock.method(Session, "find", () => query([]));
+  const get = () =>
+    fetch(`${app.baseUrl}/api/user/sessions`, { headers: { Cookie: cookie } });
+
+  assert.equal((await get()).status, 200);
+  Session.findOne.mock.mockImplementation(() => query(null));
+  const response = await get();
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).message, "Session expired or revoked");
+});
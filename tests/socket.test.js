@@ -0,0 +1,127 @@
+// Connected sockets follow session revocation and account changes made after the handshake
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import { io as connect } from "socket.io-client";
+import jwt from "jsonwebtoken";
+import { initSocket } from "../config/socket.js";
+import { endSession, endAllSessions } from "../services/sessionService.js";
+import Session from "../models/sessionModel.js";
+import User from "../models/userModel.js";
+import { makeUser, signIn, query } from "./helpers/app.js";
+
+let server;
+let url;
+before(async () => {
+  server = http.createServer();
+  initSocket(server);
+  server.listen(0);
+  await once(server, "listening");
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+// A connected client for the user behind the token cookie
+const connectAs = async (t, cookie) => {
+  const client = connect(url, {
+    auth: { token: cookie.slice("token=".length) },
+    transports: ["websocket"],
+    reconnection: false,
+  });
+  t.after(() => client.close());
+  await once(client, "connect");
+  return client;
+};
+
+test(
+  "an event on a revoked session disconnects the socket unanswered",
+  { timeout: 5000 },
+  async (t) => {
+    const driver = makeUser(t, { role: "driver" });
+    const [cookie] = signIn(t, [driver]);
+    const client = await connectAs(t, cookie);
+
+    Session.findOne.mock.mockImplementation(() => query(null));
+    const acked = t.mock.fn();
+    client.emit("location:update", { lat: 24.86, lng: 67.0 }, acked);
+
+    assert.equal((await once(client, "disconnect"))[0], "io server disconnect");
+    assert.equal(acked.mock.callCount(), 0);
+  }
+);
+
+test(
+  "events use the account as it is now, not as it was at the handshake",
+  { timeout: 5000 },
+  async (t) => {
+    const driver = makeUser(t, { role: "driver" });
+    const [cookie] = signIn(t, [driver]);
+    const client = await connectAs(t, cookie);
+
+    const demoted = makeUser(t, { _id: driver._id, role: "customer" });
+    User.findById.mock.mockImplementation(() => query(demoted));
+    const reply = await client.emitWithAck("location:update", {
+      lat: 24.86,
+      lng: 67.0,
+    });
+
+    assert.equal(reply.ok, false);
+    assert.equal(reply.message, "Only drivers can share their location");
+  }
+);
+
+test(
+  "ending a session disconnects only that session's sockets",
+  { timeout: 5000 },
+  async (t) => {
+    const rider = makeUser(t, {});
+    const [first, second] = signIn(t, [rider, rider]);
+    const revoked = await connectAs(t, first);
+    const kept = await connectAs(t, second);
+    const [sessionId] = Session.findOne.mock.calls.map(
+      (call) => call.arguments[0]._id
+    );
+    t.mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+    const keptDisconnect = t.mock.fn();
+    kept.on("disconnect", keptDisconnect);
+
+    await endSession(rider._id, sessionId, "revoked");
+
+    await once(revoked, "disconnect");
+    assert.equal(keptDisconnect.mock.callCount(), 0);
+  }
+);
+
+test(
+  "ending all sessions disconnects every socket but the kept session's",
+  { timeout: 5000 },
+  async (t) => {
+    const rider = makeUser(t, {});
+    const [first, second] = signIn(t, [rider, rider]);
+    const dropped = await connectAs(t, first);
+    const kept = await connectAs(t, second);
+    const [, keptSessionId] = Session.findOne.mock.calls.map(
+      (call) => call.arguments[0]._id
+    );
+    t.mock.method(Session, "updateMany", async () => ({ modifiedCount: 1 }));
+    const keptDisconnect = t.mock.fn();
+    kept.on("disconnect", keptDisconnect);
+
+    await endAllSessions(rider._id, "password_changed", keptSessionId);
+
+    await once(dropped, "disconnect");
+    assert.equal(keptDisconnect.mock.callCount(), 0);
+  }
+);
+
+test("a handshake with a bad token is refused", { timeout: 5000 }, async () => {
+  const client = connect(url, {
+    auth: { token: jwt.sign({ id: "x" }, "wrong-secret") },
+    transports: ["websocket"],
+    reconnection: false,
+  });
+  const [error] = await once(client, "connect_error");
+  client.close();
+  assert.equal(error.message, "Invalid Token");
+});
@@ -0,0 +1,126 @@
+// Vehicle document uploads: only the vehicle's latest upload job is applied
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { runJob } from "../services/jobQueue.js";
+import { registerStorage } from "../services/storage/index.js";
+import { STORAGE } from "../config/storage.js";
+import Job from "../models/jobModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import "../services/jobs/uploadJobs.js";
+
+mongoose.set("bufferCommands", false);
+
+// Storage that records what it saves and deletes
+const stored = { saved: [], removed: [] };
+registerStorage("memory", {
+  name: "memory",
+  save: async (filePath, { folder }) => {
+    const key = `${folder}/${stored.saved.length}.jpg`;
+    stored.saved.push(key);
+    return { key, url: `https://cdn.test/${key}` };
+  },
+  remove: async (key) => {
+    stored.removed.push(key);
+  },
+  keyFromUrl: (url) => url.replace("https://cdn.test/", ""),
+  signedUrl: (key) => `memory://${key}`,
+});
+STORAGE.driver = "memory";
+
+const stubStorage = () => {
+  stored.saved.length = stored.removed.length = 0;
+};
+
+const uploadJob = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: "uploadVehicleDocuments",
+  attempts: 1,
+  maxAttempts: 5,
+  lockedBy: "test",
+  payload: {
+    vehicleId: new mongoose.Types.ObjectId(),
+    files: {
+      insuranceCertificate: [{ path: "/nonexistent/insurance.pdf" }],
+      vehicleImages: [
+        {
+          path: "/nonexistent/front.jpg",
+          thumbnailPath: "/nonexistent/front-thumb.jpg",
+        },
+        { path: "/nonexistent/back.jpg" },
+      ],
+    },
+  },
+});
+
+test("the latest upload sets the documents and status in one guarded update", async (t) => {
+  stubStorage();
+  const job = uploadJob();
+  t.mock.method(Job, "updateOne", async () => ({ modifiedCount: 1 }));
+  t.mock.method(Vehicle, "updateOne", async () => ({ modifiedCount: 1 }));
+  t.mock.method(Vehicle, "findOneAndUpdate", async () => null);
+
+  await runJob(job);
+
+  assert.equal(Vehicle.updateOne.mock.callCount(), 1);
+  const [filter, update] = Vehicle.updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: job.payload.vehicleId,
+    uploadJobId: job._id,
+  });
+  assert.match(update.insuranceCertificate, /^memory:vehicles\/\d\.jpg$/); // Private
+  assert.equal(update.vehicleImages.length, 2);
+  assert.ok(update.vehicleImages.every((url) => url.startsWith("https://")));
+  assert.match(
+    update["thumbnails.vehicleImages"][0],
+    /^https:\/\/.*thumbnails/
+  );
+  assert.equal(update["thumbnails.vehicleImages"][1], null);
+  assert.equal(update.uploadStatus, "ready");
+  assert.equal(update.uploadJobId, null);
+  assert.equal(Vehicle.findOneAndUpdate.mock.callCount(), 1); // Resubmitted if approved
+  assert.deepEqual(stored.removed, []);
+});
+
+test("an upload replaced by a newer one discards its files and leaves the vehicle alone", async (t) => {
+  stubStorage();
+  const job = uploadJob();
+  t.mock.method(Job, "updateOne", async () => ({ modifiedCount: 1 }));
+  t.mock.method(Vehicle, "updateOne", async () => ({ modifiedCount: 0 }));
+  t.mock.method(Vehicle, "findOneAndUpdate", async () => null);
+
+  await runJob(job);
+
+  assert.equal(Vehicle.updateOne.mock.callCount(), 1);
+  assert.equal(Vehicle.findOneAndUpdate.mock.callCount(), 0);
+  assert.deepEqual(stored.removed.sort(), stored.saved.sort());
+  const [, recorded] = Job.updateOne.mock.calls[0].arguments;
+  assert.equal(recorded.status, "completed");
+  assert.equal(recorded.result.superseded, true);
+});
+
+test("a dead upload fails only the vehicle's current upload", async (t) => {
+  t.mock.method(console, "error", () => {});
+  registerStorage("down", {
+    name: "down",
+    save: async () => {
+      throw new Error("Storage unavailable");
+    },
+  });
+  STORAGE.driver = "down";
+  t.after(() => {
+    STORAGE.driver = "memory";
+  });
+  const job = { ...uploadJob(), attempts: 5 };
+  t.mock.method(Job, "updateOne", async () => ({ modifiedCount: 1 }));
+  t.mock.method(Vehicle, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  await runJob(job);
+
+  const [, recorded] = Job.updateOne.mock.calls[0].arguments;
+  assert.equal(recorded.status, "dead");
+  assert.deepEqual(Vehicle.updateOne.mock.calls[0].arguments, [
+    { _id: job.payload.vehicleId, uploadJobId: job._id },
+    { uploadStatus: "failed", uploadJobId: null },
+  ]);
+});
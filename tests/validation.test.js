@@ -0,0 +1,112 @@
+// Requests are checked against their route's schema before any controller runs
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/userModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import validate from "../middlewares/validateMiddleware.js";
+import * as rideSchemas from "../schemas/rideSchemas.js";
+import { startApp, makeUser, signIn } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const post = (path, body, cookie = "") =>
+  fetch(`${app.baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Cookie: cookie },
+    body: JSON.stringify(body),
+  });
+
+// Run one schema over a fake request; resolves with the request and what next got
+const check = (schema, req) =>
+  new Promise((resolve) => {
+    validate(schema)(req, {}, (error) => resolve({ req, error }));
+  });
+
+test("every problem in a body is reported at once and the controller never runs", async (t) => {
+  const lookup = t.mock.method(User, "findOne", async () => null);
+
+  const response = await post("/api/user/signup", {
+    firstName: "Ada",
+    lastName: "Lovelace",
+    email: "not-an-email",
+    phoneNumber: "+923001234567",
+    password: "123",
+    gender: "unknown",
+  });
+  assert.equal(response.status, 400);
+  const body = await response.json();
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    body.details.map(({ field }) => field),
+    ["email", "password", "gender"]
+  );
+  assert.equal(body.message, body.details[0].message);
+  assert.equal(lookup.mock.callCount(), 0);
+});
+
+test("nested fields are named by their path", async (t) => {
+  const customer = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [customer]);
+
+  const response = await post(
+    "/api/rides/estimate",
+    { pickup: { lat: 100, lng: 74.3 }, dropoff: { lat: 31.5 } },
+    cookie
+  );
+  assert.equal(response.status, 400);
+  assert.deepEqual(
+    (await response.json()).details.map(({ field }) => field),
+    ["pickup.lat", "dropoff.lng"]
+  );
+});
+
+test("query strings are typed, defaults filled in and undeclared fields dropped", async () => {
+  const { req, error } = await check(rideSchemas.nearbyDrivers, {
+    query: { lat: "31.52", lng: "74.35", radius: "800", debug: "1" },
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(req.query, {
+    lat: 31.52,
+    lng: 74.35,
+    wheelchair: false,
+    radius: 800,
+    limit: 10,
+  });
+
+  const out = await check(rideSchemas.nearbyDrivers, {
+    query: { lat: "north", lng: "74.35", limit: "500" },
+  });
+  assert.deepEqual(
+    out.error.details.map(({ field }) => field),
+    ["lat", "limit"]
+  );
+});
+
+test("vehicle documents are taken only as uploaded files, never as body links", async (t) => {
+  const driver = makeUser(t, { kycLevel: 2 });
+  const [cookie] = signIn(t, [driver]);
+  let saved;
+  t.mock.method(Vehicle.prototype, "save", async function () {
+    saved = this;
+    return this;
+  });
+
+  const response = await post(
+    "/api/drivers/register-vehicle",
+    {
+      userId: driver._id,
+      vehiclePlateNumber: "ABC-123",
+      insuranceCertificate: "https://example.com/insurance.pdf",
+      vehicleImages: ["https://example.com/photo.jpg"],
+    },
+    cookie
+  );
+  assert.equal(response.status, 201);
+  assert.equal(saved.vehiclePlateNumber, "ABC-123");
+  assert.equal(saved.insuranceCertificate, undefined);
+  assert.deepEqual([...saved.vehicleImages], []);
+});
@@ -0,0 +1,233 @@
+// Vehicles go draft -> submitted -> approved | rejected, and only complete ones are reviewed
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import Vehicle from "../models/vehicleModel.js";
+import Shift from "../models/shiftModel.js";
+import DriverLocation from "../models/driverLocationModel.js";
+import { startApp, query, makeUser, signIn } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const post = (path, cookie, body = {}) =>
+  fetch(`${app.baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Cookie: cookie },
+    body: JSON.stringify(body),
+  });
+
+const nextYear = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+// A vehicle with every document uploaded and valid for another year
+const makeVehicle = (owner, fields = {}) =>
+  new Vehicle({
+    userId: owner._id,
+    vehicleRegistrationCard: {
+      front: "local:front.jpg",
+      back: "local:back.jpg",
+    },
+    roadAuthorityCertificate: "local:road.pdf",
+    insuranceCertificate: "local:insurance.pdf",
+    vehicleImages: ["https://cdn.test/photo.jpg"],
+    registrationExpiryDate: nextYear,
+    insuranceExpiryDate: nextYear,
+    roadAuthorityExpiryDate: nextYear,
+    uploadStatus: "ready",
+    ...fields,
+  });
+
+// Vehicle.findOneAndUpdate applies the update when the filter's status matches
+const stubTransition = (t, vehicle) => {
+  t.mock.method(Vehicle, "findById", () => query(vehicle));
+  return t.mock.method(Vehicle, "findOneAndUpdate", async (filter, update) =>
+    filter.status === vehicle.status ? vehicle.set(update) : null
+  );
+};
+
+test("a complete draft is submitted with its documents pending review", async (t) => {
+  const owner = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [owner]);
+  const vehicle = makeVehicle(owner);
+  t.mock.method(Vehicle, "findOne", async () => vehicle);
+  const transition = stubTransition(t, vehicle);
+
+  const response = await post(
+    `/api/drivers/vehicles/${vehicle._id}/submit`,
+    cookie
+  );
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).status, "submitted");
+  const [filter, update] = transition.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: vehicle._id,
+    status: "draft",
+    archived: false,
+  });
+  assert.deepEqual(update["documentReviews.insuranceCertificate"], {
+    status: "pending",
+  });
+});
+
+test("a vehicle is not submitted with documents missing or still uploading", async (t) => {
+  const owner = makeUser(t, { role: "customer" });
+  const [cookie] = signIn(t, [owner]);
+  const transition = t.mock.method(
+    Vehicle,
+    "findOneAndUpdate",
+    async () => null
+  );
+
+  t.mock.method(Vehicle, "findOne", async () =>
+    makeVehicle(owner, { insuranceCertificate: null, vehicleImages: [] })
+  );
+  const missing = await post(
+    `/api/drivers/vehicles/${new mongoose.Types.ObjectId()}/submit`,
+    cookie
+  );
+  assert.equal(missing.status, 400);
+  assert.equal(
+    (await missing.json()).message,
+    "Missing document(s): insuranceCertificate, vehicleImages"
+  );
+
+  Vehicle.findOne.mock.mockImplementation(async () =>
+    makeVehicle(owner, { uploadStatus: "uploading" })
+  );
+  const uploading = await post(
+    `/api/drivers/vehicles/${new mongoose.Types.ObjectId()}/submit`,
+    cookie
+  );
+  assert.equal(uploading.status, 409);
+  assert.equal(transition.mock.callCount(), 0);
+});
+
+test("approval makes the owner a driver", async (t) => {
+  const reviewer = makeUser(t, { role: "support" });
+  const [cookie] = signIn(t, [reviewer]);
+  const vehicle = makeVehicle(reviewer, { status: "submitted" });
+  stubTransition(t, vehicle);
+  const promote = t.mock.method(User, "updateOne", async () => ({}));
+
+  const response = await post(
+    `/api/admin/vehicles/${vehicle._id}/approve`,
+    cookie,
+    { note: "All good" }
+  );
+  assert.equal(response.status, 200);
+  assert.equal(vehicle.status, "approved");
+  assert.equal(vehicle.documentReviews.vehicleImages.status, "approved");
+  assert.ok(vehicle.reviewedBy.equals(reviewer._id));
+  assert.deepEqual(promote.mock.calls[0].arguments, [
+    { _id: vehicle.userId, role: "customer" },
+    { role: "driver" },
+  ]);
+});
+
+test("rejection records a reason per document and approves the rest", async (t) => {
+  const reviewer = makeUser(t, { role: "support" });
+  const [cookie] = signIn(t, [reviewer]);
+  const vehicle = makeVehicle(reviewer, { status: "submitted" });
+  stubTransition(t, vehicle);
+
+  const unknown = await post(
+    `/api/admin/vehicles/${vehicle._id}/reject`,
+    cookie,
+    { reasons: { logbook: "Blurry" } }
+  );
+  assert.equal(unknown.status, 400);
+  assert.equal(vehicle.status, "submitted");
+
+  const response = await post(
+    `/api/admin/vehicles/${vehicle._id}/reject`,
+    cookie,
+    { reasons: { insuranceCertificate: " Expired " } }
+  );
+  assert.equal(response.status, 200);
+  assert.equal(vehicle.status, "rejected");
+  assert.equal(vehicle.documentReviews.insuranceCertificate.status, "rejected");
+  assert.equal(
+    vehicle.documentReviews.insuranceCertificate.rejectionReason,
+    "Expired"
+  );
+  assert.equal(vehicle.documentReviews.vehicleImages.status, "approved");
+});
+
+test("a vehicle no longer awaiting review can't be approved", async (t) => {
+  const reviewer = makeUser(t, { role: "support" });
+  const [cookie] = signIn(t, [reviewer]);
+  const vehicle = makeVehicle(reviewer, { status: "approved" });
+  stubTransition(t, vehicle);
+  const promote = t.mock.method(User, "updateOne", async () => ({}));
+
+  const response = await post(
+    `/api/admin/vehicles/${vehicle._id}/approve`,
+    cookie
+  );
+  assert.equal(response.status, 409);
+  assert.equal(
+    (await response.json()).message,
+    "An approved vehicle cannot be approved"
+  );
+  assert.equal(promote.mock.callCount(), 0);
+});
+
+test("suspension needs vehicle management and takes the driver offline", async (t) => {
+  const support = makeUser(t, { role: "support" });
+  const admin = makeUser(t, { role: "admin" });
+  const [supportCookie, adminCookie] = signIn(t, [support, admin]);
+  const vehicle = makeVehicle(admin, { status: "approved" });
+  stubTransition(t, vehicle);
+  const shift = {
+    _id: new mongoose.Types.ObjectId(),
+    driverId: vehicle.userId,
+    startedAt: new Date(),
+  };
+  t.mock.method(Shift, "findOne", async () => shift);
+  const endShift = t.mock.method(Shift, "findOneAndUpdate", async () => null);
+  t.mock.method(DriverLocation, "updateOne", async () => ({}));
+
+  const refused = await post(
+    `/api/admin/vehicles/${vehicle._id}/suspend`,
+    supportCookie
+  );
+  assert.equal(refused.status, 403);
+  assert.equal(vehicle.status, "approved");
+
+  const response = await post(
+    `/api/admin/vehicles/${vehicle._id}/suspend`,
+    adminCookie,
+    { reason: "Failed inspection" }
+  );
+  assert.equal(response.status, 200);
+  assert.equal(vehicle.status, "suspended");
+  assert.equal(vehicle.suspensionReason, "Failed inspection");
+  const [filter, update] = endShift.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: shift._id, status: "active" });
+  assert.equal(update.endReason, "suspended");
+});
+
+test("a vehicle with a lapsed document can't be approved", async (t) => {
+  const reviewer = makeUser(t, { role: "support" });
+  const [cookie] = signIn(t, [reviewer]);
+  const vehicle = makeVehicle(reviewer, {
+    status: "submitted",
+    insuranceExpiryDate: new Date("2026-01-31"),
+  });
+  const transition = stubTransition(t, vehicle);
+
+  const response = await post(
+    `/api/admin/vehicles/${vehicle._id}/approve`,
+    cookie
+  );
+  assert.equal(response.status, 409);
+  assert.match(
+    (await response.json()).message,
+    /insurance expired on 2026-01-31/
+  );
+  assert.equal(transition.mock.callCount(), 0);
+});
@@ -0,0 +1,59 @@
+// Email verification completes once, so the referral behind it is counted once
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
+import { hashCode } from "../utils/otp.js";
+import { startApp, query, makeUser } from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const verify = (body) =>
+  fetch(`${app.baseUrl}/api/user/verify-otp`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+// An unverified user referred by sponsor S1, with a live OTP
+const stubPending = (t) => {
+  const user = makeUser(t, {
+    isVerified: false,
+    sponsorBy: "S1",
+    otp: hashCode("123456"),
+    otpExpires: new Date(Date.now() + 60000),
+  });
+  t.mock.method(User, "findOne", () => query(user));
+  return user;
+};
+
+test("verifying claims the account and counts the referral", async (t) => {
+  const user = stubPending(t);
+  const claim = t.mock.method(User, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  const count = t.mock.method(User, "findOneAndUpdate", async () => null);
+  t.mock.method(Session, "create", async () => ({}));
+
+  const response = await verify({ email: user.email, otp: "123456" });
+  assert.equal(response.status, 201);
+  assert.deepEqual(claim.mock.calls[0].arguments[0], {
+    _id: user._id,
+    isVerified: false,
+  });
+  assert.deepEqual(count.mock.calls[0].arguments[0], { sponsorId: "S1" });
+});
+
+test("a repeated verification doesn't count the referral again", async (t) => {
+  const user = stubPending(t);
+  t.mock.method(User, "updateOne", async () => ({ modifiedCount: 0 }));
+  const count = t.mock.method(User, "findOneAndUpdate", async () => null);
+
+  const response = await verify({ email: user.email, otp: "123456" });
+  assert.equal(response.status, 409);
+  assert.equal(count.mock.callCount(), 0);
+});
@@ -0,0 +1,253 @@
+// Wallet ledger: balanced postings, idempotency keys, top-up limits and refund caps
+import "./helpers/env.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import mongoose from "mongoose";
+import Ride from "../models/rideModel.js";
+import LedgerTransaction from "../models/ledgerTransactionModel.js";
+import { postTransaction, topUp } from "../services/walletService.js";
+import {
+  startApp,
+  query,
+  makeUser,
+  signIn,
+  fundWallets,
+} from "./helpers/app.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const id = () => new mongoose.Types.ObjectId();
+
+const refund = (cookie, rideId, body, key = "refund-1") =>
+  fetch(`${app.baseUrl}/api/admin/rides/${rideId}/refund`, {
+    method: "POST",
+    headers: {
+      Cookie: cookie,
+      "Content-Type": "application/json",
+      "Idempotency-Key": key,
+    },
+    body: JSON.stringify(body),
+  });
+
+// A paid 270 PKR ride with part of it possibly refunded already
+const stubPaidRide = (t, refundedAmount = 0) => {
+  const ride = new Ride({
+    customerId: id(),
+    driverId: id(),
+    vehicleType: "minicar",
+    pickup: { type: "Point", coordinates: [74.35, 31.52] },
+    dropoff: { type: "Point", coordinates: [74.27, 31.47] },
+    status: "completed",
+    fare: {
+      amount: 270,
+      currency: "PKR",
+      distanceKm: 4.2,
+      durationMinutes: 11,
+    },
+    payment: { status: "paid", refundedAmount },
+  });
+  t.mock.method(Ride, "findById", () => query(ride));
+  return ride;
+};
+
+// Admin signed in, wallets funded and no earlier posting for any key
+const asAdmin = (t) => {
+  const admin = makeUser(t, { role: "admin" });
+  const [cookie] = signIn(t, [admin]);
+  fundWallets(t);
+  t.mock.method(LedgerTransaction, "findOne", () => query(null));
+  return cookie;
+};
+
+test("a posting must balance debits against credits", async () => {
+  const posting = (credit) =>
+    new LedgerTransaction({
+      idempotencyKey: "k",
+      kind: "topup",
+      currency: "PKR",
+      entries: [
+        { walletId: id(), direction: "debit", amount: 500 },
+        { walletId: id(), direction: "credit", amount: credit },
+      ],
+    }).validate();
+
+  await posting(500);
+  await assert.rejects(posting(499), /must balance debits and credits/);
+});
+
+test("an idempotency key posts once and can't be reused for another kind", async (t) => {
+  const existing = { _id: id(), kind: "topup" };
+  t.mock.method(LedgerTransaction, "findOne", () => query(existing));
+  const create = t.mock.method(LedgerTransaction, "create", async () => {});
+
+  const replay = await postTransaction({ idempotencyKey: "k", kind: "topup" });
+  assert.deepEqual(replay, { transaction: existing, replayed: true });
+  await assert.rejects(
+    postTransaction({ idempotencyKey: "k", kind: "refund" }),
+    { statusCode: 409 }
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("a posting that loses a race on its key returns the winner's", async (t) => {
+  const winner = { _id: id(), kind: "topup" };
+  let reads = 0;
+  t.mock.method(LedgerTransaction, "findOne", () =>
+    query(reads++ ? winner : null)
+  );
+  t.mock.method(LedgerTransaction, "create", async () => {
+    throw Object.assign(new Error("duplicate key"), { code: 11000 });
+  });
+
+  const result = await postTransaction({ idempotencyKey: "k", kind: "topup" });
+  assert.deepEqual(result, { transaction: winner, replayed: true });
+});
+
+test("top-ups above the limit are refused before charging", async (t) => {
+  const user = makeUser(t, {});
+  fundWallets(t);
+  t.mock.method(LedgerTransaction, "findOne", () => query(null));
+  const create = t.mock.method(LedgerTransaction, "create", async (fields) => ({
+    _id: id(),
+    ...fields,
+  }));
+
+  await assert.rejects(
+    topUp({ user, amount: 50000.01, source: "tok_visa", idempotencyKey: "a" }),
+    { statusCode: 400 }
+  );
+  await assert.rejects(
+    topUp({ user, amount: 10, source: "tok_declined", idempotencyKey: "b" }),
+    { statusCode: 402 }
+  );
+  assert.equal(create.mock.callCount(), 0);
+
+  const { transaction } = await topUp({
+    user,
+    amount: 150.5,
+    source: "tok_visa",
+    idempotencyKey: "c",
+  });
+  assert.equal(transaction.idempotencyKey, `topup:${user._id}:c`);
+  assert.deepEqual(
+    transaction.entries.map((entry) => [entry.direction, entry.amount]),
+    [
+      ["debit", 15050],
+      ["credit", 15050],
+    ]
+  );
+});
+
+test("a refund can't exceed what is left of the fare", async (t) => {
+  const cookie = asAdmin(t);
+  const ride = stubPaidRide(t, 200);
+  const reserve = t.mock.method(Ride, "findOneAndUpdate", async () => null);
+
+  const response = await refund(cookie, ride._id, { amount: 70.01 });
+  assert.equal(response.status, 400);
+  assert.equal(reserve.mock.callCount(), 0);
+});
+
+test("a refund reserves its amount before posting it", async (t) => {
+  const cookie = asAdmin(t);
+  const ride = stubPaidRide(t, 100);
+  const reserve = t.mock.method(Ride, "findOneAndUpdate", async () => ({
+    payment: { status: "partially_refunded", refundedAmount: 170 },
+  }));
+  const create = t.mock.method(LedgerTransaction, "create", async (fields) => ({
+    _id: id(),
+    ...fields,
+  }));
+
+  const response = await refund(cookie, ride._id, { amount: 70 });
+  assert.equal(response.status, 201);
+  const [filter] = reserve.mock.calls[0].arguments;
+  assert.deepEqual(filter["payment.refundedAmount"], { $lte: 200 });
+  const [posting] = create.mock.calls[0].arguments;
+  assert.equal(posting.kind, "refund");
+  assert.equal(posting.idempotencyKey, `ride:${ride._id}:refund:refund-1`);
+  assert.deepEqual(
+    posting.entries.map((entry) => entry.amount),
+    [7000, 7000]
+  );
+});
+
+test("a refund that lost the reservation to another request posts nothing", async (t) => {
+  const cookie = asAdmin(t);
+  const ride = stubPaidRide(t);
+  t.mock.method(Ride, "findOneAndUpdate", async () => null);
+  const create = t.mock.method(LedgerTransaction, "create", async () => {});
+
+  const response = await refund(cookie, ride._id, { amount: 270 });
+  assert.equal(response.status, 409);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("a refund gives its reservation back when posting fails or was already done", async (t) => {
+  const cookie = asAdmin(t);
+  const ride = stubPaidRide(t);
+  t.mock.method(Ride, "findOneAndUpdate", async () => ({
+    payment: { status: "refunded", refundedAmount: 270 },
+  }));
+  const release = t.mock.method(Ride, "findByIdAndUpdate", async () => ({
+    payment: { status: "paid", refundedAmount: 0 },
+  }));
+
+  t.mock.method(LedgerTransaction, "create", async () => {
+    throw new Error("write failed");
+  });
+  let response = await refund(cookie, ride._id, { amount: 270 });
+  assert.equal((await response.json()).message, "write failed");
+  assert.equal(release.mock.callCount(), 1);
+  assert.ok(release.mock.calls[0].arguments[0].equals(ride._id));
+
+  // A concurrent request with the same key posts first: the lookup after the
+  // duplicate key finds its transaction
+  LedgerTransaction.create.mock.mockImplementation(async () => {
+    LedgerTransaction.findOne.mock.mockImplementation(() =>
+      query({ _id: id(), kind: "refund" })
+    );
+    throw Object.assign(new Error("duplicate key"), { code: 11000 });
+  });
+  response = await refund(cookie, ride._id, { amount: 270 });
+  assert.equal(response.status, 200);
+  assert.equal(release.mock.callCount(), 2);
+});
+
+// Import the payment settings in a fresh process with these environment variables
+const loadPayments = (env) =>
+  spawnSync(
+    process.execPath,
+    [
+      "--input-type=module",
+      "-e",
+      'import("./services/payments/index.js").then((m) => m.assertPaymentProvider())',
+    ],
+    { env: { PATH: process.env.PATH, ...env }, encoding: "utf8" }
+  );
+
+test("startup settings refuse a missing or fake provider in production and bad commissions", () => {
+  assert.equal(loadPayments({ PAYMENT_PROVIDER: "fake" }).status, 0);
+  assert.match(loadPayments({}).stderr, /PAYMENT_PROVIDER is not set/);
+  assert.match(
+    loadPayments({ PAYMENT_PROVIDER: "fake", NODE_ENV: "production" }).stderr,
+    /cannot be used in production/
+  );
+  assert.match(
+    loadPayments({
+      PAYMENT_PROVIDER: "fake",
+      PLATFORM_COMMISSION_PERCENT: "150",
+    }).stderr,
+    /must be a number from 0 to 100/
+  );
+  assert.equal(
+    loadPayments({ PAYMENT_PROVIDER: "fake", PLATFORM_COMMISSION_PERCENT: "0" })
+      .status,
+    0
+  );
+});
@@ -0,0 +1,112 @@
+// Typed API errors. Each carries the HTTP status to answer with (statusCode, like the
+// errors thrown by services), a machine-readable code clients can branch on, e.g.
+// OTP_EXPIRED or KYC_LEVEL_REQUIRED, and optional per-field details. The error middleware
+// renders them as { message, code, details?, requestId }.
+
+// Code sent for errors that don't name one, by HTTP status
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+};
+
+const defaultCode = (statusCode) =>
+  STATUS_CODES[statusCode] ||
+  (statusCode < 500 ? "BAD_REQUEST" : "INTERNAL_ERROR");
+
+class AppError extends Error {
+  constructor(message, { statusCode = 500, code, details } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.statusCode = statusCode;
+    this.code = code || defaultCode(statusCode);
+    if (details) this.details = details; // [{ field, message }]
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, code, details) {
+    super(message, { statusCode: 400, code, details });
+  }
+}
+
+// Request fields that are missing or malformed, listed in details
+class ValidationError extends AppError {
+  constructor(message, details, code = "VALIDATION_FAILED") {
+    super(message, { statusCode: 400, code, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, code) {
+    super(message, { statusCode: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, code) {
+    super(message, { statusCode: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code) {
+    super(message, { statusCode: 404, code });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code, details) {
+    super(message, { statusCode: 409, code, details });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message, code, details) {
+    super(message, { statusCode: 413, code, details });
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message, code, details) {
+    super(message, { statusCode: 415, code, details });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message, code) {
+    super(message, { statusCode: 429, code });
+  }
+}
+
+// A ValidationError with one "X is required" detail per missing field, or null when every
+// field has a value. The message is the first detail's unless one is given.
+const requireFields = (values, labels, message) => {
+  const details = Object.entries(labels)
+    .filter(([field]) => !values?.[field])
+    .map(([field, label]) => ({ field, message: `${label} is required` }));
+  if (!details.length) return null;
+  return new ValidationError(message || details[0].message, details);
+};
+
+export {
+  defaultCode,
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  requireFields,
+};
@@ -0,0 +1,20 @@
+// Convert a { lat, lng } object into a GeoJSON point, or null if it isn't a valid position
+const toPoint = (location) => {
+  const lat = Number(location?.lat);
+  const lng = Number(location?.lng);
+  if (
+    location?.lat === undefined ||
+    location?.lng === undefined ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    lat < -90 ||
+    lat > 90 ||
+    lng < -180 ||
+    lng > 180
+  ) {
+    return null;
+  }
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+export { toPoint };
@@ -0,0 +1,28 @@
+// Helpers for one-time codes; codes are only ever stored as a keyed hash
+import crypto from "crypto";
+
+// Generate a 6-digit OTP for verification or password reset
+const generateOTP = () => crypto.randomInt(100000, 1000000).toString();
+
+// Generate the secret for a single-use password reset link
+const generateResetToken = () => crypto.randomBytes(32).toString("base64url");
+
+// HMAC rather than a plain hash: a 6-digit code's plain hash is trivial to reverse
+const hashCode = (code) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(String(code))
+    .digest("hex");
+
+// Compare a submitted code with a stored hash in constant time
+const codeMatches = (hash, code) => {
+  if (!hash || !code) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = Buffer.from(hashCode(code), "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+export { generateOTP, generateResetToken, hashCode, codeMatches };
@@ -0,0 +1,222 @@
+// Declarative request validation. A schema maps each field to a rule built with the helpers
+// below. Checking a request part coerces every raw value to its type (query strings and
+// multipart fields arrive as text), applies defaults, drops the fields the schema doesn't
+// declare and collects every problem as a { field, message } detail.
+import mongoose from "mongoose";
+
+// Raw values that count as not given; multipart forms send empty fields as ""
+const isMissing = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && !value.length);
+
+const ok = (value) => ({ value });
+const fail = (field, message) => ({ errors: [{ field, message }] });
+
+// A rule wraps a coercion (raw value, field path, label) -> { value } | { errors } with
+// the options every rule takes:
+// - required: true, or the message to use when the field is missing
+// - default: value (or function returning one) used when the field is missing
+// - label: how the field is named in messages, defaults to its path
+const rule = (coerce, { required = false, default: fallback, label } = {}) => ({
+  coerce,
+  required,
+  fallback,
+  label,
+});
+
+// Check values against a schema; returns the typed values and a detail per problem
+const checkFields = (schema, values, prefix = "") => {
+  const result = {};
+  const errors = [];
+  for (const [name, fieldRule] of Object.entries(schema)) {
+    const field = prefix + name;
+    const label = fieldRule.label || field;
+    const raw = values?.[name];
+    const outcome = isMissing(raw)
+      ? ok(undefined)
+      : fieldRule.coerce(raw, field, label);
+    if (outcome.errors) {
+      errors.push(...outcome.errors);
+    } else if (outcome.value !== undefined) {
+      result[name] = outcome.value;
+    } else if (fieldRule.required) {
+      errors.push({
+        field,
+        message:
+          typeof fieldRule.required === "string"
+            ? fieldRule.required
+            : `${label} is required`,
+      });
+    } else if (fieldRule.fallback !== undefined) {
+      result[name] =
+        typeof fieldRule.fallback === "function"
+          ? fieldRule.fallback()
+          : fieldRule.fallback;
+    }
+  }
+  return { values: result, errors };
+};
+
+// Text, trimmed unless trim: false; blank text counts as missing
+const string = ({
+  trim = true,
+  lowercase = false,
+  uppercase = false,
+  min,
+  max,
+  pattern,
+  patternMessage,
+  enum: values,
+  ...options
+} = {}) =>
+  rule((raw, field, label) => {
+    if (!["string", "number", "boolean"].includes(typeof raw)) {
+      return fail(field, `${label} must be text`);
+    }
+    let value = String(raw);
+    if (trim) value = value.trim();
+    if (!value) return ok(undefined);
+    if (lowercase) value = value.toLowerCase();
+    if (uppercase) value = value.toUpperCase();
+    if (values && !values.includes(value)) {
+      return fail(field, `${label} must be one of: ${values.join(", ")}`);
+    }
+    if (min !== undefined && value.length < min) {
+      return fail(field, `${label} must be at least ${min} characters`);
+    }
+    if (max !== undefined && value.length > max) {
+      return fail(field, `${label} must be at most ${max} characters`);
+    }
+    if (pattern && !pattern.test(value)) {
+      return fail(field, patternMessage || `${label} is not valid`);
+    }
+    return ok(value);
+  }, options);
+
+const email = (options = {}) =>
+  string({
+    lowercase: true,
+    pattern: /^\S+@\S+\.\S+$/,
+    patternMessage: "Please enter a valid email address",
+    ...options,
+  });
+
+// A finite number within min and max; integer: true also rejects fractions
+const number = ({ min, max, integer = false, ...options } = {}) =>
+  rule((raw, field, label) => {
+    const value = typeof raw === "string" ? Number(raw.trim()) : raw;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return fail(field, `${label} must be a number`);
+    }
+    if (integer && !Number.isInteger(value)) {
+      return fail(field, `${label} must be a whole number`);
+    }
+    if (
+      (min !== undefined && value < min) ||
+      (max !== undefined && value > max)
+    ) {
+      return fail(
+        field,
+        min !== undefined && max !== undefined
+          ? `${label} must be between ${min} and ${max}`
+          : min !== undefined
+          ? `${label} must be at least ${min}`
+          : `${label} must be at most ${max}`
+      );
+    }
+    return ok(value);
+  }, options);
+
+const integer = (options = {}) => number({ ...options, integer: true });
+
+// true/false, also as the text "true"/"false" or "1"/"0"
+const boolean = (options = {}) =>
+  rule((raw, field, label) => {
+    if (raw === true || raw === "true" || raw === "1") return ok(true);
+    if (raw === false || raw === "false" || raw === "0") return ok(false);
+    return fail(field, `${label} must be true or false`);
+  }, options);
+
+// A date or timestamp, as a Date
+const date = (options = {}) =>
+  rule((raw, field, label) => {
+    const value = new Date(raw);
+    if (typeof raw === "boolean" || Number.isNaN(value.getTime())) {
+      return fail(field, `${label} must be a valid date`);
+    }
+    return ok(value);
+  }, options);
+
+// A MongoDB ObjectId, kept as its string form
+const objectId = (options = {}) =>
+  rule(
+    (raw, field, label) =>
+      typeof raw === "string" && mongoose.isValidObjectId(raw)
+        ? ok(raw)
+        : fail(field, `${label} is invalid`),
+    options
+  );
+
+// A nested object checked against its own schema; unknown keys are dropped
+const object = (schema, options = {}) =>
+  rule((raw, field, label) => {
+    if (typeof raw !== "object" || Array.isArray(raw)) {
+      return fail(field, `${label} must be an object`);
+    }
+    const { values, errors } = checkFields(schema, raw, `${field}.`);
+    return errors.length ? { errors } : ok(values);
+  }, options);
+
+// A list whose items all pass one rule; a single value becomes a one-item list
+const array = (item, { max, ...options } = {}) =>
+  rule((raw, field, label) => {
+    const items = [].concat(raw);
+    if (max !== undefined && items.length > max) {
+      return fail(field, `${label} accepts at most ${max} items`);
+    }
+    const itemRule = { ...item, required: item.required || true };
+    const { values, errors } = checkFields(
+      Object.fromEntries(items.map((_, index) => [index, itemRule])),
+      items,
+      `${field}.`
+    );
+    return errors.length ? { errors } : ok(items.map((_, i) => values[i]));
+  }, options);
+
+// An object with free-form keys, e.g. { cnicFront: "Blurry" }, whose values all pass one
+// rule; an empty object counts as missing
+const record = (item, options = {}) =>
+  rule((raw, field, label) => {
+    if (typeof raw !== "object" || Array.isArray(raw)) {
+      return fail(field, `${label} must be an object`);
+    }
+    const schema = Object.fromEntries(
+      Object.keys(raw).map((key) => [
+        key,
+        { ...item, required: item.required || true },
+      ])
+    );
+    const { values, errors } = checkFields(schema, raw, `${field}.`);
+    if (errors.length) return { errors };
+    return ok(Object.keys(values).length ? values : undefined);
+  }, options);
+
+// Uploaded files of a field; their type and size are checked by the upload middleware
+const file = (options = {}) => rule((raw) => ok(raw), options);
+
+export {
+  checkFields,
+  string,
+  email,
+  number,
+  integer,
+  boolean,
+  date,
+  objectId,
+  object,
+  array,
+  record,
+  file,
+};